@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { ActivityIndicator, View } from 'react-native';
 
 import OnboardingScreen from './src/screens/OnboardingScreen';
@@ -11,6 +10,22 @@ import StatisticsScreen from './src/screens/StatisticsScreen';
 import BudgetPlannerScreen from './src/screens/BudgetPlannerScreen';
 import NotificationsScreen from './src/screens/NotificationsScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import CategoriesScreen from './src/screens/CategoriesScreen';
+import RecurringScreen from './src/screens/RecurringScreen';
+import GoalsScreen from './src/screens/GoalsScreen';
+import DebtsScreen from './src/screens/DebtsScreen';
+import SplitsScreen from './src/screens/SplitsScreen';
+import WalletsScreen from './src/screens/WalletsScreen';
+import ReconcileScreen from './src/screens/ReconcileScreen';
+import ImportScreen from './src/screens/ImportScreen';
+import BackupScreen from './src/screens/BackupScreen';
+import { hasLaunchedBefore, markLaunched } from './src/storage/repository';
+import { runMigrations } from './src/storage/migrations';
+import { postDueRecurringTransactions } from './src/utils/recurring';
+import { fillDueEnvelopes } from './src/utils/envelopes';
+import { closeDuePeriods } from './src/utils/savings';
+import { loadLanguage } from './src/i18n';
+import { loadCurrency } from './src/utils/currency';
 
 const Stack = createNativeStackNavigator();
 
@@ -18,17 +33,53 @@ export default function App() {
   const [isFirstLaunch, setIsFirstLaunch] = useState(null);
 
   useEffect(() => {
-    checkFirstLaunch();
+    prepareApp();
   }, []);
 
+  /**
+   * Upgrades stored data to the current schema before any screen reads it,
+   * loads the chosen language and money format so the first screen is shown in them,
+   * then posts recurring entries and envelope fills that came due while the app was closed
+   * and closes the savings snapshots of weeks and months that ended
+   */
+  const prepareApp = async () => {
+    try {
+      await runMigrations();
+    } catch (error) {
+      console.error('Error migrating stored data:', error);
+    }
+    try {
+      await loadLanguage();
+    } catch (error) {
+      console.error('Error loading language:', error);
+    }
+    try {
+      await loadCurrency();
+    } catch (error) {
+      console.error('Error loading currency format:', error);
+    }
+    try {
+      await postDueRecurringTransactions();
+    } catch (error) {
+      console.error('Error posting recurring transactions:', error);
+    }
+    try {
+      await fillDueEnvelopes();
+    } catch (error) {
+      console.error('Error filling envelopes:', error);
+    }
+    try {
+      await closeDuePeriods();
+    } catch (error) {
+      console.error('Error closing savings periods:', error);
+    }
+    await checkFirstLaunch();
+  };
+
   const checkFirstLaunch = async () => {
     try {
-      const hasLaunched = await AsyncStorage.getItem('hasLaunched');
-      if (hasLaunched === null) {
-        setIsFirstLaunch(true);
-      } else {
-        setIsFirstLaunch(false);
-      }
+      const hasLaunched = await hasLaunchedBefore();
+      setIsFirstLaunch(!hasLaunched);
     } catch (error) {
       console.error('Error checking first launch:', error);
       setIsFirstLaunch(false);
@@ -37,7 +88,7 @@ export default function App() {
 
   const completeOnboarding = async () => {
     try {
-      await AsyncStorage.setItem('hasLaunched', 'true');
+      await markLaunched();
       setIsFirstLaunch(false);
     } catch (error) {
       console.error('Error saving onboarding status:', error);
@@ -104,6 +155,51 @@ export default function App() {
               component={SettingsScreen}
               options={{ headerShown: false }}
             />
+            <Stack.Screen
+              name="Categories"
+              component={CategoriesScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Recurring"
+              component={RecurringScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Goals"
+              component={GoalsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Debts"
+              component={DebtsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Splits"
+              component={SplitsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Wallets"
+              component={WalletsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Reconcile"
+              component={ReconcileScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Import"
+              component={ImportScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Backup"
+              component={BackupScreen}
+              options={{ headerShown: false }}
+            />
           </>
         )}
       </Stack.Navigator>
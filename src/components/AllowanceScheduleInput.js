@@ -0,0 +1,113 @@
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { ALLOWANCE_FREQUENCIES, getWeekdayNames, getUpcomingWeekday } from '../utils/allowance';
+import { t } from '../i18n';
+
+/**
+ * AllowanceScheduleInput picks how often the allowance comes in and on which day.
+ * The amount itself is entered by the screen that uses it.
+ * @param {Object} value - Schedule fields: frequency, weekday, dayOfMonth (string), anchorDate
+ * @param {Function} onChange - Called with the updated schedule fields
+ */
+export default function AllowanceScheduleInput({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const selectFrequency = (frequency) => {
+    update({
+      frequency,
+      anchorDate: frequency === 'biweekly' ? getUpcomingWeekday(value.weekday) : value.anchorDate,
+    });
+  };
+
+  // A new payday restarts the biweekly cycle on its next occurrence
+  const selectWeekday = (weekday) => {
+    update({ weekday, anchorDate: getUpcomingWeekday(weekday) });
+  };
+
+  const weekdayNames = getWeekdayNames();
+  const upcoming = getUpcomingWeekday(value.weekday);
+  const isNextWeek = value.anchorDate > upcoming;
+
+  return (
+    <View>
+      <View style={styles.chipsRow}>
+        {ALLOWANCE_FREQUENCIES.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, value.frequency === option.value && styles.chipActive]}
+            onPress={() => selectFrequency(option.value)}
+          >
+            <Text style={[styles.chipText, value.frequency === option.value && styles.chipTextActive]}>
+              {t(`common.frequencies.${option.value}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {(value.frequency === 'weekly' || value.frequency === 'biweekly') && (
+        <>
+          <Text style={styles.fieldLabel}>{t('allowance.input.whichDay')}</Text>
+          <View style={styles.chipsRow}>
+            {weekdayNames.map((name, index) => (
+              <TouchableOpacity
+                key={name}
+                style={[styles.chip, value.weekday === index && styles.chipActive]}
+                onPress={() => selectWeekday(index)}
+              >
+                <Text style={[styles.chipText, value.weekday === index && styles.chipTextActive]}>
+                  {name.slice(0, 3)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      {value.frequency === 'biweekly' && (
+        <>
+          <Text style={styles.fieldLabel}>{t('allowance.input.nextOne')}</Text>
+          <View style={styles.chipsRow}>
+            {[
+              { label: t('allowance.input.thisWeekday', { weekday: weekdayNames[value.weekday] }), nextWeek: false },
+              { label: t('allowance.input.theOneAfter'), nextWeek: true },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.label}
+                style={[styles.chip, isNextWeek === option.nextWeek && styles.chipActive]}
+                onPress={() => update({ anchorDate: getUpcomingWeekday(value.weekday, option.nextWeek) })}
+              >
+                <Text style={[styles.chipText, isNextWeek === option.nextWeek && styles.chipTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      {value.frequency === 'monthly' && (
+        <>
+          <Text style={styles.fieldLabel}>{t('allowance.input.dayOfMonth')}</Text>
+          <TextInput
+            style={styles.dayInput}
+            value={String(value.dayOfMonth)}
+            onChangeText={(dayOfMonth) => update({ dayOfMonth })}
+            placeholder="1-31"
+            placeholderTextColor="#9CA3AF"
+            keyboardType="number-pad"
+          />
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginBottom: 8 },
+  dayInput: { backgroundColor: '#F9FAFB', padding: 12, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+});
@@ -0,0 +1,99 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { t, getLocale } from '../i18n';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Quick choices for the most common backdated entries.
+ * Each returns a timestamp relative to the current time.
+ * Labels are under dateTime.<key> in the i18n dictionaries.
+ */
+const QUICK_OPTIONS = [
+  { key: 'now', getTime: () => Date.now() },
+  {
+    key: 'thisMorning',
+    getTime: () => {
+      const morning = new Date();
+      morning.setHours(7, 0, 0, 0);
+      return Math.min(morning.getTime(), Date.now());
+    },
+  },
+  { key: 'yesterday', getTime: () => Date.now() - DAY },
+  { key: 'twoDaysAgo', getTime: () => Date.now() - 2 * DAY },
+];
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+/**
+ * DateTimeSelector lets the user pick when a transaction happened.
+ * Future times are not allowed; every change is clamped to "now".
+ * @param {number} value - Selected time in ms
+ * @param {Function} onChange - Called with the new time in ms
+ */
+export default function DateTimeSelector({ value, onChange }) {
+  const change = (time) => onChange(Math.min(time, Date.now()));
+
+  const isToday = isSameDay(value, Date.now());
+  const dateLabel = isToday
+    ? t('dateTime.today')
+    : isSameDay(value, Date.now() - DAY)
+      ? t('dateTime.yesterday')
+      : new Date(value).toLocaleDateString(getLocale(), { weekday: 'short', month: 'short', day: 'numeric' });
+  const timeLabel = new Date(value).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <View>
+      {/* Quick chips */}
+      <View style={styles.chipsRow}>
+        {QUICK_OPTIONS.map((option) => (
+          <TouchableOpacity key={option.key} style={styles.chip} onPress={() => change(option.getTime())}>
+            <Text style={styles.chipText}>{t(`dateTime.${option.key}`)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Day stepper */}
+      <View style={styles.stepperRow}>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value - DAY)}>
+          <Text style={styles.stepText}>‹</Text>
+        </TouchableOpacity>
+        <Text style={styles.stepValue}>📅 {dateLabel}</Text>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value + DAY)} disabled={isToday}>
+          <Text style={[styles.stepText, isToday && styles.stepTextDisabled]}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Time stepper (hours and 15-minute steps) */}
+      <View style={styles.stepperRow}>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value - HOUR)}>
+          <Text style={styles.stepSmallText}>-1h</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value - 15 * MINUTE)}>
+          <Text style={styles.stepSmallText}>-15m</Text>
+        </TouchableOpacity>
+        <Text style={styles.stepValue}>🕒 {timeLabel}</Text>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value + 15 * MINUTE)}>
+          <Text style={styles.stepSmallText}>+15m</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.stepButton} onPress={() => change(value + HOUR)}>
+          <Text style={styles.stepSmallText}>+1h</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#EEF2FF', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16 },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#4F46E5' },
+  stepperRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, borderWidth: 2, borderColor: '#E5E7EB', marginBottom: 8, padding: 4 },
+  stepButton: { paddingVertical: 8, paddingHorizontal: 10 },
+  stepText: { fontSize: 22, fontWeight: 'bold', color: '#4F46E5' },
+  stepTextDisabled: { color: '#D1D5DB' },
+  stepSmallText: { fontSize: 12, fontWeight: 'bold', color: '#4F46E5' },
+  stepValue: { flex: 1, textAlign: 'center', fontSize: 15, fontWeight: '600', color: '#1F2937' },
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, Switch } from 'react-native';
+import { MIN_PASSPHRASE_LENGTH } from '../storage/encryption';
+import { t } from '../i18n';
+
+/**
+ * PassphraseInput turns passphrase locking on for a file about to be shared.
+ * The screen checks the fields with checkPassphrase() before saving.
+ * @param {Object} value - Fields: enabled, passphrase, confirm
+ * @param {Function} onChange - Called with the updated fields
+ */
+export default function PassphraseInput({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <View>
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>{t('locked.toggle')}</Text>
+        <Switch
+          value={value.enabled}
+          onValueChange={(enabled) => update({ enabled })}
+          trackColor={{ true: '#A5B4FC', false: '#E5E7EB' }}
+          thumbColor={value.enabled ? '#4F46E5' : '#F9FAFB'}
+        />
+      </View>
+
+      {value.enabled && (
+        <>
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('locked.passphrase')}
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            value={value.passphrase}
+            onChangeText={(passphrase) => update({ passphrase })}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('locked.confirm')}
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+            value={value.confirm}
+            onChangeText={(confirm) => update({ confirm })}
+          />
+          <Text style={styles.hint}>{t('locked.hint', { min: MIN_PASSPHRASE_LENGTH })}</Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  switchRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 },
+  switchLabel: { flex: 1, fontSize: 14, fontWeight: '600', color: '#374151', marginRight: 12 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  hint: { fontSize: 13, color: '#6B7280', lineHeight: 18, marginBottom: 12 },
+});
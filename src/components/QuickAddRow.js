@@ -0,0 +1,55 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { describeTemplate } from '../utils/templates';
+import { t } from '../i18n';
+
+/**
+ * QuickAddRow shows saved templates and suggestions as one-tap chips.
+ * Tap a chip to log it. Long-press a saved chip to remove it, or a
+ * suggestion (✨) to save it as a favorite.
+ * @param {Object[]} templates - Saved templates
+ * @param {Object[]} suggestions - Templates suggested from history
+ * @param {Function} onUse - Called with the tapped template
+ * @param {Function} onSave - Called with a suggestion to keep
+ * @param {Function} onRemove - Called with a saved template to delete
+ */
+export default function QuickAddRow({ templates, suggestions, onUse, onSave, onRemove }) {
+  if (templates.length === 0 && suggestions.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{t('quickAdd.title')}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.row}>
+        {templates.map((template) => (
+          <TouchableOpacity
+            key={template.id}
+            style={styles.chip}
+            onPress={() => onUse(template)}
+            onLongPress={() => onRemove(template)}
+          >
+            <Text style={styles.chipText}>{describeTemplate(template)}</Text>
+          </TouchableOpacity>
+        ))}
+        {suggestions.map((template) => (
+          <TouchableOpacity
+            key={template.id}
+            style={[styles.chip, styles.chipSuggested]}
+            onPress={() => onUse(template)}
+            onLongPress={() => onSave(template)}
+          >
+            <Text style={styles.chipText}>✨ {describeTemplate(template)}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 20 },
+  title: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginBottom: 8, paddingHorizontal: 20 },
+  row: { gap: 8, paddingHorizontal: 20 },
+  chip: { backgroundColor: '#fff', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 16, borderWidth: 1, borderColor: '#C7D2FE', elevation: 2 },
+  chipSuggested: { backgroundColor: '#F9FAFB', borderStyle: 'dashed', borderColor: '#A5B4FC', elevation: 0 },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#1F2937' },
+});
@@ -0,0 +1,1201 @@
+/**
+ * English text. Every key used by the app is defined here; the other
+ * languages fall back to it for anything they leave out.
+ */
+export default {
+  common: {
+    error: 'Error',
+    success: 'Success',
+    ok: 'OK',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    save: 'Save',
+    weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    weekdaysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    frequencies: {
+      daily: 'Every day',
+      schoolDays: 'School days',
+      weekly: 'Weekly',
+      biweekly: 'Every 2 weeks',
+      monthly: 'Monthly',
+    },
+  },
+
+  categories: {
+    food: { label: 'Food & Snacks', description: 'Meals, snacks, drinks' },
+    transportation: { label: 'Transportation', description: 'Jeepney, tricycle, bus fare' },
+    supplies: { label: 'School Supplies', description: 'Pens, paper, notebooks' },
+    projects: { label: 'Projects', description: 'Materials for school projects' },
+    load: { label: 'Load/Data', description: 'Mobile load, internet data' },
+    entertainment: { label: 'Entertainment', description: 'Movies, games, leisure' },
+    savings: { label: 'Savings', description: 'Money set aside for your goals' },
+    utang: { label: 'Utang / IOUs', description: 'Money lent to or borrowed from classmates' },
+    adjustment: { label: 'Adjustments', description: 'Corrections after counting your cash' },
+    allowance: { label: 'Allowance', description: 'Baon from parents or guardians' },
+    earnings: { label: 'Extra Income', description: 'Gifts from relatives, prizes, sideline earnings' },
+    other: { label: 'Other', description: 'Miscellaneous expenses' },
+  },
+
+  periods: {
+    today: 'Today',
+    thisWeek: 'This Week',
+    last7Days: 'Last 7 Days',
+    thisMonth: 'This Month',
+    last30Days: 'Last 30 Days',
+    modes: {
+      calendar: { label: 'Calendar', description: 'Weeks and months reset on a fixed day' },
+      rolling: { label: 'Rolling', description: 'Always the last 7 or 30 days' },
+    },
+  },
+
+  allowance: {
+    per: {
+      schoolDays: 'per school day',
+      daily: 'per day',
+      weekly: 'per week',
+      biweekly: 'every 2 weeks',
+      monthly: 'per month',
+    },
+    describe: {
+      schoolDays: '{{amount}} every school day',
+      daily: '{{amount}} every day',
+      weekly: '{{amount}} every {{weekday}}',
+      biweekly: '{{amount}} every other {{weekday}}',
+      monthly: '{{amount}} on day {{day}} of each month',
+    },
+    input: {
+      whichDay: 'Which day do you get it?',
+      nextOne: 'When is the next one?',
+      thisWeekday: 'This {{weekday}}',
+      theOneAfter: 'The one after',
+      dayOfMonth: 'Day of the month',
+    },
+  },
+
+  rollover: {
+    rolledOver: '{{amount}} rolled over',
+    deficit: '{{amount}} deficit',
+    modes: {
+      reset: { label: 'Reset', description: 'Start fresh every week' },
+      unspent: { label: 'Carry unspent', description: 'Leftovers are added to next week' },
+      deficit: { label: 'Carry deficit', description: 'Overspending comes off next week' },
+      both: { label: 'Carry both', description: 'Leftovers and overspending both carry over' },
+    },
+  },
+
+  onboarding: {
+    skip: 'Skip',
+    next: 'Next',
+    continue: 'Continue',
+    slides: {
+      welcome: {
+        title: 'Welcome SHS Student!',
+        description: 'Track your allowance and expenses for Guinayangan Senior High School. Manage your budget for the 2025-2026 school year!',
+      },
+      allowance: {
+        title: 'Track Your Allowance',
+        description: 'Record your daily or weekly allowance. See how much money you have available to spend.',
+      },
+      expenses: {
+        title: 'Monitor Your Expenses',
+        description: 'Log your spending on food, supplies, transportation, and more. Know where your money goes!',
+      },
+      save: {
+        title: 'Save Money',
+        description: 'Track your savings and reach your goals. Build better money habits while studying!',
+      },
+    },
+    setup: {
+      title: 'Set Up Your Budget',
+      subtitle: "Let's plan your spending for school",
+      allowanceTitle: 'How much allowance do you receive?',
+      amountPer: 'Amount {{per}}',
+      aboutPerWeek: 'About {{amount}} per week',
+      overBy: 'Daily budget exceeds your average daily allowance by {{amount}}',
+      planTitle: 'Plan Your Daily Spending (Optional)',
+      planSubtitle: 'You can adjust these later',
+      weekly: 'Weekly: {{amount}}',
+      savingsTitle: '💰 Set Your Savings Goal (Optional)',
+      savingsSubtitle: 'Track your progress towards a savings target',
+      target: 'Target: {{amount}}',
+      savingsTip: '💡 Tip: Setting a savings goal helps you stay motivated and track your progress!',
+      skip: 'Skip for now',
+      save: 'Save & Continue',
+    },
+    overBudget: {
+      title: 'Budget Exceeds Allowance',
+      message: 'Your planned daily spending ({{planned}}) exceeds your average daily allowance ({{allowance}}).\n\nPlease adjust your budget to stay within your allowance.',
+    },
+    errors: {
+      noAllowance: 'Please enter your allowance',
+      saveFailed: 'Failed to save your settings. Please try again.',
+    },
+  },
+
+  home: {
+    title: 'My Budget',
+    subtitle: 'SHS Student Edition',
+    greeting: {
+      welcome: 'Welcome!',
+      morning: 'Good Morning!',
+      afternoon: 'Good Afternoon!',
+      evening: 'Good Evening!',
+    },
+    menu: {
+      title: 'Menu',
+      addTransaction: 'Add Transaction',
+      budgetPlanner: 'Budget Planner',
+      statistics: 'Statistics',
+      goals: 'Savings Goals',
+      debts: 'Utang Tracker',
+      splits: 'Split Expenses',
+      wallets: 'Wallets',
+      recurring: 'Recurring',
+      notifications: 'Alerts & Tips',
+      settings: 'Settings',
+    },
+    clearAll: {
+      title: 'Clear All Data',
+      message: 'This will delete all your data. Are you sure?',
+      confirm: 'Clear All',
+      done: 'All data cleared!',
+    },
+    warnings: {
+      over: 'Over Budget!',
+      near: 'Budget Alert',
+      used: '{{category}}: {{percent}}% used',
+    },
+    availableBalance: 'Available Balance · {{period}}',
+    stats: {
+      spentToday: 'Spent Today',
+      spentWeek: 'Spent Week',
+      incomeWeek: 'Income Week',
+    },
+    totalSaved: '🏦 Total Saved So Far',
+    countCash: '🧮 Count my cash',
+    weeklySavingsGoal: 'Weekly Savings Goal',
+    percentComplete: '{{percent}}% Complete',
+    actions: {
+      add: 'Add Entry',
+      planner: 'Planner',
+      history: 'History',
+      goals: 'Goals',
+    },
+    needsReview: '🔁 {{count}} recurring entries were added automatically. Tap to review.',
+    needsReview_one: '🔁 {{count}} recurring entry was added automatically. Tap to review.',
+    recent: {
+      title: 'Recent Transactions',
+      seeAll: 'See All →',
+      empty: 'No transactions yet',
+      emptyHint: 'Log your first expense to start tracking!',
+    },
+    deleteTransaction: {
+      title: 'Delete Transaction',
+      message: 'Are you sure you want to delete this transaction?',
+    },
+    errors: {
+      deleteFailed: 'Failed to delete transaction',
+      quickAddFailed: 'Failed to save transaction',
+    },
+  },
+
+  addTransaction: {
+    title: 'Add Entry',
+    editTitle: 'Edit Entry',
+    subtitle: 'Track where your allowance goes',
+    editSubtitle: 'Correct any detail below',
+    howMuch: '💰 How much?',
+    expense: '💸 Expense',
+    income: '💵 Income',
+    category: '📋 Category',
+    envelopeLeft: '✉️ {{category}} envelope: {{amount}} left',
+    linkedHint: '🔗 This entry belongs to a savings goal, IOU, split or wallet count. Change its amount there; you can still edit the note, wallet and date here.',
+    manageCategories: '🏷️ Add or manage categories',
+    paidFrom: '👛 Paid from',
+    wentInto: '👛 Went into',
+    note: '📝 Note (Optional)',
+    notePlaceholder: 'Specify what you bought...',
+    notePlaceholderOther: 'What did you spend on?',
+    when: '🗓️ When?',
+    log: 'Log Transaction',
+    saveChanges: 'Save Changes',
+    logHint: 'This will update your available balance',
+    saveFavorite: '⭐ Save as Quick Add favorite',
+    favoriteSaved: {
+      title: 'Saved',
+      message: 'Added to Quick Add',
+    },
+    envelopeEmpty: {
+      title: 'Envelope Empty',
+      message: 'Your {{category}} envelope only has {{amount}} left. Move money from another envelope in the Budget Planner, or save anyway.',
+      saveAnyway: 'Save Anyway',
+    },
+    errors: {
+      notFound: 'This transaction no longer exists',
+      invalidAmount: 'Please enter a valid amount',
+      noCategory: 'Please select a category',
+      noDescription: 'Please enter a description for Other category',
+      saveFailed: 'Failed to save transaction',
+    },
+  },
+
+  statistics: {
+    title: 'Statistics',
+    subtitle: 'Track your spending & savings',
+    periods: {
+      daily: 'Daily',
+      weekly: 'Weekly',
+      monthly: 'Monthly',
+    },
+    income: 'Income',
+    incomeNote: '{{allowance}} allowance + {{logged}} logged',
+    spent: 'Spent',
+    remaining: 'Remaining',
+    iouNote: '🤝 Not counted above: {{out}} lent out or paid back, {{in}} borrowed or paid back to you',
+    goalProgress: '💰 Savings Goal Progress',
+    goalReached: '{{percent}}% reached ({{saved}} / {{goal}})',
+    savingsHistory: '📈 Savings History',
+    totalSaved: 'Total saved so far: {{amount}}',
+    firstWeek: 'Your first week will show up here once it ends',
+    firstMonth: 'Your first month will show up here once it ends',
+    spendingByCategory: '📊 Spending by Category',
+    empty: 'No transactions this period',
+    debtNote: '🤝 {{amount}} lent out or paid back through IOUs, groupmates\' shares included, is not counted here',
+    incomeByCategory: '💵 Income by Category',
+    allowance: {
+      title: '📅 Allowance Overview',
+      schedule: 'Schedule:',
+      daily: 'Daily (avg):',
+      weekly: 'Weekly (avg):',
+      monthly: 'Monthly (avg):',
+    },
+  },
+
+  budgetPlanner: {
+    title: 'Budget Planner',
+    subtitle: 'Plan your spending, secure your future',
+    allowance: {
+      title: 'Allowance',
+      subtitle: 'How much you get and how often',
+      average: '{{schedule}} ≈ {{amount}} per day on average',
+      logAsIncome: 'Log allowance as income',
+      posted: "An Allowance entry is added every payday morning. Skip days you don't get it in Recurring.",
+      assumed: 'Your allowance is counted automatically without an entry',
+    },
+    savings: {
+      title: '🎯 Savings Target',
+      placeholder: 'Weekly Goal',
+      reached: '{{percent}}% reached',
+      goalsLink: 'Saving up for something bigger? Set up savings goals →',
+    },
+    modes: {
+      limits: '📊 Daily Limits',
+      envelopes: '✉️ Envelopes',
+    },
+    limits: {
+      title: '📋 Daily Category Limits',
+      rolloverOff: 'Rollover works with calendar weeks. Turn them on in Settings → Weeks & Months.',
+      forThisWeek: '{{rollover}} · {{amount}} for this week',
+    },
+    envelopes: {
+      title: '✉️ Envelopes',
+      intro: 'Each allowance ({{schedule}}) is split into these envelopes. {{allocated}} of {{amount}} allocated.',
+      perAllowance: 'Per allowance',
+      left: '{{amount}} left',
+      refill: '＋ Refill',
+      move: '⇄ Move',
+      refillTitle: 'Add money to this envelope',
+      moveTitle: 'Move money to:',
+      add: 'Add',
+      confirmMove: 'Move',
+    },
+    status: {
+      empty: 'Empty!',
+      low: 'Running Low',
+      over: 'Over Budget!',
+      almostOver: 'Almost Over',
+      good: 'Good',
+    },
+    insightsTitle: '💡 Smart Insights',
+    tip: '💡 Tip: {{tip}}',
+    insights: {
+      excellent: {
+        title: 'Excellent Savings Potential!',
+        message: 'You can save {{amount}} weekly ({{percent}}% of your income)',
+        tip: "This is great! You're building strong money habits early.",
+        action: 'Consider opening a savings account to earn interest!',
+      },
+      overspending: {
+        title: 'Overspending Alert!',
+        message: "You're spending {{amount}} more than your income!",
+        tip: 'This is unsustainable and will lead to debt.',
+        action: 'Immediately reduce spending or find ways to earn extra money.',
+      },
+      overBudget: {
+        title: 'Over Budget: {{category}}',
+        message: 'Spent {{spent}} vs weekly budget of {{budget}}',
+        action: 'Try to cut back in this area next week.',
+      },
+      emptyEnvelope: {
+        title: 'Empty Envelope: {{category}}',
+        message: "You've spent {{amount}} more than this envelope had",
+        action: 'Move money from another envelope or wait for your next allowance.',
+      },
+      goalAchieved: {
+        title: 'Savings Goal Achieved!',
+        message: "You've reached your week's goal of {{amount}}!",
+        tip: 'Great discipline! Reward yourself with something small and free.',
+        action: 'Keep it up next week!',
+      },
+    },
+    savingTips: {
+      transportation: 'Walk short distances or carpool with friends.',
+      food: 'Try bringing home-cooked meals (baon) more often.',
+      supplies: 'Buy in bulk or reuse existing materials.',
+      load: 'Use free WiFi at school or limit non-essential data used.',
+      projects: 'Coordinate with members to share material costs.',
+      entertainment: 'Look for free school events or student discounts.',
+      default: 'Look for cheaper alternatives.',
+    },
+    education: {
+      show: 'Learn Financial Tips',
+      hide: 'Hide Financial Tips',
+      title: 'Why Save?',
+      text: 'Building an emergency fund of {{emergency}} provides a safety net. Saving 20% can lead to {{college}} by graduation!',
+    },
+    save: 'Save Budget Plan',
+    saveHint: 'Persistence is key to financial success',
+    saved: 'Budget plan saved!',
+    caution: {
+      title: 'Caution',
+      envelopes: 'Your envelopes add up to more than one allowance. Are you sure?',
+      limits: 'Your daily budget exceeds your average daily allowance. Are you sure?',
+      confirm: 'Yes, Save',
+    },
+    errors: {
+      dayOfMonth: 'Please enter a day of the month from 1 to 31',
+      saveFailed: 'Failed to save budget',
+      invalidAmount: 'Please enter a valid amount',
+      noMoveTarget: 'Please pick the envelope to move money to',
+      notEnough: 'This envelope only has {{amount}}',
+      envelopeFailed: 'Failed to update envelope',
+    },
+  },
+
+  notifications: {
+    title: 'Notifications',
+    subtitle: 'Stay updated with your budget',
+    channelName: 'Budget Alerts',
+    enablePush: '🔔 Enable Push Notifications',
+    permission: {
+      title: 'Notification Permission',
+      message: 'Please enable notifications in your device settings to receive budget alerts and reminders.',
+    },
+    clearAll: {
+      title: 'Clear All Notifications',
+      message: 'Are you sure you want to dismiss all notifications?',
+      confirm: 'Clear All',
+    },
+    alertsTitle: '🔔 Alerts & Reminders',
+    count: '{{count}} notifications',
+    count_one: '{{count}} notification',
+    empty: {
+      title: 'All Good!',
+      message: "You're on track with your budget. Keep up the good work!",
+    },
+    alerts: {
+      rolloverNote: ' (includes {{rollover}})',
+      over: {
+        title: 'Over Budget: {{category}}',
+        message: "You've exceeded your weekly budget{{rolloverNote}} by {{amount}}. Consider cutting back.",
+      },
+      warning: {
+        title: 'Budget Warning: {{category}}',
+        message: "You've used {{percent}}% of your weekly budget{{rolloverNote}}. Only {{amount}} left.",
+      },
+      highDaily: {
+        title: 'High Spending Today',
+        message: "You've spent {{amount}} today. That's {{percent}}% of your daily allowance!",
+        messageNoAllowance: "You've spent {{amount}} today. That's quite high of your daily allowance!",
+      },
+      noTracking: {
+        title: "Don't Forget to Track",
+        message: "You haven't logged any transactions today. Did you spend anything at school?",
+      },
+      lowSavings: {
+        title: 'Low Savings This Week',
+        message: "You've only saved {{saved}} this week. Try to save at least {{target}} (20% of your income).",
+      },
+      goodSavings: {
+        title: 'Great Savings!',
+        message: "Excellent! You've saved {{saved}} this week ({{percent}}% of your income). Keep it up!",
+      },
+      weekend: {
+        title: 'Weekend Spending Alert',
+        message: "You've spent {{amount}} this weekend. Consider budgeting for leisure activities.",
+      },
+      overdue: {
+        days: '{{count}} days overdue',
+        days_one: '{{count}} day overdue',
+        lentTitle: '{{person}} Still Owes You',
+        borrowedTitle: 'Pay Back {{person}}',
+        lentMessage: '{{amount}} is {{overdue}}. A friendly reminder might help!',
+        borrowedMessage: "You still owe {{amount}} and it's {{overdue}}. Try to settle it soon.",
+      },
+      streak: {
+        title: '{{days}} Day Tracking Streak!',
+        message: "Amazing! You've been tracking your expenses for {{days}} days straight. Consistency is key to good money habits!",
+      },
+    },
+    insightsTitle: '💡 Spending Insights',
+    insightsSubtitle: 'Weekly analysis',
+    tipLabel: '💡 Tip:',
+    insights: {
+      topCategory: {
+        title: 'Top Spending Category',
+        message: '{{category}}: {{amount}} this week',
+      },
+      dailyAverage: {
+        title: 'Daily Average',
+        message: 'You spend about {{amount}} per day',
+        tipHigh: 'Try to bring baon to reduce daily expenses',
+        tipLow: 'Great job keeping daily spending low!',
+      },
+      savingsRate: {
+        title: 'Savings Rate',
+        overTitle: 'Overspending',
+        message: "You're saving {{percent}}% of your income",
+        overMessage: "You're over budget by {{percent}}%",
+        tipGreat: 'Excellent! Keep up the good savings habit!',
+        tipLow: 'Try to save at least 20% of your income',
+        tipOver: 'You need to cut back on spending to stay within budget',
+      },
+      frequency: {
+        title: 'Spending Frequency',
+        message: 'You spent money on {{days}} out of 7 days this week',
+        tipOften: 'Consider planning no-spend days to save more',
+        tipSpaced: 'Good job spacing out your expenses!',
+      },
+      distribution: {
+        title: 'Spending Distribution',
+        message: '{{category}} accounts for {{percent}}% of your spending',
+        tipUneven: 'Consider diversifying your spending across categories',
+        tipBalanced: 'Good balance in your spending categories',
+      },
+    },
+    categoryTips: {
+      food: 'Bring lunch from home 3x a week to save ₱150-200',
+      transportation: 'Try walking to school or sharing rides to cut transport costs',
+      supplies: 'Buy supplies in bulk with classmates for better prices',
+      load: 'Use free WiFi at school instead of mobile data',
+      projects: 'Share materials with group mates to split costs',
+      entertainment: 'Look for free activities or student discounts',
+      default: 'Look for ways to reduce spending in this category',
+    },
+    challenges: {
+      title: '🎯 Weekly Challenges',
+      subtitle: 'Save more money',
+      baon: {
+        title: 'Baon Challenge',
+        description: 'Bring lunch from home 4 days this week',
+        reward: '💰 Save up to ₱200!',
+      },
+      walking: {
+        title: 'Walking Challenge',
+        description: 'Walk to/from school twice this week',
+        reward: '💰 Save ₱40 on jeep fare!',
+      },
+      water: {
+        title: 'Water Over Soda',
+        description: 'Choose water instead of buying drinks all week',
+        reward: '💰 Save ₱70-100!',
+      },
+    },
+    smartTips: {
+      title: '🧠 Smart Money Tips',
+      subtitle: 'For students',
+      track: { title: 'Track immediately:', text: "Log expenses right after purchasing so you don't forget" },
+      rule: { title: '50-30-20 Rule:', text: '50% needs (food, transport), 30% wants (snacks, load), 20% savings' },
+      impulse: { title: 'Avoid impulse buying:', text: 'Wait 24 hours before buying non-essential items' },
+      share: { title: 'Share with friends:', text: 'Split costs for group projects, snacks, and rides' },
+      discounts: { title: 'Use student discounts:', text: 'Many stores offer student discounts - always ask!' },
+    },
+  },
+
+  settings: {
+    title: 'Settings',
+    subtitle: 'Manage your profile & data',
+    clear: 'Clear',
+    language: {
+      title: '🌐 Language',
+      hint: 'Taglish mixes English and Filipino, the way most of us text.',
+    },
+    money: {
+      title: '💱 Money Format',
+      symbol: 'Currency symbol',
+      customPlaceholder: 'Or type your own (e.g. NT$)',
+      symbolHint: 'Studying abroad? Pick the symbol of the money you spend. Amounts are not converted.',
+      hideCentavos: 'Hide centavos',
+      example: 'Amounts look like {{amount}}, or {{compact}} where space is tight',
+    },
+    periods: {
+      title: '📅 Weeks & Months',
+      budgetPeriod: 'Budget period',
+      weekStartsOn: 'Week starts on',
+    },
+    export: {
+      title: '📤 Export',
+      range: 'Transactions from',
+      ranges: {
+        month: 'This month',
+        week: 'This week',
+        all: 'All time',
+        custom: 'Pick dates',
+      },
+      from: 'From',
+      to: 'To',
+      hint: 'Open the file in Sheets or Excel for school reports. The budget plan is always the current one.',
+      formats: {
+        transactions: '📄 Transactions (CSV)',
+        budget: '📋 Budget plan (CSV)',
+        all: '🗂️ Transactions and budget plan (JSON)',
+      },
+      emptyTitle: 'Nothing to Export',
+      empty: 'There are no transactions in these dates.',
+      failed: 'Failed to export. Please try again.',
+    },
+    data: {
+      title: '💾 Data Management',
+      categories: 'Manage Categories',
+      categoriesHint: 'Add, rename, archive or merge categories',
+      import: 'Import from CSV',
+      importHint: 'Bring in history from a spreadsheet or another app',
+      backup: 'Backup & Restore',
+      backupHint: 'Save everything to one file, or bring it back',
+      clearTransactions: 'Clear Transactions',
+      clearTransactionsHint: 'Wipe spending history but keep budgets',
+      clearBudgets: 'Clear Budgets',
+      clearBudgetsHint: 'Reset your daily/weekly limits',
+      resetOnboarding: 'Reset Onboarding',
+      resetOnboardingHint: 'Re-run the initial setup guide',
+    },
+    danger: {
+      title: '⚠️ Danger Zone',
+      factoryReset: 'Factory Reset',
+      factoryResetHint: 'Delete everything permanently',
+    },
+    about: {
+      title: 'ℹ️ About',
+      info: 'Budget Management System for SHS Students',
+      team: 'Development Team:',
+      leader: 'Leader',
+      version: 'Version {{version}}',
+    },
+    clearAll: {
+      title: 'Clear All Data',
+      message: 'Are you sure you want to delete all your transactions, budgets, and reset the app? This cannot be undone!',
+      confirm: 'Clear All',
+      done: 'All data cleared! Please restart the app.',
+      failed: 'Failed to clear data',
+    },
+    clearTransactions: {
+      title: 'Clear Transactions',
+      message: 'Delete all transaction history? Your budget settings will be kept.',
+      done: 'All transactions cleared!',
+      failed: 'Failed to clear transactions',
+    },
+    clearBudgets: {
+      title: 'Clear Budget Settings',
+      message: 'Delete all budget settings? Your transactions will be kept.',
+      done: 'Budget settings cleared!',
+      failed: 'Failed to clear budgets',
+    },
+    resetOnboarding: {
+      title: 'Reset Onboarding',
+      message: 'See the welcome screens again on next app start?',
+      confirm: 'Reset',
+      done: 'Close and reopen the app to see onboarding',
+      failed: 'Failed to reset',
+    },
+    errors: {
+      saveFailed: 'Failed to save settings',
+    },
+  },
+
+  categoriesScreen: {
+    title: 'Categories',
+    subtitle: 'Make the list fit your school life',
+    notBudgeted: 'Not in budget planner',
+    yours: '📋 Your Categories',
+    empty: 'No custom categories yet',
+    emptyHint: 'Add things like haircut, printing or church offerings',
+    archived: '🗄️ Archived',
+    actions: {
+      restore: '♻️ Restore',
+      edit: '✏️ Edit',
+      archive: '🗄️ Archive',
+      merge: '🔀 Merge',
+      delete: '🗑️ Delete',
+    },
+    form: {
+      newTitle: '➕ New Category',
+      editTitle: '✏️ Edit Category',
+      namePlaceholder: 'Name (e.g. Church Offering)',
+      descriptionPlaceholder: 'Description (optional)',
+      icon: 'Icon',
+      color: 'Color',
+      budgetable: 'Include in Budget Planner',
+      budgetableHint: 'Set a daily limit for this category',
+      preview: 'Preview',
+      add: 'Add Category',
+      saveChanges: 'Save Changes',
+      cancelEditing: 'Cancel editing',
+    },
+    merge: {
+      title: 'Merge Categories',
+      message: 'Move all "{{source}}" transactions and budget into "{{target}}"? "{{source}}" will be removed.',
+      confirm: 'Merge',
+      into: 'Merge "{{category}}" into:',
+    },
+    delete: {
+      title: 'Delete Category',
+      message: 'Delete "{{category}}"? Its transactions will be moved to {{other}}.',
+    },
+    errors: {
+      noName: 'Please enter a category name',
+      nameTaken: 'You already have a category with this name',
+      saveFailed: 'Failed to save category',
+      updateFailed: 'Failed to update category',
+      mergeFailed: 'Failed to merge categories',
+      deleteFailed: 'Failed to delete category',
+    },
+  },
+
+  recurring: {
+    title: 'Recurring',
+    subtitle: 'Log your regular fares and bills automatically',
+    schedule: {
+      daily: 'Every day at {{time}}',
+      schoolDays: 'Every school day at {{time}}',
+      weekly: 'Every {{weekday}} at {{time}}',
+      biweekly: 'Every other {{weekday}} at {{time}}',
+      monthly: 'Every month on day {{day}} at {{time}}',
+    },
+    paused: '⏸️ Paused',
+    next: 'Next: {{time}}',
+    skipping: '⏭️ Skipping {{time}}',
+    noUpcoming: 'No upcoming entry',
+    managed: 'Managed in Budget Planner',
+    actions: {
+      pause: '⏸️ Pause',
+      resume: '▶️ Resume',
+      skip: '⏭️ Skip next',
+      undoSkip: '↩️ Undo skip',
+      edit: '✏️ Edit',
+      delete: '🗑️ Delete',
+    },
+    review: {
+      title: '👀 To Review',
+      markAll: 'Mark all reviewed',
+      ok: '✓ OK',
+    },
+    form: {
+      title: '➕ New Recurring Entry',
+      amountPlaceholder: 'Amount ({{symbol}})',
+      notePlaceholder: 'Note (e.g. Jeep fare to school)',
+      category: 'Category',
+      repeats: 'Repeats',
+      schoolDaysHint: 'Posts Monday to Friday',
+      dayOfMonthPlaceholder: 'Day of the month (1-31)',
+      time: 'Time',
+      add: 'Add Recurring Entry',
+    },
+    yours: '🔁 Your Recurring Entries',
+    empty: 'Nothing recurring yet',
+    emptyHint: "Add your daily fare or weekly load so you don't have to log them by hand",
+    delete: {
+      title: 'Delete Recurring Entry',
+      message: 'Stop "{{title}}" from repeating? Entries already posted will be kept.',
+    },
+    errors: {
+      invalidAmount: 'Please enter a valid amount',
+      dayOfMonth: 'Please enter a day of the month from 1 to 31',
+      saveFailed: 'Failed to save recurring entry',
+      updateFailed: 'Failed to update recurring entry',
+      deleteFailed: 'Failed to delete recurring entry',
+    },
+  },
+
+  goals: {
+    title: 'Savings Goals',
+    subtitle: 'Save up for the things that matter to you',
+    yours: '🎯 Your Goals',
+    empty: 'No goals yet',
+    emptyHint: 'Add your first goal below, like a graduation fund or a new phone',
+    targetDate: 'Target: {{date}}',
+    entries: {
+      withdrawn: '{{goal}} (withdrawn)',
+    },
+    status: {
+      reached: '🎉 Goal reached!',
+      overdue: '⏰ Past the target date · {{amount}} to go',
+      onTrack: '{{percent}}% · Save {{amount}}/day for {{count}} days',
+      onTrack_one: '{{percent}}% · Save {{amount}}/day for {{count}} day',
+    },
+    actions: {
+      add: '＋ Add money',
+      withdraw: '－ Withdraw',
+      delete: '🗑️ Delete',
+    },
+    action: {
+      addTitle: 'How much are you saving?',
+      withdrawTitle: 'How much are you taking out?',
+      amountPlaceholder: 'Amount ({{symbol}})',
+      withdraw: 'Withdraw',
+    },
+    form: {
+      title: '➕ New Goal',
+      namePlaceholder: 'Name (e.g. Field trip)',
+      targetPlaceholder: 'Target amount ({{symbol}})',
+      icon: 'Icon',
+      targetDate: 'Target date',
+      add: 'Add Goal',
+    },
+    deadlines: {
+      oneMonth: '1 month',
+      threeMonths: '3 months',
+      sixMonths: '6 months',
+      oneYear: '1 year',
+    },
+    delete: {
+      title: 'Delete Goal',
+      message: 'Delete "{{goal}}"? Money already saved stays in your history as Savings entries.',
+    },
+    errors: {
+      noName: 'Please give your goal a name',
+      invalidTarget: 'Please enter a valid target amount',
+      invalidAmount: 'Please enter a valid amount',
+      notEnough: 'You only have {{amount}} saved for this goal',
+      saveFailed: 'Failed to save goal',
+      transactionFailed: 'Failed to save transaction',
+      deleteFailed: 'Failed to delete goal',
+    },
+  },
+
+  debts: {
+    title: 'Utang Tracker',
+    subtitle: 'Keep track of money lent and borrowed',
+    entries: {
+      lent: 'Lent to {{person}}',
+      borrowed: 'Borrowed from {{person}}',
+      theyPaid: '{{person}} paid back',
+      iPaid: 'Paid back {{person}}',
+    },
+    directions: {
+      lent: { label: '💸 I lent', description: 'They owe me' },
+      borrowed: { label: '🤲 I borrowed', description: 'I owe them' },
+    },
+    dueOptions: {
+      none: 'No due date',
+      tomorrow: 'Tomorrow',
+      oneWeek: 'In 1 week',
+      twoWeeks: 'In 2 weeks',
+    },
+    totals: {
+      owedToYou: 'Owed to you',
+      youOwe: 'You owe',
+    },
+    open: '🤝 Open IOUs',
+    empty: 'All settled!',
+    emptyHint: 'Nobody owes anybody right now',
+    showSettled: 'Show settled ({{count}})',
+    hideSettled: 'Hide settled',
+    owesYou: '{{person}} owes you',
+    youOwe: 'You owe {{person}}',
+    paid: '{{paid}} of {{amount}} paid',
+    status: {
+      settled: '✅ Settled',
+      overdue: '⏰ Overdue by {{count}} days',
+      overdue_one: '⏰ Overdue by {{count}} day',
+      due: 'Due {{date}}',
+    },
+    actions: {
+      gotPaid: '💵 Got paid',
+      payBack: '💵 Pay back',
+      delete: '🗑️ Delete',
+    },
+    payment: {
+      lentTitle: 'How much did {{person}} pay back?',
+      borrowedTitle: 'How much are you paying {{person}}?',
+      save: 'Save Payment',
+    },
+    form: {
+      title: '➕ New IOU',
+      lentPerson: 'Who borrowed from you?',
+      borrowedPerson: 'Who did you borrow from?',
+      amountPlaceholder: 'Amount ({{symbol}})',
+      notePlaceholder: 'Note (e.g. Lunch at the canteen)',
+      dueDate: 'Due date',
+      logToday: 'Money changed hands today',
+      logLentHint: 'Takes the amount out of your balance. Turn off for an older IOU.',
+      logBorrowedHint: 'Adds the amount to your balance. Turn off for an older IOU.',
+      add: 'Add IOU',
+    },
+    delete: {
+      title: 'Delete IOU',
+      message: 'Delete the IOU with {{person}}? Entries already logged for it will be kept.',
+    },
+    errors: {
+      noPerson: 'Please enter who this is with',
+      invalidAmount: 'Please enter a valid amount',
+      overpaid: 'Only {{amount}} is left to pay',
+      saveFailed: 'Failed to save IOU',
+      transactionFailed: 'Failed to save transaction',
+      deleteFailed: 'Failed to delete IOU',
+    },
+  },
+
+  splits: {
+    title: 'Split Expenses',
+    subtitle: 'Share group project costs with groupmates',
+    methods: {
+      equal: { label: '⚖️ Equal', description: 'Everyone pays the same' },
+      shares: { label: '🔢 By shares', description: 'e.g. 2 shares for whoever used more' },
+      custom: { label: '✏️ Custom', description: 'Type in each amount' },
+    },
+    meta: '{{total}} paid {{date}} · Your share {{share}}',
+    toCollect: 'to collect',
+    person: {
+      paid: '{{amount}} paid',
+      owes: 'owes {{amount}}',
+    },
+    form: {
+      title: '👥 New Split',
+      titlePlaceholder: 'What was it for? (e.g. Illustration board)',
+      totalPlaceholder: 'Total you paid ({{symbol}})',
+      category: 'Category of your share',
+      method: 'Split',
+      me: '🙋 Me',
+      shares: 'Shares',
+      groupmate: 'Groupmate',
+      addGroupmate: '+ Add groupmate',
+      payBackBy: 'Pay back by',
+      hint: 'Only your share counts as spending. The rest is added to the Utang Tracker as owed to you.',
+      save: 'Save Split',
+    },
+    list: '🧾 Group Expenses',
+    empty: 'No split expenses yet',
+    emptyHint: 'Paid for the whole group? Split it above so only your share counts',
+    delete: {
+      action: '🗑️ Delete',
+      title: 'Delete Split',
+      message: 'Delete "{{title}}"? Your share, the IOUs and any repayments logged for it will be removed.',
+    },
+    errors: {
+      noTitle: 'Please enter what the expense was for',
+      invalidAmount: 'Please enter a valid amount',
+      noNames: 'Please enter the name of every groupmate',
+      unassigned: '{{amount}} is not assigned yet',
+      over: 'Amounts are {{amount}} over the total',
+      noShares: 'Give at least one person a share',
+      saveFailed: 'Failed to save split',
+      deleteFailed: 'Failed to delete split',
+    },
+  },
+
+  wallets: {
+    title: 'Wallets',
+    subtitle: 'Where your money is kept',
+    defaults: {
+      cash: 'Cash',
+      gcash: 'GCash',
+      maya: 'Maya',
+      jar: 'Savings Jar',
+    },
+    total: 'In all wallets',
+    mine: '👛 My Wallets',
+    showArchived: 'Show archived ({{count}})',
+    hideArchived: 'Hide archived',
+    deleted: 'Deleted wallet',
+    startedWith: 'Started with {{amount}} on {{date}}',
+    actions: {
+      restore: '↩️ Restore',
+      count: '🧮 Count',
+      edit: '✏️ Edit',
+      archive: '📦 Archive',
+    },
+    edit: {
+      namePlaceholder: 'Wallet name',
+      openingLabel: 'How much was in it on {{date}}?',
+      openingPlaceholder: 'Starting balance ({{symbol}})',
+    },
+    transfer: {
+      title: '🔄 Move Money',
+      hint: 'Like cashing in to GCash or dropping coins in the jar. Transfers are not counted as spending.',
+      from: 'From',
+      to: 'To',
+      amountPlaceholder: 'Amount ({{symbol}})',
+      notePlaceholder: 'Note (optional)',
+      save: 'Move Money',
+      recent: 'Recent transfers',
+    },
+    form: {
+      title: '➕ New Wallet',
+      namePlaceholder: 'Name (e.g. Coin purse)',
+      icon: 'Icon',
+      openingPlaceholder: 'How much is in it now? ({{symbol}})',
+      add: 'Add Wallet',
+    },
+    undoTransfer: {
+      title: 'Undo Transfer',
+      message: 'Undo moving {{amount}}?',
+      confirm: 'Undo',
+    },
+    notEmpty: {
+      title: 'Wallet Not Empty',
+      message: 'Move the {{amount}} in {{wallet}} to another wallet first.',
+    },
+    archive: {
+      title: 'Archive Wallet',
+      message: 'Hide {{wallet}}? Past entries keep showing it.',
+      confirm: 'Archive',
+    },
+    errors: {
+      sameWallet: 'Please pick two different wallets',
+      invalidAmount: 'Please enter a valid amount',
+      noName: 'Please enter a wallet name',
+      transferFailed: 'Failed to save transfer',
+      undoFailed: 'Failed to undo transfer',
+      saveFailed: 'Failed to save wallet',
+      archiveFailed: 'Failed to archive wallet',
+      restoreFailed: 'Failed to restore wallet',
+    },
+  },
+
+  reconcile: {
+    title: 'Count My Cash',
+    subtitle: 'Check your tracking against what you really have',
+    entries: {
+      unrecorded: 'Unrecorded spending',
+      adjustment: '{{wallet}} count adjustment',
+    },
+    resolutions: {
+      matched: '✅ Matched',
+      adjusted: '🧮 Adjusted',
+      spread: '🫥 Unrecorded spending',
+    },
+    form: {
+      title: '🧮 Count a Wallet',
+      expects: 'The app expects',
+      countedPlaceholder: 'How much did you count? ({{symbol}})',
+      spread: 'Log as Unrecorded Spending',
+      save: 'Save Count',
+      adjust: 'Post One Adjustment',
+    },
+    result: {
+      match: '✅ Spot on!',
+      missing: '{{amount}} is missing',
+      extra: '{{amount}} extra',
+      matchHint: 'Your tracking matches your wallet.',
+      missingHint: 'Probably small purchases you forgot to log. Log it as unrecorded spending over the past days, or fix it with one adjustment.',
+      extraHint: 'Maybe money you got but did not log. Add an adjustment so your balance matches.',
+    },
+    stats: {
+      accuracy: 'Accuracy',
+      matched: 'Matched',
+      averageGap: 'Average gap',
+    },
+    history: {
+      title: '📜 Past Counts',
+      empty: 'No counts yet',
+      emptyHint: 'Count your cash now and then to see how accurate your tracking is',
+      meta: '{{date}} · expected {{expected}}, counted {{counted}}',
+    },
+    undo: {
+      title: 'Undo Count',
+      message: 'Remove this count and any adjustment it posted?',
+      confirm: 'Undo',
+    },
+    errors: {
+      invalidAmount: 'Please enter a valid amount',
+      saveFailed: 'Failed to save count',
+      undoFailed: 'Failed to undo count',
+    },
+  },
+
+  importScreen: {
+    title: 'Import CSV',
+    subtitle: 'Bring in transactions from a spreadsheet',
+    file: {
+      title: '📄 File',
+      hint: 'Pick a CSV file with one transaction per row and column names in the first row. Nothing is saved until you press Import.',
+      picked: '{{name}} · {{count}} rows',
+      picked_one: '{{name}} · 1 row',
+      pick: 'Choose CSV File',
+      change: 'Choose Another File',
+    },
+    fields: {
+      date: 'Date',
+      amount: 'Amount',
+      description: 'Description',
+      category: 'Category',
+      type: 'Income or expense',
+    },
+    columns: {
+      title: '🧩 Columns',
+      none: 'None',
+      numbered: 'Column {{number}}',
+      sample: 'First row: {{value}}',
+      dateFormat: 'Date format',
+      numberFormat: 'Number format',
+      typeHint: 'No type column: negative amounts are expenses and positive ones are income. If no amount is negative, everything is an expense.',
+      required: 'Pick the date and amount columns to continue.',
+    },
+    categories: {
+      title: '🏷️ Categories',
+      hint: 'Check where each category in the file goes. Rows without a category go to Other, or Earnings for income.',
+      name: '{{name}} ({{count}})',
+      unmatched: '· not matched',
+    },
+    summary: {
+      title: '🔍 Before Importing',
+      new: 'New',
+      duplicates: 'Already saved',
+      invalid: 'Skipped',
+      range: 'From {{from}} to {{to}}',
+      totals: 'Expenses {{expenses}} · Income {{income}}',
+      more: 'and {{count}} more',
+      duplicatesHint: 'Rows with the same day, amount and description as a saved transaction are left out.',
+      import: 'Import {{count}} Transactions',
+      import_one: 'Import 1 Transaction',
+      nothing: 'Nothing New to Import',
+    },
+    invalid: {
+      date: 'Line {{line}}: date not recognized',
+      amount: 'Line {{line}}: amount "{{value}}" not recognized. Check the number format.',
+    },
+    done: {
+      title: '✅ Imported',
+      message: '{{count}} transactions were added.',
+      message_one: '1 transaction was added.',
+    },
+    errors: {
+      empty: 'This file has no rows to import',
+      readFailed: 'Failed to read the file',
+      importFailed: 'Failed to import transactions',
+    },
+  },
+
+  backup: {
+    title: 'Backup & Restore',
+    subtitle: 'Keep your data safe when changing phones',
+    backUpFirst: 'Back Up First',
+    create: {
+      title: '💾 Back Up',
+      hint: 'Saves everything in one file: transactions, budgets, goals, IOUs, wallets and settings. Keep it in Drive or send it to yourself.',
+      button: 'Create Backup File',
+    },
+    restore: {
+      title: '♻️ Restore',
+      hint: 'Pick a backup file. You will see what changes before anything is saved.',
+      picked: '{{name}} · made {{date}} · {{count}} transactions',
+      picked_one: '{{name}} · made {{date}} · 1 transaction',
+      pick: 'Choose Backup File',
+      change: 'Choose Another File',
+    },
+    modes: {
+      merge: 'Merge',
+      replace: 'Replace',
+      mergeHint: 'Adds the entries from the backup that are not on this phone yet. Your current budget plan and settings stay.',
+      replaceHint: 'Deletes everything on this phone and puts back the backup exactly as it was.',
+      olderHint: 'This backup is from an older version of the app, so it can only replace your current data.',
+    },
+    changes: {
+      title: 'What will change',
+      none: 'Nothing. This phone already has everything in the backup.',
+      added: 'Added from the backup',
+      updated: 'Replaced with the backup',
+      removed: 'Deleted',
+      count: '{{before}} → {{after}}',
+      unchanged: '{{count}} other parts stay the same',
+      unchanged_one: '1 other part stays the same',
+    },
+    keys: {
+      transactions: '💸 Transactions',
+      budgets: '📊 Budget plan',
+      dismissedNotifications: '🔕 Dismissed notifications',
+      profile: '🙋 Profile',
+      hasLaunched: '👋 Setup finished',
+      schemaVersion: '🔢 Data version',
+      customCategories: '🏷️ Your categories',
+      recurringRules: '🔁 Recurring entries',
+      templates: '⚡ Quick Add favorites',
+      settings: '⚙️ Settings',
+      envelopes: '✉️ Envelopes',
+      goals: '🎯 Goals',
+      savingsSnapshots: '🐷 Savings history',
+      debts: '🤝 IOUs',
+      splits: '🧾 Split expenses',
+      wallets: '👛 Wallets',
+      transfers: '🔄 Transfers',
+      reconciliations: '🧮 Cash counts',
+    },
+    confirm: {
+      merge: {
+        title: 'Merge Backup',
+        message: 'Add the entries from this backup to your current data?',
+        confirm: 'Merge Backup',
+      },
+      replace: {
+        title: 'Replace All Data',
+        message: 'Everything on this phone will be replaced with the backup. This cannot be undone.',
+        confirm: 'Replace With Backup',
+      },
+    },
+    done: {
+      title: '✅ Restored',
+      message: 'Your backup has been restored.',
+    },
+    errors: {
+      notBackup: 'This file is not a backup from this app',
+      newerApp: 'This backup was made by a newer version of the app. Update the app, then try again.',
+      corrupt: 'This backup file is damaged and cannot be restored',
+      readFailed: 'Failed to read the file',
+      backupFailed: 'Failed to create the backup',
+      restoreFailed: 'Failed to restore the backup',
+    },
+  },
+
+  locked: {
+    toggle: '🔒 Lock with a passphrase',
+    passphrase: 'Passphrase',
+    confirm: 'Type the passphrase again',
+    hint: 'At least {{min}} characters. The file cannot be opened without it, so keep it somewhere safe.',
+    unlockHint: '🔒 {{name}} is locked. Enter its passphrase to open it.',
+    unlock: 'Unlock',
+    unlocking: 'Unlocking...',
+    errors: {
+      tooShort: 'Use a passphrase with at least {{min}} characters',
+      mismatch: 'The two passphrases do not match',
+      notLocked: 'This file is not locked',
+      damaged: 'This locked file is damaged or was made by a newer version of the app',
+      wrongPassphrase: 'Wrong passphrase, or the file was changed after it was saved. It was not opened.',
+    },
+  },
+
+  quickAdd: {
+    title: '⚡ Quick Add',
+    removeTitle: 'Remove Favorite',
+    removeMessage: 'Remove "{{title}}" from Quick Add?',
+    remove: 'Remove',
+    saveFailed: 'Failed to save favorite',
+  },
+
+  dateTime: {
+    now: 'Now',
+    thisMorning: 'This morning',
+    yesterday: 'Yesterday',
+    twoDaysAgo: '2 days ago',
+    today: 'Today',
+  },
+};
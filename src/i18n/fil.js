@@ -0,0 +1,1196 @@
+/**
+ * Filipino text. Uses the same keys as en.js; anything missing here is
+ * shown in English.
+ */
+export default {
+  common: {
+    error: 'May Mali',
+    success: 'Tagumpay',
+    ok: 'OK',
+    cancel: 'Kanselahin',
+    delete: 'Burahin',
+    save: 'I-save',
+    weekdays: ['Linggo', 'Lunes', 'Martes', 'Miyerkules', 'Huwebes', 'Biyernes', 'Sabado'],
+    weekdaysShort: ['Lin', 'Lun', 'Mar', 'Miy', 'Huw', 'Biy', 'Sab'],
+    frequencies: {
+      daily: 'Araw-araw',
+      schoolDays: 'Tuwing may pasok',
+      weekly: 'Lingguhan',
+      biweekly: 'Kada 2 linggo',
+      monthly: 'Buwanan',
+    },
+  },
+
+  categories: {
+    food: { label: 'Pagkain at Meryenda', description: 'Kain, meryenda, inumin' },
+    transportation: { label: 'Pamasahe', description: 'Dyip, traysikel, bus' },
+    supplies: { label: 'Gamit sa Eskwela', description: 'Ballpen, papel, kuwaderno' },
+    projects: { label: 'Proyekto', description: 'Materyales para sa mga proyekto sa eskwela' },
+    load: { label: 'Load/Data', description: 'Load sa cellphone, internet data' },
+    entertainment: { label: 'Libangan', description: 'Sine, laro, gala' },
+    savings: { label: 'Ipon', description: 'Perang itinabi para sa iyong mga layunin' },
+    utang: { label: 'Utang', description: 'Perang ipinahiram o hiniram sa mga kaklase' },
+    adjustment: { label: 'Pagwawasto', description: 'Pagtatama matapos bilangin ang pera mo' },
+    allowance: { label: 'Baon', description: 'Baon mula sa magulang o tagapag-alaga' },
+    earnings: { label: 'Dagdag na Kita', description: 'Regalo ng kamag-anak, premyo, raket' },
+    other: { label: 'Iba Pa', description: 'Iba pang gastos' },
+  },
+
+  periods: {
+    today: 'Ngayong Araw',
+    thisWeek: 'Ngayong Linggo',
+    last7Days: 'Nakaraang 7 Araw',
+    thisMonth: 'Ngayong Buwan',
+    last30Days: 'Nakaraang 30 Araw',
+    modes: {
+      calendar: { label: 'Kalendaryo', description: 'Nagre-reset ang linggo at buwan sa takdang araw' },
+      rolling: { label: 'Tuloy-tuloy', description: 'Laging ang huling 7 o 30 araw' },
+    },
+  },
+
+  allowance: {
+    per: {
+      schoolDays: 'kada araw na may pasok',
+      daily: 'kada araw',
+      weekly: 'kada linggo',
+      biweekly: 'kada 2 linggo',
+      monthly: 'kada buwan',
+    },
+    describe: {
+      schoolDays: '{{amount}} tuwing may pasok',
+      daily: '{{amount}} araw-araw',
+      weekly: '{{amount}} tuwing {{weekday}}',
+      biweekly: '{{amount}} tuwing ikalawang {{weekday}}',
+      monthly: '{{amount}} tuwing ika-{{day}} ng buwan',
+    },
+    input: {
+      whichDay: 'Anong araw mo ito natatanggap?',
+      nextOne: 'Kailan ang susunod?',
+      thisWeekday: 'Ngayong {{weekday}}',
+      theOneAfter: 'Ang kasunod pa',
+      dayOfMonth: 'Araw ng buwan',
+    },
+  },
+
+  rollover: {
+    rolledOver: '{{amount}} na inilipat',
+    deficit: '{{amount}} na kulang',
+    modes: {
+      reset: { label: 'I-reset', description: 'Magsimula ulit kada linggo' },
+      unspent: { label: 'Ilipat ang sobra', description: 'Idinadagdag sa susunod na linggo ang natira' },
+      deficit: { label: 'Ilipat ang kulang', description: 'Ibabawas sa susunod na linggo ang sobrang gastos' },
+      both: { label: 'Ilipat pareho', description: 'Inililipat ang natira at ang sobrang gastos' },
+    },
+  },
+
+  onboarding: {
+    skip: 'Laktawan',
+    next: 'Susunod',
+    continue: 'Magpatuloy',
+    slides: {
+      welcome: {
+        title: 'Maligayang Pagdating, SHS Student!',
+        description: 'Subaybayan ang baon at gastos mo sa Guinayangan Senior High School. Pamahalaan ang budget mo para sa school year 2025-2026!',
+      },
+      allowance: {
+        title: 'Subaybayan ang Iyong Baon',
+        description: 'Itala ang arawan o lingguhang baon mo. Alamin kung magkano pa ang puwede mong gastusin.',
+      },
+      expenses: {
+        title: 'Bantayan ang Iyong Gastos',
+        description: 'Itala ang gastos mo sa pagkain, gamit sa eskwela, pamasahe at iba pa. Alamin kung saan napupunta ang pera mo!',
+      },
+      save: {
+        title: 'Mag-ipon',
+        description: 'Subaybayan ang ipon mo at abutin ang iyong mga layunin. Bumuo ng mabuting gawi sa pera habang nag-aaral!',
+      },
+    },
+    setup: {
+      title: 'Ihanda ang Iyong Budget',
+      subtitle: 'Planuhin natin ang gastos mo sa eskwela',
+      allowanceTitle: 'Magkano ang baon na natatanggap mo?',
+      amountPer: 'Halaga {{per}}',
+      aboutPerWeek: 'Mga {{amount}} kada linggo',
+      overBy: 'Lampas ng {{amount}} ang arawang budget sa karaniwang arawang baon mo',
+      planTitle: 'Planuhin ang Arawang Gastos (Opsyonal)',
+      planSubtitle: 'Puwede mo itong baguhin mamaya',
+      weekly: 'Lingguhan: {{amount}}',
+      savingsTitle: '💰 Itakda ang Layunin sa Ipon (Opsyonal)',
+      savingsSubtitle: 'Subaybayan ang pag-abot mo sa target na ipon',
+      target: 'Target: {{amount}}',
+      savingsTip: '💡 Tip: Ang pagtatakda ng layunin sa ipon ay nakatutulong para manatiling ganado at masubaybayan ang progreso mo!',
+      skip: 'Mamaya na lang',
+      save: 'I-save at Magpatuloy',
+    },
+    overBudget: {
+      title: 'Lampas sa Baon ang Budget',
+      message: 'Lampas ang planong arawang gastos mo ({{planned}}) sa karaniwang arawang baon mo ({{allowance}}).\n\nPakibago ang budget para hindi lumampas sa baon mo.',
+    },
+    errors: {
+      noAllowance: 'Pakilagay ang iyong baon',
+      saveFailed: 'Hindi na-save ang settings mo. Pakisubukan ulit.',
+    },
+  },
+
+  home: {
+    title: 'Aking Budget',
+    subtitle: 'Para sa SHS Student',
+    greeting: {
+      welcome: 'Maligayang pagdating!',
+      morning: 'Magandang Umaga!',
+      afternoon: 'Magandang Hapon!',
+      evening: 'Magandang Gabi!',
+    },
+    menu: {
+      title: 'Menu',
+      addTransaction: 'Magdagdag ng Tala',
+      budgetPlanner: 'Budget Planner',
+      statistics: 'Estadistika',
+      goals: 'Mga Layunin sa Ipon',
+      debts: 'Listahan ng Utang',
+      splits: 'Hatian sa Gastos',
+      wallets: 'Mga Pitaka',
+      recurring: 'Paulit-ulit',
+      notifications: 'Paalala at Tips',
+      settings: 'Settings',
+    },
+    clearAll: {
+      title: 'Burahin Lahat ng Data',
+      message: 'Mabubura ang lahat ng data mo. Sigurado ka ba?',
+      confirm: 'Burahin Lahat',
+      done: 'Nabura na ang lahat ng data!',
+    },
+    warnings: {
+      over: 'Lampas sa Budget!',
+      near: 'Babala sa Budget',
+      used: '{{category}}: {{percent}}% nagamit na',
+    },
+    availableBalance: 'Natitirang Pera · {{period}}',
+    stats: {
+      spentToday: 'Gastos Ngayon',
+      spentWeek: 'Gastos sa Linggo',
+      incomeWeek: 'Kita sa Linggo',
+    },
+    totalSaved: '🏦 Kabuuang Naipon',
+    countCash: '🧮 Bilangin ang pera ko',
+    weeklySavingsGoal: 'Lingguhang Layunin sa Ipon',
+    percentComplete: '{{percent}}% Tapos Na',
+    actions: {
+      add: 'Magtala',
+      planner: 'Planner',
+      history: 'Kasaysayan',
+      goals: 'Layunin',
+    },
+    needsReview: '🔁 {{count}} paulit-ulit na tala ang kusang naidagdag. I-tap para suriin.',
+    recent: {
+      title: 'Mga Bagong Tala',
+      seeAll: 'Tingnan Lahat →',
+      empty: 'Wala pang tala',
+      emptyHint: 'Itala ang una mong gastos para makapagsimula!',
+    },
+    deleteTransaction: {
+      title: 'Burahin ang Tala',
+      message: 'Sigurado ka bang buburahin ang talang ito?',
+    },
+    errors: {
+      deleteFailed: 'Hindi nabura ang tala',
+      quickAddFailed: 'Hindi na-save ang tala',
+    },
+  },
+
+  addTransaction: {
+    title: 'Magtala',
+    editTitle: 'Baguhin ang Tala',
+    subtitle: 'Alamin kung saan napupunta ang baon mo',
+    editSubtitle: 'Itama ang anumang detalye sa ibaba',
+    howMuch: '💰 Magkano?',
+    expense: '💸 Gastos',
+    income: '💵 Kita',
+    category: '📋 Kategorya',
+    envelopeLeft: '✉️ Sobre ng {{category}}: {{amount}} na lang',
+    linkedHint: '🔗 Kabilang ang talang ito sa isang ipon, utang, hatian o bilang ng wallet. Doon palitan ang halaga; dito puwede mo pa ring baguhin ang tala, wallet at petsa.',
+    manageCategories: '🏷️ Magdagdag o mag-ayos ng kategorya',
+    paidFrom: '👛 Ibinayad mula sa',
+    wentInto: '👛 Pumasok sa',
+    note: '📝 Tala (Opsyonal)',
+    notePlaceholder: 'Ano ang binili mo...',
+    notePlaceholderOther: 'Saan mo ito ginastos?',
+    when: '🗓️ Kailan?',
+    log: 'Itala',
+    saveChanges: 'I-save ang Pagbabago',
+    logHint: 'Maa-update nito ang natitirang pera mo',
+    saveFavorite: '⭐ I-save bilang paborito sa Quick Add',
+    favoriteSaved: {
+      title: 'Na-save',
+      message: 'Naidagdag sa Quick Add',
+    },
+    envelopeEmpty: {
+      title: 'Ubos na ang Sobre',
+      message: '{{amount}} na lang ang laman ng sobre ng {{category}}. Maglipat ng pera mula sa ibang sobre sa Budget Planner, o i-save pa rin.',
+      saveAnyway: 'I-save Pa Rin',
+    },
+    errors: {
+      notFound: 'Wala na ang talang ito',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      noCategory: 'Pumili ng kategorya',
+      noDescription: 'Pakilagay kung para saan ito sa kategoryang Iba Pa',
+      saveFailed: 'Hindi na-save ang tala',
+    },
+  },
+
+  statistics: {
+    title: 'Estadistika',
+    subtitle: 'Bantayan ang gastos at ipon mo',
+    periods: {
+      daily: 'Arawan',
+      weekly: 'Lingguhan',
+      monthly: 'Buwanan',
+    },
+    income: 'Kita',
+    incomeNote: '{{allowance}} baon + {{logged}} naitala',
+    spent: 'Nagastos',
+    remaining: 'Natitira',
+    iouNote: '🤝 Hindi kasama sa itaas: {{out}} na ipinahiram o ibinayad sa utang, {{in}} na hiniram o ibinayad sa iyo',
+    goalProgress: '💰 Progreso sa Layuning Ipon',
+    goalReached: '{{percent}}% naabot ({{saved}} / {{goal}})',
+    savingsHistory: '📈 Kasaysayan ng Ipon',
+    totalSaved: 'Kabuuang naipon: {{amount}}',
+    firstWeek: 'Lalabas dito ang unang linggo mo pagkatapos nito',
+    firstMonth: 'Lalabas dito ang unang buwan mo pagkatapos nito',
+    spendingByCategory: '📊 Gastos ayon sa Kategorya',
+    empty: 'Walang tala sa panahong ito',
+    debtNote: '🤝 Hindi kasama rito ang {{amount}} na ipinahiram o ibinayad sa utang',
+    incomeByCategory: '💵 Kita ayon sa Kategorya',
+    allowance: {
+      title: '📅 Buod ng Baon',
+      schedule: 'Iskedyul:',
+      daily: 'Arawan (karaniwan):',
+      weekly: 'Lingguhan (karaniwan):',
+      monthly: 'Buwanan (karaniwan):',
+    },
+  },
+
+  budgetPlanner: {
+    title: 'Budget Planner',
+    subtitle: 'Planuhin ang gastos, siguraduhin ang kinabukasan',
+    allowance: {
+      title: 'Baon',
+      subtitle: 'Magkano at gaano kadalas mo ito natatanggap',
+      average: '{{schedule}} ≈ {{amount}} kada araw sa karaniwan',
+      logAsIncome: 'Itala ang baon bilang kita',
+      posted: 'May tala ng Baon na idinadagdag tuwing umaga ng araw ng baon. Laktawan sa Paulit-ulit ang mga araw na wala kang baon.',
+      assumed: 'Kusang binibilang ang baon mo kahit walang tala',
+    },
+    savings: {
+      title: '🎯 Target na Ipon',
+      placeholder: 'Lingguhang Layunin',
+      reached: '{{percent}}% naabot',
+      goalsLink: 'May mas malaking pinag-iipunan? Gumawa ng layunin sa ipon →',
+    },
+    modes: {
+      limits: '📊 Arawang Limit',
+      envelopes: '✉️ Mga Sobre',
+    },
+    limits: {
+      title: '📋 Arawang Limit kada Kategorya',
+      rolloverOff: 'Gumagana lang ang paglilipat sa linggo ng kalendaryo. Buksan ito sa Settings → Linggo at Buwan.',
+      forThisWeek: '{{rollover}} · {{amount}} para sa linggong ito',
+    },
+    envelopes: {
+      title: '✉️ Mga Sobre',
+      intro: 'Hinahati ang bawat baon ({{schedule}}) sa mga sobreng ito. {{allocated}} sa {{amount}} ang nailaan na.',
+      perAllowance: 'Kada baon',
+      left: '{{amount}} na lang',
+      refill: '＋ Dagdagan',
+      move: '⇄ Ilipat',
+      refillTitle: 'Dagdagan ng pera ang sobreng ito',
+      moveTitle: 'Ilipat ang pera sa:',
+      add: 'Idagdag',
+      confirmMove: 'Ilipat',
+    },
+    status: {
+      empty: 'Ubos na!',
+      low: 'Paubos Na',
+      over: 'Lampas sa Budget!',
+      almostOver: 'Malapit Nang Lumampas',
+      good: 'Ayos',
+    },
+    insightsTitle: '💡 Matalinong Payo',
+    tip: '💡 Tip: {{tip}}',
+    insights: {
+      excellent: {
+        title: 'Malaki ang Maiipon Mo!',
+        message: 'Kaya mong mag-ipon ng {{amount}} kada linggo ({{percent}}% ng kita mo)',
+        tip: 'Ang galing! Maaga kang nagkakaroon ng mabuting gawi sa pera.',
+        action: 'Subukang magbukas ng savings account para tumubo ang pera mo!',
+      },
+      overspending: {
+        title: 'Sobra ang Gastos!',
+        message: 'Lampas ng {{amount}} ang gastos mo sa kita mo!',
+        tip: 'Hindi ito tatagal at mauuwi sa utang.',
+        action: 'Bawasan agad ang gastos o maghanap ng dagdag na kita.',
+      },
+      overBudget: {
+        title: 'Lampas sa Budget: {{category}}',
+        message: 'Gumastos ng {{spent}} laban sa lingguhang budget na {{budget}}',
+        action: 'Subukang magbawas dito sa susunod na linggo.',
+      },
+      emptyEnvelope: {
+        title: 'Ubos na ang Sobre: {{category}}',
+        message: 'Lampas ng {{amount}} ang nagastos mo sa laman ng sobreng ito',
+        action: 'Maglipat ng pera mula sa ibang sobre o hintayin ang susunod mong baon.',
+      },
+      goalAchieved: {
+        title: 'Naabot ang Layuning Ipon!',
+        message: 'Naabot mo na ang layunin mo ngayong linggo na {{amount}}!',
+        tip: 'Ang galing ng disiplina mo! Gantimpalaan ang sarili ng maliit at libreng bagay.',
+        action: 'Ituloy mo lang sa susunod na linggo!',
+      },
+    },
+    savingTips: {
+      transportation: 'Maglakad sa malalapit o sumabay sa mga kaibigan.',
+      food: 'Magdala nang mas madalas ng lutong-bahay na baon.',
+      supplies: 'Bumili nang maramihan o gamitin ulit ang mga dati nang gamit.',
+      load: 'Gamitin ang libreng WiFi sa eskwela o bawasan ang hindi kailangang paggamit ng data.',
+      projects: 'Makipag-ugnayan sa mga kagrupo para paghatian ang gastos sa materyales.',
+      entertainment: 'Maghanap ng libreng event sa eskwela o student discount.',
+      default: 'Maghanap ng mas murang alternatibo.',
+    },
+    education: {
+      show: 'Matuto ng Tips sa Pera',
+      hide: 'Itago ang Tips sa Pera',
+      title: 'Bakit Mag-ipon?',
+      text: 'Ang pag-iipon ng emergency fund na {{emergency}} ay nagsisilbing proteksyon. Kapag nag-ipon ka ng 20%, puwede kang magkaroon ng {{college}} pagka-graduate!',
+    },
+    save: 'I-save ang Budget Plan',
+    saveHint: 'Tiyaga ang susi sa tagumpay sa pera',
+    saved: 'Na-save ang budget plan!',
+    caution: {
+      title: 'Mag-ingat',
+      envelopes: 'Lampas sa isang baon ang kabuuan ng mga sobre mo. Sigurado ka ba?',
+      limits: 'Lampas ang arawang budget mo sa karaniwang arawang baon mo. Sigurado ka ba?',
+      confirm: 'Oo, I-save',
+    },
+    errors: {
+      dayOfMonth: 'Pakilagay ang araw ng buwan mula 1 hanggang 31',
+      saveFailed: 'Hindi na-save ang budget',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      noMoveTarget: 'Pumili ng sobreng paglilipatan ng pera',
+      notEnough: '{{amount}} lang ang laman ng sobreng ito',
+      envelopeFailed: 'Hindi na-update ang sobre',
+    },
+  },
+
+  notifications: {
+    title: 'Mga Abiso',
+    subtitle: 'Manatiling updated sa budget mo',
+    channelName: 'Mga Abiso sa Budget',
+    enablePush: '🔔 Buksan ang Push Notifications',
+    permission: {
+      title: 'Pahintulot sa Abiso',
+      message: 'Pakibuksan ang notifications sa settings ng phone mo para makatanggap ng mga babala at paalala sa budget.',
+    },
+    clearAll: {
+      title: 'Burahin Lahat ng Abiso',
+      message: 'Sigurado ka bang aalisin ang lahat ng abiso?',
+      confirm: 'Burahin Lahat',
+    },
+    alertsTitle: '🔔 Mga Babala at Paalala',
+    count: '{{count}} abiso',
+    empty: {
+      title: 'Ayos Lahat!',
+      message: 'Nasa tamang landas ang budget mo. Ituloy mo lang!',
+    },
+    alerts: {
+      rolloverNote: ' (kasama ang {{rollover}})',
+      over: {
+        title: 'Lampas sa Budget: {{category}}',
+        message: 'Lumampas ka ng {{amount}} sa lingguhang budget mo{{rolloverNote}}. Subukang magbawas.',
+      },
+      warning: {
+        title: 'Babala sa Budget: {{category}}',
+        message: 'Nagamit mo na ang {{percent}}% ng lingguhang budget mo{{rolloverNote}}. {{amount}} na lang ang natitira.',
+      },
+      highDaily: {
+        title: 'Malaki ang Gastos Ngayon',
+        message: 'Gumastos ka ng {{amount}} ngayong araw. {{percent}}% iyan ng arawang baon mo!',
+        messageNoAllowance: 'Gumastos ka ng {{amount}} ngayong araw. Medyo malaki iyan para sa arawang baon mo!',
+      },
+      noTracking: {
+        title: 'Huwag Kalimutang Magtala',
+        message: 'Wala ka pang naitalang gastos ngayong araw. May ginastos ka ba sa eskwela?',
+      },
+      lowSavings: {
+        title: 'Kaunti ang Ipon Ngayong Linggo',
+        message: '{{saved}} pa lang ang naipon mo ngayong linggo. Subukang mag-ipon ng kahit {{target}} (20% ng kita mo).',
+      },
+      goodSavings: {
+        title: 'Ang Galing Mag-ipon!',
+        message: 'Napakahusay! Nakaipon ka ng {{saved}} ngayong linggo ({{percent}}% ng kita mo). Ituloy mo lang!',
+      },
+      weekend: {
+        title: 'Gastos sa Weekend',
+        message: 'Gumastos ka ng {{amount}} ngayong weekend. Subukang maglaan ng budget para sa libangan.',
+      },
+      overdue: {
+        days: '{{count}} araw nang lampas sa takdang petsa',
+        lentTitle: 'May Utang Pa si {{person}} sa Iyo',
+        borrowedTitle: 'Bayaran si {{person}}',
+        lentMessage: 'Ang {{amount}} ay {{overdue}}. Baka makatulong ang isang magalang na paalala!',
+        borrowedMessage: 'May utang ka pang {{amount}} at {{overdue}} na ito. Subukang bayaran agad.',
+      },
+      streak: {
+        title: '{{days}} Araw na Tuloy-tuloy na Pagtatala!',
+        message: 'Ang galing! {{days}} araw ka nang sunod-sunod na nagtatala ng gastos. Susi ang tiyaga sa mabuting gawi sa pera!',
+      },
+    },
+    insightsTitle: '💡 Pagsusuri sa Gastos',
+    insightsSubtitle: 'Lingguhang pagsusuri',
+    tipLabel: '💡 Tip:',
+    insights: {
+      topCategory: {
+        title: 'Pinakamalaking Gastos',
+        message: '{{category}}: {{amount}} ngayong linggo',
+      },
+      dailyAverage: {
+        title: 'Karaniwang Gastos kada Araw',
+        message: 'Mga {{amount}} ang gastos mo kada araw',
+        tipHigh: 'Subukang magdala ng baon para mabawasan ang arawang gastos',
+        tipLow: 'Ang galing, mababa ang arawang gastos mo!',
+      },
+      savingsRate: {
+        title: 'Antas ng Ipon',
+        overTitle: 'Sobrang Gastos',
+        message: 'Naiipon mo ang {{percent}}% ng kita mo',
+        overMessage: 'Lampas ka ng {{percent}}% sa budget',
+        tipGreat: 'Napakahusay! Ituloy ang mabuting gawi sa pag-iipon!',
+        tipLow: 'Subukang mag-ipon ng kahit 20% ng kita mo',
+        tipOver: 'Kailangan mong magbawas ng gastos para hindi lumampas sa budget',
+      },
+      frequency: {
+        title: 'Dalas ng Paggastos',
+        message: 'Gumastos ka sa {{days}} sa 7 araw ngayong linggo',
+        tipOften: 'Subukang magplano ng mga araw na walang gastos para makaipon',
+        tipSpaced: 'Ang galing, hindi sunod-sunod ang gastos mo!',
+      },
+      distribution: {
+        title: 'Hatian ng Gastos',
+        message: '{{percent}}% ng gastos mo ay sa {{category}}',
+        tipUneven: 'Subukang hatiin nang mas pantay ang gastos sa mga kategorya',
+        tipBalanced: 'Balanse ang gastos mo sa mga kategorya',
+      },
+    },
+    categoryTips: {
+      food: 'Magdala ng baong pananghalian 3 beses kada linggo para makatipid ng ₱150-200',
+      transportation: 'Subukang maglakad papuntang eskwela o sumabay sa iba para makatipid sa pamasahe',
+      supplies: 'Bumili ng gamit nang maramihan kasama ang mga kaklase para mas mura',
+      load: 'Gamitin ang libreng WiFi sa eskwela sa halip na mobile data',
+      projects: 'Maghati sa materyales kasama ang mga kagrupo para mabawasan ang gastos',
+      entertainment: 'Maghanap ng libreng gawain o student discount',
+      default: 'Maghanap ng paraan para mabawasan ang gastos sa kategoryang ito',
+    },
+    challenges: {
+      title: '🎯 Lingguhang Hamon',
+      subtitle: 'Makaipon nang mas malaki',
+      baon: {
+        title: 'Hamon sa Baon',
+        description: 'Magdala ng baong pananghalian 4 na araw ngayong linggo',
+        reward: '💰 Makatipid ng hanggang ₱200!',
+      },
+      walking: {
+        title: 'Hamon sa Paglalakad',
+        description: 'Maglakad papunta o pauwi mula sa eskwela nang dalawang beses ngayong linggo',
+        reward: '💰 Makatipid ng ₱40 sa pamasahe sa dyip!',
+      },
+      water: {
+        title: 'Tubig Imbes na Softdrinks',
+        description: 'Tubig ang piliin sa halip na bumili ng inumin buong linggo',
+        reward: '💰 Makatipid ng ₱70-100!',
+      },
+    },
+    smartTips: {
+      title: '🧠 Matalinong Tips sa Pera',
+      subtitle: 'Para sa mga estudyante',
+      track: { title: 'Itala agad:', text: 'Itala ang gastos pagkabili para hindi makalimutan' },
+      rule: { title: 'Tuntuning 50-30-20:', text: '50% pangangailangan (pagkain, pamasahe), 30% gusto (meryenda, load), 20% ipon' },
+      impulse: { title: 'Iwasan ang biglaang pagbili:', text: 'Maghintay ng 24 oras bago bumili ng hindi kailangang bagay' },
+      share: { title: 'Makihati sa kaibigan:', text: 'Paghatian ang gastos sa proyekto, meryenda at sakay' },
+      discounts: { title: 'Gamitin ang student discount:', text: 'Maraming tindahan ang may student discount, laging magtanong!' },
+    },
+  },
+
+  settings: {
+    title: 'Settings',
+    subtitle: 'Ayusin ang profile at data mo',
+    clear: 'Burahin',
+    language: {
+      title: '🌐 Wika',
+      hint: 'Pinaghahalo ng Taglish ang Ingles at Filipino, gaya ng pag-text ng karamihan sa atin.',
+    },
+    money: {
+      title: '💱 Anyo ng Pera',
+      symbol: 'Simbolo ng pera',
+      customPlaceholder: 'O i-type ang sarili mong simbolo (hal. NT$)',
+      symbolHint: 'Nag-aaral sa ibang bansa? Piliin ang simbolo ng perang ginagastos mo. Hindi kino-convert ang mga halaga.',
+      hideCentavos: 'Itago ang sentimo',
+      example: 'Ganito ang itsura ng halaga: {{amount}}, o {{compact}} kapag masikip ang espasyo',
+    },
+    periods: {
+      title: '📅 Linggo at Buwan',
+      budgetPeriod: 'Panahon ng budget',
+      weekStartsOn: 'Simula ng linggo',
+    },
+    export: {
+      title: '📤 I-export',
+      range: 'Mga tala mula sa',
+      ranges: {
+        month: 'Ngayong buwan',
+        week: 'Ngayong linggo',
+        all: 'Lahat',
+        custom: 'Pumili ng petsa',
+      },
+      from: 'Mula',
+      to: 'Hanggang',
+      hint: 'Buksan ang file sa Sheets o Excel para sa mga ulat sa eskwela. Ang kasalukuyang budget plan ang laging kasama.',
+      formats: {
+        transactions: '📄 Mga tala (CSV)',
+        budget: '📋 Budget plan (CSV)',
+        all: '🗂️ Mga tala at budget plan (JSON)',
+      },
+      emptyTitle: 'Walang Mai-export',
+      empty: 'Walang tala sa mga petsang ito.',
+      failed: 'Hindi na-export. Pakisubukan ulit.',
+    },
+    data: {
+      title: '💾 Pamamahala ng Data',
+      categories: 'Ayusin ang mga Kategorya',
+      categoriesHint: 'Magdagdag, magpalit ng pangalan, mag-archive o magsama ng kategorya',
+      import: 'Mag-import mula sa CSV',
+      importHint: 'Ipasok ang kasaysayan mula sa spreadsheet o ibang app',
+      backup: 'Backup at Restore',
+      backupHint: 'I-save ang lahat sa isang file o ibalik mula rito',
+      clearTransactions: 'Burahin ang mga Tala',
+      clearTransactionsHint: 'Burahin ang kasaysayan ng gastos pero panatilihin ang budget',
+      clearBudgets: 'Burahin ang mga Budget',
+      clearBudgetsHint: 'I-reset ang arawan at lingguhang limit mo',
+      resetOnboarding: 'Ulitin ang Panimula',
+      resetOnboardingHint: 'Ipakita ulit ang gabay sa pagsisimula',
+    },
+    danger: {
+      title: '⚠️ Mapanganib na Bahagi',
+      factoryReset: 'Factory Reset',
+      factoryResetHint: 'Burahin nang tuluyan ang lahat',
+    },
+    about: {
+      title: 'ℹ️ Tungkol Dito',
+      info: 'Budget Management System para sa mga SHS Student',
+      team: 'Mga Gumawa:',
+      leader: 'Lider',
+      version: 'Bersyon {{version}}',
+    },
+    clearAll: {
+      title: 'Burahin Lahat ng Data',
+      message: 'Sigurado ka bang buburahin ang lahat ng tala, budget at ire-reset ang app? Hindi na ito maibabalik!',
+      confirm: 'Burahin Lahat',
+      done: 'Nabura na ang lahat ng data! Pakibuksan ulit ang app.',
+      failed: 'Hindi nabura ang data',
+    },
+    clearTransactions: {
+      title: 'Burahin ang mga Tala',
+      message: 'Burahin ang buong kasaysayan ng tala? Mananatili ang settings ng budget mo.',
+      done: 'Nabura na ang lahat ng tala!',
+      failed: 'Hindi nabura ang mga tala',
+    },
+    clearBudgets: {
+      title: 'Burahin ang Settings ng Budget',
+      message: 'Burahin ang lahat ng settings ng budget? Mananatili ang mga tala mo.',
+      done: 'Nabura na ang settings ng budget!',
+      failed: 'Hindi nabura ang mga budget',
+    },
+    resetOnboarding: {
+      title: 'Ulitin ang Panimula',
+      message: 'Ipakita ulit ang mga welcome screen sa susunod na pagbukas ng app?',
+      confirm: 'Ulitin',
+      done: 'Isara at buksan ulit ang app para makita ang panimula',
+      failed: 'Hindi na-reset',
+    },
+    errors: {
+      saveFailed: 'Hindi na-save ang settings',
+    },
+  },
+
+  categoriesScreen: {
+    title: 'Mga Kategorya',
+    subtitle: 'Iangkop ang listahan sa buhay-eskwela mo',
+    notBudgeted: 'Wala sa budget planner',
+    yours: '📋 Iyong mga Kategorya',
+    empty: 'Wala ka pang sariling kategorya',
+    emptyHint: 'Magdagdag ng gaya ng gupit, pagpapa-print o abuloy sa simbahan',
+    archived: '🗄️ Naka-archive',
+    actions: {
+      restore: '♻️ Ibalik',
+      edit: '✏️ Baguhin',
+      archive: '🗄️ I-archive',
+      merge: '🔀 Pagsamahin',
+      delete: '🗑️ Burahin',
+    },
+    form: {
+      newTitle: '➕ Bagong Kategorya',
+      editTitle: '✏️ Baguhin ang Kategorya',
+      namePlaceholder: 'Pangalan (hal. Abuloy sa Simbahan)',
+      descriptionPlaceholder: 'Paglalarawan (opsyonal)',
+      icon: 'Icon',
+      color: 'Kulay',
+      budgetable: 'Isama sa Budget Planner',
+      budgetableHint: 'Lagyan ng arawang limit ang kategoryang ito',
+      preview: 'Silip',
+      add: 'Idagdag ang Kategorya',
+      saveChanges: 'I-save ang Pagbabago',
+      cancelEditing: 'Huwag nang baguhin',
+    },
+    merge: {
+      title: 'Pagsamahin ang mga Kategorya',
+      message: 'Ilipat ang lahat ng tala at budget ng "{{source}}" sa "{{target}}"? Mawawala na ang "{{source}}".',
+      confirm: 'Pagsamahin',
+      into: 'Isama ang "{{category}}" sa:',
+    },
+    delete: {
+      title: 'Burahin ang Kategorya',
+      message: 'Burahin ang "{{category}}"? Ililipat sa {{other}} ang mga tala nito.',
+    },
+    errors: {
+      noName: 'Pakilagay ang pangalan ng kategorya',
+      nameTaken: 'May kategorya ka nang ganito ang pangalan',
+      saveFailed: 'Hindi na-save ang kategorya',
+      updateFailed: 'Hindi na-update ang kategorya',
+      mergeFailed: 'Hindi napagsama ang mga kategorya',
+      deleteFailed: 'Hindi nabura ang kategorya',
+    },
+  },
+
+  recurring: {
+    title: 'Paulit-ulit',
+    subtitle: 'Kusang itala ang regular mong pamasahe at bayarin',
+    schedule: {
+      daily: 'Araw-araw nang {{time}}',
+      schoolDays: 'Tuwing may pasok nang {{time}}',
+      weekly: 'Tuwing {{weekday}} nang {{time}}',
+      biweekly: 'Tuwing ikalawang {{weekday}} nang {{time}}',
+      monthly: 'Tuwing ika-{{day}} ng buwan nang {{time}}',
+    },
+    paused: '⏸️ Nakahinto',
+    next: 'Susunod: {{time}}',
+    skipping: '⏭️ Lalaktawan ang {{time}}',
+    noUpcoming: 'Walang susunod na tala',
+    managed: 'Inaayos sa Budget Planner',
+    actions: {
+      pause: '⏸️ Ihinto',
+      resume: '▶️ Ituloy',
+      skip: '⏭️ Laktawan ang susunod',
+      undoSkip: '↩️ Huwag laktawan',
+      edit: '✏️ Baguhin',
+      delete: '🗑️ Burahin',
+    },
+    review: {
+      title: '👀 Susuriin',
+      markAll: 'Markahang nasuri lahat',
+      ok: '✓ OK',
+    },
+    form: {
+      title: '➕ Bagong Paulit-ulit na Tala',
+      amountPlaceholder: 'Halaga ({{symbol}})',
+      notePlaceholder: 'Tala (hal. Pamasahe papuntang eskwela)',
+      category: 'Kategorya',
+      repeats: 'Umuulit',
+      schoolDaysHint: 'Itinatala mula Lunes hanggang Biyernes',
+      dayOfMonthPlaceholder: 'Araw ng buwan (1-31)',
+      time: 'Oras',
+      add: 'Idagdag ang Paulit-ulit na Tala',
+    },
+    yours: '🔁 Iyong mga Paulit-ulit na Tala',
+    empty: 'Wala pang paulit-ulit na tala',
+    emptyHint: 'Idagdag ang arawang pamasahe o lingguhang load mo para hindi mo na itala nang mano-mano',
+    delete: {
+      title: 'Burahin ang Paulit-ulit na Tala',
+      message: 'Ihinto na ang pag-ulit ng "{{title}}"? Mananatili ang mga naitala na.',
+    },
+    errors: {
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      dayOfMonth: 'Pakilagay ang araw ng buwan mula 1 hanggang 31',
+      saveFailed: 'Hindi na-save ang paulit-ulit na tala',
+      updateFailed: 'Hindi na-update ang paulit-ulit na tala',
+      deleteFailed: 'Hindi nabura ang paulit-ulit na tala',
+    },
+  },
+
+  goals: {
+    title: 'Mga Layunin sa Ipon',
+    subtitle: 'Mag-ipon para sa mga bagay na mahalaga sa iyo',
+    yours: '🎯 Iyong mga Layunin',
+    empty: 'Wala pang layunin',
+    emptyHint: 'Idagdag sa ibaba ang una mong layunin, gaya ng pang-graduation o bagong phone',
+    targetDate: 'Target: {{date}}',
+    entries: {
+      withdrawn: '{{goal}} (kinuha)',
+    },
+    status: {
+      reached: '🎉 Naabot ang layunin!',
+      overdue: '⏰ Lampas na sa target na petsa · {{amount}} pa',
+      onTrack: '{{percent}}% · Mag-ipon ng {{amount}}/araw sa loob ng {{count}} araw',
+    },
+    actions: {
+      add: '＋ Magdagdag',
+      withdraw: '－ Kumuha',
+      delete: '🗑️ Burahin',
+    },
+    action: {
+      addTitle: 'Magkano ang iipunin mo?',
+      withdrawTitle: 'Magkano ang kukunin mo?',
+      amountPlaceholder: 'Halaga ({{symbol}})',
+      withdraw: 'Kumuha',
+    },
+    form: {
+      title: '➕ Bagong Layunin',
+      namePlaceholder: 'Pangalan (hal. Field trip)',
+      targetPlaceholder: 'Target na halaga ({{symbol}})',
+      icon: 'Icon',
+      targetDate: 'Target na petsa',
+      add: 'Idagdag ang Layunin',
+    },
+    deadlines: {
+      oneMonth: '1 buwan',
+      threeMonths: '3 buwan',
+      sixMonths: '6 na buwan',
+      oneYear: '1 taon',
+    },
+    delete: {
+      title: 'Burahin ang Layunin',
+      message: 'Burahin ang "{{goal}}"? Mananatili sa kasaysayan mo bilang Ipon ang perang naipon na.',
+    },
+    errors: {
+      noName: 'Pakilagyan ng pangalan ang layunin mo',
+      invalidTarget: 'Pakilagay ang tamang target na halaga',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      notEnough: '{{amount}} lang ang naipon mo para sa layuning ito',
+      saveFailed: 'Hindi na-save ang layunin',
+      transactionFailed: 'Hindi na-save ang tala',
+      deleteFailed: 'Hindi nabura ang layunin',
+    },
+  },
+
+  debts: {
+    title: 'Listahan ng Utang',
+    subtitle: 'Subaybayan ang perang ipinahiram at hiniram',
+    entries: {
+      lent: 'Ipinahiram kay {{person}}',
+      borrowed: 'Hiniram kay {{person}}',
+      theyPaid: 'Nagbayad si {{person}}',
+      iPaid: 'Binayaran si {{person}}',
+    },
+    directions: {
+      lent: { label: '💸 Nagpahiram ako', description: 'May utang sila sa akin' },
+      borrowed: { label: '🤲 Nangutang ako', description: 'May utang ako sa kanila' },
+    },
+    dueOptions: {
+      none: 'Walang takdang petsa',
+      tomorrow: 'Bukas',
+      oneWeek: 'Sa loob ng 1 linggo',
+      twoWeeks: 'Sa loob ng 2 linggo',
+    },
+    totals: {
+      owedToYou: 'Utang sa iyo',
+      youOwe: 'Utang mo',
+    },
+    open: '🤝 Mga Hindi Pa Bayad',
+    empty: 'Bayad na lahat!',
+    emptyHint: 'Walang may utang kaninuman ngayon',
+    showSettled: 'Ipakita ang bayad na ({{count}})',
+    hideSettled: 'Itago ang bayad na',
+    owesYou: 'May utang sa iyo si {{person}}',
+    youOwe: 'May utang ka kay {{person}}',
+    paid: '{{paid}} sa {{amount}} ang bayad na',
+    status: {
+      settled: '✅ Bayad na',
+      overdue: '⏰ Lampas na ng {{count}} araw',
+      due: 'Bayaran sa {{date}}',
+    },
+    actions: {
+      gotPaid: '💵 Nabayaran ako',
+      payBack: '💵 Magbayad',
+      delete: '🗑️ Burahin',
+    },
+    payment: {
+      lentTitle: 'Magkano ang ibinayad ni {{person}}?',
+      borrowedTitle: 'Magkano ang ibabayad mo kay {{person}}?',
+      save: 'I-save ang Bayad',
+    },
+    form: {
+      title: '➕ Bagong Utang',
+      lentPerson: 'Sino ang nangutang sa iyo?',
+      borrowedPerson: 'Kanino ka nangutang?',
+      amountPlaceholder: 'Halaga ({{symbol}})',
+      notePlaceholder: 'Tala (hal. Tanghalian sa canteen)',
+      dueDate: 'Takdang petsa',
+      logToday: 'Ngayong araw nag-abutan ng pera',
+      logLentHint: 'Ibabawas ang halaga sa pera mo. Patayin kung lumang utang ito.',
+      logBorrowedHint: 'Idadagdag ang halaga sa pera mo. Patayin kung lumang utang ito.',
+      add: 'Idagdag ang Utang',
+    },
+    delete: {
+      title: 'Burahin ang Utang',
+      message: 'Burahin ang utang kay {{person}}? Mananatili ang mga naitala na para rito.',
+    },
+    errors: {
+      noPerson: 'Pakilagay kung sino ang kausap mo rito',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      overpaid: '{{amount}} na lang ang natitirang babayaran',
+      saveFailed: 'Hindi na-save ang utang',
+      transactionFailed: 'Hindi na-save ang tala',
+      deleteFailed: 'Hindi nabura ang utang',
+    },
+  },
+
+  splits: {
+    title: 'Hatian sa Gastos',
+    subtitle: 'Paghatian ang gastos sa proyekto kasama ang mga kagrupo',
+    methods: {
+      equal: { label: '⚖️ Pantay', description: 'Pare-pareho ang bayad ng lahat' },
+      shares: { label: '🔢 Ayon sa parte', description: 'hal. 2 parte para sa mas maraming gumamit' },
+      custom: { label: '✏️ Sariling halaga', description: 'I-type ang halaga ng bawat isa' },
+    },
+    meta: '{{total}} ibinayad noong {{date}} · Parte mo {{share}}',
+    toCollect: 'sisingilin',
+    person: {
+      paid: '{{amount}} bayad na',
+      owes: 'may utang na {{amount}}',
+    },
+    form: {
+      title: '👥 Bagong Hatian',
+      titlePlaceholder: 'Para saan ito? (hal. Illustration board)',
+      totalPlaceholder: 'Kabuuang ibinayad mo ({{symbol}})',
+      category: 'Kategorya ng parte mo',
+      method: 'Hatian',
+      me: '🙋 Ako',
+      shares: 'Parte',
+      groupmate: 'Kagrupo',
+      addGroupmate: '+ Magdagdag ng kagrupo',
+      payBackBy: 'Bayaran bago ang',
+      hint: 'Ang parte mo lang ang bibilanging gastos. Idadagdag sa Listahan ng Utang ang iba bilang utang sa iyo.',
+      save: 'I-save ang Hatian',
+    },
+    list: '🧾 Mga Gastos ng Grupo',
+    empty: 'Wala pang hatian',
+    emptyHint: 'Ikaw ang nagbayad para sa buong grupo? Hatiin ito sa itaas para parte mo lang ang mabilang',
+    delete: {
+      action: '🗑️ Burahin',
+      title: 'Burahin ang Hatian',
+      message: 'Burahin ang "{{title}}"? Mabubura ang parte mo, ang mga utang at ang anumang bayad na naitala para rito.',
+    },
+    errors: {
+      noTitle: 'Pakilagay kung para saan ang gastos',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      noNames: 'Pakilagay ang pangalan ng bawat kagrupo',
+      unassigned: 'Hindi pa naihahati ang {{amount}}',
+      over: 'Lampas ng {{amount}} sa kabuuan ang mga halaga',
+      noShares: 'Bigyan ng parte ang kahit isang tao',
+      saveFailed: 'Hindi na-save ang hatian',
+      deleteFailed: 'Hindi nabura ang hatian',
+    },
+  },
+
+  wallets: {
+    title: 'Mga Pitaka',
+    subtitle: 'Kung saan nakatago ang pera mo',
+    defaults: {
+      cash: 'Cash',
+      gcash: 'GCash',
+      maya: 'Maya',
+      jar: 'Alkansya',
+    },
+    total: 'Sa lahat ng pitaka',
+    mine: '👛 Aking mga Pitaka',
+    showArchived: 'Ipakita ang naka-archive ({{count}})',
+    hideArchived: 'Itago ang naka-archive',
+    deleted: 'Binurang pitaka',
+    startedWith: 'Nagsimula sa {{amount}} noong {{date}}',
+    actions: {
+      restore: '↩️ Ibalik',
+      count: '🧮 Bilangin',
+      edit: '✏️ Baguhin',
+      archive: '📦 I-archive',
+    },
+    edit: {
+      namePlaceholder: 'Pangalan ng pitaka',
+      openingLabel: 'Magkano ang laman nito noong {{date}}?',
+      openingPlaceholder: 'Panimulang laman ({{symbol}})',
+    },
+    transfer: {
+      title: '🔄 Maglipat ng Pera',
+      hint: 'Gaya ng pag-cash in sa GCash o paghulog ng barya sa alkansya. Hindi binibilang na gastos ang paglilipat.',
+      from: 'Mula sa',
+      to: 'Papunta sa',
+      amountPlaceholder: 'Halaga ({{symbol}})',
+      notePlaceholder: 'Tala (opsyonal)',
+      save: 'Ilipat ang Pera',
+      recent: 'Mga bagong lipat',
+    },
+    form: {
+      title: '➕ Bagong Pitaka',
+      namePlaceholder: 'Pangalan (hal. Coin purse)',
+      icon: 'Icon',
+      openingPlaceholder: 'Magkano ang laman nito ngayon? ({{symbol}})',
+      add: 'Idagdag ang Pitaka',
+    },
+    undoTransfer: {
+      title: 'Bawiin ang Paglipat',
+      message: 'Bawiin ang paglipat ng {{amount}}?',
+      confirm: 'Bawiin',
+    },
+    notEmpty: {
+      title: 'May Laman Pa ang Pitaka',
+      message: 'Ilipat muna sa ibang pitaka ang {{amount}} sa {{wallet}}.',
+    },
+    archive: {
+      title: 'I-archive ang Pitaka',
+      message: 'Itago ang {{wallet}}? Lalabas pa rin ito sa mga lumang tala.',
+      confirm: 'I-archive',
+    },
+    errors: {
+      sameWallet: 'Pumili ng dalawang magkaibang pitaka',
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      noName: 'Pakilagay ang pangalan ng pitaka',
+      transferFailed: 'Hindi na-save ang paglipat',
+      undoFailed: 'Hindi nabawi ang paglipat',
+      saveFailed: 'Hindi na-save ang pitaka',
+      archiveFailed: 'Hindi na-archive ang pitaka',
+      restoreFailed: 'Hindi naibalik ang pitaka',
+    },
+  },
+
+  reconcile: {
+    title: 'Bilangin ang Pera Ko',
+    subtitle: 'Ikumpara ang naitala mo sa totoong hawak mo',
+    entries: {
+      unrecorded: 'Hindi naitalang gastos',
+      adjustment: 'Pagwawasto sa bilang ng {{wallet}}',
+    },
+    resolutions: {
+      matched: '✅ Tugma',
+      adjusted: '🧮 Iwinasto',
+      spread: '🫥 Hindi naitalang gastos',
+    },
+    form: {
+      title: '🧮 Bilangin ang Pitaka',
+      expects: 'Inaasahan ng app',
+      countedPlaceholder: 'Magkano ang nabilang mo? ({{symbol}})',
+      spread: 'Itala bilang Hindi Naitalang Gastos',
+      save: 'I-save ang Bilang',
+      adjust: 'Magtala ng Isang Pagwawasto',
+    },
+    result: {
+      match: '✅ Tamang-tama!',
+      missing: 'Kulang ng {{amount}}',
+      extra: 'Sobra ng {{amount}}',
+      matchHint: 'Tugma ang naitala mo sa laman ng pitaka mo.',
+      missingHint: 'Baka maliliit na binili na nakalimutan mong itala. Itala ito bilang hindi naitalang gastos sa mga nakaraang araw, o iwasto sa isang tala.',
+      extraHint: 'Baka perang natanggap mo pero hindi naitala. Magdagdag ng pagwawasto para tumugma ang pera mo.',
+    },
+    stats: {
+      accuracy: 'Katumpakan',
+      matched: 'Tugma',
+      averageGap: 'Karaniwang agwat',
+    },
+    history: {
+      title: '📜 Mga Nakaraang Bilang',
+      empty: 'Wala pang bilang',
+      emptyHint: 'Bilangin paminsan-minsan ang pera mo para makita kung gaano katumpak ang pagtatala mo',
+      meta: '{{date}} · inaasahan {{expected}}, nabilang {{counted}}',
+    },
+    undo: {
+      title: 'Bawiin ang Bilang',
+      message: 'Alisin ang bilang na ito at ang anumang pagwawastong naitala nito?',
+      confirm: 'Bawiin',
+    },
+    errors: {
+      invalidAmount: 'Pakilagay ang tamang halaga',
+      saveFailed: 'Hindi na-save ang bilang',
+      undoFailed: 'Hindi nabawi ang bilang',
+    },
+  },
+
+  importScreen: {
+    title: 'Mag-import ng CSV',
+    subtitle: 'Ipasok ang mga tala mula sa isang spreadsheet',
+    file: {
+      title: '📄 File',
+      hint: 'Pumili ng CSV file na may isang tala bawat hilera at mga pangalan ng column sa unang hilera. Walang mase-save hangga\'t hindi mo pinipindot ang Mag-import.',
+      picked: '{{name}} · {{count}} hilera',
+      picked_one: '{{name}} · 1 hilera',
+      pick: 'Pumili ng CSV File',
+      change: 'Pumili ng Ibang File',
+    },
+    fields: {
+      date: 'Petsa',
+      amount: 'Halaga',
+      description: 'Paglalarawan',
+      category: 'Kategorya',
+      type: 'Kita o gastos',
+    },
+    columns: {
+      title: '🧩 Mga Column',
+      none: 'Wala',
+      numbered: 'Column {{number}}',
+      sample: 'Unang hilera: {{value}}',
+      dateFormat: 'Ayos ng petsa',
+      numberFormat: 'Ayos ng numero',
+      typeHint: 'Walang column ng uri: ang negatibong halaga ay gastos at ang positibo ay kita. Kung walang negatibong halaga, lahat ay gastos.',
+      required: 'Piliin ang column ng petsa at halaga para magpatuloy.',
+    },
+    categories: {
+      title: '🏷️ Mga Kategorya',
+      hint: 'Tingnan kung saan mapupunta ang bawat kategorya sa file. Ang mga hilerang walang kategorya ay mapupunta sa Iba pa, o sa Kita kung kita.',
+      name: '{{name}} ({{count}})',
+      unmatched: '· walang katugma',
+    },
+    summary: {
+      title: '🔍 Bago Mag-import',
+      new: 'Bago',
+      duplicates: 'Naka-save na',
+      invalid: 'Nilaktawan',
+      range: 'Mula {{from}} hanggang {{to}}',
+      totals: 'Gastos {{expenses}} · Kita {{income}}',
+      more: 'at {{count}} pa',
+      duplicatesHint: 'Hindi isinama ang mga hilerang may parehong araw, halaga at paglalarawan ng isang naka-save na tala.',
+      import: 'Mag-import ng {{count}} Tala',
+      import_one: 'Mag-import ng 1 Tala',
+      nothing: 'Walang Bagong Maii-import',
+    },
+    invalid: {
+      date: 'Linya {{line}}: hindi mabasa ang petsa',
+      amount: 'Linya {{line}}: hindi mabasa ang halagang "{{value}}". Tingnan ang ayos ng numero.',
+    },
+    done: {
+      title: '✅ Na-import',
+      message: '{{count}} tala ang naidagdag.',
+      message_one: '1 tala ang naidagdag.',
+    },
+    errors: {
+      empty: 'Walang hilerang maii-import sa file na ito',
+      readFailed: 'Hindi nabasa ang file',
+      importFailed: 'Hindi na-import ang mga tala',
+    },
+  },
+
+  backup: {
+    title: 'Backup at Restore',
+    subtitle: 'Panatilihing ligtas ang data mo kapag nagpalit ng phone',
+    backUpFirst: 'Mag-backup Muna',
+    create: {
+      title: '💾 Mag-backup',
+      hint: 'Sine-save ang lahat sa isang file: mga tala, budget, layunin, utang, wallet at settings. Itago ito sa Drive o ipadala sa sarili mo.',
+      button: 'Gumawa ng Backup File',
+    },
+    restore: {
+      title: '♻️ Ibalik',
+      hint: 'Pumili ng backup file. Makikita mo ang mga magbabago bago may ma-save.',
+      picked: '{{name}} · ginawa noong {{date}} · {{count}} tala',
+      picked_one: '{{name}} · ginawa noong {{date}} · 1 tala',
+      pick: 'Pumili ng Backup File',
+      change: 'Pumili ng Ibang File',
+    },
+    modes: {
+      merge: 'Pagsamahin',
+      replace: 'Palitan',
+      mergeHint: 'Idinadagdag ang mga tala mula sa backup na wala pa sa phone na ito. Mananatili ang kasalukuyang budget plan at settings mo.',
+      replaceHint: 'Buburahin ang lahat sa phone na ito at ibabalik ang backup nang eksakto.',
+      olderHint: 'Galing ang backup na ito sa mas lumang bersyon ng app, kaya maaari lang nitong palitan ang kasalukuyang data mo.',
+    },
+    changes: {
+      title: 'Ano ang magbabago',
+      none: 'Wala. Nasa phone na ito na ang lahat ng laman ng backup.',
+      added: 'Idadagdag mula sa backup',
+      updated: 'Papalitan ng backup',
+      removed: 'Buburahin',
+      count: '{{before}} → {{after}}',
+      unchanged: '{{count}} iba pang bahagi ang hindi magbabago',
+      unchanged_one: '1 iba pang bahagi ang hindi magbabago',
+    },
+    keys: {
+      transactions: '💸 Mga Tala',
+      budgets: '📊 Budget plan',
+      dismissedNotifications: '🔕 Mga isinarang abiso',
+      profile: '🙋 Profile',
+      hasLaunched: '👋 Tapos na ang panimula',
+      schemaVersion: '🔢 Bersyon ng data',
+      customCategories: '🏷️ Sariling mga kategorya',
+      recurringRules: '🔁 Umuulit na mga tala',
+      templates: '⚡ Mga paborito sa Quick Add',
+      settings: '⚙️ Settings',
+      envelopes: '✉️ Mga sobre',
+      goals: '🎯 Mga layunin',
+      savingsSnapshots: '🐷 Kasaysayan ng ipon',
+      debts: '🤝 Mga utang',
+      splits: '🧾 Hatiang gastos',
+      wallets: '👛 Mga wallet',
+      transfers: '🔄 Mga paglipat',
+      reconciliations: '🧮 Mga bilang ng pera',
+    },
+    confirm: {
+      merge: {
+        title: 'Pagsamahin ang Backup',
+        message: 'Idagdag ang mga tala mula sa backup na ito sa kasalukuyang data mo?',
+        confirm: 'Pagsamahin ang Backup',
+      },
+      replace: {
+        title: 'Palitan ang Lahat ng Data',
+        message: 'Papalitan ng backup ang lahat ng nasa phone na ito. Hindi na ito maibabalik.',
+        confirm: 'Palitan ng Backup',
+      },
+    },
+    done: {
+      title: '✅ Naibalik',
+      message: 'Naibalik na ang backup mo.',
+    },
+    errors: {
+      notBackup: 'Hindi backup mula sa app na ito ang file na ito',
+      newerApp: 'Ginawa ang backup na ito ng mas bagong bersyon ng app. I-update ang app at subukan ulit.',
+      corrupt: 'Sira ang backup file na ito at hindi maibabalik',
+      readFailed: 'Hindi nabasa ang file',
+      backupFailed: 'Hindi nagawa ang backup',
+      restoreFailed: 'Hindi naibalik ang backup',
+    },
+  },
+
+  locked: {
+    toggle: '🔒 I-lock gamit ang passphrase',
+    passphrase: 'Passphrase',
+    confirm: 'I-type ulit ang passphrase',
+    hint: 'Hindi bababa sa {{min}} na character. Hindi mabubuksan ang file kung wala ito, kaya itago ito sa ligtas na lugar.',
+    unlockHint: '🔒 Naka-lock ang {{name}}. Ilagay ang passphrase nito para mabuksan.',
+    unlock: 'Buksan',
+    unlocking: 'Binubuksan...',
+    errors: {
+      tooShort: 'Gumamit ng passphrase na may hindi bababa sa {{min}} na character',
+      mismatch: 'Hindi magkatugma ang dalawang passphrase',
+      notLocked: 'Hindi naka-lock ang file na ito',
+      damaged: 'Sira ang naka-lock na file na ito o gawa ito ng mas bagong bersyon ng app',
+      wrongPassphrase: 'Mali ang passphrase, o binago ang file matapos itong i-save. Hindi ito binuksan.',
+    },
+  },
+
+  quickAdd: {
+    title: '⚡ Quick Add',
+    removeTitle: 'Alisin ang Paborito',
+    removeMessage: 'Alisin ang "{{title}}" sa Quick Add?',
+    remove: 'Alisin',
+    saveFailed: 'Hindi na-save ang paborito',
+  },
+
+  dateTime: {
+    now: 'Ngayon',
+    thisMorning: 'Kaninang umaga',
+    yesterday: 'Kahapon',
+    twoDaysAgo: '2 araw na ang nakaraan',
+    today: 'Ngayong araw',
+  },
+};
@@ -0,0 +1,88 @@
+import { getSettings, updateSettings } from '../storage/repository';
+import en from './en';
+import fil from './fil';
+import taglish from './taglish';
+
+/**
+ * App text in English, Filipino and Taglish.
+ *
+ * Every string shown to the user lives in the dictionaries next to this
+ * file, under a dotted key (e.g. 'home.balance'). Screens call t() while
+ * rendering, so a language change shows on the next render.
+ *
+ * - Placeholders are written as {{name}} and filled from `params`
+ * - When `params.count` is 1, a `<key>_one` entry is used if there is one
+ * - A missing key falls back to the next language in FALLBACKS, then to
+ *   the key itself, so a half-done translation never shows an empty label
+ */
+
+// `locale` is used for dates and times
+export const LANGUAGES = [
+  { value: 'en', label: 'English', locale: 'en-PH' },
+  { value: 'fil', label: 'Filipino', locale: 'fil-PH' },
+  { value: 'taglish', label: 'Taglish', locale: 'en-PH' },
+];
+
+const DICTIONARIES = { en, fil, taglish };
+
+// Where to look when a language has no entry for a key
+const FALLBACKS = {
+  en: ['en'],
+  fil: ['fil', 'en'],
+  taglish: ['taglish', 'fil', 'en'],
+};
+
+// Current language, kept in memory after loadLanguage()
+let language = 'en';
+
+const lookup = (dictionary, key) =>
+  key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), dictionary);
+
+const findEntry = (key, count) => {
+  const chain = FALLBACKS[language] || FALLBACKS.en;
+  for (const code of chain) {
+    const entry = (count === 1 && lookup(DICTIONARIES[code], `${key}_one`)) || lookup(DICTIONARIES[code], key);
+    if (entry !== undefined) return entry;
+  }
+  return undefined;
+};
+
+/**
+ * Translates a key into the current language.
+ * @param {string} key - Dotted dictionary key
+ * @param {Object} [params] - Values for the {{placeholders}}
+ * @returns {string|string[]} The text (lists such as weekday names come back as arrays)
+ */
+export const t = (key, params = {}) => {
+  const entry = findEntry(key, params.count);
+  if (entry === undefined) return key;
+  if (typeof entry !== 'string') return entry;
+  return entry.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+export const getLanguage = () => language;
+
+/**
+ * Locale tag for toLocaleDateString()/toLocaleTimeString() in the current language.
+ */
+export const getLocale = () => LANGUAGES.find((option) => option.value === language).locale;
+
+/**
+ * Reads the chosen language from settings. Called once when the app starts.
+ */
+export const loadLanguage = async () => {
+  const settings = await getSettings();
+  language = DICTIONARIES[settings.language] ? settings.language : 'en';
+  return language;
+};
+
+/**
+ * Switches the app language and remembers the choice.
+ * @param {'en'|'fil'|'taglish'} value
+ * @returns {Promise<Object>} The full updated settings
+ */
+export const setLanguage = async (value) => {
+  const settings = await updateSettings({ language: value });
+  language = value;
+  return settings;
+};
@@ -0,0 +1,293 @@
+/**
+ * Taglish text. Only the lines that read differently from plain Filipino
+ * are here; everything else falls back to fil.js, then en.js.
+ */
+export default {
+  common: {
+    error: 'May Error',
+    success: 'Success',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    save: 'Save',
+  },
+
+  onboarding: {
+    next: 'Next',
+    continue: 'Continue',
+    setup: {
+      title: 'I-setup ang Budget Mo',
+      subtitle: 'Planuhin natin ang school expenses mo',
+      allowanceTitle: 'Magkano ang allowance mo?',
+      skip: 'Later na lang',
+      save: 'Save at Continue',
+    },
+  },
+
+  home: {
+    title: 'Budget Ko',
+    greeting: {
+      welcome: 'Welcome!',
+      morning: 'Good morning!',
+      afternoon: 'Good afternoon!',
+      evening: 'Good evening!',
+    },
+    menu: {
+      addTransaction: 'Mag-add ng Transaction',
+      statistics: 'Statistics',
+      goals: 'Savings Goals',
+      debts: 'Utang Tracker',
+      splits: 'Split Expenses',
+      wallets: 'Wallets',
+      recurring: 'Recurring',
+      notifications: 'Alerts at Tips',
+    },
+    warnings: {
+      over: 'Over Budget na!',
+      near: 'Budget Alert',
+      used: '{{category}}: {{percent}}% na ang nagamit',
+    },
+    availableBalance: 'Available Balance · {{period}}',
+    stats: {
+      spentToday: 'Gastos Today',
+      spentWeek: 'Gastos This Week',
+      incomeWeek: 'Income This Week',
+    },
+    totalSaved: '🏦 Total na Naipon',
+    countCash: '🧮 I-count ang cash ko',
+    weeklySavingsGoal: 'Weekly Savings Goal',
+    actions: {
+      add: 'Mag-add',
+      history: 'History',
+      goals: 'Goals',
+    },
+    needsReview: '🔁 {{count}} recurring entries ang na-add automatically. I-tap para i-review.',
+    recent: {
+      title: 'Recent Transactions',
+      seeAll: 'See All →',
+      empty: 'Wala pang transactions',
+      emptyHint: 'I-log ang first expense mo para makapag-start!',
+    },
+    deleteTransaction: {
+      title: 'I-delete ang Transaction',
+      message: 'Sure ka bang ide-delete mo itong transaction?',
+    },
+    errors: {
+      deleteFailed: 'Hindi na-delete ang transaction',
+      quickAddFailed: 'Hindi na-save ang transaction',
+    },
+  },
+
+  addTransaction: {
+    title: 'Mag-add ng Entry',
+    editTitle: 'I-edit ang Entry',
+    subtitle: 'I-track kung saan napupunta ang baon mo',
+    expense: '💸 Expense',
+    income: '💵 Income',
+    log: 'I-log ang Entry',
+    saveChanges: 'I-save ang Changes',
+    errors: {
+      invalidAmount: 'Pakilagay ang tamang amount',
+      noCategory: 'Pumili ng category',
+      saveFailed: 'Hindi na-save ang transaction',
+    },
+  },
+
+  budgetPlanner: {
+    save: 'I-save ang Budget Plan',
+    saved: 'Na-save na ang budget plan!',
+    status: {
+      empty: 'Ubos na!',
+      low: 'Paubos na',
+      over: 'Over Budget!',
+      almostOver: 'Malapit nang mag-over',
+      good: 'Okay pa',
+    },
+    insights: {
+      overspending: {
+        title: 'Overspending ka!',
+        message: 'Mas malaki ng {{amount}} ang gastos mo kaysa sa income mo!',
+      },
+      goalAchieved: {
+        title: 'Naabot ang Savings Goal!',
+        message: 'Na-reach mo na ang {{amount}} na goal mo this week!',
+        action: 'Keep it up next week!',
+      },
+    },
+  },
+
+  notifications: {
+    title: 'Alerts',
+    subtitle: 'Updated ka lagi sa budget mo',
+    alertsTitle: '🔔 Alerts at Reminders',
+    count: '{{count}} alerts',
+    empty: {
+      title: 'All Good!',
+      message: 'On track ang budget mo. Keep it up!',
+    },
+    alerts: {
+      over: {
+        title: 'Over Budget: {{category}}',
+        message: 'Na-exceed mo ng {{amount}} ang weekly budget mo{{rolloverNote}}. Try mong mag-cut back.',
+      },
+      warning: {
+        title: 'Budget Alert: {{category}}',
+        message: 'Nagamit mo na ang {{percent}}% ng weekly budget mo{{rolloverNote}}. {{amount}} na lang ang natitira.',
+      },
+      highDaily: {
+        title: 'Malaki ang Gastos Today',
+        message: 'Naka-{{amount}} ka na today. {{percent}}% na iyan ng daily allowance mo!',
+        messageNoAllowance: 'Naka-{{amount}} ka na today. Medyo malaki iyan para sa daily allowance mo!',
+      },
+      noTracking: {
+        title: 'Wag kalimutang mag-log',
+        message: 'Wala ka pang na-log na expense today. May binili ka ba sa school?',
+      },
+      goodSavings: {
+        title: 'Ang galing mag-save!',
+        message: 'Nice! Naka-save ka ng {{saved}} this week ({{percent}}% ng income mo). Keep it up!',
+      },
+      overdue: {
+        days: '{{count}} days nang overdue',
+        lentTitle: 'May utang pa si {{person}} sa iyo',
+        borrowedTitle: 'Bayaran si {{person}}',
+        lentMessage: 'Ang {{amount}} ay {{overdue}}. Baka okay ang isang friendly reminder!',
+        borrowedMessage: 'May {{amount}} ka pang utang at {{overdue}} na. Try mong bayaran ASAP.',
+      },
+      streak: {
+        title: '{{days}}-Day Tracking Streak!',
+        message: 'Ang galing! {{days}} days ka nang tuloy-tuloy na nagla-log. Consistency ang key sa good money habits!',
+      },
+    },
+  },
+
+  settings: {
+    subtitle: 'I-manage ang profile at data mo',
+    clear: 'Clear',
+    language: {
+      title: '🌐 Language',
+    },
+    money: {
+      title: '💱 Money Format',
+      hideCentavos: 'I-hide ang centavos',
+    },
+    export: {
+      title: '📤 Export',
+      ranges: {
+        month: 'This month',
+        week: 'This week',
+        all: 'All time',
+      },
+      formats: {
+        transactions: '📄 Transactions (CSV)',
+        all: '🗂️ Transactions at budget plan (JSON)',
+      },
+      failed: 'Hindi na-export. Try ulit.',
+    },
+    data: {
+      categories: 'I-manage ang Categories',
+      import: 'I-import from CSV',
+      backup: 'Backup & Restore',
+      clearTransactions: 'I-clear ang Transactions',
+      clearBudgets: 'I-clear ang Budgets',
+    },
+    clearAll: {
+      title: 'I-clear Lahat ng Data',
+      message: 'Sure ka bang ide-delete lahat ng transactions at budgets mo at ire-reset ang app? Hindi na ito ma-u-undo!',
+      confirm: 'I-clear Lahat',
+      done: 'Na-clear na lahat ng data! Paki-restart ang app.',
+    },
+  },
+
+  goals: {
+    title: 'Savings Goals',
+    yours: '🎯 Mga Goals Mo',
+    empty: 'Wala ka pang goals',
+    status: {
+      reached: '🎉 Goal reached!',
+    },
+  },
+
+  debts: {
+    title: 'Utang Tracker',
+    totals: {
+      owedToYou: 'Utang sa iyo',
+      youOwe: 'Utang mo',
+    },
+    empty: 'All settled!',
+    status: {
+      settled: '✅ Settled na',
+      overdue: '⏰ {{count}} days nang overdue',
+    },
+    actions: {
+      gotPaid: '💵 Nabayaran na ako',
+      payBack: '💵 Magbayad',
+    },
+  },
+
+  splits: {
+    title: 'Split Expenses',
+    subtitle: 'I-split ang project costs sa groupmates mo',
+    form: {
+      me: '🙋 Ako',
+      groupmate: 'Groupmate',
+      addGroupmate: '+ Mag-add ng groupmate',
+    },
+  },
+
+  wallets: {
+    title: 'Wallets',
+    mine: '👛 Wallets Ko',
+    transfer: {
+      title: '🔄 Mag-move ng Pera',
+      save: 'I-move ang Pera',
+    },
+  },
+
+  reconcile: {
+    title: 'I-count ang Cash Ko',
+    result: {
+      match: '✅ Sakto!',
+      missing: 'Kulang ng {{amount}}',
+      extra: 'Sobra ng {{amount}}',
+    },
+  },
+
+  importScreen: {
+    title: 'I-import ang CSV',
+    file: {
+      pick: 'Pumili ng CSV File',
+    },
+    summary: {
+      title: '🔍 Bago i-Import',
+      import: 'I-import ang {{count}} Transactions',
+      import_one: 'I-import ang 1 Transaction',
+    },
+  },
+
+  backup: {
+    title: 'Backup & Restore',
+    backUpFirst: 'Mag-backup Muna',
+    create: {
+      button: 'Gumawa ng Backup File',
+    },
+    modes: {
+      merge: 'I-merge',
+      replace: 'I-replace',
+    },
+  },
+
+  locked: {
+    toggle: '🔒 I-lock with passphrase',
+    unlock: 'I-unlock',
+    errors: {
+      wrongPassphrase: 'Mali ang passphrase, or na-edit ang file after i-save. Hindi ito binuksan.',
+    },
+  },
+
+  dateTime: {
+    now: 'Now',
+    thisMorning: 'Kaninang morning',
+    yesterday: 'Kahapon',
+    today: 'Today',
+  },
+};
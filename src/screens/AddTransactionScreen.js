@@ -10,19 +10,27 @@ import {
   ActivityIndicator,
   Animated,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import GlobalBackground from '../components/GlobalBackground';
-
-const categories = [
-  { name: 'Food & Snacks', icon: '🍔', description: 'Meals, snacks, drinks', color: '#EF4444' },
-  { name: 'Transportation', icon: '🚌', description: 'Jeepney, tricycle, bus fare', color: '#3B82F6' },
-  { name: 'School Supplies', icon: '📚', description: 'Pens, paper, notebooks', color: '#8B5CF6' },
-  { name: 'Projects', icon: '📝', description: 'Materials for school projects', color: '#F59E0B' },
-  { name: 'Load/Data', icon: '📱', description: 'Mobile load, internet data', color: '#10B981' },
-  { name: 'Entertainment', icon: '🎮', description: 'Movies, games, leisure', color: '#EC4899' },
-  { name: 'Other', icon: '📦', description: 'Miscellaneous expenses', color: '#6B7280' },
-];
+import DateTimeSelector from '../components/DateTimeSelector';
+import QuickAddRow from '../components/QuickAddRow';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getBudgets,
+  getTransactions,
+  getTransaction,
+  getTemplates,
+  getEnvelopeLedger,
+  addTransaction,
+  updateTransaction,
+  isLinkedTransaction,
+} from '../storage/repository';
+import { loadCategories, getCategories, getCategory, isCategoryForType } from '../utils/categories';
+import { getSuggestedTemplates, createTemplate, deleteTemplate, addFromTemplate } from '../utils/templates';
+import { fillDueEnvelopes, getEnvelopeBalances } from '../utils/envelopes';
+import { DEFAULT_WALLET_ID, loadWallets } from '../utils/wallets';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t } from '../i18n';
 
 /**
  * AddTransactionScreen allows users to log a new expense or income.
@@ -31,15 +39,31 @@ const categories = [
  * 2. Category selection with educational descriptions
  * 3. Title/Note input
  * 4. Automatic budget checking and validation
+ * 5. Edit mode for an existing entry (pass `transactionId` as a route param); the amount,
+ *    type and category of goal, IOU, split and wallet count entries stay as they are
+ * 6. Date/time selection for entries logged late
+ * 7. Quick add from favorites and save the current entry as a favorite
+ * 8. Envelope balance hint and a warning before spending from an empty envelope
+ * 9. Wallet picker (cash, GCash, Maya...)
  */
-export default function AddTransactionScreen({ navigation }) {
+export default function AddTransactionScreen({ navigation, route }) {
+  const editingId = route?.params?.transactionId; // Set when correcting an existing entry
+
   // --- STATE MANAGEMENT ---
   const [amount, setAmount] = useState(''); // Numeric value of the transaction
-  const [selectedCategoryName, setSelectedCategoryName] = useState('Food & Snacks'); // Name of selected category
+  const [selectedCategoryKey, setSelectedCategoryKey] = useState('food'); // Key of selected category
   const [title, setTitle] = useState(''); // Optional note or specific item name
   const [type, setType] = useState('expense'); // 'expense' or 'income' (toggleable)
+  const [categories, setCategories] = useState(getCategories({ selectable: true })); // Categories offered in the picker
   const [budgets, setBudgets] = useState(null); // Loaded budget configuration for validation
   const [isSaving, setIsSaving] = useState(false); // Loading state during storage write
+  const [timestamp, setTimestamp] = useState(Date.now()); // When the transaction happened
+  const [templates, setTemplates] = useState([]); // Saved quick-add templates
+  const [suggestions, setSuggestions] = useState([]); // Templates suggested from history
+  const [envelopeBalances, setEnvelopeBalances] = useState({}); // Money left per envelope (envelope mode only)
+  const [wallets, setWallets] = useState([]); // All wallets, archived included
+  const [walletId, setWalletId] = useState(DEFAULT_WALLET_ID); // Wallet the money came out of or went into
+  const [isLinked, setIsLinked] = useState(false); // Editing an entry owned by a goal, IOU, split or wallet count
   const [scaleAnim] = useState(new Animated.Value(1)); // Animation for success state
 
   /**
@@ -47,54 +71,249 @@ export default function AddTransactionScreen({ navigation }) {
    */
   useEffect(() => {
     loadBudgets();
-  }, []);
+    if (editingId) loadTransaction();
+  }, [editingId]);
+
+  /**
+   * Refresh the category picker when coming back from Manage Categories
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refreshCategories();
+      loadTemplates();
+      loadWalletList();
+    }, [])
+  );
+
+  const refreshCategories = async () => {
+    try {
+      await loadCategories();
+      setCategories(getCategories({ selectable: true }));
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  };
+
+  const loadTemplates = async () => {
+    try {
+      const [savedTemplates, txns] = await Promise.all([getTemplates(), getTransactions()]);
+      setTemplates(savedTemplates);
+      setSuggestions(getSuggestedTemplates(txns, savedTemplates));
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  const loadWalletList = async () => {
+    try {
+      setWallets(await loadWallets());
+    } catch (error) {
+      console.error('Error loading wallets:', error);
+    }
+  };
 
   const loadBudgets = async () => {
     try {
-      const stored = await AsyncStorage.getItem('budgets');
-      if (stored) setBudgets(JSON.parse(stored));
+      await fillDueEnvelopes();
+      const [savedBudgets, ledger, txns] = await Promise.all([getBudgets(), getEnvelopeLedger(), getTransactions()]);
+      setBudgets(savedBudgets);
+      // The entry being edited is left out so its old amount isn't counted twice
+      setEnvelopeBalances(getEnvelopeBalances(txns.filter((t) => t.id !== editingId), ledger, savedBudgets));
     } catch (error) {
       console.error('Error loading budgets for transaction screen:', error);
     }
   };
 
   /**
-   * Handles the transaction submission
+   * Fills the form with the entry being edited
+   */
+  const loadTransaction = async () => {
+    try {
+      const txn = await getTransaction(editingId);
+      if (!txn) {
+        Alert.alert(t('common.error'), t('addTransaction.errors.notFound'));
+        navigation.goBack();
+        return;
+      }
+
+      setAmount(String(txn.amount));
+      setSelectedCategoryKey(txn.category);
+      setTitle(txn.title === getCategory(txn.category).label ? '' : txn.title);
+      setType(txn.type);
+      setTimestamp(txn.timestamp);
+      setWalletId(txn.walletId || DEFAULT_WALLET_ID);
+      setIsLinked(isLinkedTransaction(txn));
+    } catch (error) {
+      console.error('Error loading transaction for editing:', error);
+    }
+  };
+
+  const selectedCategory = getCategory(selectedCategoryKey);
+
+  // Only categories that fit the expense/income toggle, plus an archived or
+  // mismatched category kept visible when editing an old entry that uses it.
+  // A linked entry keeps its category, so only that one is shown.
+  const typeCategories = categories.filter((cat) => isCategoryForType(cat, type));
+  const pickerCategories = isLinked
+    ? [selectedCategory]
+    : typeCategories.some((cat) => cat.key === selectedCategory.key)
+      ? typeCategories
+      : [...typeCategories, selectedCategory];
+
+  /**
+   * Switches between expense and income, picking a fitting category
+   */
+  const changeType = (newType) => {
+    setType(newType);
+    if (!isCategoryForType(selectedCategory, newType)) {
+      const firstMatch = categories.find((cat) => isCategoryForType(cat, newType));
+      if (firstMatch) setSelectedCategoryKey(firstMatch.key);
+    }
+  };
+
+  // Active wallets, plus an archived one kept visible when editing an old entry that uses it
+  const pickerWallets = wallets.filter((wallet) => !wallet.archived || wallet.id === walletId);
+
+  const selectedEnvelope = type === 'expense' ? envelopeBalances[selectedCategoryKey] : undefined;
+
+  /**
+   * Runs `onConfirm` right away, or after a warning when the expense is
+   * more than what's left in its envelope
+   */
+  const confirmEnvelope = (entryType, category, entryAmount, onConfirm) => {
+    const balance = envelopeBalances[category];
+    if (entryType !== 'expense' || balance === undefined || entryAmount <= balance) {
+      onConfirm();
+      return;
+    }
+
+    Alert.alert(
+      t('addTransaction.envelopeEmpty.title'),
+      t('addTransaction.envelopeEmpty.message', {
+        category: getCategory(category).label,
+        amount: formatMoney(Math.max(0, balance)),
+      }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('addTransaction.envelopeEmpty.saveAnyway'), onPress: onConfirm },
+      ]
+    );
+  };
+
+  /**
+   * Logs a favorite with one tap and returns to the dashboard
+   */
+  const handleQuickAdd = (template) => {
+    confirmEnvelope(template.type, template.category, template.amount, async () => {
+      try {
+        await addFromTemplate(template);
+        navigation.navigate('Home');
+      } catch (error) {
+        console.error('Error adding from template:', error);
+        Alert.alert(t('common.error'), t('addTransaction.errors.saveFailed'));
+      }
+    });
+  };
+
+  const handleSaveTemplate = async (template) => {
+    try {
+      const updated = await createTemplate(template);
+      setTemplates(updated);
+      setSuggestions(suggestions.filter((s) => s.id !== template.id));
+    } catch (error) {
+      console.error('Error saving template:', error);
+      Alert.alert(t('common.error'), t('quickAdd.saveFailed'));
+    }
+  };
+
+  const handleRemoveTemplate = (template) => {
+    Alert.alert(t('quickAdd.removeTitle'), t('quickAdd.removeMessage', { title: template.title }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('quickAdd.remove'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setTemplates(await deleteTemplate(template.id));
+          } catch (error) {
+            console.error('Error removing template:', error);
+          }
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Saves the form as a favorite without logging it
+   */
+  const handleSaveFormAsTemplate = async () => {
+    if (!(parseAmount(amount) > 0)) {
+      Alert.alert(t('common.error'), t('addTransaction.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      setTemplates(await createTemplate({
+        title: title.trim() || selectedCategory.label,
+        amount: parseAmount(amount),
+        type,
+        category: selectedCategoryKey,
+      }));
+      Alert.alert(t('addTransaction.favoriteSaved.title'), t('addTransaction.favoriteSaved.message'));
+    } catch (error) {
+      console.error('Error saving template:', error);
+      Alert.alert(t('common.error'), t('quickAdd.saveFailed'));
+    }
+  };
+
+  /**
+   * Validates the form, then saves it (checking the envelope first)
    */
-  const handleSave = async () => {
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-      Alert.alert('Error', 'Please enter a valid amount');
+  const handleSave = () => {
+    if (!(parseAmount(amount) > 0)) {
+      Alert.alert(t('common.error'), t('addTransaction.errors.invalidAmount'));
       return;
     }
 
-    if (!selectedCategoryName) {
-      Alert.alert('Error', 'Please select a category');
+    if (!selectedCategoryKey) {
+      Alert.alert(t('common.error'), t('addTransaction.errors.noCategory'));
       return;
     }
 
-    if (selectedCategoryName === 'Other' && !title.trim()) {
-      Alert.alert('Error', 'Please enter a description for Other category');
+    if (selectedCategoryKey === 'other' && !title.trim()) {
+      Alert.alert(t('common.error'), t('addTransaction.errors.noDescription'));
       return;
     }
 
+    confirmEnvelope(type, selectedCategoryKey, parseAmount(amount), saveTransaction);
+  };
+
+  /**
+   * Handles the transaction submission
+   */
+  const saveTransaction = async () => {
     try {
       setIsSaving(true);
 
-      const transaction = {
-        id: Date.now().toString(),
-        title: title.trim() || selectedCategoryName,
-        amount: parseFloat(amount),
+      const data = {
+        title: title.trim() || selectedCategory.label,
+        amount: parseAmount(amount),
         type,
-        category: selectedCategoryName,
-        date: new Date().toLocaleDateString('en-PH'),
-        timestamp: Date.now(),
+        category: selectedCategoryKey,
+        walletId,
+        timestamp,
       };
 
-      // Persistence
-      const stored = await AsyncStorage.getItem('transactions');
-      const transactions = stored ? JSON.parse(stored) : [];
-      transactions.unshift(transaction);
-      await AsyncStorage.setItem('transactions', JSON.stringify(transactions));
+      // Persistence (edits keep the original id; saving an edit counts as reviewing it).
+      // A linked entry's amount, type and category are kept in step by its goal,
+      // IOU, split or wallet count, so only the rest is saved here.
+      if (editingId && isLinked) {
+        await updateTransaction(editingId, { title: data.title, walletId, timestamp, needsReview: false });
+      } else if (editingId) {
+        await updateTransaction(editingId, { ...data, needsReview: false });
+      } else {
+        await addTransaction(data);
+      }
 
       // Success animation
       Animated.sequence([
@@ -108,14 +327,12 @@ export default function AddTransactionScreen({ navigation }) {
       }, 500);
     } catch (error) {
       console.error('Error saving transaction:', error);
-      Alert.alert('Error', 'Failed to save transaction');
+      Alert.alert(t('common.error'), t('addTransaction.errors.saveFailed'));
     } finally {
       setIsSaving(false);
     }
   };
 
-  const selectedCategory = categories.find(cat => cat.name === selectedCategoryName);
-
   return (
     <View style={styles.container}>
       <StatusBar style="dark" />
@@ -128,15 +345,45 @@ export default function AddTransactionScreen({ navigation }) {
       >
         {/* Header */}
         <View style={styles.header}>
-          <Text style={styles.headerTitle}>Add Entry</Text>
-          <Text style={styles.headerSubtitle}>Track where your allowance goes</Text>
+          <Text style={styles.headerTitle}>{editingId ? t('addTransaction.editTitle') : t('addTransaction.title')}</Text>
+          <Text style={styles.headerSubtitle}>
+            {editingId ? t('addTransaction.editSubtitle') : t('addTransaction.subtitle')}
+          </Text>
         </View>
 
+        {/* Quick Add Favorites */}
+        {!editingId && (
+          <QuickAddRow
+            templates={templates}
+            suggestions={suggestions}
+            onUse={handleQuickAdd}
+            onSave={handleSaveTemplate}
+            onRemove={handleRemoveTemplate}
+          />
+        )}
+
         {/* Amount Input Section */}
         <View style={styles.card}>
-          <Text style={styles.cardTitle}>💰 How much?</Text>
+          <Text style={styles.cardTitle}>{t('addTransaction.howMuch')}</Text>
+          <View style={styles.typeToggle}>
+            {[
+              { value: 'expense', label: t('addTransaction.expense') },
+              { value: 'income', label: t('addTransaction.income') },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.typeButton, type === option.value && styles.typeButtonActive]}
+                onPress={() => changeType(option.value)}
+                disabled={isLinked}
+              >
+                <Text style={[styles.typeButtonText, type === option.value && styles.typeButtonTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
           <View style={styles.amountInputContainer}>
-            <Text style={styles.currencySymbol}>₱</Text>
+            <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
             <TextInput
               style={styles.amountInput}
               placeholder="0.00"
@@ -144,25 +391,28 @@ export default function AddTransactionScreen({ navigation }) {
               value={amount}
               onChangeText={setAmount}
               keyboardType="decimal-pad"
-              autoFocus={true}
+              autoFocus={!editingId}
+              editable={!isLinked}
             />
           </View>
+          {isLinked && <Text style={styles.linkedHint}>{t('addTransaction.linkedHint')}</Text>}
         </View>
 
         {/* Category Grid Section */}
         <View style={styles.card}>
-          <Text style={styles.cardTitle}>📋 Category</Text>
+          <Text style={styles.cardTitle}>{t('addTransaction.category')}</Text>
           <View style={styles.categoriesContainer}>
-            {categories.map((cat) => {
-              const isSelected = selectedCategoryName === cat.name;
+            {pickerCategories.map((cat) => {
+              const isSelected = selectedCategoryKey === cat.key;
               return (
                 <TouchableOpacity
-                  key={cat.name}
+                  key={cat.key}
                   style={[
                     styles.categoryButton,
                     isSelected && { backgroundColor: cat.color, borderColor: cat.color },
                   ]}
-                  onPress={() => setSelectedCategoryName(cat.name)}
+                  onPress={() => setSelectedCategoryKey(cat.key)}
+                  disabled={isLinked}
                   activeOpacity={0.7}
                 >
                   <Text style={styles.categoryIcon}>{cat.icon}</Text>
@@ -173,33 +423,67 @@ export default function AddTransactionScreen({ navigation }) {
                     ]}
                     numberOfLines={1}
                   >
-                    {cat.name}
+                    {cat.label}
                   </Text>
                 </TouchableOpacity>
               );
             })}
           </View>
-          {!!selectedCategory && (
+          {!!selectedCategory && !!selectedCategory.description && (
             <View style={styles.categoryInfoBox}>
               <Text style={styles.categoryInfoText}>
                 💡 {selectedCategory.description}
               </Text>
             </View>
           )}
+          {selectedEnvelope !== undefined && (
+            <Text style={[styles.envelopeHint, selectedEnvelope <= 0 && styles.envelopeHintEmpty]}>
+              {t('addTransaction.envelopeLeft', { category: selectedCategory.label, amount: formatMoney(selectedEnvelope) })}
+            </Text>
+          )}
+          <TouchableOpacity onPress={() => navigation.navigate('Categories')}>
+            <Text style={styles.manageCategoriesText}>{t('addTransaction.manageCategories')}</Text>
+          </TouchableOpacity>
         </View>
 
+        {/* Wallet Section */}
+        {pickerWallets.length > 1 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{type === 'expense' ? t('addTransaction.paidFrom') : t('addTransaction.wentInto')}</Text>
+            <View style={styles.walletsContainer}>
+              {pickerWallets.map((wallet) => (
+                <TouchableOpacity
+                  key={wallet.id}
+                  style={[styles.walletChip, walletId === wallet.id && styles.walletChipActive]}
+                  onPress={() => setWalletId(wallet.id)}
+                >
+                  <Text style={[styles.walletChipText, walletId === wallet.id && styles.walletChipTextActive]}>
+                    {wallet.icon} {wallet.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Note/Description Section */}
         <View style={styles.card}>
-          <Text style={styles.cardTitle}>📝 Note (Optional)</Text>
+          <Text style={styles.cardTitle}>{t('addTransaction.note')}</Text>
           <TextInput
             style={styles.descriptionInput}
-            placeholder={selectedCategoryName === 'Other' ? "What did you spend on?" : "Specify what you bought..."}
+            placeholder={selectedCategoryKey === 'other' ? t('addTransaction.notePlaceholderOther') : t('addTransaction.notePlaceholder')}
             placeholderTextColor="#9CA3AF"
             value={title}
             onChangeText={setTitle}
           />
         </View>
 
+        {/* Date & Time Section */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('addTransaction.when')}</Text>
+          <DateTimeSelector value={timestamp} onChange={setTimestamp} />
+        </View>
+
         {/* Save Button Action */}
         <Animated.View style={{ transform: [{ scale: scaleAnim }] }}>
           <TouchableOpacity
@@ -215,13 +499,19 @@ export default function AddTransactionScreen({ navigation }) {
               <ActivityIndicator color="#fff" size="small" />
             ) : (
               <>
-                <Text style={styles.saveButtonText}>Log Transaction</Text>
-                <Text style={styles.saveButtonSubtext}>This will update your available balance</Text>
+                <Text style={styles.saveButtonText}>{editingId ? t('addTransaction.saveChanges') : t('addTransaction.log')}</Text>
+                <Text style={styles.saveButtonSubtext}>{t('addTransaction.logHint')}</Text>
               </>
             )}
           </TouchableOpacity>
         </Animated.View>
 
+        {!editingId && (
+          <TouchableOpacity onPress={handleSaveFormAsTemplate} disabled={!amount}>
+            <Text style={[styles.saveTemplateText, !amount && styles.saveTemplateTextDisabled]}>{t('addTransaction.saveFavorite')}</Text>
+          </TouchableOpacity>
+        )}
+
         <View style={{ height: 40 }} />
       </ScrollView>
     </View>
@@ -250,6 +540,11 @@ const styles = StyleSheet.create({
     borderColor: '#F3F4F6',
   },
   cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  typeToggle: { flexDirection: 'row', backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4, marginBottom: 16 },
+  typeButton: { flex: 1, paddingVertical: 10, alignItems: 'center', borderRadius: 8 },
+  typeButtonActive: { backgroundColor: '#4F46E5' },
+  typeButtonText: { fontWeight: '600', color: '#6B7280' },
+  typeButtonTextActive: { color: '#fff' },
   amountInputContainer: {
     backgroundColor: '#F9FAFB',
     padding: 20,
@@ -279,9 +574,20 @@ const styles = StyleSheet.create({
   categoryButtonTextActive: { color: '#fff' },
   categoryInfoBox: { backgroundColor: '#EEF2FF', padding: 12, borderRadius: 12, borderLeftWidth: 4, borderLeftColor: '#4F46E5' },
   categoryInfoText: { fontSize: 13, color: '#4F46E5', lineHeight: 18 },
+  envelopeHint: { fontSize: 13, color: '#10B981', fontWeight: '600', textAlign: 'center', marginTop: 12 },
+  envelopeHintEmpty: { color: '#EF4444' },
+  linkedHint: { fontSize: 13, color: '#6B7280', textAlign: 'center', lineHeight: 18, marginTop: 12 },
+  manageCategoriesText: { fontSize: 13, color: '#4F46E5', fontWeight: '600', textAlign: 'center', marginTop: 12 },
+  walletsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  walletChip: { backgroundColor: '#F9FAFB', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 16, borderWidth: 2, borderColor: '#E5E7EB' },
+  walletChipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  walletChipText: { fontSize: 14, fontWeight: '600', color: '#6B7280' },
+  walletChipTextActive: { color: '#fff' },
   descriptionInput: { backgroundColor: '#F9FAFB', padding: 16, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 2, borderColor: '#E5E7EB' },
   saveButton: { backgroundColor: '#4F46E5', padding: 20, borderRadius: 16, alignItems: 'center', marginHorizontal: 20, marginTop: 8, elevation: 8, shadowColor: '#4F46E5', shadowOffset: { width: 0, height: 4 }, shadowOpacity: 0.3, shadowRadius: 12 },
   saveButtonText: { color: '#fff', fontSize: 20, fontWeight: 'bold', marginBottom: 4 },
   saveButtonSubtext: { color: '#E0E7FF', fontSize: 12, fontWeight: '500' },
   saveButtonDisabled: { opacity: 0.5, elevation: 0 },
+  saveTemplateText: { fontSize: 14, color: '#4F46E5', fontWeight: '600', textAlign: 'center', marginTop: 16 },
+  saveTemplateTextDisabled: { opacity: 0.5 },
 });
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import GlobalBackground from '../components/GlobalBackground';
+import PassphraseInput from '../components/PassphraseInput';
+import { STORAGE_KEYS } from '../storage/repository';
+import { pickTextFile } from '../storage/files';
+import { MIN_PASSPHRASE_LENGTH, checkPassphrase, isLocked, unlockText } from '../storage/encryption';
+import {
+  RESTORE_MODES,
+  shareBackup,
+  readBackup,
+  canMergeBackup,
+  previewRestore,
+  restoreBackup,
+} from '../storage/backup';
+import { loadCategories } from '../utils/categories';
+import { loadCurrency } from '../utils/currency';
+import { t, getLocale, loadLanguage } from '../i18n';
+
+const KNOWN_KEYS = Object.values(STORAGE_KEYS);
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Keys saved by a newer version of the app have no label yet
+const keyLabel = (key) => (KNOWN_KEYS.includes(key) ? t(`backup.keys.${key}`) : key);
+
+/**
+ * BackupScreen saves everything to one file and brings it back.
+ * Features:
+ * 1. Back up every stored value to a JSON file through the share sheet, optionally passphrase-locked
+ * 2. Unlock and check a backup file before restoring it
+ * 3. Preview what each part of the data will look like after restoring
+ * 4. Merge the backup into the current data, or replace the current data with it
+ */
+export default function BackupScreen({ navigation }) {
+  // --- STATE MANAGEMENT ---
+  const [lock, setLock] = useState({ enabled: false, passphrase: '', confirm: '' }); // Optional passphrase for new backups
+  const [lockedFile, setLockedFile] = useState(null); // { name, contents } of a picked file that needs its passphrase
+  const [unlockPassphrase, setUnlockPassphrase] = useState(''); // Passphrase typed in to open lockedFile
+  const [backup, setBackup] = useState(null); // Checked backup waiting to be restored
+  const [fileName, setFileName] = useState(''); // Name of the picked backup file
+  const [mode, setMode] = useState('merge'); // 'merge' or 'replace'
+  const [changes, setChanges] = useState([]); // Per-key preview from previewRestore()
+  const [isWorking, setIsWorking] = useState(false); // UI state while reading or writing
+
+  /**
+   * Recompute the preview whenever the file or the restore mode changes
+   */
+  useEffect(() => {
+    if (!backup) return;
+    previewRestore(backup, mode)
+      .then(setChanges)
+      .catch((error) => console.error('Error previewing restore:', error));
+  }, [backup, mode]);
+
+  const handleBackup = async () => {
+    const lockError = lock.enabled && checkPassphrase(lock.passphrase, lock.confirm);
+    if (lockError) {
+      Alert.alert(t('common.error'), t(`locked.errors.${lockError}`, { min: MIN_PASSPHRASE_LENGTH }));
+      return;
+    }
+
+    try {
+      setIsWorking(true);
+      await shareBackup(lock.enabled ? lock.passphrase : undefined);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert(t('common.error'), t('backup.errors.backupFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const openBackup = (name, contents) => {
+    const result = readBackup(contents);
+    if (result.error) {
+      Alert.alert(t('common.error'), t(`backup.errors.${result.error}`));
+      return;
+    }
+    setFileName(name);
+    setMode(canMergeBackup(result.backup) ? 'merge' : 'replace');
+    setBackup(result.backup);
+  };
+
+  const handlePickFile = async () => {
+    try {
+      setIsWorking(true);
+      const picked = await pickTextFile('json');
+      if (!picked) return;
+
+      setBackup(null);
+      setUnlockPassphrase('');
+      if (isLocked(picked.contents)) {
+        setLockedFile(picked);
+        return;
+      }
+      setLockedFile(null);
+      openBackup(picked.name, picked.contents);
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      Alert.alert(t('common.error'), t('backup.errors.readFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    try {
+      setIsWorking(true);
+      const result = await unlockText(lockedFile.contents, unlockPassphrase);
+      if (result.error) {
+        Alert.alert(t('common.error'), t(`locked.errors.${result.error}`));
+        return;
+      }
+      setLockedFile(null);
+      setUnlockPassphrase('');
+      openBackup(lockedFile.name, result.text);
+    } catch (error) {
+      console.error('Error unlocking backup file:', error);
+      Alert.alert(t('common.error'), t('backup.errors.readFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const runRestore = async () => {
+    try {
+      setIsWorking(true);
+      await restoreBackup(backup, mode);
+      // Preferences kept in memory are reloaded so every screen picks them up
+      await loadLanguage();
+      await loadCurrency();
+      await loadCategories();
+      setBackup(null);
+      Alert.alert(t('backup.done.title'), t('backup.done.message'), [
+        { text: t('common.ok'), onPress: () => navigation.navigate('Home') },
+      ]);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert(t('common.error'), t('backup.errors.restoreFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = () => {
+    Alert.alert(t(`backup.confirm.${mode}.title`), t(`backup.confirm.${mode}.message`), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t(`backup.confirm.${mode}.confirm`), style: mode === 'replace' ? 'destructive' : 'default', onPress: runRestore },
+    ]);
+  };
+
+  const changed = changes.filter((change) => change.status !== 'unchanged');
+  const unchangedCount = changes.length - changed.length;
+  const backedUpTxns = backup && Array.isArray(backup.data[STORAGE_KEYS.TRANSACTIONS]) ? backup.data[STORAGE_KEYS.TRANSACTIONS].length : 0;
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('backup.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('backup.subtitle')}</Text>
+        </View>
+
+        {/* Back Up */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('backup.create.title')}</Text>
+          <Text style={styles.hint}>{t('backup.create.hint')}</Text>
+          <PassphraseInput value={lock} onChange={setLock} />
+          <TouchableOpacity
+            style={[styles.saveButton, isWorking && styles.saveButtonDisabled]}
+            onPress={handleBackup}
+            disabled={isWorking}
+          >
+            <Text style={styles.saveButtonText}>{t('backup.create.button')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Restore */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('backup.restore.title')}</Text>
+          <Text style={styles.hint}>
+            {backup
+              ? t('backup.restore.picked', { name: fileName, date: formatDate(backup.createdAt), count: backedUpTxns })
+              : t('backup.restore.hint')}
+          </Text>
+          <TouchableOpacity
+            style={[styles.secondaryButton, isWorking && styles.saveButtonDisabled]}
+            onPress={handlePickFile}
+            disabled={isWorking}
+          >
+            <Text style={styles.secondaryButtonText}>
+              {backup || lockedFile ? t('backup.restore.change') : t('backup.restore.pick')}
+            </Text>
+          </TouchableOpacity>
+
+          {lockedFile && (
+            <View style={styles.unlockBox}>
+              <Text style={styles.hint}>{t('locked.unlockHint', { name: lockedFile.name })}</Text>
+              <TextInput
+                style={styles.textInput}
+                placeholder={t('locked.passphrase')}
+                placeholderTextColor="#9CA3AF"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                value={unlockPassphrase}
+                onChangeText={setUnlockPassphrase}
+              />
+              <TouchableOpacity
+                style={[styles.saveButton, (isWorking || !unlockPassphrase) && styles.saveButtonDisabled]}
+                onPress={handleUnlock}
+                disabled={isWorking || !unlockPassphrase}
+              >
+                <Text style={styles.saveButtonText}>{isWorking ? t('locked.unlocking') : t('locked.unlock')}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {backup && (
+            <>
+              <View style={styles.chipsContainer}>
+                {RESTORE_MODES.map((option) => {
+                  const disabled = option.value === 'merge' && !canMergeBackup(backup);
+                  return (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.chip, mode === option.value && styles.chipActive, disabled && styles.chipDisabled]}
+                      onPress={() => setMode(option.value)}
+                      disabled={disabled}
+                    >
+                      <Text style={[styles.chipText, mode === option.value && styles.chipTextActive]}>
+                        {t(`backup.modes.${option.value}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <Text style={styles.hint}>
+                {canMergeBackup(backup) ? t(`backup.modes.${mode}Hint`) : t('backup.modes.olderHint')}
+              </Text>
+
+              <Text style={styles.fieldLabel}>{t('backup.changes.title')}</Text>
+              {changed.length === 0 ? (
+                <Text style={styles.hint}>{t('backup.changes.none')}</Text>
+              ) : (
+                changed.map((change) => (
+                  <View key={change.key} style={styles.changeRow}>
+                    <View style={styles.changeInfo}>
+                      <Text style={styles.changeTitle}>{keyLabel(change.key)}</Text>
+                      <Text style={[styles.changeStatus, change.status === 'removed' && styles.removedText]}>
+                        {t(`backup.changes.${change.status}`)}
+                      </Text>
+                    </View>
+                    {(change.before !== null || change.after !== null) && (
+                      <Text style={styles.changeCount}>
+                        {t('backup.changes.count', { before: change.before || 0, after: change.after || 0 })}
+                      </Text>
+                    )}
+                  </View>
+                ))
+              )}
+              {unchangedCount > 0 && changed.length > 0 && (
+                <Text style={styles.hint}>{t('backup.changes.unchanged', { count: unchangedCount })}</Text>
+              )}
+
+              <TouchableOpacity
+                style={[styles.saveButton, mode === 'replace' && styles.dangerButton, (isWorking || changed.length === 0) && styles.saveButtonDisabled]}
+                onPress={handleRestore}
+                disabled={isWorking || changed.length === 0}
+              >
+                <Text style={styles.saveButtonText}>{t(`backup.confirm.${mode}.confirm`)}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  hint: { fontSize: 13, color: '#6B7280', lineHeight: 18, marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#374151', marginBottom: 8 },
+  unlockBox: { marginTop: 16 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 4 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 16, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipDisabled: { opacity: 0.4 },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  changeRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#F3F4F6' },
+  changeInfo: { flex: 1, marginRight: 8 },
+  changeTitle: { fontSize: 14, fontWeight: '600', color: '#1F2937' },
+  changeStatus: { fontSize: 12, color: '#6B7280' },
+  changeCount: { fontSize: 14, fontWeight: 'bold', color: '#4F46E5' },
+  removedText: { color: '#DC2626' },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center', marginTop: 12 },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  dangerButton: { backgroundColor: '#DC2626' },
+  secondaryButton: { backgroundColor: '#EEF2FF', padding: 16, borderRadius: 14, alignItems: 'center' },
+  secondaryButtonText: { color: '#4F46E5', fontSize: 16, fontWeight: 'bold' },
+});
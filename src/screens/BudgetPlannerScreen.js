@@ -6,43 +6,72 @@ import {
   ScrollView,
   TextInput,
   TouchableOpacity,
+  Switch,
   Alert,
   Animated,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import { useFocusEffect } from '@react-navigation/native';
 import GlobalBackground from '../components/GlobalBackground';
-
-const budgetCategories = [
-  { key: 'transportation', label: 'Transportation (Jeep/Trike)', icon: '🚌', example: 'Daily fare to school and back' },
-  { key: 'food', label: 'Food & Snacks', icon: '🍔', example: 'Breakfast, lunch, merienda' },
-  { key: 'supplies', label: 'School Supplies', icon: '📚', example: 'Notebooks, pens, paper' },
-  { key: 'load', label: 'Load/Internet', icon: '📱', example: 'Mobile load, WiFi' },
-  { key: 'projects', label: 'Projects', icon: '📝', example: 'Group projects, art materials' },
-];
+import AllowanceScheduleInput from '../components/AllowanceScheduleInput';
+import {
+  getBudgets,
+  getTransactions,
+  getSettings,
+  getEnvelopeLedger,
+  filterTransactions,
+  saveBudgets as storeBudgets,
+} from '../storage/repository';
+import { loadCategories, getCategories, getCategoryLabel } from '../utils/categories';
+import { summarizeRange, syncAllowanceRule } from '../utils/ledger';
+import { getWeekRange } from '../utils/periods';
+import { ROLLOVER_MODES, getRolloverMode, getRollovers, describeRollover, isRolloverActive } from '../utils/rollover';
+import { postDueRecurringTransactions } from '../utils/recurring';
+import {
+  isEnvelopeMode,
+  fillDueEnvelopes,
+  syncEnvelopes,
+  getEnvelopeBalances,
+  refillEnvelope,
+  moveBetweenEnvelopes,
+} from '../utils/envelopes';
+import {
+  getAllowanceSchedule,
+  getAllowanceBetween,
+  getAverageDailyAllowance,
+  buildAllowanceSchedule,
+  describeAllowance,
+} from '../utils/allowance';
+import { formatMoney, parseAmount, parseAmounts, getCurrencySymbol } from '../utils/currency';
+import { t } from '../i18n';
 
 /**
  * BudgetPlannerScreen allows users to define and adjust their budget settings.
  * Features:
- * 1. Daily allowance setting
- * 2. Per-category budget allocation
+ * 1. Allowance amount and schedule (assumed, or logged as income entries)
+ * 2. Per-category budget allocation with weekly rollover, or envelopes
+ *    filled from each allowance (refill and move money between them)
  * 3. Weekly savings target
  * 4. Financial "Insights" based on budget vs spending comparison
  */
 export default function BudgetPlannerScreen({ navigation }) {
   // --- STATE MANAGEMENT ---
-  const [dailyAllowance, setDailyAllowance] = useState(''); // Current daily allowance from user
+  const [allowanceAmount, setAllowanceAmount] = useState(''); // Amount received each payday
+  const [scheduleFields, setScheduleFields] = useState({ frequency: 'daily', weekday: 0, dayOfMonth: '1' }); // How often the allowance comes in
   const [savingsGoal, setSavingsGoal] = useState(''); // Target weekly savings
-  const [budgets, setBudgets] = useState({
-    transportation: '',
-    food: '',
-    supplies: '',
-    load: '',
-    projects: '',
-    savings: '',
-    entertainment: '',
-  }); // Current budget allocations for each category
+  const [postAllowance, setPostAllowance] = useState(false); // Log the allowance as income instead of assuming it
+  const [weeklyIncome, setWeeklyIncome] = useState(0); // Income logged this week
+  const [weekRange, setWeekRange] = useState(() => getWeekRange(null)); // Current week, per the Settings week mode
+  const [budgets, setBudgets] = useState({}); // Current budget allocations for each category key
+  const [rollover, setRollover] = useState({}); // Rollover rule ({ mode, since }) per category key
+  const [rollovers, setRollovers] = useState({}); // Amount carried into this week per category key
+  const [rolloverActive, setRolloverActive] = useState(true); // Rollover only works with calendar weeks
+  const [budgetMode, setBudgetMode] = useState('limits'); // 'limits' (daily category limits) or 'envelopes'
+  const [envelopes, setEnvelopes] = useState({}); // Amount put in each envelope per allowance
+  const [envelopeBalances, setEnvelopeBalances] = useState({}); // Money left in each saved envelope
+  const [envelopeAction, setEnvelopeAction] = useState(null); // { key, type: 'refill' | 'move' } being entered
+  const [actionAmount, setActionAmount] = useState(''); // Amount for the refill/move being entered
+  const [moveTarget, setMoveTarget] = useState(null); // Envelope receiving a move
 
   const [transactions, setTransactions] = useState([]); // Loaded history to provide context
   const [financialInsights, setFinancialInsights] = useState([]); // Dynamic advice based on current settings
@@ -75,79 +104,83 @@ export default function BudgetPlannerScreen({ navigation }) {
     if (transactions.length > 0 || Object.keys(budgets).length > 0) {
       generateFinancialInsights();
     }
-  }, [budgets, spending, dailyAllowance, savingsGoal, transactions]);
+  }, [budgets, spending, allowanceAmount, scheduleFields, savingsGoal, transactions, postAllowance, weeklyIncome, weekRange, budgetMode, envelopeBalances]);
 
   /**
    * Fetches data from storage and generates financial insights
    */
   const loadData = async () => {
     try {
-      const [storedBudgets, storedTxns] = await Promise.all([
-        AsyncStorage.getItem('budgets'),
-        AsyncStorage.getItem('transactions'),
+      // Fill envelopes for any allowance that came in since the last visit
+      await fillDueEnvelopes();
+
+      const [parsed, txns, settings, ledger] = await Promise.all([
+        getBudgets(),
+        getTransactions(),
+        getSettings(),
+        getEnvelopeLedger(),
+        loadCategories(),
       ]);
 
-      const txns = storedTxns ? JSON.parse(storedTxns) : [];
+      const week = getWeekRange(settings);
       setTransactions(txns);
-
-      if (storedBudgets) {
-        const parsed = JSON.parse(storedBudgets);
-        setDailyAllowance(parsed.dailyAllowance || '');
-        setSavingsGoal(parsed.savingsGoal || '');
-        setBudgets({
-          transportation: parsed.categories?.transportation || '',
-          food: parsed.categories?.food || '',
-          supplies: parsed.categories?.supplies || '',
-          load: parsed.categories?.load || '',
-          projects: parsed.categories?.projects || '',
-          savings: parsed.categories?.savings || '',
-          entertainment: parsed.categories?.entertainment || '',
+      setWeekRange(week);
+      setRolloverActive(isRolloverActive(settings));
+      setRollovers(getRollovers(txns, parsed, settings));
+      setEnvelopeBalances(getEnvelopeBalances(txns, ledger, parsed));
+
+      if (parsed) {
+        const schedule = getAllowanceSchedule(parsed);
+        setAllowanceAmount(toInputValue(schedule.amount));
+        setScheduleFields({
+          frequency: schedule.frequency,
+          weekday: schedule.weekday,
+          dayOfMonth: String(schedule.dayOfMonth),
+          anchorDate: schedule.anchorDate,
+        });
+        setSavingsGoal(toInputValue(parsed.savingsGoal));
+        setPostAllowance(parsed.allowanceMode === 'posted');
+        const plan = {};
+        getCategories({ budgetable: true }).forEach((cat) => {
+          plan[cat.key] = toInputValue(parsed.categories?.[cat.key]);
         });
+        setBudgets(plan);
+        setRollover(parsed.rollover || {});
+        setBudgetMode(isEnvelopeMode(parsed) ? 'envelopes' : 'limits');
+        const allocation = {};
+        getCategories({ budgetable: true }).forEach((cat) => {
+          allocation[cat.key] = toInputValue(parsed.envelopes?.[cat.key]);
+        });
+        setEnvelopes(allocation);
       }
 
       // Calculate weekly spending distribution
-      calculateSpendingBreakdown(txns);
-      calculateCurrentSavings(txns, storedBudgets ? JSON.parse(storedBudgets) : null);
+      calculateSpendingBreakdown(txns, week);
+      calculateCurrentSavings(txns, parsed, week);
     } catch (error) {
       console.error('Error loading budget data:', error);
     }
   };
 
   /**
-   * Groups spending by category for the last 7 days
+   * Groups spending by category for the current week
    */
-  const calculateSpendingBreakdown = (txns) => {
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-
+  const calculateSpendingBreakdown = (txns, week) => {
     const breakdown = {};
-    txns
-      .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
+    filterTransactions(txns, { type: 'expense', from: week.from, to: week.to })
       .forEach((t) => {
-        const categoryKey = getCategoryKey(t.category);
-        breakdown[categoryKey] = (breakdown[categoryKey] || 0) + t.amount;
+        breakdown[t.category] = (breakdown[t.category] || 0) + t.amount;
       });
     setSpending(breakdown);
   };
 
   /**
-   * Calculates current weekly savings (Allowance - Spending)
+   * Calculates current weekly savings (Allowance + Income - Spending)
    */
-  const calculateCurrentSavings = (txns, budgetData) => {
-    if (!budgetData) {
-      setCurrentSavings(0);
-      return;
-    }
-
-    const weeklyAllowance = (parseFloat(budgetData.dailyAllowance) || 0) * 7;
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-
-    const weeklySpent = txns
-      .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    setCurrentSavings(Math.max(0, weeklyAllowance - weeklySpent));
+  const calculateCurrentSavings = (txns, budgetData, week) => {
+    const summary = summarizeRange(txns, budgetData, week);
+    setWeeklyIncome(summary.income);
+    setCurrentSavings(budgetData ? Math.max(0, summary.balance) : 0);
   };
 
   /**
@@ -157,8 +190,8 @@ export default function BudgetPlannerScreen({ navigation }) {
     const insights = [];
     const totalBudgeted = getTotalBudgeted();
     const totalSpent = Object.values(spending).reduce((sum, val) => sum + val, 0);
-    const dailyAmount = parseFloat(dailyAllowance) || 0;
-    const weeklyAmount = dailyAmount * 7;
+    const weekAllowance = getAllowanceBetween(getFormSchedule(), weekRange.from, Math.min(weekRange.to, Date.now()));
+    const weeklyAmount = (postAllowance ? 0 : weekAllowance) + weeklyIncome;
     const potentialSavings = weeklyAmount - totalSpent;
 
     // 1. Overall Savings Potential
@@ -169,51 +202,72 @@ export default function BudgetPlannerScreen({ navigation }) {
         insights.push({
           type: 'excellent',
           icon: '🌟',
-          title: 'Excellent Savings Potential!',
-          message: `You can save ₱${potentialSavings.toFixed(2)} weekly (${savingsPercentage.toFixed(0)}% of allowance)`,
-          tip: 'This is great! You\'re building strong money habits early.',
-          action: 'Consider opening a savings account to earn interest!'
+          title: t('budgetPlanner.insights.excellent.title'),
+          message: t('budgetPlanner.insights.excellent.message', {
+            amount: formatMoney(potentialSavings),
+            percent: savingsPercentage.toFixed(0),
+          }),
+          tip: t('budgetPlanner.insights.excellent.tip'),
+          action: t('budgetPlanner.insights.excellent.action')
         });
       } else if (savingsPercentage < 0) {
         insights.push({
           type: 'danger',
           icon: '🚨',
-          title: 'Overspending Alert!',
-          message: `You're spending ₱${Math.abs(potentialSavings).toFixed(2)} more than your allowance!`,
-          tip: 'This is unsustainable and will lead to debt.',
-          action: 'Immediately reduce spending or find ways to earn extra money.'
+          title: t('budgetPlanner.insights.overspending.title'),
+          message: t('budgetPlanner.insights.overspending.message', { amount: formatMoney(Math.abs(potentialSavings)) }),
+          tip: t('budgetPlanner.insights.overspending.tip'),
+          action: t('budgetPlanner.insights.overspending.action')
         });
       }
     }
 
-    // 2. Budget vs Spending Analysis
-    Object.entries(spending).forEach(([category, catSpent]) => {
-      const dailyBudget = parseFloat(budgets[category]) || 0;
-      const weeklyBudget = dailyBudget * 7;
+    // 2. Budget vs Spending Analysis (envelopes are checked by their balance instead)
+    Object.entries(budgetMode === 'envelopes' ? {} : spending).forEach(([category, catSpent]) => {
+      const dailyBudget = parseAmount(budgets[category]) || 0;
+      const weeklyBudget = dailyBudget * 7 + (rollovers[category] || 0);
       if (dailyBudget > 0 && catSpent > weeklyBudget) {
         insights.push({
           type: 'warning',
           icon: '📊',
-          title: `Over Budget: ${getCategoryLabel(category)}`,
-          message: `Spent ₱${catSpent.toFixed(2)} vs weekly budget of ₱${weeklyBudget.toFixed(2)}`,
+          title: t('budgetPlanner.insights.overBudget.title', { category: getCategoryLabel(category) }),
+          message: t('budgetPlanner.insights.overBudget.message', {
+            spent: formatMoney(catSpent),
+            budget: formatMoney(weeklyBudget),
+          }),
           tip: getCategorySavingTip(category),
-          action: 'Try to cut back in this area next week.'
+          action: t('budgetPlanner.insights.overBudget.action')
         });
       }
     });
 
+    if (budgetMode === 'envelopes') {
+      Object.entries(envelopeBalances).forEach(([category, balance]) => {
+        if (balance < 0) {
+          insights.push({
+            type: 'warning',
+            icon: '✉️',
+            title: t('budgetPlanner.insights.emptyEnvelope.title', { category: getCategoryLabel(category) }),
+            message: t('budgetPlanner.insights.emptyEnvelope.message', { amount: formatMoney(Math.abs(balance)) }),
+            tip: getCategorySavingTip(category),
+            action: t('budgetPlanner.insights.emptyEnvelope.action')
+          });
+        }
+      });
+    }
+
     // 3. Goal Progress
-    if (savingsGoal && parseFloat(savingsGoal) > 0) {
-      const goal = parseFloat(savingsGoal);
+    if (savingsGoal && parseAmount(savingsGoal) > 0) {
+      const goal = parseAmount(savingsGoal);
       const progress = (currentSavings / goal) * 100;
       if (progress >= 100) {
         insights.push({
           type: 'excellent',
           icon: '🎉',
-          title: 'Savings Goal Achieved!',
-          message: `You've reached your week's goal of ₱${goal}!`,
-          tip: 'Great discipline! Reward yourself with something small and free.',
-          action: 'Keep it up next week!'
+          title: t('budgetPlanner.insights.goalAchieved.title'),
+          message: t('budgetPlanner.insights.goalAchieved.message', { amount: formatMoney(goal) }),
+          tip: t('budgetPlanner.insights.goalAchieved.tip'),
+          action: t('budgetPlanner.insights.goalAchieved.action')
         });
       }
     }
@@ -227,16 +281,30 @@ export default function BudgetPlannerScreen({ navigation }) {
   const saveBudgets = async () => {
     try {
       setIsSaving(true);
-      const dailyAmount = parseFloat(dailyAllowance) || 0;
+      const schedule = getFormSchedule();
+      const dayOfMonth = parseInt(scheduleFields.dayOfMonth, 10);
+      if (schedule.frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+        Alert.alert(t('common.error'), t('budgetPlanner.errors.dayOfMonth'));
+        setIsSaving(false);
+        return;
+      }
+
+      const dailyAmount = getAverageDailyAllowance(schedule);
       const totalBudgeted = getTotalBudgeted();
+      const totalAllocated = getTotalAllocated();
 
-      if (totalBudgeted > dailyAmount) {
-        Alert.alert('Caution', 'Your daily budget exceeds your allowance. Are you sure?', [
-          { text: 'Cancel', style: 'cancel', onPress: () => setIsSaving(false) },
-          { text: 'Yes, Save', onPress: () => performSave(dailyAmount) }
+      if (budgetMode === 'envelopes' && totalAllocated > schedule.amount) {
+        Alert.alert(t('budgetPlanner.caution.title'), t('budgetPlanner.caution.envelopes'), [
+          { text: t('common.cancel'), style: 'cancel', onPress: () => setIsSaving(false) },
+          { text: t('budgetPlanner.caution.confirm'), onPress: () => performSave(schedule) }
+        ]);
+      } else if (budgetMode === 'limits' && totalBudgeted > dailyAmount) {
+        Alert.alert(t('budgetPlanner.caution.title'), t('budgetPlanner.caution.limits'), [
+          { text: t('common.cancel'), style: 'cancel', onPress: () => setIsSaving(false) },
+          { text: t('budgetPlanner.caution.confirm'), onPress: () => performSave(schedule) }
         ]);
       } else {
-        performSave(dailyAmount);
+        performSave(schedule);
       }
     } catch (error) {
       console.error('Error in saveBudgets:', error);
@@ -244,19 +312,32 @@ export default function BudgetPlannerScreen({ navigation }) {
     }
   };
 
-  const performSave = async (dailyAmount) => {
+  const performSave = async (schedule) => {
     try {
+      const dailyAmount = getAverageDailyAllowance(schedule);
       const data = {
-        categories: budgets,
-        dailyAllowance: dailyAmount.toString(),
-        weeklyAllowance: (dailyAmount * 7).toString(),
-        savingsGoal: savingsGoal || '',
+        categories: parseAmounts(budgets),
+        allowance: schedule,
+        dailyAllowance: dailyAmount,
+        weeklyAllowance: dailyAmount * 7,
+        savingsGoal: parseAmount(savingsGoal) || 0,
+        allowanceMode: postAllowance ? 'posted' : 'assumed',
+        rollover,
+        budgetMode,
+        envelopes: parseAmounts(envelopes),
       };
-      await AsyncStorage.setItem('budgets', JSON.stringify(data));
-      Alert.alert('Success', 'Budget plan saved!');
+      await storeBudgets(data);
+
+      // Start or stop logging the allowance as income entries
+      await syncAllowanceRule(data);
+      await postDueRecurringTransactions();
+
+      // Start or stop filling envelopes from the allowance
+      await syncEnvelopes(data);
+      Alert.alert(t('common.success'), t('budgetPlanner.saved'));
       loadData();
     } catch (error) {
-      Alert.alert('Error', 'Failed to save budget');
+      Alert.alert(t('common.error'), t('budgetPlanner.errors.saveFailed'));
     } finally {
       setIsSaving(false);
     }
@@ -264,56 +345,108 @@ export default function BudgetPlannerScreen({ navigation }) {
 
   // --- HELPER FUNCTIONS ---
 
-  const getCategoryKey = (categoryName) => {
-    const map = {
-      'Transportation': 'transportation',
-      'Food & Snacks': 'food',
-      'School Supplies': 'supplies',
-      'Load/Data': 'load',
-      'Projects': 'projects',
-    };
-    return map[categoryName] || 'other';
+  const getCategorySavingTip = (key) => {
+    const tips = t('budgetPlanner.savingTips');
+    return tips[key] || tips.default;
   };
 
-  const getCategoryLabel = (key) => {
-    const item = budgetCategories.find(c => c.key === key);
-    return item ? item.label : 'Other';
-  };
+  // Stored amounts are numbers; text inputs need strings (0 shows as empty)
+  const toInputValue = (value) => (value ? String(value) : '');
 
-  const getCategorySavingTip = (key) => {
-    const tips = {
-      transportation: 'Walk short distances or carpool with friends.',
-      food: 'Try bringing home-cooked meals (baon) more often.',
-      supplies: 'Buy in bulk or reuse existing materials.',
-      load: 'Use free WiFi at school or limit non-essential data used.',
-      projects: 'Coordinate with members to share material costs.'
-    };
-    return tips[key] || 'Look for cheaper alternatives.';
-  };
+  // The schedule as currently entered in the form
+  const getFormSchedule = () => buildAllowanceSchedule(allowanceAmount, scheduleFields);
 
   const getTotalBudgeted = () => {
-    return Object.values(budgets).reduce((sum, val) => sum + (parseFloat(val) || 0), 0);
+    return Object.values(budgets).reduce((sum, val) => sum + (parseAmount(val) || 0), 0);
   };
 
   const updateBudget = (category, value) => {
     setBudgets({ ...budgets, [category]: value });
   };
 
+  const getTotalAllocated = () => {
+    return Object.values(envelopes).reduce((sum, val) => sum + (parseAmount(val) || 0), 0);
+  };
+
+  const updateEnvelope = (category, value) => {
+    setEnvelopes({ ...envelopes, [category]: value });
+  };
+
+  const openEnvelopeAction = (key, type) => {
+    setEnvelopeAction({ key, type });
+    setActionAmount('');
+    setMoveTarget(null);
+  };
+
+  /**
+   * Adds money to an envelope, or moves it to another one
+   */
+  const handleEnvelopeAction = async () => {
+    const value = parseAmount(actionAmount);
+    if (!value || value <= 0) {
+      Alert.alert(t('common.error'), t('budgetPlanner.errors.invalidAmount'));
+      return;
+    }
+
+    const { key, type } = envelopeAction;
+    if (type === 'move') {
+      if (!moveTarget) {
+        Alert.alert(t('common.error'), t('budgetPlanner.errors.noMoveTarget'));
+        return;
+      }
+      if (value > (envelopeBalances[key] || 0)) {
+        Alert.alert(t('common.error'), t('budgetPlanner.errors.notEnough', { amount: formatMoney(Math.max(0, envelopeBalances[key] || 0)) }));
+        return;
+      }
+    }
+
+    try {
+      if (type === 'move') {
+        await moveBetweenEnvelopes(key, moveTarget, value);
+      } else {
+        await refillEnvelope(key, value);
+      }
+      setEnvelopeAction(null);
+
+      const [parsed, txns, ledger] = await Promise.all([getBudgets(), getTransactions(), getEnvelopeLedger()]);
+      setEnvelopeBalances(getEnvelopeBalances(txns, ledger, parsed));
+    } catch (error) {
+      console.error('Error updating envelope:', error);
+      Alert.alert(t('common.error'), t('budgetPlanner.errors.envelopeFailed'));
+    }
+  };
+
+  // A new mode starts counting from the current week
+  const updateRolloverMode = (category, mode) => {
+    if (getRolloverMode({ rollover }, category) === mode) return;
+    setRollover({ ...rollover, [category]: { mode, since: weekRange.from } });
+  };
+
   const getStatus = (category) => {
-    const dailyBudget = parseFloat(budgets[category]) || 0;
-    const weeklyBudget = dailyBudget * 7;
+    if (budgetMode === 'envelopes') {
+      const allocation = parseAmount(envelopes[category]) || 0;
+      const balance = envelopeBalances[category];
+      if (allocation === 0 || balance === undefined) return null;
+
+      if (balance <= 0) return { color: '#EF4444', text: t('budgetPlanner.status.empty'), icon: '⚠️' };
+      if (balance < allocation * 0.2) return { color: '#F59E0B', text: t('budgetPlanner.status.low'), icon: '⚡' };
+      return { color: '#10B981', text: t('budgetPlanner.status.good'), icon: '✓' };
+    }
+
+    const dailyBudget = parseAmount(budgets[category]) || 0;
+    const weeklyBudget = dailyBudget * 7 + (rollovers[category] || 0);
     const weeklySpent = spending[category] || 0;
 
     if (dailyBudget === 0) return null;
-    const percent = (weeklySpent / weeklyBudget) * 100;
+    const percent = weeklyBudget > 0 ? (weeklySpent / weeklyBudget) * 100 : 100;
 
-    if (percent >= 100) return { color: '#EF4444', text: 'Over Budget!', icon: '⚠️' };
-    if (percent >= 80) return { color: '#F59E0B', text: 'Almost Over', icon: '⚡' };
-    return { color: '#10B981', text: 'Good', icon: '✓' };
+    if (percent >= 100) return { color: '#EF4444', text: t('budgetPlanner.status.over'), icon: '⚠️' };
+    if (percent >= 80) return { color: '#F59E0B', text: t('budgetPlanner.status.almostOver'), icon: '⚡' };
+    return { color: '#10B981', text: t('budgetPlanner.status.good'), icon: '✓' };
   };
 
-  const calculateEmergencyFund = () => (parseFloat(dailyAllowance) || 0) * 30 * 3;
-  const calculateCollegeFund = () => (parseFloat(dailyAllowance) || 0) * 365 * 0.2 * 4;
+  const calculateEmergencyFund = () => getAverageDailyAllowance(getFormSchedule()) * 30 * 3;
+  const calculateCollegeFund = () => getAverageDailyAllowance(getFormSchedule()) * 365 * 0.2 * 4;
 
   return (
     <View style={styles.container}>
@@ -326,99 +459,273 @@ export default function BudgetPlannerScreen({ navigation }) {
         contentContainerStyle={styles.scrollContent}
       >
         <View style={styles.header}>
-          <Text style={styles.headerTitle}>Budget Planner</Text>
-          <Text style={styles.headerSubtitle}>Plan your spending, secure your future</Text>
+          <Text style={styles.headerTitle}>{t('budgetPlanner.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('budgetPlanner.subtitle')}</Text>
         </View>
 
-        {/* Daily Allowance Input */}
+        {/* Allowance Input */}
         <View style={styles.section}>
           <View style={styles.card}>
             <View style={styles.cardHeader}>
               <Text style={styles.cardIcon}>💵</Text>
               <View style={styles.cardHeaderText}>
-                <Text style={styles.cardTitle}>Daily Allowance</Text>
-                <Text style={styles.cardSubtitle}>Total money you get per day</Text>
+                <Text style={styles.cardTitle}>{t('budgetPlanner.allowance.title')}</Text>
+                <Text style={styles.cardSubtitle}>{t('budgetPlanner.allowance.subtitle')}</Text>
               </View>
             </View>
             <View style={styles.inputContainer}>
-              <Text style={styles.currencySymbol}>₱</Text>
+              <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
               <TextInput
                 style={styles.input}
-                value={dailyAllowance}
-                onChangeText={setDailyAllowance}
+                value={allowanceAmount}
+                onChangeText={setAllowanceAmount}
                 placeholder="0"
                 keyboardType="decimal-pad"
               />
             </View>
+            <View style={styles.scheduleContainer}>
+              <AllowanceScheduleInput value={scheduleFields} onChange={setScheduleFields} />
+              {!!allowanceAmount && (
+                <Text style={styles.scheduleHint}>
+                  {t('budgetPlanner.allowance.average', {
+                    schedule: describeAllowance(getFormSchedule()),
+                    amount: formatMoney(getAverageDailyAllowance(getFormSchedule()), { whole: true }),
+                  })}
+                </Text>
+              )}
+            </View>
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.switchTitle}>{t('budgetPlanner.allowance.logAsIncome')}</Text>
+                <Text style={styles.switchSubtitle}>
+                  {postAllowance ? t('budgetPlanner.allowance.posted') : t('budgetPlanner.allowance.assumed')}
+                </Text>
+              </View>
+              <Switch
+                value={postAllowance}
+                onValueChange={setPostAllowance}
+                trackColor={{ true: '#A5B4FC', false: '#E5E7EB' }}
+                thumbColor={postAllowance ? '#4F46E5' : '#F9FAFB'}
+              />
+            </View>
           </View>
         </View>
 
         {/* Savings Goal Progress */}
         <View style={styles.section}>
           <View style={styles.card}>
-            <Text style={styles.cardTitle}>🎯 Savings Target</Text>
+            <Text style={styles.cardTitle}>{t('budgetPlanner.savings.title')}</Text>
             <View style={styles.inputContainer}>
-              <Text style={styles.currencySymbol}>₱</Text>
+              <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
               <TextInput
                 style={styles.input}
                 value={savingsGoal}
                 onChangeText={setSavingsGoal}
-                placeholder="Weekly Goal"
+                placeholder={t('budgetPlanner.savings.placeholder')}
                 keyboardType="decimal-pad"
               />
             </View>
             {!!savingsGoal && (
               <View style={styles.savingsProgressCard}>
-                <Text style={styles.progressText}>{((currentSavings / parseFloat(savingsGoal)) * 100).toFixed(0)}% reached</Text>
-                <View style={styles.progressBar}><View style={[styles.progressBarFill, { width: `${Math.min(100, (currentSavings / parseFloat(savingsGoal)) * 100)}%`, backgroundColor: '#10B981' }]} /></View>
+                <Text style={styles.progressText}>{t('budgetPlanner.savings.reached', { percent: ((currentSavings / parseAmount(savingsGoal)) * 100).toFixed(0) })}</Text>
+                <View style={styles.progressBar}><View style={[styles.progressBarFill, { width: `${Math.min(100, (currentSavings / parseAmount(savingsGoal)) * 100)}%`, backgroundColor: '#10B981' }]} /></View>
               </View>
             )}
+            <TouchableOpacity onPress={() => navigation.navigate('Goals')}>
+              <Text style={styles.goalsLink}>{t('budgetPlanner.savings.goalsLink')}</Text>
+            </TouchableOpacity>
           </View>
         </View>
 
         {/* Category Budgeting */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>📋 Daily Category Limits</Text>
-          {budgetCategories.map((cat) => {
-            const status = getStatus(cat.key);
-            return (
-              <View key={cat.key} style={styles.categoryCard}>
-                <View style={styles.categoryHeader}>
-                  <Text style={styles.categoryIcon}>{cat.icon}</Text>
-                  <View style={styles.categoryInfo}>
-                    <Text style={styles.categoryLabel}>{cat.label}</Text>
-                    <Text style={styles.categoryExample}>{cat.example}</Text>
+          <View style={styles.modeToggle}>
+            {[
+              { value: 'limits', label: t('budgetPlanner.modes.limits') },
+              { value: 'envelopes', label: t('budgetPlanner.modes.envelopes') },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.modeButton, budgetMode === option.value && styles.modeButtonActive]}
+                onPress={() => setBudgetMode(option.value)}
+              >
+                <Text style={[styles.modeText, budgetMode === option.value && styles.modeTextActive]}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {budgetMode === 'limits' ? (
+            <>
+              <Text style={styles.sectionTitle}>{t('budgetPlanner.limits.title')}</Text>
+              {!rolloverActive && (
+                <Text style={styles.rolloverNote}>{t('budgetPlanner.limits.rolloverOff')}</Text>
+              )}
+              {getCategories({ budgetable: true }).map((cat) => {
+                const status = getStatus(cat.key);
+                const mode = getRolloverMode({ rollover }, cat.key);
+                const carried = rollovers[cat.key] || 0;
+                return (
+                  <View key={cat.key} style={styles.categoryCard}>
+                    <View style={styles.categoryHeader}>
+                      <Text style={styles.categoryIcon}>{cat.icon}</Text>
+                      <View style={styles.categoryInfo}>
+                        <Text style={styles.categoryLabel}>{cat.label}</Text>
+                        <Text style={styles.categoryExample}>{cat.description}</Text>
+                      </View>
+                    </View>
+                    <View style={styles.inputWrapper}>
+                      <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
+                      <TextInput
+                        style={styles.budgetField}
+                        value={budgets[cat.key]}
+                        onChangeText={(val) => updateBudget(cat.key, val)}
+                        placeholder="0"
+                        keyboardType="decimal-pad"
+                      />
+                    </View>
+                    {!!parseAmount(budgets[cat.key]) && rolloverActive && (
+                      <View style={styles.rolloverRow}>
+                        {ROLLOVER_MODES.map((option) => (
+                          <TouchableOpacity
+                            key={option.value}
+                            style={[styles.rolloverChip, mode === option.value && styles.rolloverChipActive]}
+                            onPress={() => updateRolloverMode(cat.key, option.value)}
+                          >
+                            <Text style={[styles.rolloverChipText, mode === option.value && styles.rolloverChipTextActive]}>
+                              {t(`rollover.modes.${option.value}.label`)}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                    )}
+                    {carried !== 0 && (
+                      <Text style={[styles.rolloverAmount, { color: carried > 0 ? '#10B981' : '#EF4444' }]}>
+                        {t('budgetPlanner.limits.forThisWeek', {
+                          rollover: describeRollover(carried),
+                          amount: formatMoney((parseAmount(budgets[cat.key]) || 0) * 7 + carried, { whole: true }),
+                        })}
+                      </Text>
+                    )}
+                    {status && (
+                      <View style={[styles.statusBadge, { backgroundColor: status.color }]}>
+                        <Text style={styles.statusText}>{status.icon} {status.text}</Text>
+                      </View>
+                    )}
                   </View>
-                </View>
-                <View style={styles.inputWrapper}>
-                  <Text style={styles.currencySymbol}>₱</Text>
-                  <TextInput
-                    style={styles.budgetField}
-                    value={budgets[cat.key]}
-                    onChangeText={(val) => updateBudget(cat.key, val)}
-                    placeholder="0"
-                    keyboardType="decimal-pad"
-                  />
-                </View>
-                {status && (
-                  <View style={[styles.statusBadge, { backgroundColor: status.color }]}>
-                    <Text style={styles.statusText}>{status.icon} {status.text}</Text>
+                );
+              })}
+            </>
+          ) : (
+            <>
+              <Text style={styles.sectionTitle}>{t('budgetPlanner.envelopes.title')}</Text>
+              <Text style={styles.rolloverNote}>
+                {t('budgetPlanner.envelopes.intro', {
+                  schedule: describeAllowance(getFormSchedule()),
+                  allocated: formatMoney(getTotalAllocated(), { whole: true }),
+                  amount: formatMoney(getFormSchedule().amount, { whole: true }),
+                })}
+              </Text>
+              {getCategories({ budgetable: true }).map((cat) => {
+                const status = getStatus(cat.key);
+                const balance = envelopeBalances[cat.key];
+                const isActive = envelopeAction && envelopeAction.key === cat.key;
+                return (
+                  <View key={cat.key} style={styles.categoryCard}>
+                    <View style={styles.categoryHeader}>
+                      <Text style={styles.categoryIcon}>{cat.icon}</Text>
+                      <View style={styles.categoryInfo}>
+                        <Text style={styles.categoryLabel}>{cat.label}</Text>
+                        <Text style={styles.categoryExample}>{t('budgetPlanner.envelopes.perAllowance')}</Text>
+                      </View>
+                      {balance !== undefined && (
+                        <Text style={[styles.envelopeBalance, { color: balance > 0 ? '#10B981' : '#EF4444' }]}>
+                          {t('budgetPlanner.envelopes.left', { amount: formatMoney(balance, { whole: true }) })}
+                        </Text>
+                      )}
+                    </View>
+                    <View style={styles.inputWrapper}>
+                      <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
+                      <TextInput
+                        style={styles.budgetField}
+                        value={envelopes[cat.key]}
+                        onChangeText={(val) => updateEnvelope(cat.key, val)}
+                        placeholder="0"
+                        keyboardType="decimal-pad"
+                      />
+                    </View>
+                    {balance !== undefined && (
+                      <View style={styles.envelopeActions}>
+                        <TouchableOpacity style={styles.envelopeButton} onPress={() => openEnvelopeAction(cat.key, 'refill')}>
+                          <Text style={styles.envelopeButtonText}>{t('budgetPlanner.envelopes.refill')}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.envelopeButton} onPress={() => openEnvelopeAction(cat.key, 'move')}>
+                          <Text style={styles.envelopeButtonText}>{t('budgetPlanner.envelopes.move')}</Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
+                    {isActive && (
+                      <View style={styles.envelopeBox}>
+                        <Text style={styles.envelopeBoxTitle}>
+                          {envelopeAction.type === 'refill' ? t('budgetPlanner.envelopes.refillTitle') : t('budgetPlanner.envelopes.moveTitle')}
+                        </Text>
+                        {envelopeAction.type === 'move' && (
+                          <View style={styles.rolloverRow}>
+                            {Object.keys(envelopeBalances).filter((key) => key !== cat.key).map((key) => (
+                              <TouchableOpacity
+                                key={key}
+                                style={[styles.rolloverChip, moveTarget === key && styles.rolloverChipActive]}
+                                onPress={() => setMoveTarget(key)}
+                              >
+                                <Text style={[styles.rolloverChipText, moveTarget === key && styles.rolloverChipTextActive]}>
+                                  {getCategoryLabel(key)}
+                                </Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+                        )}
+                        <View style={[styles.inputWrapper, styles.envelopeAmount]}>
+                          <Text style={styles.currencySymbol}>{getCurrencySymbol()}</Text>
+                          <TextInput
+                            style={styles.budgetField}
+                            value={actionAmount}
+                            onChangeText={setActionAmount}
+                            placeholder="0"
+                            keyboardType="decimal-pad"
+                          />
+                        </View>
+                        <View style={styles.envelopeActions}>
+                          <TouchableOpacity style={styles.envelopeButton} onPress={() => setEnvelopeAction(null)}>
+                            <Text style={styles.envelopeButtonText}>{t('common.cancel')}</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity style={[styles.envelopeButton, styles.envelopeButtonPrimary]} onPress={handleEnvelopeAction}>
+                            <Text style={[styles.envelopeButtonText, styles.envelopeButtonTextPrimary]}>
+                              {envelopeAction.type === 'refill' ? t('budgetPlanner.envelopes.add') : t('budgetPlanner.envelopes.confirmMove')}
+                            </Text>
+                          </TouchableOpacity>
+                        </View>
+                      </View>
+                    )}
+                    {status && (
+                      <View style={[styles.statusBadge, { backgroundColor: status.color }]}>
+                        <Text style={styles.statusText}>{status.icon} {status.text}</Text>
+                      </View>
+                    )}
                   </View>
-                )}
-              </View>
-            );
-          })}
+                );
+              })}
+            </>
+          )}
         </View>
 
         {/* Insights */}
         {financialInsights.length > 0 && (
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>💡 Smart Insights</Text>
+            <Text style={styles.sectionTitle}>{t('budgetPlanner.insightsTitle')}</Text>
             {financialInsights.map((insight, idx) => (
               <View key={idx} style={[styles.insightCard, styles[`insight${insight.type.charAt(0).toUpperCase() + insight.type.slice(1)}`]]}>
                 <Text style={styles.insightTitle}>{insight.icon} {insight.title}</Text>
                 <Text style={styles.insightMessage}>{insight.message}</Text>
-                <View style={styles.tipBox}><Text style={styles.tipText}>💡 Tip: {insight.tip}</Text></View>
+                <View style={styles.tipBox}><Text style={styles.tipText}>{t('budgetPlanner.tip', { tip: insight.tip })}</Text></View>
               </View>
             ))}
           </View>
@@ -427,12 +734,17 @@ export default function BudgetPlannerScreen({ navigation }) {
         {/* Education/Learn Toggle */}
         <View style={styles.section}>
           <TouchableOpacity style={styles.educationButton} onPress={() => setShowEducation(!showEducation)}>
-            <Text style={styles.educationButtonText}>{showEducation ? 'Hide' : 'Learn'} Financial Tips</Text>
+            <Text style={styles.educationButtonText}>{showEducation ? t('budgetPlanner.education.hide') : t('budgetPlanner.education.show')}</Text>
           </TouchableOpacity>
           {showEducation && (
             <View style={styles.educationCard}>
-              <Text style={styles.educationTitle}>Why Save?</Text>
-              <Text style={styles.educationText}>Building an emergency fund of ₱{calculateEmergencyFund().toFixed(0)} provides a safety net. Saving 20% can lead to ₱{calculateCollegeFund().toFixed(0)} by graduation!</Text>
+              <Text style={styles.educationTitle}>{t('budgetPlanner.education.title')}</Text>
+              <Text style={styles.educationText}>
+                {t('budgetPlanner.education.text', {
+                  emergency: formatMoney(calculateEmergencyFund(), { whole: true }),
+                  college: formatMoney(calculateCollegeFund(), { whole: true }),
+                })}
+              </Text>
             </View>
           )}
         </View>
@@ -440,8 +752,8 @@ export default function BudgetPlannerScreen({ navigation }) {
         {/* Save Button */}
         <View style={styles.saveButtonContainer}>
           <TouchableOpacity style={styles.saveButton} onPress={saveBudgets}>
-            <Text style={styles.saveButtonText}>Save Budget Plan</Text>
-            <Text style={styles.saveButtonSubtext}>Persistence is key to financial success</Text>
+            <Text style={styles.saveButtonText}>{t('budgetPlanner.save')}</Text>
+            <Text style={styles.saveButtonSubtext}>{t('budgetPlanner.saveHint')}</Text>
           </TouchableOpacity>
         </View>
 
@@ -469,6 +781,12 @@ const styles = StyleSheet.create({
   inputContainer: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, paddingHorizontal: 16, borderWidth: 1, borderColor: '#E5E7EB', marginTop: 8 },
   currencySymbol: { fontSize: 24, fontWeight: 'bold', color: '#4F46E5', marginRight: 8 },
   input: { flex: 1, fontSize: 24, fontWeight: 'bold', color: '#1F2937', paddingVertical: 12 },
+  scheduleContainer: { marginTop: 16 },
+  scheduleHint: { fontSize: 13, color: '#4F46E5', fontWeight: '500' },
+  switchRow: { flexDirection: 'row', alignItems: 'center', marginTop: 16 },
+  switchText: { flex: 1, marginRight: 12 },
+  switchTitle: { fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  switchSubtitle: { fontSize: 12, color: '#9CA3AF' },
   categoryCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
   categoryHeader: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
   categoryIcon: { fontSize: 24, marginRight: 12 },
@@ -477,6 +795,27 @@ const styles = StyleSheet.create({
   categoryExample: { fontSize: 12, color: '#9CA3AF' },
   inputWrapper: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, paddingHorizontal: 12, borderWidth: 1, borderColor: '#E5E7EB' },
   budgetField: { flex: 1, fontSize: 18, fontWeight: 'bold', paddingVertical: 10 },
+  modeToggle: { flexDirection: 'row', backgroundColor: '#fff', borderRadius: 14, padding: 4, marginBottom: 16, elevation: 2 },
+  modeButton: { flex: 1, paddingVertical: 10, borderRadius: 10, alignItems: 'center' },
+  modeButtonActive: { backgroundColor: '#4F46E5' },
+  modeText: { fontWeight: '600', color: '#6B7280' },
+  modeTextActive: { color: '#fff' },
+  envelopeBalance: { fontSize: 16, fontWeight: 'bold' },
+  envelopeActions: { flexDirection: 'row', gap: 8, marginTop: 10 },
+  envelopeButton: { flex: 1, paddingVertical: 8, borderRadius: 10, alignItems: 'center', backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' },
+  envelopeButtonPrimary: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  envelopeButtonText: { fontSize: 13, fontWeight: '600', color: '#4F46E5' },
+  envelopeButtonTextPrimary: { color: '#fff' },
+  envelopeBox: { marginTop: 12, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  envelopeBoxTitle: { fontSize: 13, fontWeight: '600', color: '#4F46E5' },
+  envelopeAmount: { marginTop: 10, backgroundColor: '#fff' },
+  rolloverNote: { fontSize: 12, color: '#9CA3AF', marginBottom: 12 },
+  rolloverRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 10 },
+  rolloverChip: { paddingVertical: 5, paddingHorizontal: 10, borderRadius: 12, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' },
+  rolloverChipActive: { backgroundColor: '#EEF2FF', borderColor: '#4F46E5' },
+  rolloverChipText: { fontSize: 11, fontWeight: '600', color: '#6B7280' },
+  rolloverChipTextActive: { color: '#4F46E5' },
+  rolloverAmount: { fontSize: 12, fontWeight: '600', marginTop: 8 },
   statusBadge: { marginTop: 8, paddingVertical: 4, paddingHorizontal: 8, borderRadius: 6, alignSelf: 'flex-start' },
   statusText: { fontSize: 11, fontWeight: 'bold', color: '#fff' },
   insightCard: { backgroundColor: '#fff', padding: 16, borderRadius: 16, marginBottom: 12, elevation: 3 },
@@ -497,6 +836,7 @@ const styles = StyleSheet.create({
   saveButtonText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
   saveButtonSubtext: { color: '#E0E7FF', fontSize: 11, marginTop: 2 },
   savingsProgressCard: { marginTop: 12 },
+  goalsLink: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginTop: 12 },
   progressText: { fontSize: 12, color: '#6B7280', marginBottom: 4 },
   progressBar: { height: 8, backgroundColor: '#F3F4F6', borderRadius: 4, overflow: 'hidden' },
   progressBarFill: { height: '100%', borderRadius: 4 },
@@ -0,0 +1,441 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import {
+  CATEGORY_ICONS,
+  CATEGORY_COLORS,
+  loadCategories,
+  getCategories,
+  getCustomCategoryList,
+  getCategoryLabel,
+  isCategoryLabelTaken,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  setCategoryArchived,
+  mergeCategory,
+  deleteCategory,
+} from '../utils/categories';
+import { t } from '../i18n';
+
+const EMPTY_FORM = {
+  label: '',
+  description: '',
+  icon: CATEGORY_ICONS[0],
+  color: CATEGORY_COLORS[0],
+  budgetable: true,
+};
+
+/**
+ * CategoriesScreen lets students manage their own spending categories.
+ * Features:
+ * 1. Create categories with an icon and color
+ * 2. Rename, recolor and reorder them
+ * 3. Archive categories that are no longer used
+ * 4. Merge or delete categories (transactions are moved, not lost)
+ */
+export default function CategoriesScreen() {
+  // --- STATE MANAGEMENT ---
+  const [customCategories, setCustomCategories] = useState([]); // User-defined categories in display order
+  const [form, setForm] = useState(EMPTY_FORM); // Create/edit form values
+  const [editingKey, setEditingKey] = useState(null); // Key of the category being edited, null when creating
+  const [mergingKey, setMergingKey] = useState(null); // Key of the category being merged into another
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+
+  /**
+   * Reload categories whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      await loadCategories();
+      setCustomCategories([...getCustomCategoryList()]);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingKey(null);
+  };
+
+  const startEditing = (cat) => {
+    setMergingKey(null);
+    setEditingKey(cat.key);
+    setForm({
+      label: cat.label,
+      description: cat.description || '',
+      icon: cat.icon,
+      color: cat.color,
+      budgetable: cat.budgetable,
+    });
+  };
+
+  /**
+   * Creates a new category or saves changes to the one being edited
+   */
+  const handleSave = async () => {
+    if (!form.label.trim()) {
+      Alert.alert(t('common.error'), t('categoriesScreen.errors.noName'));
+      return;
+    }
+
+    if (isCategoryLabelTaken(form.label, editingKey)) {
+      Alert.alert(t('common.error'), t('categoriesScreen.errors.nameTaken'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      if (editingKey) {
+        await updateCategory(editingKey, {
+          ...form,
+          label: form.label.trim(),
+          description: form.description.trim(),
+        });
+      } else {
+        await createCategory(form);
+      }
+      resetForm();
+      await refresh();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      Alert.alert(t('common.error'), t('categoriesScreen.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMove = async (key, direction) => {
+    try {
+      await moveCategory(key, direction);
+      await refresh();
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+    }
+  };
+
+  const handleArchive = async (cat, archived) => {
+    try {
+      await setCategoryArchived(cat.key, archived);
+      if (editingKey === cat.key) resetForm();
+      await refresh();
+    } catch (error) {
+      console.error('Error archiving category:', error);
+      Alert.alert(t('common.error'), t('categoriesScreen.errors.updateFailed'));
+    }
+  };
+
+  /**
+   * Moves all transactions and the budget of one category into another
+   */
+  const handleMerge = (intoKey) => {
+    const sourceLabel = getCategoryLabel(mergingKey);
+    const targetLabel = getCategoryLabel(intoKey);
+    Alert.alert(
+      t('categoriesScreen.merge.title'),
+      t('categoriesScreen.merge.message', { source: sourceLabel, target: targetLabel }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('categoriesScreen.merge.confirm'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await mergeCategory(mergingKey, intoKey);
+              setMergingKey(null);
+              await refresh();
+            } catch (error) {
+              console.error('Error merging categories:', error);
+              Alert.alert(t('common.error'), t('categoriesScreen.errors.mergeFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDelete = (cat) => {
+    Alert.alert(
+      t('categoriesScreen.delete.title'),
+      t('categoriesScreen.delete.message', { category: cat.label, other: getCategoryLabel('other') }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteCategory(cat.key);
+              if (editingKey === cat.key) resetForm();
+              await refresh();
+            } catch (error) {
+              console.error('Error deleting category:', error);
+              Alert.alert(t('common.error'), t('categoriesScreen.errors.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const activeCategories = customCategories.filter((cat) => !cat.archived);
+  const archivedCategories = customCategories.filter((cat) => cat.archived);
+
+  const renderCategoryRow = (cat, index, list) => (
+    <View key={cat.key} style={styles.categoryCard}>
+      <View style={styles.categoryRow}>
+        <View style={[styles.iconBubble, { backgroundColor: `${cat.color}20` }]}>
+          <Text style={styles.iconEmoji}>{cat.icon}</Text>
+        </View>
+        <View style={styles.categoryInfo}>
+          <Text style={[styles.categoryLabel, { color: cat.color }]}>{cat.label}</Text>
+          {!!cat.description && <Text style={styles.categoryDescription}>{cat.description}</Text>}
+          {!cat.budgetable && <Text style={styles.categoryDescription}>{t('categoriesScreen.notBudgeted')}</Text>}
+        </View>
+        {!cat.archived && (
+          <View style={styles.orderButtons}>
+            <TouchableOpacity onPress={() => handleMove(cat.key, -1)} disabled={index === 0}>
+              <Text style={[styles.orderArrow, index === 0 && styles.orderArrowDisabled]}>▲</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleMove(cat.key, 1)} disabled={index === list.length - 1}>
+              <Text style={[styles.orderArrow, index === list.length - 1 && styles.orderArrowDisabled]}>▼</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.actionsRow}>
+        {cat.archived ? (
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleArchive(cat, false)}>
+            <Text style={styles.actionText}>{t('categoriesScreen.actions.restore')}</Text>
+          </TouchableOpacity>
+        ) : (
+          <>
+            <TouchableOpacity style={styles.actionButton} onPress={() => startEditing(cat)}>
+              <Text style={styles.actionText}>{t('categoriesScreen.actions.edit')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleArchive(cat, true)}>
+              <Text style={styles.actionText}>{t('categoriesScreen.actions.archive')}</Text>
+            </TouchableOpacity>
+          </>
+        )}
+        <TouchableOpacity style={styles.actionButton} onPress={() => { resetForm(); setMergingKey(cat.key); }}>
+          <Text style={styles.actionText}>{t('categoriesScreen.actions.merge')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(cat)}>
+          <Text style={[styles.actionText, styles.actionTextDanger]}>{t('categoriesScreen.actions.delete')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {mergingKey === cat.key && (
+        <View style={styles.mergeBox}>
+          <Text style={styles.mergeTitle}>{t('categoriesScreen.merge.into', { category: cat.label })}</Text>
+          <View style={styles.chipsContainer}>
+            {getCategories({ selectable: true })
+              .filter((target) => target.key !== cat.key)
+              .map((target) => (
+                <TouchableOpacity key={target.key} style={styles.chip} onPress={() => handleMerge(target.key)}>
+                  <Text style={styles.chipText}>{target.icon} {target.label}</Text>
+                </TouchableOpacity>
+              ))}
+          </View>
+          <TouchableOpacity onPress={() => setMergingKey(null)}>
+            <Text style={styles.cancelText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('categoriesScreen.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('categoriesScreen.subtitle')}</Text>
+        </View>
+
+        {/* Create / Edit Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{editingKey ? t('categoriesScreen.form.editTitle') : t('categoriesScreen.form.newTitle')}</Text>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('categoriesScreen.form.namePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.label}
+            onChangeText={(val) => updateForm('label', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('categoriesScreen.form.descriptionPlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.description}
+            onChangeText={(val) => updateForm('description', val)}
+          />
+
+          <Text style={styles.fieldLabel}>{t('categoriesScreen.form.icon')}</Text>
+          <View style={styles.pickerGrid}>
+            {CATEGORY_ICONS.map((icon) => (
+              <TouchableOpacity
+                key={icon}
+                style={[styles.iconOption, form.icon === icon && { borderColor: form.color, backgroundColor: `${form.color}20` }]}
+                onPress={() => updateForm('icon', icon)}
+              >
+                <Text style={styles.iconEmoji}>{icon}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>{t('categoriesScreen.form.color')}</Text>
+          <View style={styles.pickerGrid}>
+            {CATEGORY_COLORS.map((color) => (
+              <TouchableOpacity
+                key={color}
+                style={[styles.colorOption, { backgroundColor: color }, form.color === color && styles.colorOptionActive]}
+                onPress={() => updateForm('color', color)}
+              />
+            ))}
+          </View>
+
+          <View style={styles.switchRow}>
+            <View style={styles.switchText}>
+              <Text style={styles.switchTitle}>{t('categoriesScreen.form.budgetable')}</Text>
+              <Text style={styles.switchSubtitle}>{t('categoriesScreen.form.budgetableHint')}</Text>
+            </View>
+            <Switch
+              value={form.budgetable}
+              onValueChange={(val) => updateForm('budgetable', val)}
+              trackColor={{ true: '#A5B4FC', false: '#E5E7EB' }}
+              thumbColor={form.budgetable ? '#4F46E5' : '#F9FAFB'}
+            />
+          </View>
+
+          {/* Live preview */}
+          <View style={[styles.preview, { backgroundColor: form.color, borderColor: form.color }]}>
+            <Text style={styles.previewIcon}>{form.icon}</Text>
+            <Text style={styles.previewText} numberOfLines={1}>{form.label.trim() || t('categoriesScreen.form.preview')}</Text>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{editingKey ? t('categoriesScreen.form.saveChanges') : t('categoriesScreen.form.add')}</Text>
+          </TouchableOpacity>
+          {!!editingKey && (
+            <TouchableOpacity onPress={resetForm}>
+              <Text style={styles.cancelText}>{t('categoriesScreen.form.cancelEditing')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Active Categories */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('categoriesScreen.yours')}</Text>
+          {activeCategories.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('categoriesScreen.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('categoriesScreen.emptyHint')}</Text>
+            </View>
+          ) : (
+            activeCategories.map((cat, index) => renderCategoryRow(cat, index, activeCategories))
+          )}
+        </View>
+
+        {/* Archived Categories */}
+        {archivedCategories.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('categoriesScreen.archived')}</Text>
+            {archivedCategories.map((cat, index) => renderCategoryRow(cat, index, archivedCategories))}
+          </View>
+        )}
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  pickerGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  iconOption: { width: 44, height: 44, borderRadius: 12, borderWidth: 2, borderColor: '#E5E7EB', justifyContent: 'center', alignItems: 'center' },
+  colorOption: { width: 32, height: 32, borderRadius: 16 },
+  colorOptionActive: { borderWidth: 3, borderColor: '#1F2937' },
+  switchRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 16 },
+  switchText: { flex: 1 },
+  switchTitle: { fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  switchSubtitle: { fontSize: 12, color: '#9CA3AF' },
+  preview: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 12, borderRadius: 16, borderWidth: 2, marginBottom: 16 },
+  previewIcon: { fontSize: 20, marginRight: 8 },
+  previewText: { fontSize: 14, fontWeight: '600', color: '#fff' },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  cancelText: { color: '#6B7280', textAlign: 'center', marginTop: 12, fontWeight: '600' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  categoryCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  categoryRow: { flexDirection: 'row', alignItems: 'center' },
+  iconBubble: { width: 44, height: 44, borderRadius: 22, justifyContent: 'center', alignItems: 'center', marginRight: 12 },
+  iconEmoji: { fontSize: 22 },
+  categoryInfo: { flex: 1 },
+  categoryLabel: { fontSize: 16, fontWeight: '600' },
+  categoryDescription: { fontSize: 12, color: '#9CA3AF' },
+  orderButtons: { alignItems: 'center' },
+  orderArrow: { fontSize: 16, color: '#4F46E5', paddingHorizontal: 8, paddingVertical: 2 },
+  orderArrowDisabled: { color: '#D1D5DB' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextDanger: { color: '#DC2626' },
+  mergeBox: { marginTop: 12, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  mergeTitle: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 8 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  chip: { backgroundColor: '#fff', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 12, borderWidth: 1, borderColor: '#C7D2FE' },
+  chipText: { fontSize: 12, color: '#1F2937' },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
@@ -0,0 +1,457 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  Switch,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getDebts, getTransactions } from '../storage/repository';
+import {
+  DEBT_DIRECTIONS,
+  getDebtStatus,
+  createDebt,
+  recordRepayment,
+  deleteDebt,
+} from '../utils/debts';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Quick choices for the due date, in days from today (null = no due date; labels under debts.dueOptions)
+const DUE_OPTIONS = [
+  { key: 'none', days: null },
+  { key: 'tomorrow', days: 1 },
+  { key: 'oneWeek', days: 7 },
+  { key: 'twoWeeks', days: 14 },
+];
+
+const EMPTY_FORM = {
+  direction: 'lent',
+  person: '',
+  amount: '',
+  note: '',
+  dueDate: null,
+  logTransaction: true,
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * DebtsScreen keeps track of utang between classmates.
+ * Features:
+ * 1. Record who owes whom, how much and by when
+ * 2. Full or partial repayments, logged as linked transactions
+ * 3. Totals owed both ways, with overdue IOUs highlighted
+ */
+export default function DebtsScreen() {
+  // --- STATE MANAGEMENT ---
+  const [debts, setDebts] = useState([]); // Saved IOUs
+  const [transactions, setTransactions] = useState([]); // All transactions, for repayment totals
+  const [form, setForm] = useState(EMPTY_FORM); // New IOU form values
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+  const [payingId, setPayingId] = useState(null); // Debt whose repayment box is open
+  const [paymentAmount, setPaymentAmount] = useState(''); // Amount typed into the repayment box
+  const [showSettled, setShowSettled] = useState(false); // Whether paid-off IOUs are listed
+
+  /**
+   * Reload IOUs whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      const [savedDebts, txns] = await Promise.all([getDebts(), getTransactions()]);
+      setDebts(savedDebts);
+      setTransactions(txns);
+    } catch (error) {
+      console.error('Error loading debts:', error);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const handleCreate = async () => {
+    if (!form.person.trim()) {
+      Alert.alert(t('common.error'), t('debts.errors.noPerson'));
+      return;
+    }
+
+    const amount = parseAmount(form.amount);
+    if (!form.amount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('debts.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await createDebt({ ...form, amount });
+      setForm(EMPTY_FORM);
+      await refresh();
+    } catch (error) {
+      console.error('Error saving debt:', error);
+      Alert.alert(t('common.error'), t('debts.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openPayment = (debt, remaining) => {
+    setPayingId(debt.id);
+    setPaymentAmount(String(remaining));
+  };
+
+  /**
+   * Logs the repayment typed into an open IOU
+   */
+  const handleRepayment = async (debt, remaining) => {
+    const amount = parseAmount(paymentAmount);
+    if (!paymentAmount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('debts.errors.invalidAmount'));
+      return;
+    }
+
+    if (amount > remaining) {
+      Alert.alert(t('common.error'), t('debts.errors.overpaid', { amount: formatMoney(remaining) }));
+      return;
+    }
+
+    try {
+      await recordRepayment(debt, amount);
+      setPayingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Error recording repayment:', error);
+      Alert.alert(t('common.error'), t('debts.errors.transactionFailed'));
+    }
+  };
+
+  const handleDelete = (debt) => {
+    Alert.alert(
+      t('debts.delete.title'),
+      t('debts.delete.message', { person: debt.person }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setDebts(await deleteDebt(debt.id));
+            } catch (error) {
+              console.error('Error deleting debt:', error);
+              Alert.alert(t('common.error'), t('debts.errors.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const withStatus = debts.map((debt) => ({ debt, status: getDebtStatus(debt, transactions) }));
+  const open = withStatus.filter(({ status }) => !status.isSettled);
+  const settled = withStatus.filter(({ status }) => status.isSettled);
+  const owedToMe = open.filter(({ debt }) => debt.direction === 'lent').reduce((sum, { status }) => sum + status.remaining, 0);
+  const iOwe = open.filter(({ debt }) => debt.direction === 'borrowed').reduce((sum, { status }) => sum + status.remaining, 0);
+
+  const renderDebt = ({ debt, status }) => {
+    const isLent = debt.direction === 'lent';
+    const isPaying = payingId === debt.id;
+
+    return (
+      <View key={debt.id} style={[styles.debtCard, status.isOverdue && styles.debtCardOverdue, status.isSettled && styles.debtCardSettled]}>
+        <View style={styles.debtRow}>
+          <Text style={styles.debtIcon}>{isLent ? '💸' : '🤲'}</Text>
+          <View style={styles.debtInfo}>
+            <Text style={styles.debtTitle}>{isLent ? t('debts.owesYou', { person: debt.person }) : t('debts.youOwe', { person: debt.person })}</Text>
+            {!!debt.note && <Text style={styles.debtNote}>{debt.note}</Text>}
+            <Text style={[styles.debtDue, status.isOverdue && styles.debtDueOverdue]}>
+              {status.isSettled
+                ? t('debts.status.settled')
+                : status.isOverdue
+                  ? t('debts.status.overdue', { count: status.daysOverdue })
+                  : debt.dueDate
+                    ? t('debts.status.due', { date: formatDate(debt.dueDate) })
+                    : t('debts.dueOptions.none')}
+            </Text>
+          </View>
+          <View style={styles.debtAmounts}>
+            <Text style={[styles.debtAmount, isLent ? styles.incomeText : styles.expenseText]}>{formatMoney(status.remaining)}</Text>
+            {status.paid > 0 && (
+              <Text style={styles.debtPaid}>
+                {t('debts.paid', { paid: formatMoney(status.paid, { whole: true }), amount: formatMoney(debt.amount, { whole: true }) })}
+              </Text>
+            )}
+          </View>
+        </View>
+
+        <View style={styles.actionsRow}>
+          {!status.isSettled && (
+            <TouchableOpacity style={styles.actionButton} onPress={() => openPayment(debt, status.remaining)}>
+              <Text style={styles.actionText}>{isLent ? t('debts.actions.gotPaid') : t('debts.actions.payBack')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(debt)}>
+            <Text style={[styles.actionText, styles.actionTextDanger]}>{t('debts.actions.delete')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {isPaying && (
+          <View style={styles.paymentBox}>
+            <Text style={styles.paymentTitle}>
+              {isLent ? t('debts.payment.lentTitle', { person: debt.person }) : t('debts.payment.borrowedTitle', { person: debt.person })}
+            </Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder={t('debts.form.amountPlaceholder', { symbol: getCurrencySymbol() })}
+              placeholderTextColor="#9CA3AF"
+              keyboardType="decimal-pad"
+              value={paymentAmount}
+              onChangeText={setPaymentAmount}
+            />
+            <View style={styles.actionsRow}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setPayingId(null)}>
+                <Text style={styles.actionText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.actionButton, styles.actionButtonPrimary]} onPress={() => handleRepayment(debt, status.remaining)}>
+                <Text style={[styles.actionText, styles.actionTextPrimary]}>{t('debts.payment.save')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('debts.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('debts.subtitle')}</Text>
+        </View>
+
+        {/* Totals */}
+        <View style={styles.totalsRow}>
+          <View style={styles.totalCard}>
+            <Text style={styles.totalLabel}>{t('debts.totals.owedToYou')}</Text>
+            <Text style={[styles.totalValue, styles.incomeText]}>{formatMoney(owedToMe)}</Text>
+          </View>
+          <View style={styles.totalCard}>
+            <Text style={styles.totalLabel}>{t('debts.totals.youOwe')}</Text>
+            <Text style={[styles.totalValue, styles.expenseText]}>{formatMoney(iOwe)}</Text>
+          </View>
+        </View>
+
+        {/* Open IOUs */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('debts.open')}</Text>
+          {open.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('debts.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('debts.emptyHint')}</Text>
+            </View>
+          ) : (
+            open.map(renderDebt)
+          )}
+          {settled.length > 0 && (
+            <TouchableOpacity onPress={() => setShowSettled(!showSettled)}>
+              <Text style={styles.linkText}>
+                {showSettled ? t('debts.hideSettled') : t('debts.showSettled', { count: settled.length })}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {showSettled && settled.map(renderDebt)}
+        </View>
+
+        {/* New IOU Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('debts.form.title')}</Text>
+
+          <View style={styles.typeToggle}>
+            {DEBT_DIRECTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.typeButton, form.direction === option.value && styles.typeButtonActive]}
+                onPress={() => updateForm('direction', option.value)}
+              >
+                <Text style={[styles.typeButtonText, form.direction === option.value && styles.typeButtonTextActive]}>
+                  {t(`debts.directions.${option.value}.label`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={form.direction === 'lent' ? t('debts.form.lentPerson') : t('debts.form.borrowedPerson')}
+            placeholderTextColor="#9CA3AF"
+            value={form.person}
+            onChangeText={(val) => updateForm('person', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('debts.form.amountPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={form.amount}
+            onChangeText={(val) => updateForm('amount', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('debts.form.notePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.note}
+            onChangeText={(val) => updateForm('note', val)}
+          />
+
+          <Text style={styles.fieldLabel}>{t('debts.form.dueDate')}</Text>
+          <View style={styles.chipsContainer}>
+            {DUE_OPTIONS.map((option) => {
+              const isActive = option.days === null
+                ? form.dueDate === null
+                : !!form.dueDate && new Date(form.dueDate).toDateString() === new Date(Date.now() + option.days * DAY).toDateString();
+              return (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[styles.chip, isActive && styles.chipActive]}
+                  onPress={() => updateForm('dueDate', option.days === null ? null : Date.now() + option.days * DAY)}
+                >
+                  <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{t(`debts.dueOptions.${option.key}`)}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {!!form.dueDate && (
+            <View style={styles.stepperRow}>
+              <TouchableOpacity
+                style={styles.stepButton}
+                onPress={() => updateForm('dueDate', Math.max(Date.now(), form.dueDate - DAY))}
+              >
+                <Text style={styles.stepText}>‹</Text>
+              </TouchableOpacity>
+              <Text style={styles.stepValue}>📅 {formatDate(form.dueDate)}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => updateForm('dueDate', form.dueDate + DAY)}>
+                <Text style={styles.stepText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          <View style={styles.switchRow}>
+            <View style={styles.switchInfo}>
+              <Text style={styles.switchLabel}>{t('debts.form.logToday')}</Text>
+              <Text style={styles.hintText}>
+                {form.direction === 'lent' ? t('debts.form.logLentHint') : t('debts.form.logBorrowedHint')}
+              </Text>
+            </View>
+            <Switch
+              value={form.logTransaction}
+              onValueChange={(val) => updateForm('logTransaction', val)}
+              trackColor={{ true: '#A5B4FC', false: '#E5E7EB' }}
+              thumbColor={form.logTransaction ? '#4F46E5' : '#F9FAFB'}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleCreate}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('debts.form.add')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  totalsRow: { flexDirection: 'row', gap: 12, marginHorizontal: 20, marginBottom: 24 },
+  totalCard: { flex: 1, backgroundColor: '#fff', padding: 16, borderRadius: 16, alignItems: 'center', elevation: 2 },
+  totalLabel: { fontSize: 12, color: '#6B7280', marginBottom: 4 },
+  totalValue: { fontSize: 20, fontWeight: 'bold' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  typeToggle: { flexDirection: 'row', backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4, marginBottom: 12 },
+  typeButton: { flex: 1, paddingVertical: 10, alignItems: 'center', borderRadius: 8 },
+  typeButtonActive: { backgroundColor: '#4F46E5' },
+  typeButtonText: { fontWeight: '600', color: '#6B7280' },
+  typeButtonTextActive: { color: '#fff' },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  hintText: { fontSize: 12, color: '#9CA3AF' },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  stepperRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, borderWidth: 2, borderColor: '#E5E7EB', marginBottom: 12, padding: 4 },
+  stepButton: { paddingVertical: 8, paddingHorizontal: 16 },
+  stepText: { fontSize: 20, fontWeight: 'bold', color: '#4F46E5' },
+  stepValue: { flex: 1, textAlign: 'center', fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  switchRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 16 },
+  switchInfo: { flex: 1, marginRight: 12 },
+  switchLabel: { fontSize: 14, fontWeight: '600', color: '#1F2937', marginBottom: 2 },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  linkText: { fontSize: 13, fontWeight: '600', color: '#4F46E5', textAlign: 'center', marginVertical: 8 },
+  debtCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  debtCardOverdue: { borderColor: '#FCA5A5', backgroundColor: '#FEF2F2' },
+  debtCardSettled: { opacity: 0.6 },
+  debtRow: { flexDirection: 'row', alignItems: 'center' },
+  debtIcon: { fontSize: 24, marginRight: 12 },
+  debtInfo: { flex: 1 },
+  debtTitle: { fontSize: 16, fontWeight: '600', color: '#1F2937' },
+  debtNote: { fontSize: 12, color: '#6B7280' },
+  debtDue: { fontSize: 12, color: '#4F46E5', marginTop: 2 },
+  debtDueOverdue: { color: '#DC2626', fontWeight: '600' },
+  debtAmounts: { alignItems: 'flex-end', marginLeft: 8 },
+  debtAmount: { fontSize: 16, fontWeight: 'bold' },
+  debtPaid: { fontSize: 11, color: '#9CA3AF' },
+  incomeText: { color: '#10B981' },
+  expenseText: { color: '#EF4444' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionButtonPrimary: { backgroundColor: '#4F46E5' },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextPrimary: { color: '#fff' },
+  actionTextDanger: { color: '#DC2626' },
+  paymentBox: { marginTop: 12, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  paymentTitle: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 8 },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
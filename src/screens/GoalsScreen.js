@@ -0,0 +1,407 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getGoals, getTransactions } from '../storage/repository';
+import {
+  GOAL_ICONS,
+  getSavedByGoal,
+  getGoalProgress,
+  createGoal,
+  deleteGoal,
+  contributeToGoal,
+  withdrawFromGoal,
+} from '../utils/goals';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+// Quick choices for the target date, in months from today (labels under goals.deadlines)
+const DEADLINE_OPTIONS = [
+  { key: 'oneMonth', months: 1 },
+  { key: 'threeMonths', months: 3 },
+  { key: 'sixMonths', months: 6 },
+  { key: 'oneYear', months: 12 },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const monthsFromNow = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + months);
+  return date.getTime();
+};
+
+const EMPTY_FORM = {
+  name: '',
+  icon: GOAL_ICONS[0],
+  target: '',
+  targetDate: monthsFromNow(3),
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * GoalsScreen tracks what the student is saving up for.
+ * Features:
+ * 1. Several named goals, each with a target amount, target date and icon
+ * 2. Contributions and withdrawals logged as Savings entries
+ * 3. Progress bars and how much to save per day to finish on time
+ */
+export default function GoalsScreen() {
+  // --- STATE MANAGEMENT ---
+  const [goals, setGoals] = useState([]); // Saved goals
+  const [savedByGoal, setSavedByGoal] = useState({}); // Net amount saved per goal id
+  const [form, setForm] = useState(EMPTY_FORM); // New goal form values
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+  const [goalAction, setGoalAction] = useState(null); // { id, type: 'add' | 'withdraw' } while entering an amount
+  const [actionAmount, setActionAmount] = useState(''); // Amount typed for the open goal action
+
+  /**
+   * Reload goals and their progress whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      const [savedGoals, txns] = await Promise.all([getGoals(), getTransactions()]);
+      setGoals(savedGoals);
+      setSavedByGoal(getSavedByGoal(txns));
+    } catch (error) {
+      console.error('Error loading savings goals:', error);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  /**
+   * Moves the target date by whole days, never before tomorrow
+   */
+  const shiftDeadline = (days) => {
+    updateForm('targetDate', Math.max(Date.now() + DAY, form.targetDate + days * DAY));
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      Alert.alert(t('common.error'), t('goals.errors.noName'));
+      return;
+    }
+
+    const target = parseAmount(form.target);
+    if (!form.target || isNaN(target) || target <= 0) {
+      Alert.alert(t('common.error'), t('goals.errors.invalidTarget'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setGoals(await createGoal({ ...form, target }));
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      console.error('Error saving goal:', error);
+      Alert.alert(t('common.error'), t('goals.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openGoalAction = (id, type) => {
+    setGoalAction({ id, type });
+    setActionAmount('');
+  };
+
+  /**
+   * Logs the contribution or withdrawal typed into an open goal
+   */
+  const handleGoalAction = async (goal) => {
+    const amount = parseAmount(actionAmount);
+    if (!actionAmount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('goals.errors.invalidAmount'));
+      return;
+    }
+
+    const saved = savedByGoal[goal.id] || 0;
+    if (goalAction.type === 'withdraw' && amount > saved) {
+      Alert.alert(t('common.error'), t('goals.errors.notEnough', { amount: formatMoney(saved) }));
+      return;
+    }
+
+    try {
+      if (goalAction.type === 'add') {
+        await contributeToGoal(goal, amount);
+      } else {
+        await withdrawFromGoal(goal, amount);
+      }
+      setGoalAction(null);
+      await refresh();
+    } catch (error) {
+      console.error('Error updating goal savings:', error);
+      Alert.alert(t('common.error'), t('goals.errors.transactionFailed'));
+    }
+  };
+
+  const handleDelete = (goal) => {
+    Alert.alert(
+      t('goals.delete.title'),
+      t('goals.delete.message', { goal: goal.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setGoals(await deleteGoal(goal.id));
+            } catch (error) {
+              console.error('Error deleting goal:', error);
+              Alert.alert(t('common.error'), t('goals.errors.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderGoal = (goal) => {
+    const progress = getGoalProgress(goal, savedByGoal[goal.id] || 0);
+    const isActive = goalAction && goalAction.id === goal.id;
+    const barColor = progress.isComplete ? '#10B981' : progress.isOverdue ? '#EF4444' : '#4F46E5';
+
+    return (
+      <View key={goal.id} style={styles.goalCard}>
+        <View style={styles.goalRow}>
+          <Text style={styles.goalIcon}>{goal.icon}</Text>
+          <View style={styles.goalInfo}>
+            <Text style={styles.goalName}>{goal.name}</Text>
+            <Text style={styles.goalDate}>{t('goals.targetDate', { date: formatDate(goal.targetDate) })}</Text>
+          </View>
+          <Text style={styles.goalAmount}>{formatMoney(progress.saved, { whole: true })} / {formatMoney(goal.target, { whole: true })}</Text>
+        </View>
+
+        <View style={styles.progressBar}>
+          <View style={[styles.progressBarFill, { width: `${Math.max(0, progress.percent)}%`, backgroundColor: barColor }]} />
+        </View>
+        <Text style={[styles.goalStatus, { color: barColor }]}>
+          {progress.isComplete
+            ? t('goals.status.reached')
+            : progress.isOverdue
+              ? t('goals.status.overdue', { amount: formatMoney(progress.remaining, { whole: true }) })
+              : t('goals.status.onTrack', {
+                percent: progress.percent.toFixed(0),
+                amount: formatMoney(progress.perDay),
+                count: progress.daysLeft,
+              })}
+        </Text>
+
+        <View style={styles.actionsRow}>
+          <TouchableOpacity style={styles.actionButton} onPress={() => openGoalAction(goal.id, 'add')}>
+            <Text style={styles.actionText}>{t('goals.actions.add')}</Text>
+          </TouchableOpacity>
+          {progress.saved > 0 && (
+            <TouchableOpacity style={styles.actionButton} onPress={() => openGoalAction(goal.id, 'withdraw')}>
+              <Text style={styles.actionText}>{t('goals.actions.withdraw')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(goal)}>
+            <Text style={[styles.actionText, styles.actionTextDanger]}>{t('goals.actions.delete')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {isActive && (
+          <View style={styles.actionBox}>
+            <Text style={styles.actionBoxTitle}>
+              {goalAction.type === 'add' ? t('goals.action.addTitle') : t('goals.action.withdrawTitle')}
+            </Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder={t('goals.action.amountPlaceholder', { symbol: getCurrencySymbol() })}
+              placeholderTextColor="#9CA3AF"
+              keyboardType="decimal-pad"
+              value={actionAmount}
+              onChangeText={setActionAmount}
+              autoFocus
+            />
+            <View style={styles.actionsRow}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setGoalAction(null)}>
+                <Text style={styles.actionText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.actionButton, styles.actionButtonPrimary]} onPress={() => handleGoalAction(goal)}>
+                <Text style={[styles.actionText, styles.actionTextPrimary]}>
+                  {goalAction.type === 'add' ? t('common.save') : t('goals.action.withdraw')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('goals.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('goals.subtitle')}</Text>
+        </View>
+
+        {/* Saved Goals */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('goals.yours')}</Text>
+          {goals.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('goals.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('goals.emptyHint')}</Text>
+            </View>
+          ) : (
+            goals.map(renderGoal)
+          )}
+        </View>
+
+        {/* New Goal Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('goals.form.title')}</Text>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('goals.form.namePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.name}
+            onChangeText={(val) => updateForm('name', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('goals.form.targetPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={form.target}
+            onChangeText={(val) => updateForm('target', val)}
+          />
+
+          <Text style={styles.fieldLabel}>{t('goals.form.icon')}</Text>
+          <View style={styles.chipsContainer}>
+            {GOAL_ICONS.map((icon) => (
+              <TouchableOpacity
+                key={icon}
+                style={[styles.iconChip, form.icon === icon && styles.chipActive]}
+                onPress={() => updateForm('icon', icon)}
+              >
+                <Text style={styles.iconChipText}>{icon}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>{t('goals.form.targetDate')}</Text>
+          <View style={styles.chipsContainer}>
+            {DEADLINE_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.key}
+                style={styles.chip}
+                onPress={() => updateForm('targetDate', monthsFromNow(option.months))}
+              >
+                <Text style={styles.chipText}>{t(`goals.deadlines.${option.key}`)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.stepperRow}>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(-7)}>
+              <Text style={styles.stepText}>-1w</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(-1)}>
+              <Text style={styles.stepText}>-1d</Text>
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>📅 {formatDate(form.targetDate)}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(1)}>
+              <Text style={styles.stepText}>+1d</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(7)}>
+              <Text style={styles.stepText}>+1w</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleCreate}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('goals.form.add')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  iconChip: { width: 44, height: 44, borderRadius: 12, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB', justifyContent: 'center', alignItems: 'center' },
+  iconChipText: { fontSize: 22 },
+  stepperRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, borderWidth: 2, borderColor: '#E5E7EB', marginBottom: 16, padding: 4 },
+  stepButton: { paddingVertical: 8, paddingHorizontal: 8 },
+  stepText: { fontSize: 12, fontWeight: 'bold', color: '#4F46E5' },
+  stepValue: { flex: 1, textAlign: 'center', fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  goalCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  goalRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
+  goalIcon: { fontSize: 28, marginRight: 12 },
+  goalInfo: { flex: 1 },
+  goalName: { fontSize: 16, fontWeight: '600', color: '#1F2937' },
+  goalDate: { fontSize: 12, color: '#6B7280' },
+  goalAmount: { fontSize: 14, fontWeight: 'bold', color: '#1F2937', marginLeft: 8 },
+  progressBar: { height: 10, backgroundColor: '#F3F4F6', borderRadius: 5, overflow: 'hidden', marginBottom: 8 },
+  progressBarFill: { height: '100%', borderRadius: 5 },
+  goalStatus: { fontSize: 12, fontWeight: '600' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionButtonPrimary: { backgroundColor: '#4F46E5' },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextPrimary: { color: '#fff' },
+  actionTextDanger: { color: '#DC2626' },
+  actionBox: { marginTop: 12, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  actionBoxTitle: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 8 },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
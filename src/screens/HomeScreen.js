@@ -10,35 +10,67 @@ import {
   Animated,
   Dimensions,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import GlobalBackground from '../components/GlobalBackground';
+import QuickAddRow from '../components/QuickAddRow';
 import { useFocusEffect } from '@react-navigation/native';
+import {
+  getTransactions,
+  getBudgets,
+  getTemplates,
+  getSettings,
+  getSavingsLedger,
+  getTransfers,
+  filterTransactions,
+  deleteTransaction,
+  clearAllData,
+} from '../storage/repository';
+import { loadCategories, getCategoryLabel, getCategoryIcon } from '../utils/categories';
+import { postDueRecurringTransactions } from '../utils/recurring';
+import { getSuggestedTemplates, createTemplate, deleteTemplate, addFromTemplate } from '../utils/templates';
+import { summarizeRange } from '../utils/ledger';
+import { getWeekRange, getDayRange } from '../utils/periods';
+import { getRollovers, describeRollover } from '../utils/rollover';
+import { fillDueEnvelopes } from '../utils/envelopes';
+import { closeDuePeriods, getTotalSavings } from '../utils/savings';
+import { loadWallets, getActiveWallets, getWalletBalances } from '../utils/wallets';
+import { formatMoney, formatCompact } from '../utils/currency';
+import { t, getLocale } from '../i18n';
 
 const { width } = Dimensions.get('window');
 
 /**
  * HomeScreen is the main dashboard of the application.
  * It displays:
- * 1. Current balance (Allowance - Expenses)
+ * 1. Current balance (Allowance + Income - Expenses)
  * 2. Weekly spending and savings statistics
  * 3. Savings goal progress
  * 4. Recent transactions list
  * 5. Quick actions for navigation
+ * 6. Reminder to review entries posted by recurring rules
+ * 7. One-tap quick add from saved and suggested templates
+ * 8. Shortcut to savings goals
+ * 9. Total savings to date, carried over from every past week
+ * 10. Balance of each wallet (cash, GCash, Maya...), with a shortcut to count your cash
  */
 export default function HomeScreen({ navigation }) {
   // --- STATE MANAGEMENT ---
   const [balance, setBalance] = useState(0); // Total remaining money
   const [spentToday, setSpentToday] = useState(0); // Expenses for the current day
-  const [spentThisWeek, setSpentThisWeek] = useState(0); // Expenses for the last 7 days
+  const [spentThisWeek, setSpentThisWeek] = useState(0); // Expenses for the current week
+  const [incomeThisWeek, setIncomeThisWeek] = useState(0); // Allowance plus logged income for the current week
+  const [weekLabel, setWeekLabel] = useState(t('periods.thisWeek')); // "This Week" or "Last 7 Days", from Settings
   const [transactions, setTransactions] = useState([]); // List of all expense logs
   const [isMenuVisible, setIsMenuVisible] = useState(false); // Sidebar menu toggle
   const [dailyAllowance, setDailyAllowance] = useState(0); // User's daily income
   const [weeklyAllowance, setWeeklyAllowance] = useState(0); // User's weekly income
   const [savingsGoal, setSavingsGoal] = useState(0); // Savings target amount
   const [currentSavings, setCurrentSavings] = useState(0); // Calculated savings for the week
+  const [totalSavings, setTotalSavings] = useState(0); // Saved since the first entry, closed weeks included
+  const [walletBalances, setWalletBalances] = useState([]); // Active wallets, each with its current balance
   const [budgetWarnings, setBudgetWarnings] = useState([]); // List of categories over or near budget
-  const [greeting, setGreeting] = useState('Welcome!'); // Time-based greeting message
+  const [greeting, setGreeting] = useState(t('home.greeting.welcome')); // Time-based greeting message
+  const [templates, setTemplates] = useState([]); // Saved quick-add templates
 
   // --- ANIMATION VALUES ---
   const fadeAnim = useState(new Animated.Value(0))[0]; // Animation for screen entrance
@@ -53,6 +85,11 @@ export default function HomeScreen({ navigation }) {
     new Animated.Value(0),
     new Animated.Value(0),
     new Animated.Value(0),
+    new Animated.Value(0),
+    new Animated.Value(0),
+    new Animated.Value(0),
+    new Animated.Value(0),
+    new Animated.Value(0),
   ]).current;
 
   /**
@@ -78,11 +115,11 @@ export default function HomeScreen({ navigation }) {
   const updateGreeting = () => {
     const hour = new Date().getHours();
     if (hour < 12) {
-      setGreeting('Good Morning!');
+      setGreeting(t('home.greeting.morning'));
     } else if (hour < 18) {
-      setGreeting('Good Afternoon!');
+      setGreeting(t('home.greeting.afternoon'));
     } else {
-      setGreeting('Good Evening!');
+      setGreeting(t('home.greeting.evening'));
     }
   };
 
@@ -157,23 +194,36 @@ export default function HomeScreen({ navigation }) {
    */
   const loadData = async () => {
     try {
+      // Post any recurring entries and envelope fills that came due while the screen was away,
+      // then close the savings snapshots of weeks that ended
+      await postDueRecurringTransactions();
+      await fillDueEnvelopes();
+      await closeDuePeriods();
+
       // Fetch stored data
-      const [storedTransactions, storedBudgets] = await Promise.all([
-        AsyncStorage.getItem('transactions'),
-        AsyncStorage.getItem('budgets'),
+      const [txns, budgets, savedTemplates, settings, savingsLedger, wallets, transfers] = await Promise.all([
+        getTransactions(),
+        getBudgets(),
+        getTemplates(),
+        getSettings(),
+        getSavingsLedger(),
+        loadWallets(),
+        getTransfers(),
+        loadCategories(),
       ]);
 
-      const txns = storedTransactions ? JSON.parse(storedTransactions) : [];
-      const budgets = storedBudgets ? JSON.parse(storedBudgets) : null;
-
       setTransactions(txns);
+      setTemplates(savedTemplates);
+      setTotalSavings(getTotalSavings(savingsLedger, txns, budgets));
+      const balances = getWalletBalances(wallets, txns, transfers, budgets);
+      setWalletBalances(getActiveWallets(wallets).map((wallet) => ({ wallet, balance: balances[wallet.id] })));
       if (budgets) {
         setDailyAllowance(parseFloat(budgets.dailyAllowance) || 0);
         setWeeklyAllowance(parseFloat(budgets.weeklyAllowance) || 0);
         setSavingsGoal(parseFloat(budgets.savingsGoal) || 0);
       }
 
-      calculateFinancials(txns, budgets);
+      calculateFinancials(txns, budgets, settings);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
     }
@@ -183,42 +233,32 @@ export default function HomeScreen({ navigation }) {
    * Main logic for calculating balances, spending, and warnings
    * @param {Array} txns - List of all transactions
    * @param {Object} budgets - Budget settings object
+   * @param {Object} settings - App settings (decides what "this week" means)
    */
-  const calculateFinancials = async (txns, budgets) => {
+  const calculateFinancials = async (txns, budgets, settings) => {
     try {
-      let weeklyAllowanceVal = 0;
-      let dailyAllowanceVal = 0;
       let goal = 0;
 
       if (budgets) {
-        weeklyAllowanceVal = parseFloat(budgets.weeklyAllowance) || 0;
-        dailyAllowanceVal = parseFloat(budgets.dailyAllowance) || 0;
         goal = parseFloat(budgets.savingsGoal) || 0;
       }
 
-      // Calculate weekly spending (last 7 days)
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-
-      const weeklySpent = txns
-        .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
-        .reduce((sum, t) => sum + t.amount, 0);
-      setSpentThisWeek(weeklySpent);
+      // Calculate weekly totals (calendar week or last 7 days, see Settings)
+      const weekRange = getWeekRange(settings);
+      const week = summarizeRange(txns, budgets, weekRange);
+      setSpentThisWeek(week.spent);
+      setIncomeThisWeek(week.totalIncome);
+      setWeekLabel(weekRange.label);
 
       // Calculate daily spending (today)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const dailySpent = txns
-        .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= today)
-        .reduce((sum, t) => sum + t.amount, 0);
+      const dailySpent = summarizeRange(txns, budgets, getDayRange()).spent;
       setSpentToday(dailySpent);
 
-      // Current balance calculation
-      const currentBalance = weeklyAllowanceVal - weeklySpent;
-      setBalance(currentBalance);
+      // Current balance calculation (money in minus money out)
+      setBalance(week.balance);
 
       // Savings calculation (excess budget)
-      const savingsAmount = Math.max(0, weeklyAllowanceVal - weeklySpent);
+      const savingsAmount = Math.max(0, week.balance);
       setCurrentSavings(savingsAmount);
 
       // Check budget warnings for categories
@@ -226,25 +266,26 @@ export default function HomeScreen({ navigation }) {
       if (budgets && budgets.categories) {
         const budgetCategories = budgets.categories;
         const weeklySpendingByCategory = {};
+        const rollovers = getRollovers(txns, budgets, settings);
 
-        txns
-          .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
+        filterTransactions(txns, { type: 'expense', from: weekRange.from, to: weekRange.to })
           .forEach((t) => {
-            const categoryKey = getCategoryKey(t.category);
-            weeklySpendingByCategory[categoryKey] = (weeklySpendingByCategory[categoryKey] || 0) + t.amount;
+            weeklySpendingByCategory[t.category] = (weeklySpendingByCategory[t.category] || 0) + t.amount;
           });
 
         Object.entries(budgetCategories).forEach(([key, budget]) => {
           const catSpent = weeklySpendingByCategory[key] || 0;
           const catDailyBudget = parseFloat(budget) || 0;
-          const catWeeklyBudget = catDailyBudget * 7;
+          const carried = rollovers[key] || 0;
+          const catWeeklyBudget = catDailyBudget * 7 + carried;
 
           if (catDailyBudget > 0 && catSpent >= catWeeklyBudget * 0.8) {
-            const percentage = (catSpent / catWeeklyBudget * 100).toFixed(0);
+            const percentage = catWeeklyBudget > 0 ? (catSpent / catWeeklyBudget * 100).toFixed(0) : '100';
             warnings.push({
               category: getCategoryLabel(key),
               percentage,
               isOver: catSpent >= catWeeklyBudget,
+              rollover: carried !== 0 ? describeRollover(carried) : null,
             });
           }
         });
@@ -266,86 +307,25 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
-  /**
-   * Maps a user-friendly category name to its internal key.
-   * @param {string} category - The user-friendly category name.
-   * @returns {string} The internal key for the category.
-   */
-  const getCategoryKey = (category) => {
-    const mapping = {
-      'Transportation': 'transportation',
-      'Food & Snacks': 'food',
-      'School Supplies': 'supplies',
-      'Load/Data': 'load',
-      'Projects': 'projects',
-      'Savings': 'savings',
-      'Entertainment': 'entertainment',
-    };
-    return mapping[category] || 'other';
-  };
-
-  /**
-   * Maps an internal category key to its user-friendly label.
-   * @param {string} key - The internal category key.
-   * @returns {string} The user-friendly label for the category.
-   */
-  const getCategoryLabel = (key) => {
-    const mapping = {
-      'transportation': 'Transportation',
-      'food': 'Food & Snacks',
-      'supplies': 'School Supplies',
-      'load': 'Load/Data',
-      'projects': 'Projects',
-      'savings': 'Savings',
-      'entertainment': 'Entertainment',
-    };
-    return mapping[key] || 'Other';
-  };
-
-  /**
-   * Returns an emoji icon for a given category.
-   * @param {string} category - The category name.
-   * @returns {string} An emoji representing the category.
-   */
-  const getCategoryIcon = (category) => {
-    const icons = {
-      'Food & Snacks': '🍔',
-      'Transportation': '🚌',
-      'School Supplies': '📚',
-      'Projects': '📝',
-      'Load/Data': '📱',
-      'Entertainment': '🎮',
-      'Savings': '💰',
-      'Other': '📦',
-    };
-    return icons[category] || '📦';
-  };
-
   /**
    * Deletes a transaction from local storage and updates the state.
    */
   const handleDeleteTransaction = async (id) => {
     Alert.alert(
-      'Delete Transaction',
-      'Are you sure you want to delete this transaction?',
+      t('home.deleteTransaction.title'),
+      t('home.deleteTransaction.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             try {
-              const currentTxns = await AsyncStorage.getItem('transactions');
-              const txns = currentTxns ? JSON.parse(currentTxns) : [];
-              const updated = txns.filter((txn) => txn.id !== id);
-              await AsyncStorage.setItem('transactions', JSON.stringify(updated));
-
-              setTransactions(updated);
-              const storedBudgets = await AsyncStorage.getItem('budgets');
-              calculateFinancials(updated, storedBudgets ? JSON.parse(storedBudgets) : null);
+              await deleteTransaction(id);
+              await loadData();
             } catch (error) {
               console.error('Error deleting transaction:', error);
-              Alert.alert('Error', 'Failed to delete transaction');
+              Alert.alert(t('common.error'), t('home.errors.deleteFailed'));
             }
           },
         },
@@ -370,6 +350,7 @@ export default function HomeScreen({ navigation }) {
     >
       <TouchableOpacity
         style={styles.transactionCard}
+        onPress={() => navigation.navigate('AddTransaction', { transactionId: item.id })}
         onLongPress={() => handleDeleteTransaction(item.id)}
         activeOpacity={0.7}
       >
@@ -381,9 +362,11 @@ export default function HomeScreen({ navigation }) {
           </View>
           <View style={styles.transactionInfo}>
             <Text style={styles.transactionTitle} numberOfLines={1}>
-              {item.category === 'Other' ? item.title : item.category}
+              {item.category === 'other' ? item.title : getCategoryLabel(item.category)}
+            </Text>
+            <Text style={styles.transactionDate}>
+              {item.recurringRuleId ? '🔁 ' : ''}{new Date(item.timestamp).toLocaleDateString(getLocale())}
             </Text>
-            <Text style={styles.transactionDate}>{item.date}</Text>
           </View>
         </View>
         <View style={styles.transactionRight}>
@@ -393,13 +376,54 @@ export default function HomeScreen({ navigation }) {
               { color: item.type === 'income' ? '#10B981' : '#EF4444' },
             ]}
           >
-            {item.type === 'income' ? '+' : '-'}₱{item.amount.toFixed(2)}
+            {formatMoney(item.type === 'income' ? item.amount : -item.amount, { sign: true })}
           </Text>
         </View>
       </TouchableOpacity>
     </Animated.View>
   );
 
+  /**
+   * Logs a transaction straight from a quick-add chip
+   */
+  const handleQuickAdd = async (template) => {
+    try {
+      await addFromTemplate(template);
+      await loadData();
+    } catch (error) {
+      console.error('Error adding from template:', error);
+      Alert.alert(t('common.error'), t('home.errors.quickAddFailed'));
+    }
+  };
+
+  const handleSaveTemplate = async (template) => {
+    try {
+      setTemplates(await createTemplate(template));
+    } catch (error) {
+      console.error('Error saving template:', error);
+      Alert.alert(t('common.error'), t('quickAdd.saveFailed'));
+    }
+  };
+
+  const handleRemoveTemplate = (template) => {
+    Alert.alert(t('quickAdd.removeTitle'), t('quickAdd.removeMessage', { title: template.title }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('quickAdd.remove'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setTemplates(await deleteTemplate(template.id));
+          } catch (error) {
+            console.error('Error removing template:', error);
+          }
+        },
+      },
+    ]);
+  };
+
+  const needsReviewCount = transactions.filter((t) => t.needsReview).length;
+
   return (
     <View style={styles.container}>
       <StatusBar style="light" />
@@ -431,11 +455,20 @@ export default function HomeScreen({ navigation }) {
         </TouchableOpacity>
 
         <View style={styles.headerContent}>
-          <Text style={styles.headerTitle}>My Budget</Text>
-          <Text style={styles.headerSubtitle}>SHS Student Edition</Text>
+          <Text style={styles.headerTitle}>{t('home.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('home.subtitle')}</Text>
         </View>
       </View>
 
+      {/* Quick Add Favorites */}
+      <QuickAddRow
+        templates={templates}
+        suggestions={getSuggestedTemplates(transactions, templates)}
+        onUse={handleQuickAdd}
+        onSave={handleSaveTemplate}
+        onRemove={handleRemoveTemplate}
+      />
+
       {/* Sidebar Menu Component */}
       {isMenuVisible && (
         <View style={styles.menuOverlay}>
@@ -444,7 +477,7 @@ export default function HomeScreen({ navigation }) {
           </Animated.View>
           <Animated.View style={[styles.menuContent, { transform: [{ translateX: menuAnim }] }]}>
             <View style={styles.menuHeader}>
-              <Text style={styles.menuTitle}>Menu</Text>
+              <Text style={styles.menuTitle}>{t('home.menu.title')}</Text>
               <TouchableOpacity onPress={closeMenu}>
                 <Text style={styles.menuClose}>✕</Text>
               </TouchableOpacity>
@@ -452,11 +485,16 @@ export default function HomeScreen({ navigation }) {
 
             <ScrollView style={styles.menuItems}>
               {[
-                { name: 'Add Transaction', icon: '➕', target: 'AddTransaction' },
-                { name: 'Budget Planner', icon: '📋', target: 'BudgetPlanner' },
-                { name: 'Statistics', icon: '📊', target: 'Statistics' },
-                { name: 'Alerts & Tips', icon: '🔔', target: 'Notifications' },
-                { name: 'Settings', icon: '⚙️', target: 'Settings' },
+                { name: t('home.menu.addTransaction'), icon: '➕', target: 'AddTransaction' },
+                { name: t('home.menu.budgetPlanner'), icon: '📋', target: 'BudgetPlanner' },
+                { name: t('home.menu.statistics'), icon: '📊', target: 'Statistics' },
+                { name: t('home.menu.goals'), icon: '🎯', target: 'Goals' },
+                { name: t('home.menu.debts'), icon: '🤝', target: 'Debts' },
+                { name: t('home.menu.splits'), icon: '👥', target: 'Splits' },
+                { name: t('home.menu.wallets'), icon: '👛', target: 'Wallets' },
+                { name: t('home.menu.recurring'), icon: '🔁', target: 'Recurring' },
+                { name: t('home.menu.notifications'), icon: '🔔', target: 'Notifications' },
+                { name: t('home.menu.settings'), icon: '⚙️', target: 'Settings' },
               ].map((item, index) => (
                 <Animated.View key={index} style={[styles.menuItem, { opacity: menuItemAnimations[index], transform: [{ translateX: menuItemAnimations[index].interpolate({ inputRange: [0, 1], outputRange: [-50, 0] }) }] }]}>
                   <TouchableOpacity style={styles.menuItemTouchable} onPress={() => { closeMenu(); navigation.navigate(item.target); }}>
@@ -473,16 +511,17 @@ export default function HomeScreen({ navigation }) {
 
               <View style={styles.menuDivider} />
 
-              <Animated.View style={[styles.menuItem, styles.menuItemDanger, { opacity: menuItemAnimations[5], transform: [{ translateX: menuItemAnimations[5].interpolate({ inputRange: [0, 1], outputRange: [-50, 0] }) }] }]}>
+              <Animated.View style={[styles.menuItem, styles.menuItemDanger, { opacity: menuItemAnimations[10], transform: [{ translateX: menuItemAnimations[10].interpolate({ inputRange: [0, 1], outputRange: [-50, 0] }) }] }]}>
                 <TouchableOpacity style={styles.menuItemTouchable} onPress={() => {
                   closeMenu();
-                  Alert.alert('Clear All Data', 'This will delete all your data. Are you sure?', [
-                    { text: 'Cancel', style: 'cancel' },
-                    { text: 'Clear All', style: 'destructive', onPress: async () => { await AsyncStorage.clear(); Alert.alert('Success', 'All data cleared!'); loadData(); } }
+                  Alert.alert(t('home.clearAll.title'), t('home.clearAll.message'), [
+                    { text: t('common.cancel'), style: 'cancel' },
+                    { text: t('backup.backUpFirst'), onPress: () => navigation.navigate('Backup') },
+                    { text: t('home.clearAll.confirm'), style: 'destructive', onPress: async () => { await clearAllData(); Alert.alert(t('common.success'), t('home.clearAll.done')); loadData(); } }
                   ]);
                 }}>
                   <Text style={styles.menuIcon}>🗑️</Text>
-                  <Text style={[styles.menuText, styles.menuTextDanger]}>Clear All Data</Text>
+                  <Text style={[styles.menuText, styles.menuTextDanger]}>{t('home.clearAll.title')}</Text>
                 </TouchableOpacity>
               </Animated.View>
             </ScrollView>
@@ -508,8 +547,11 @@ export default function HomeScreen({ navigation }) {
               >
                 <Text style={styles.warningIcon}>{warning.isOver ? '⚠️' : '⚡'}</Text>
                 <View style={styles.warningContent}>
-                  <Text style={styles.warningTitle}>{warning.isOver ? 'Over Budget!' : 'Budget Alert'}</Text>
-                  <Text style={styles.warningText}>{warning.category}: {warning.percentage}% used</Text>
+                  <Text style={styles.warningTitle}>{warning.isOver ? t('home.warnings.over') : t('home.warnings.near')}</Text>
+                  <Text style={styles.warningText}>
+                    {t('home.warnings.used', { category: warning.category, percent: warning.percentage })}
+                    {warning.rollover ? ` (${warning.rollover})` : ''}
+                  </Text>
                 </View>
                 <Text style={styles.warningArrow}>→</Text>
               </TouchableOpacity>
@@ -521,9 +563,9 @@ export default function HomeScreen({ navigation }) {
         <Animated.View style={[styles.balanceCard, { transform: [{ scale: balanceAnim.interpolate({ inputRange: [0, 0.5, 1], outputRange: [1, 1.05, 1] }) }] }]}>
           <View style={styles.balanceHeader}>
             <View>
-              <Text style={styles.balanceLabel}>Available Balance</Text>
+              <Text style={styles.balanceLabel}>{t('home.availableBalance', { period: weekLabel })}</Text>
               <Text style={[styles.balanceAmount, { color: balance >= 0 ? '#10B981' : '#EF4444' }]}>
-                ₱{Math.abs(balance).toFixed(2)}
+                {formatMoney(Math.abs(balance))}
               </Text>
             </View>
             <View style={styles.balanceIconContainer}>
@@ -534,28 +576,60 @@ export default function HomeScreen({ navigation }) {
           <View style={styles.statsRow}>
             <TouchableOpacity style={styles.statCard} onPress={() => navigation.navigate('Statistics')}>
               <Text style={styles.statIcon}>💸</Text>
-              <Text style={styles.statLabel}>Spent Today</Text>
-              <Text style={styles.statValue}>₱{spentToday.toFixed(0)}</Text>
+              <Text style={styles.statLabel}>{t('home.stats.spentToday')}</Text>
+              <Text style={styles.statValue}>{formatCompact(spentToday)}</Text>
             </TouchableOpacity>
             <TouchableOpacity style={styles.statCard} onPress={() => navigation.navigate('Statistics')}>
               <Text style={styles.statIcon}>📈</Text>
-              <Text style={styles.statLabel}>Spent Week</Text>
-              <Text style={styles.statValue}>₱{spentThisWeek.toFixed(0)}</Text>
+              <Text style={styles.statLabel}>{t('home.stats.spentWeek')}</Text>
+              <Text style={styles.statValue}>{formatCompact(spentThisWeek)}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.statCard} onPress={() => navigation.navigate('Statistics')}>
+              <Text style={styles.statIcon}>💵</Text>
+              <Text style={styles.statLabel}>{t('home.stats.incomeWeek')}</Text>
+              <Text style={styles.statValue}>{formatCompact(incomeThisWeek)}</Text>
             </TouchableOpacity>
           </View>
 
+          {/* Total Savings To Date */}
+          <TouchableOpacity style={styles.totalSavingsRow} onPress={() => navigation.navigate('Statistics')}>
+            <Text style={styles.totalSavingsLabel}>{t('home.totalSaved')}</Text>
+            <Text style={[styles.totalSavingsAmount, { color: totalSavings >= 0 ? '#10B981' : '#EF4444' }]}>
+              {formatMoney(totalSavings)}
+            </Text>
+          </TouchableOpacity>
+
+          {/* Balance per Wallet */}
+          {walletBalances.length > 0 && (
+            <TouchableOpacity style={styles.walletsRow} onPress={() => navigation.navigate('Wallets')}>
+              {walletBalances.map(({ wallet, balance }) => (
+                <View key={wallet.id} style={styles.walletPill}>
+                  <Text style={styles.walletPillName} numberOfLines={1}>{wallet.icon} {wallet.name}</Text>
+                  <Text style={[styles.walletPillAmount, balance < 0 && { color: '#EF4444' }]}>
+                    {formatMoney(balance, { whole: true })}
+                  </Text>
+                </View>
+              ))}
+            </TouchableOpacity>
+          )}
+          {walletBalances.length > 0 && (
+            <TouchableOpacity onPress={() => navigation.navigate('Reconcile')}>
+              <Text style={styles.countCashText}>{t('home.countCash')}</Text>
+            </TouchableOpacity>
+          )}
+
           {/* Savings Progress Mini-Widget */}
           {!!(savingsGoal > 0) && (
             <View style={styles.savingsGoalContainer}>
               <View style={styles.savingsGoalHeader}>
-                <Text style={styles.savingsGoalLabel}>Weekly Savings Goal</Text>
-                <Text style={styles.savingsGoalAmount}>₱{savingsGoal.toFixed(0)}</Text>
+                <Text style={styles.savingsGoalLabel}>{t('home.weeklySavingsGoal')}</Text>
+                <Text style={styles.savingsGoalAmount}>{formatMoney(savingsGoal, { whole: true })}</Text>
               </View>
               <View style={styles.progressBarContainer}>
                 <View style={styles.progressBar}>
                   <View style={[styles.progressBarFill, { width: `${Math.min(100, (currentSavings / savingsGoal) * 100)}%`, backgroundColor: currentSavings >= savingsGoal ? '#10B981' : '#E0E7FF' }]} />
                 </View>
-                <Text style={styles.progressText}>{((currentSavings / savingsGoal) * 100).toFixed(0)}% Complete</Text>
+                <Text style={styles.progressText}>{t('home.percentComplete', { percent: ((currentSavings / savingsGoal) * 100).toFixed(0) })}</Text>
               </View>
             </View>
           )}
@@ -565,30 +639,43 @@ export default function HomeScreen({ navigation }) {
         <View style={styles.quickActionsContainer}>
           <TouchableOpacity style={styles.quickActionButton} onPress={() => navigation.navigate('AddTransaction')}>
             <View style={[styles.quickActionIcon, { backgroundColor: '#EEF2FF' }]}><Text style={styles.quickActionEmoji}>➕</Text></View>
-            <Text style={styles.quickActionText}>Add Entry</Text>
+            <Text style={styles.quickActionText}>{t('home.actions.add')}</Text>
           </TouchableOpacity>
           <TouchableOpacity style={styles.quickActionButton} onPress={() => navigation.navigate('BudgetPlanner')}>
             <View style={[styles.quickActionIcon, { backgroundColor: '#ECFDF5' }]}><Text style={styles.quickActionEmoji}>📋</Text></View>
-            <Text style={styles.quickActionText}>Planner</Text>
+            <Text style={styles.quickActionText}>{t('home.actions.planner')}</Text>
           </TouchableOpacity>
           <TouchableOpacity style={styles.quickActionButton} onPress={() => navigation.navigate('Statistics')}>
             <View style={[styles.quickActionIcon, { backgroundColor: '#F5F3FF' }]}><Text style={styles.quickActionEmoji}>📊</Text></View>
-            <Text style={styles.quickActionText}>History</Text>
+            <Text style={styles.quickActionText}>{t('home.actions.history')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.quickActionButton} onPress={() => navigation.navigate('Goals')}>
+            <View style={[styles.quickActionIcon, { backgroundColor: '#FFFBEB' }]}><Text style={styles.quickActionEmoji}>🎯</Text></View>
+            <Text style={styles.quickActionText}>{t('home.actions.goals')}</Text>
           </TouchableOpacity>
         </View>
 
+        {/* Auto-posted entries waiting for review */}
+        {needsReviewCount > 0 && (
+          <TouchableOpacity style={styles.reviewBanner} onPress={() => navigation.navigate('Recurring')}>
+            <Text style={styles.reviewBannerText}>
+              {t('home.needsReview', { count: needsReviewCount })}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {/* Recent Transactions List */}
         <View style={styles.transactionsContainer}>
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>Recent Transactions</Text>
-            <TouchableOpacity onPress={() => navigation.navigate('Statistics')}><Text style={styles.seeAllText}>See All →</Text></TouchableOpacity>
+            <Text style={styles.sectionTitle}>{t('home.recent.title')}</Text>
+            <TouchableOpacity onPress={() => navigation.navigate('Statistics')}><Text style={styles.seeAllText}>{t('home.recent.seeAll')}</Text></TouchableOpacity>
           </View>
 
           {transactions.length === 0 ? (
             <View style={styles.emptyState}>
               <View style={styles.emptyIconContainer}><Text style={styles.emptyIcon}>🎓</Text></View>
-              <Text style={styles.emptyText}>No transactions yet</Text>
-              <Text style={styles.emptySubtext}>Log your first expense to start tracking!</Text>
+              <Text style={styles.emptyText}>{t('home.recent.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('home.recent.emptyHint')}</Text>
             </View>
           ) : (
             transactions.slice(0, 5).map((txn, index) => (
@@ -651,6 +738,14 @@ const styles = StyleSheet.create({
   statIcon: { fontSize: 24, marginBottom: 4 },
   statLabel: { fontSize: 11, color: '#6B7280', marginBottom: 4 },
   statValue: { fontSize: 16, fontWeight: 'bold', color: '#1F2937' },
+  totalSavingsRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginTop: 16, padding: 14, backgroundColor: '#ECFDF5', borderRadius: 16 },
+  totalSavingsLabel: { fontSize: 13, fontWeight: '600', color: '#065F46' },
+  totalSavingsAmount: { fontSize: 18, fontWeight: 'bold' },
+  walletsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  walletPill: { flexGrow: 1, minWidth: '45%', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 8, paddingHorizontal: 12, backgroundColor: '#F9FAFB', borderRadius: 12 },
+  walletPillName: { flex: 1, fontSize: 12, fontWeight: '600', color: '#6B7280', marginRight: 4 },
+  walletPillAmount: { fontSize: 13, fontWeight: 'bold', color: '#1F2937' },
+  countCashText: { fontSize: 13, fontWeight: '600', color: '#4F46E5', textAlign: 'center', marginTop: 12 },
   savingsGoalContainer: { marginTop: 20, paddingTop: 20, borderTopWidth: 1, borderTopColor: '#F3F4F6' },
   savingsGoalHeader: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 8 },
   savingsGoalLabel: { fontSize: 13, color: '#6B7280' },
@@ -664,6 +759,8 @@ const styles = StyleSheet.create({
   quickActionIcon: { width: 64, height: 64, borderRadius: 20, justifyContent: 'center', alignItems: 'center', marginBottom: 8 },
   quickActionEmoji: { fontSize: 28 },
   quickActionText: { fontSize: 12, fontWeight: '600', color: '#6B7280' },
+  reviewBanner: { backgroundColor: '#FFFBEB', marginHorizontal: 20, marginBottom: 20, padding: 14, borderRadius: 16, borderWidth: 1, borderColor: '#FDE68A' },
+  reviewBannerText: { fontSize: 13, fontWeight: '600', color: '#92400E' },
   transactionsContainer: { paddingHorizontal: 20 },
   sectionHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 },
   sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937' },
@@ -0,0 +1,454 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getTransactions } from '../storage/repository';
+import { pickTextFile } from '../storage/files';
+import { isLocked, unlockText } from '../storage/encryption';
+import { loadCategories, getCategories, FALLBACK_CATEGORY_KEY } from '../utils/categories';
+import {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  NUMBER_FORMATS,
+  parseCSV,
+  guessColumnMapping,
+  guessDateFormat,
+  guessNumberFormat,
+  getFileCategories,
+  buildImportPlan,
+  commitImport,
+} from '../utils/imports';
+import { formatMoney } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+// Rows shown in the preview before importing
+const PREVIEW_ROWS = 5;
+
+const formatDay = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * ImportScreen brings in transactions from a CSV file.
+ * Features:
+ * 1. Open a CSV file, including passphrase-locked exports
+ * 2. Pick which column holds the date, amount, description, category and type,
+ *    and how its dates and numbers are written
+ * 3. Match the file's categories to ours, with anything unknown going to "Other"
+ * 4. Skip rows that are already stored
+ * 5. Dry run: see what will be added before anything is saved
+ */
+export default function ImportScreen({ navigation }) {
+  // --- STATE MANAGEMENT ---
+  const [lockedFile, setLockedFile] = useState(null); // { name, contents } of a picked file that needs its passphrase
+  const [unlockPassphrase, setUnlockPassphrase] = useState(''); // Passphrase typed in to open lockedFile
+  const [file, setFile] = useState(null); // { name, header, rows } of the picked file
+  const [mapping, setMapping] = useState({}); // Column index per field
+  const [dateFormat, setDateFormat] = useState('ymd'); // Day/month order of the date column
+  const [numberFormat, setNumberFormat] = useState('dot'); // Decimal separator of the amount column
+  const [categoryChoices, setCategoryChoices] = useState({}); // Our category key per category in the file
+  const [existing, setExisting] = useState([]); // Stored transactions, for finding duplicates
+  const [isImporting, setIsImporting] = useState(false); // UI state while reading or writing
+
+  /**
+   * Reload stored transactions whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      await loadCategories();
+      setExisting(await getTransactions());
+    } catch (error) {
+      console.error('Error loading transactions for import:', error);
+    }
+  };
+
+  const matchFileCategories = (rows, column) => {
+    const choices = {};
+    getFileCategories(rows, column).forEach(({ name, key }) => {
+      choices[name] = key || FALLBACK_CATEGORY_KEY;
+    });
+    setCategoryChoices(choices);
+  };
+
+  const openCSV = (name, contents) => {
+    const [header, ...rows] = parseCSV(contents);
+    if (!header || rows.length === 0) {
+      Alert.alert(t('common.error'), t('importScreen.errors.empty'));
+      return;
+    }
+
+    const guessed = guessColumnMapping(header);
+    setFile({ name, header, rows });
+    setMapping(guessed);
+    if (guessed.date !== null) setDateFormat(guessDateFormat(rows.map((row) => row[guessed.date])));
+    if (guessed.amount !== null) setNumberFormat(guessNumberFormat(rows.map((row) => row[guessed.amount])));
+    matchFileCategories(rows, guessed.category);
+  };
+
+  const handlePickFile = async () => {
+    try {
+      setIsImporting(true);
+      const picked = await pickTextFile('csv');
+      if (!picked) return;
+
+      setFile(null);
+      setUnlockPassphrase('');
+      if (isLocked(picked.contents)) {
+        setLockedFile(picked);
+        return;
+      }
+      setLockedFile(null);
+      openCSV(picked.name, picked.contents);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      Alert.alert(t('common.error'), t('importScreen.errors.readFailed'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    try {
+      setIsImporting(true);
+      const result = await unlockText(lockedFile.contents, unlockPassphrase);
+      if (result.error) {
+        Alert.alert(t('common.error'), t(`locked.errors.${result.error}`));
+        return;
+      }
+      setLockedFile(null);
+      setUnlockPassphrase('');
+      openCSV(lockedFile.name, result.text);
+    } catch (error) {
+      console.error('Error unlocking import file:', error);
+      Alert.alert(t('common.error'), t('importScreen.errors.readFailed'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleMapColumn = (field, column) => {
+    setMapping((current) => ({ ...current, [field]: column }));
+    if (field === 'date' && column !== null) setDateFormat(guessDateFormat(file.rows.map((row) => row[column])));
+    if (field === 'amount' && column !== null) setNumberFormat(guessNumberFormat(file.rows.map((row) => row[column])));
+    if (field === 'category') matchFileCategories(file.rows, column);
+  };
+
+  const isMapped = file && IMPORT_FIELDS.every(({ value, required }) => !required || mapping[value] !== null);
+  const plan = isMapped ? buildImportPlan({ rows: file.rows, mapping, dateFormat, numberFormat, categoryChoices, existing }) : null;
+  const fileCategories = file ? getFileCategories(file.rows, mapping.category) : [];
+
+  const handleImport = async () => {
+    try {
+      setIsImporting(true);
+      await commitImport(plan);
+      Alert.alert(
+        t('importScreen.done.title'),
+        t('importScreen.done.message', { count: plan.summary.new }),
+        [{ text: t('common.ok'), onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error('Error importing transactions:', error);
+      Alert.alert(t('common.error'), t('importScreen.errors.importFailed'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const columnLabel = (index) => file.header[index] || t('importScreen.columns.numbered', { number: index + 1 });
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('importScreen.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('importScreen.subtitle')}</Text>
+        </View>
+
+        {/* File */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('importScreen.file.title')}</Text>
+          <Text style={styles.hint}>
+            {file ? t('importScreen.file.picked', { name: file.name, count: file.rows.length }) : t('importScreen.file.hint')}
+          </Text>
+          <TouchableOpacity
+            style={[file || lockedFile ? styles.secondaryButton : styles.saveButton, isImporting && styles.saveButtonDisabled]}
+            onPress={handlePickFile}
+            disabled={isImporting}
+          >
+            <Text style={file || lockedFile ? styles.secondaryButtonText : styles.saveButtonText}>
+              {file || lockedFile ? t('importScreen.file.change') : t('importScreen.file.pick')}
+            </Text>
+          </TouchableOpacity>
+
+          {lockedFile && (
+            <View style={styles.unlockBox}>
+              <Text style={styles.hint}>{t('locked.unlockHint', { name: lockedFile.name })}</Text>
+              <TextInput
+                style={styles.textInput}
+                placeholder={t('locked.passphrase')}
+                placeholderTextColor="#9CA3AF"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                value={unlockPassphrase}
+                onChangeText={setUnlockPassphrase}
+              />
+              <TouchableOpacity
+                style={[styles.saveButton, (isImporting || !unlockPassphrase) && styles.saveButtonDisabled]}
+                onPress={handleUnlock}
+                disabled={isImporting || !unlockPassphrase}
+              >
+                <Text style={styles.saveButtonText}>{isImporting ? t('locked.unlocking') : t('locked.unlock')}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+
+        {/* Column Mapping */}
+        {file && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('importScreen.columns.title')}</Text>
+            {IMPORT_FIELDS.map(({ value, required }) => (
+              <View key={value} style={styles.field}>
+                <Text style={styles.fieldLabel}>
+                  {t(`importScreen.fields.${value}`)}{required ? ' *' : ''}
+                </Text>
+                <View style={styles.chipsContainer}>
+                  {!required && (
+                    <TouchableOpacity
+                      style={[styles.chip, mapping[value] === null && styles.chipActive]}
+                      onPress={() => handleMapColumn(value, null)}
+                    >
+                      <Text style={[styles.chipText, mapping[value] === null && styles.chipTextActive]}>
+                        {t('importScreen.columns.none')}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                  {file.header.map((name, index) => (
+                    <TouchableOpacity
+                      key={index}
+                      style={[styles.chip, mapping[value] === index && styles.chipActive]}
+                      onPress={() => handleMapColumn(value, index)}
+                    >
+                      <Text style={[styles.chipText, mapping[value] === index && styles.chipTextActive]}>
+                        {columnLabel(index)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {mapping[value] !== null && (
+                  <Text style={styles.sample}>
+                    {t('importScreen.columns.sample', { value: file.rows[0][mapping[value]] || '—' })}
+                  </Text>
+                )}
+              </View>
+            ))}
+
+            {mapping.date !== null && (
+              <View style={styles.field}>
+                <Text style={styles.fieldLabel}>{t('importScreen.columns.dateFormat')}</Text>
+                <View style={styles.chipsContainer}>
+                  {DATE_FORMATS.map((format) => (
+                    <TouchableOpacity
+                      key={format.value}
+                      style={[styles.chip, dateFormat === format.value && styles.chipActive]}
+                      onPress={() => setDateFormat(format.value)}
+                    >
+                      <Text style={[styles.chipText, dateFormat === format.value && styles.chipTextActive]}>{format.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {mapping.amount !== null && (
+              <View style={styles.field}>
+                <Text style={styles.fieldLabel}>{t('importScreen.columns.numberFormat')}</Text>
+                <View style={styles.chipsContainer}>
+                  {NUMBER_FORMATS.map((format) => (
+                    <TouchableOpacity
+                      key={format.value}
+                      style={[styles.chip, numberFormat === format.value && styles.chipActive]}
+                      onPress={() => setNumberFormat(format.value)}
+                    >
+                      <Text style={[styles.chipText, numberFormat === format.value && styles.chipTextActive]}>{format.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {mapping.type === null && <Text style={styles.hint}>{t('importScreen.columns.typeHint')}</Text>}
+            {!isMapped && <Text style={styles.warning}>{t('importScreen.columns.required')}</Text>}
+          </View>
+        )}
+
+        {/* Category Review */}
+        {isMapped && fileCategories.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('importScreen.categories.title')}</Text>
+            <Text style={styles.hint}>{t('importScreen.categories.hint')}</Text>
+            {fileCategories.map(({ name, key, count }) => (
+              <View key={name} style={styles.field}>
+                <Text style={styles.fieldLabel}>
+                  {t('importScreen.categories.name', { name, count })}
+                  {key === null ? `  ${t('importScreen.categories.unmatched')}` : ''}
+                </Text>
+                <View style={styles.chipsContainer}>
+                  {getCategories({ selectable: true }).map((cat) => (
+                    <TouchableOpacity
+                      key={cat.key}
+                      style={[styles.chip, categoryChoices[name] === cat.key && styles.chipActive]}
+                      onPress={() => setCategoryChoices((current) => ({ ...current, [name]: cat.key }))}
+                    >
+                      <Text style={[styles.chipText, categoryChoices[name] === cat.key && styles.chipTextActive]}>
+                        {cat.icon} {cat.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Dry Run */}
+        {plan && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('importScreen.summary.title')}</Text>
+            <View style={styles.statsRow}>
+              <View style={styles.statCard}>
+                <Text style={styles.statLabel}>{t('importScreen.summary.new')}</Text>
+                <Text style={[styles.statValue, styles.incomeText]}>{plan.summary.new}</Text>
+              </View>
+              <View style={styles.statCard}>
+                <Text style={styles.statLabel}>{t('importScreen.summary.duplicates')}</Text>
+                <Text style={styles.statValue}>{plan.summary.duplicates}</Text>
+              </View>
+              <View style={styles.statCard}>
+                <Text style={styles.statLabel}>{t('importScreen.summary.invalid')}</Text>
+                <Text style={[styles.statValue, plan.summary.invalid.length > 0 && styles.expenseText]}>
+                  {plan.summary.invalid.length}
+                </Text>
+              </View>
+            </View>
+
+            {plan.summary.new > 0 && (
+              <>
+                <Text style={styles.summaryLine}>
+                  {t('importScreen.summary.range', { from: formatDay(plan.summary.from), to: formatDay(plan.summary.to) })}
+                </Text>
+                <Text style={styles.summaryLine}>
+                  {t('importScreen.summary.totals', {
+                    expenses: formatMoney(plan.summary.expenses),
+                    income: formatMoney(plan.summary.income),
+                  })}
+                </Text>
+                {plan.entries
+                  .filter((entry) => entry.status === 'new')
+                  .slice(0, PREVIEW_ROWS)
+                  .map((entry) => (
+                    <View key={entry.line} style={styles.previewRow}>
+                      <View style={styles.previewInfo}>
+                        <Text style={styles.previewTitle} numberOfLines={1}>{entry.data.title}</Text>
+                        <Text style={styles.previewMeta}>{formatDay(entry.data.timestamp)}</Text>
+                      </View>
+                      <Text style={[styles.previewAmount, entry.data.type === 'income' ? styles.incomeText : styles.expenseText]}>
+                        {formatMoney(entry.data.type === 'income' ? entry.data.amount : -entry.data.amount, { sign: true })}
+                      </Text>
+                    </View>
+                  ))}
+                {plan.summary.new > PREVIEW_ROWS && (
+                  <Text style={styles.hint}>{t('importScreen.summary.more', { count: plan.summary.new - PREVIEW_ROWS })}</Text>
+                )}
+              </>
+            )}
+
+            {plan.summary.duplicates > 0 && <Text style={styles.hint}>{t('importScreen.summary.duplicatesHint')}</Text>}
+            {plan.summary.invalid.slice(0, PREVIEW_ROWS).map((entry) => (
+              <Text key={entry.line} style={styles.warning}>
+                {t(`importScreen.invalid.${entry.reason}`, { line: entry.line, value: entry.value })}
+              </Text>
+            ))}
+
+            <TouchableOpacity
+              style={[styles.saveButton, (isImporting || plan.summary.new === 0) && styles.saveButtonDisabled]}
+              onPress={handleImport}
+              disabled={isImporting || plan.summary.new === 0}
+            >
+              <Text style={styles.saveButtonText}>
+                {plan.summary.new === 0
+                  ? t('importScreen.summary.nothing')
+                  : t('importScreen.summary.import', { count: plan.summary.new })}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  hint: { fontSize: 13, color: '#6B7280', lineHeight: 18, marginBottom: 12 },
+  warning: { fontSize: 13, color: '#DC2626', lineHeight: 18, marginBottom: 8 },
+  field: { marginBottom: 8 },
+  unlockBox: { marginTop: 16 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 4 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#374151', marginBottom: 8 },
+  sample: { fontSize: 12, color: '#9CA3AF', marginTop: -4, marginBottom: 8 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  statsRow: { flexDirection: 'row', gap: 8, marginBottom: 12 },
+  statCard: { flex: 1, backgroundColor: '#F9FAFB', padding: 12, borderRadius: 12, alignItems: 'center' },
+  statLabel: { fontSize: 12, color: '#6B7280', marginBottom: 4 },
+  statValue: { fontSize: 18, fontWeight: 'bold', color: '#1F2937' },
+  summaryLine: { fontSize: 14, color: '#374151', marginBottom: 8 },
+  previewRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#F3F4F6' },
+  previewInfo: { flex: 1, marginRight: 8 },
+  previewTitle: { fontSize: 14, fontWeight: '600', color: '#1F2937' },
+  previewMeta: { fontSize: 12, color: '#6B7280' },
+  previewAmount: { fontSize: 14, fontWeight: 'bold' },
+  incomeText: { color: '#10B981' },
+  expenseText: { color: '#EF4444' },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center', marginTop: 12 },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#EEF2FF', padding: 16, borderRadius: 14, alignItems: 'center' },
+  secondaryButtonText: { color: '#4F46E5', fontSize: 16, fontWeight: 'bold' },
+});
@@ -9,11 +9,27 @@ import {
   RefreshControl,
   Platform,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import { useFocusEffect } from '@react-navigation/native';
 import * as Notifications from 'expo-notifications';
 import GlobalBackground from '../components/GlobalBackground';
+import {
+  getTransactions,
+  getBudgets,
+  getSettings,
+  getDebts,
+  filterTransactions,
+  getDismissedNotifications,
+  dismissNotifications,
+} from '../storage/repository';
+import { loadCategories, getCategoryLabel } from '../utils/categories';
+import { summarizeRange, getSpending } from '../utils/ledger';
+import { getAllowanceSchedule, getAverageDailyAllowance } from '../utils/allowance';
+import { getWeekRange, getDaysElapsed } from '../utils/periods';
+import { getRollovers, describeRollover } from '../utils/rollover';
+import { getOverdueDebts } from '../utils/debts';
+import { formatMoney } from '../utils/currency';
+import { t, getLocale } from '../i18n';
 
 // Configure notification handler
 Notifications.setNotificationHandler({
@@ -31,13 +47,13 @@ Notifications.setNotificationHandler({
  * 2. Time-relevant saving tips
  * 3. Monthly/Weekly savings challenges
  * 4. Education cards about financial literacy
+ * 5. Reminders for overdue IOUs
  */
 export default function NotificationsScreen() {
   // --- STATE MANAGEMENT ---
   const [notifications, setNotifications] = useState([]); // List of current budget alerts
   const [insights, setInsights] = useState([]); // Dynamic financial advice
   const [refreshing, setRefreshing] = useState(false); // State for pull-to-refresh
-  const [dismissedNotifications, setDismissedNotifications] = useState([]); // List of notification IDs that have been dismissed
   const [notificationPermission, setNotificationPermission] = useState(null); // Current notification permission status
   const notificationListener = useRef(); // Ref to store the notification received listener subscription
   const responseListener = useRef(); // Ref to store the notification response listener subscription
@@ -89,9 +105,9 @@ export default function NotificationsScreen() {
 
       if (finalStatus !== 'granted') {
         Alert.alert(
-          'Notification Permission',
-          'Please enable notifications in your device settings to receive budget alerts and reminders.',
-          [{ text: 'OK' }]
+          t('notifications.permission.title'),
+          t('notifications.permission.message'),
+          [{ text: t('common.ok') }]
         );
         return;
       }
@@ -99,7 +115,7 @@ export default function NotificationsScreen() {
       // Configure notification channel for Android
       if (Platform.OS === 'android') {
         await Notifications.setNotificationChannelAsync('budget-alerts', {
-          name: 'Budget Alerts',
+          name: t('notifications.channelName'),
           importance: Notifications.AndroidImportance.HIGH,
           vibrationPattern: [0, 250, 250, 250],
           lightColor: '#4F46E5',
@@ -142,38 +158,35 @@ export default function NotificationsScreen() {
 
   const loadNotifications = async () => {
     try {
-      const [txnData, budgetData, dismissedData] = await Promise.all([
-        AsyncStorage.getItem('transactions'),
-        AsyncStorage.getItem('budgets'),
-        AsyncStorage.getItem('dismissedNotifications'),
+      const [transactions, storedBudgets, dismissed, settings, debts] = await Promise.all([
+        getTransactions(),
+        getBudgets(),
+        getDismissedNotifications(),
+        getSettings(),
+        getDebts(),
+        loadCategories(),
       ]);
 
-      const transactions = txnData ? JSON.parse(txnData) : [];
-      const budgets = budgetData ? JSON.parse(budgetData) : { categories: {}, weeklyAllowance: 0 };
-      const dismissed = dismissedData ? JSON.parse(dismissedData) : [];
-
-      setDismissedNotifications(dismissed);
-      generateNotifications(transactions, budgets, dismissed);
-      generateInsights(transactions, budgets);
+      const budgets = storedBudgets || { categories: {}, weeklyAllowance: 0 };
+      const weekRange = getWeekRange(settings);
+
+      generateNotifications(
+        transactions,
+        budgets,
+        weekRange,
+        getRollovers(transactions, budgets, settings),
+        dismissed,
+        getOverdueDebts(debts, transactions)
+      );
+      generateInsights(transactions, budgets, weekRange);
     } catch (error) {
       console.error('Error loading notifications:', error);
     }
   };
 
-  const loadDismissedNotifications = async () => {
-    try {
-      const dismissed = await AsyncStorage.getItem('dismissedNotifications');
-      setDismissedNotifications(dismissed ? JSON.parse(dismissed) : []);
-    } catch (error) {
-      console.error('Error loading dismissed notifications:', error);
-    }
-  };
-
   const dismissNotification = async (notificationId) => {
     try {
-      const updatedDismissed = [...dismissedNotifications, notificationId];
-      await AsyncStorage.setItem('dismissedNotifications', JSON.stringify(updatedDismissed));
-      setDismissedNotifications(updatedDismissed);
+      await dismissNotifications([notificationId]);
 
       // Remove from current notifications
       setNotifications(prev => prev.filter(notif => notif.id !== notificationId));
@@ -184,19 +197,17 @@ export default function NotificationsScreen() {
 
   const clearAllNotifications = () => {
     Alert.alert(
-      'Clear All Notifications',
-      'Are you sure you want to dismiss all notifications?',
+      t('notifications.clearAll.title'),
+      t('notifications.clearAll.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Clear All',
+          text: t('notifications.clearAll.confirm'),
           style: 'destructive',
           onPress: async () => {
             try {
               const allIds = notifications.map(n => n.id);
-              const updatedDismissed = [...dismissedNotifications, ...allIds];
-              await AsyncStorage.setItem('dismissedNotifications', JSON.stringify(updatedDismissed));
-              setDismissedNotifications(updatedDismissed);
+              await dismissNotifications(allIds);
               setNotifications([]);
             } catch (error) {
               console.error('Error clearing notifications:', error);
@@ -213,37 +224,35 @@ export default function NotificationsScreen() {
     setRefreshing(false);
   };
 
-  const generateNotifications = (transactions, budgets, dismissed = []) => {
+  const generateNotifications = (transactions, budgets, weekRange, rollovers = {}, dismissed = [], overdueDebts = []) => {
     const notifs = [];
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
 
-    // Calculate weekly spending
+    // Calculate weekly spending (calendar week or last 7 days, see Settings)
     const weeklySpending = {};
-    transactions
-      .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
+    filterTransactions(transactions, { type: 'expense', from: weekRange.from, to: weekRange.to })
       .forEach((t) => {
-        const key = getCategoryKey(t.category);
-        weeklySpending[key] = (weeklySpending[key] || 0) + t.amount;
+        weeklySpending[t.category] = (weeklySpending[t.category] || 0) + t.amount;
       });
 
-    // Budget alerts (using daily budget * 7 for weekly comparison)
+    // Budget alerts (using daily budget * 7 plus any rollover for weekly comparison)
     Object.entries(budgets.categories || {}).forEach(([key, budget]) => {
       const spent = weeklySpending[key] || 0;
       const dailyBudgetAmount = parseFloat(budget) || 0;
-      const weeklyBudgetAmount = dailyBudgetAmount * 7; // Convert daily to weekly
+      const carried = rollovers[key] || 0;
+      const weeklyBudgetAmount = dailyBudgetAmount * 7 + carried; // Convert daily to weekly
+      const rolloverNote = carried !== 0 ? t('notifications.alerts.rolloverNote', { rollover: describeRollover(carried) }) : '';
 
       if (dailyBudgetAmount > 0) {
-        const percentage = (spent / weeklyBudgetAmount * 100);
+        const percentage = weeklyBudgetAmount > 0 ? (spent / weeklyBudgetAmount * 100) : 100;
         const remaining = weeklyBudgetAmount - spent;
 
         if (percentage >= 100) {
           const notif = {
-            id: `over-${key}`,
+            id: `over-${key}-${weekRange.key}`,
             type: 'alert',
             icon: '🚨',
-            title: `Over Budget: ${getCategoryLabel(key)}`,
-            message: `You've exceeded your weekly budget by ₱${Math.abs(remaining).toFixed(2)}. Consider cutting back.`,
+            title: t('notifications.alerts.over.title', { category: getCategoryLabel(key) }),
+            message: t('notifications.alerts.over.message', { rolloverNote, amount: formatMoney(Math.abs(remaining)) }),
             color: '#EF4444',
             priority: 'high',
             timestamp: Date.now(),
@@ -253,11 +262,15 @@ export default function NotificationsScreen() {
           scheduleNotification(notif.id, notif.title, notif.message, { type: 'budget_alert', category: key });
         } else if (percentage >= 80) {
           const notif = {
-            id: `warning-${key}`,
+            id: `warning-${key}-${weekRange.key}`,
             type: 'warning',
             icon: '⚠️',
-            title: `Budget Warning: ${getCategoryLabel(key)}`,
-            message: `You've used ${percentage.toFixed(0)}% of your weekly budget. Only ₱${remaining.toFixed(2)} left.`,
+            title: t('notifications.alerts.warning.title', { category: getCategoryLabel(key) }),
+            message: t('notifications.alerts.warning.message', {
+              percent: percentage.toFixed(0),
+              rolloverNote,
+              amount: formatMoney(remaining),
+            }),
             color: '#F59E0B',
             priority: 'medium',
             timestamp: Date.now(),
@@ -272,12 +285,12 @@ export default function NotificationsScreen() {
     // Daily spending check
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const todaySpending = transactions
-      .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= today)
+    const todaySpending = getSpending(transactions)
+      .filter((t) => new Date(t.timestamp) >= today)
       .reduce((sum, t) => sum + t.amount, 0);
 
     // Dynamic daily spending threshold based on allowance
-    const dailyAllowance = parseFloat(budgets.dailyAllowance) || 0;
+    const dailyAllowance = getAverageDailyAllowance(getAllowanceSchedule(budgets));
     const dailyThreshold = dailyAllowance > 0 ? dailyAllowance * 0.8 : 200; // 80% of daily allowance
 
     if (todaySpending > dailyThreshold) {
@@ -285,8 +298,13 @@ export default function NotificationsScreen() {
         id: 'high-daily',
         type: 'info',
         icon: '💸',
-        title: 'High Spending Today',
-        message: `You've spent ₱${todaySpending.toFixed(2)} today. That's ${dailyAllowance > 0 ? `${((todaySpending / dailyAllowance) * 100).toFixed(0)}%` : 'quite high'} of your daily allowance!`,
+        title: t('notifications.alerts.highDaily.title'),
+        message: dailyAllowance > 0
+          ? t('notifications.alerts.highDaily.message', {
+            amount: formatMoney(todaySpending),
+            percent: ((todaySpending / dailyAllowance) * 100).toFixed(0),
+          })
+          : t('notifications.alerts.highDaily.messageNoAllowance', { amount: formatMoney(todaySpending) }),
         color: '#3B82F6',
         priority: 'medium',
         timestamp: Date.now(),
@@ -303,8 +321,8 @@ export default function NotificationsScreen() {
         id: 'no-tracking',
         type: 'reminder',
         icon: '📝',
-        title: 'Don\'t Forget to Track',
-        message: 'You haven\'t logged any transactions today. Did you spend anything at school?',
+        title: t('notifications.alerts.noTracking.title'),
+        message: t('notifications.alerts.noTracking.message'),
         color: '#8B5CF6',
         priority: 'low',
         timestamp: Date.now(),
@@ -314,21 +332,22 @@ export default function NotificationsScreen() {
       scheduleNotification(notif.id, notif.title, notif.message, { type: 'reminder' });
     }
 
-    // Weekly savings potential notification
-    const weeklyAllowance = parseFloat(budgets.weeklyAllowance) || 0;
-    const weeklySpent = transactions
-      .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
-      .reduce((sum, t) => sum + t.amount, 0);
+    // Weekly savings potential notification (allowance plus any logged income)
+    const week = summarizeRange(transactions, budgets, weekRange);
+    const weeklyIncome = week.totalIncome;
 
-    if (weeklyAllowance > 0) {
-      const savingsPotential = weeklyAllowance - weeklySpent;
-      if (savingsPotential > 0 && savingsPotential < weeklyAllowance * 0.1) {
+    if (weeklyIncome > 0) {
+      const savingsPotential = week.balance;
+      if (savingsPotential > 0 && savingsPotential < weeklyIncome * 0.1) {
         const notif = {
-          id: 'low-savings',
+          id: `low-savings-${weekRange.key}`,
           type: 'tip',
           icon: '💰',
-          title: 'Low Savings This Week',
-          message: `You've only saved ₱${savingsPotential.toFixed(2)} this week. Try to save at least ₱${(weeklyAllowance * 0.2).toFixed(2)} (20% of allowance).`,
+          title: t('notifications.alerts.lowSavings.title'),
+          message: t('notifications.alerts.lowSavings.message', {
+            saved: formatMoney(savingsPotential),
+            target: formatMoney(weeklyIncome * 0.2),
+          }),
           color: '#10B981',
           priority: 'medium',
           timestamp: Date.now(),
@@ -336,13 +355,16 @@ export default function NotificationsScreen() {
         notifs.push(notif);
         // Schedule push notification
         scheduleNotification(notif.id, notif.title, notif.message, { type: 'savings_tip' });
-      } else if (savingsPotential > weeklyAllowance * 0.2) {
+      } else if (savingsPotential > weeklyIncome * 0.2) {
         const notif = {
-          id: 'good-savings',
+          id: `good-savings-${weekRange.key}`,
           type: 'success',
           icon: '🎉',
-          title: 'Great Savings!',
-          message: `Excellent! You've saved ₱${savingsPotential.toFixed(2)} this week (${((savingsPotential / weeklyAllowance) * 100).toFixed(0)}% of allowance). Keep it up!`,
+          title: t('notifications.alerts.goodSavings.title'),
+          message: t('notifications.alerts.goodSavings.message', {
+            saved: formatMoney(savingsPotential),
+            percent: ((savingsPotential / weeklyIncome) * 100).toFixed(0),
+          }),
           color: '#10B981',
           priority: 'low',
           timestamp: Date.now(),
@@ -356,11 +378,11 @@ export default function NotificationsScreen() {
     // Weekend spending alert
     const dayOfWeek = new Date().getDay();
     if (dayOfWeek === 5 || dayOfWeek === 6) { // Friday or Saturday
-      const weekendSpending = transactions
-        .filter((t) => {
-          const txnDate = new Date(t.timestamp);
-          return t.type === 'expense' && (txnDate.getDay() === 5 || txnDate.getDay() === 6);
-        })
+      // Only this weekend counts, starting from this Friday
+      const weekendStart = new Date(today);
+      weekendStart.setDate(weekendStart.getDate() - (dayOfWeek - 5));
+      const weekendSpending = getSpending(transactions)
+        .filter((t) => new Date(t.timestamp) >= weekendStart)
         .reduce((sum, t) => sum + t.amount, 0);
 
       if (weekendSpending > (dailyAllowance * 1.5)) {
@@ -368,8 +390,8 @@ export default function NotificationsScreen() {
           id: 'weekend-spending',
           type: 'warning',
           icon: '🎉',
-          title: 'Weekend Spending Alert',
-          message: `You've spent ₱${weekendSpending.toFixed(2)} this weekend. Consider budgeting for leisure activities.`,
+          title: t('notifications.alerts.weekend.title'),
+          message: t('notifications.alerts.weekend.message', { amount: formatMoney(weekendSpending) }),
           color: '#F59E0B',
           priority: 'medium',
           timestamp: Date.now(),
@@ -380,6 +402,29 @@ export default function NotificationsScreen() {
       }
     }
 
+    // Overdue IOUs (come back every week until settled)
+    overdueDebts.forEach(({ debt, status }) => {
+      const isLent = debt.direction === 'lent';
+      const overdueText = t('notifications.alerts.overdue.days', { count: status.daysOverdue });
+      const notif = {
+        id: `overdue-${debt.id}-${weekRange.key}`,
+        type: isLent ? 'reminder' : 'alert',
+        icon: '🤝',
+        title: isLent
+          ? t('notifications.alerts.overdue.lentTitle', { person: debt.person })
+          : t('notifications.alerts.overdue.borrowedTitle', { person: debt.person }),
+        message: isLent
+          ? t('notifications.alerts.overdue.lentMessage', { amount: formatMoney(status.remaining), overdue: overdueText })
+          : t('notifications.alerts.overdue.borrowedMessage', { amount: formatMoney(status.remaining), overdue: overdueText }),
+        color: isLent ? '#0EA5E9' : '#EF4444',
+        priority: isLent ? 'medium' : 'high',
+        timestamp: Date.now(),
+      };
+      notifs.push(notif);
+      // Schedule push notification
+      scheduleNotification(notif.id, notif.title, notif.message, { type: 'debt_overdue', debtId: debt.id });
+    });
+
     // Streak notifications
     const streakDays = calculateTrackingStreak(transactions);
     if (streakDays >= 7) {
@@ -387,8 +432,8 @@ export default function NotificationsScreen() {
         id: 'tracking-streak',
         type: 'success',
         icon: '🔥',
-        title: `${streakDays} Day Tracking Streak!`,
-        message: `Amazing! You've been tracking your expenses for ${streakDays} days straight. Consistency is key to good money habits!`,
+        title: t('notifications.alerts.streak.title', { days: streakDays }),
+        message: t('notifications.alerts.streak.message', { days: streakDays }),
         color: '#10B981',
         priority: 'low',
         timestamp: Date.now(),
@@ -434,15 +479,11 @@ export default function NotificationsScreen() {
     return streak;
   };
 
-  const generateInsights = (transactions, budgets) => {
+  const generateInsights = (transactions, budgets, weekRange) => {
     const insightsList = [];
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
 
     // Spending patterns
-    const weeklyTxns = transactions.filter((t) =>
-      t.type === 'expense' && new Date(t.timestamp) >= weekAgo
-    );
+    const weeklyTxns = getSpending(filterTransactions(transactions, { from: weekRange.from, to: weekRange.to }));
 
     // Most expensive category
     const categoryTotals = {};
@@ -456,38 +497,40 @@ export default function NotificationsScreen() {
 
       insightsList.push({
         icon: '📊',
-        title: 'Top Spending Category',
-        message: `${topCategory[0]}: ₱${topCategory[1].toFixed(2)} this week`,
+        title: t('notifications.insights.topCategory.title'),
+        message: t('notifications.insights.topCategory.message', {
+          category: getCategoryLabel(topCategory[0]),
+          amount: formatMoney(topCategory[1]),
+        }),
         tip: getSpecificTip(topCategory[0]),
       });
     }
 
     // Average daily spending
-    const avgDaily = weeklyTxns.reduce((sum, t) => sum + t.amount, 0) / 7;
+    const avgDaily = weeklyTxns.reduce((sum, t) => sum + t.amount, 0) / getDaysElapsed(weekRange);
     insightsList.push({
       icon: '💵',
-      title: 'Daily Average',
-      message: `You spend about ₱${avgDaily.toFixed(2)} per day`,
-      tip: avgDaily > 100 ? 'Try to bring baon to reduce daily expenses' : 'Great job keeping daily spending low!',
+      title: t('notifications.insights.dailyAverage.title'),
+      message: t('notifications.insights.dailyAverage.message', { amount: formatMoney(avgDaily) }),
+      tip: avgDaily > 100 ? t('notifications.insights.dailyAverage.tipHigh') : t('notifications.insights.dailyAverage.tipLow'),
     });
 
-    // Comparison with budget
-    const weeklyAllowance = parseFloat(budgets.weeklyAllowance) || 0;
-    const weeklySpent = weeklyTxns.reduce((sum, t) => sum + t.amount, 0);
+    // Comparison with budget (allowance plus any logged income)
+    const week = summarizeRange(transactions, budgets, weekRange);
 
-    if (weeklyAllowance > 0) {
-      const savingsRate = ((weeklyAllowance - weeklySpent) / weeklyAllowance * 100);
+    if (week.totalIncome > 0) {
+      const savingsRate = (week.balance / week.totalIncome * 100);
       insightsList.push({
         icon: '🎯',
-        title: savingsRate >= 0 ? 'Savings Rate' : 'Overspending',
+        title: savingsRate >= 0 ? t('notifications.insights.savingsRate.title') : t('notifications.insights.savingsRate.overTitle'),
         message: savingsRate >= 0
-          ? `You're saving ${savingsRate.toFixed(0)}% of your allowance`
-          : `You're over budget by ${Math.abs(savingsRate).toFixed(0)}%`,
+          ? t('notifications.insights.savingsRate.message', { percent: savingsRate.toFixed(0) })
+          : t('notifications.insights.savingsRate.overMessage', { percent: Math.abs(savingsRate).toFixed(0) }),
         tip: savingsRate >= 20
-          ? 'Excellent! Keep up the good savings habit!'
+          ? t('notifications.insights.savingsRate.tipGreat')
           : savingsRate >= 0
-            ? 'Try to save at least 20% of your allowance'
-            : 'You need to cut back on spending to stay within budget',
+            ? t('notifications.insights.savingsRate.tipLow')
+            : t('notifications.insights.savingsRate.tipOver'),
       });
     }
 
@@ -500,9 +543,9 @@ export default function NotificationsScreen() {
 
     insightsList.push({
       icon: '📅',
-      title: 'Spending Frequency',
-      message: `You spent money on ${spendingDays.size} out of 7 days this week`,
-      tip: spendingDays.size >= 5 ? 'Consider planning no-spend days to save more' : 'Good job spacing out your expenses!',
+      title: t('notifications.insights.frequency.title'),
+      message: t('notifications.insights.frequency.message', { days: spendingDays.size }),
+      tip: spendingDays.size >= 5 ? t('notifications.insights.frequency.tipOften') : t('notifications.insights.frequency.tipSpaced'),
     });
 
     // Category distribution
@@ -514,9 +557,14 @@ export default function NotificationsScreen() {
 
       insightsList.push({
         icon: '📊',
-        title: 'Spending Distribution',
-        message: `${topCategory[0]} accounts for ${topCategoryPercentage.toFixed(0)}% of your spending`,
-        tip: topCategoryPercentage > 50 ? 'Consider diversifying your spending across categories' : 'Good balance in your spending categories',
+        title: t('notifications.insights.distribution.title'),
+        message: t('notifications.insights.distribution.message', {
+          category: getCategoryLabel(topCategory[0]),
+          percent: topCategoryPercentage.toFixed(0),
+        }),
+        tip: topCategoryPercentage > 50
+          ? t('notifications.insights.distribution.tipUneven')
+          : t('notifications.insights.distribution.tipBalanced'),
       });
     }
 
@@ -524,39 +572,8 @@ export default function NotificationsScreen() {
   };
 
   const getSpecificTip = (category) => {
-    const tips = {
-      'Food & Snacks': 'Bring lunch from home 3x a week to save ₱150-200',
-      'Transportation': 'Try walking to school or sharing rides to cut transport costs',
-      'School Supplies': 'Buy supplies in bulk with classmates for better prices',
-      'Load/Data': 'Use free WiFi at school instead of mobile data',
-      'Projects': 'Share materials with group mates to split costs',
-      'Entertainment': 'Look for free activities or student discounts',
-    };
-    return tips[category] || 'Look for ways to reduce spending in this category';
-  };
-
-  const getCategoryKey = (category) => {
-    const mapping = {
-      'Transportation': 'transportation',
-      'Food & Snacks': 'food',
-      'School Supplies': 'supplies',
-      'Load/Data': 'load',
-      'Projects': 'projects',
-      'Savings': 'savings',
-    };
-    return mapping[category] || 'other';
-  };
-
-  const getCategoryLabel = (key) => {
-    const mapping = {
-      'transportation': 'Transportation',
-      'food': 'Food & Snacks',
-      'supplies': 'School Supplies',
-      'load': 'Load/Data',
-      'projects': 'Projects',
-      'savings': 'Savings',
-    };
-    return mapping[key] || 'Other';
+    const tips = t('notifications.categoryTips');
+    return tips[category] || tips.default;
   };
 
   return (
@@ -574,15 +591,15 @@ export default function NotificationsScreen() {
       >
         {/* Header */}
         <View style={styles.header}>
-          <Text style={styles.headerTitle}>Notifications</Text>
-          <Text style={styles.headerSubtitle}>Stay updated with your budget</Text>
+          <Text style={styles.headerTitle}>{t('notifications.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('notifications.subtitle')}</Text>
           {notificationPermission !== 'granted' && (
             <TouchableOpacity
               style={styles.permissionButton}
               onPress={requestNotificationPermissions}
               activeOpacity={0.7}
             >
-              <Text style={styles.permissionButtonText}>🔔 Enable Push Notifications</Text>
+              <Text style={styles.permissionButtonText}>{t('notifications.enablePush')}</Text>
             </TouchableOpacity>
           )}
         </View>
@@ -595,13 +612,13 @@ export default function NotificationsScreen() {
               onPress={clearAllNotifications}
               activeOpacity={0.7}
             >
-              <Text style={styles.clearAllButtonText}>Clear All</Text>
+              <Text style={styles.clearAllButtonText}>{t('notifications.clearAll.confirm')}</Text>
             </TouchableOpacity>
           )}
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>🔔 Alerts & Reminders</Text>
+            <Text style={styles.sectionTitle}>{t('notifications.alertsTitle')}</Text>
             <Text style={styles.sectionSubtitle}>
-              {notifications.length} {notifications.length === 1 ? 'notification' : 'notifications'}
+              {t('notifications.count', { count: notifications.length })}
             </Text>
           </View>
 
@@ -610,9 +627,9 @@ export default function NotificationsScreen() {
               <View style={styles.emptyIconContainer}>
                 <Text style={styles.emptyIcon}>✓</Text>
               </View>
-              <Text style={styles.emptyTitle}>All Good!</Text>
+              <Text style={styles.emptyTitle}>{t('notifications.empty.title')}</Text>
               <Text style={styles.emptyText}>
-                You're on track with your budget. Keep up the good work!
+                {t('notifications.empty.message')}
               </Text>
             </View>
           ) : (
@@ -626,7 +643,7 @@ export default function NotificationsScreen() {
                     <Text style={styles.notifTitle}>{notif.title}</Text>
                     <Text style={styles.notifMessage}>{notif.message}</Text>
                     <Text style={styles.notifTime}>
-                      {new Date(notif.timestamp).toLocaleTimeString('en-PH', {
+                      {new Date(notif.timestamp).toLocaleTimeString(getLocale(), {
                         hour: '2-digit',
                         minute: '2-digit'
                       })}
@@ -648,8 +665,8 @@ export default function NotificationsScreen() {
         {/* Insights Section */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>💡 Spending Insights</Text>
-            <Text style={styles.sectionSubtitle}>Weekly analysis</Text>
+            <Text style={styles.sectionTitle}>{t('notifications.insightsTitle')}</Text>
+            <Text style={styles.sectionSubtitle}>{t('notifications.insightsSubtitle')}</Text>
           </View>
 
           {insights.map((insight, index) => (
@@ -660,7 +677,7 @@ export default function NotificationsScreen() {
               </View>
               <Text style={styles.insightMessage}>{insight.message}</Text>
               <View style={styles.tipBox}>
-                <Text style={styles.tipLabel}>💡 Tip:</Text>
+                <Text style={styles.tipLabel}>{t('notifications.tipLabel')}</Text>
                 <Text style={styles.tipText}>{insight.tip}</Text>
               </View>
             </View>
@@ -670,40 +687,40 @@ export default function NotificationsScreen() {
         {/* Money Saving Challenges */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>🎯 Weekly Challenges</Text>
-            <Text style={styles.sectionSubtitle}>Save more money</Text>
+            <Text style={styles.sectionTitle}>{t('notifications.challenges.title')}</Text>
+            <Text style={styles.sectionSubtitle}>{t('notifications.challenges.subtitle')}</Text>
           </View>
 
           <View style={styles.challengeCard}>
             <Text style={styles.challengeIcon}>🍱</Text>
             <View style={styles.challengeContent}>
-              <Text style={styles.challengeTitle}>Baon Challenge</Text>
+              <Text style={styles.challengeTitle}>{t('notifications.challenges.baon.title')}</Text>
               <Text style={styles.challengeDesc}>
-                Bring lunch from home 4 days this week
+                {t('notifications.challenges.baon.description')}
               </Text>
-              <Text style={styles.challengeReward}>💰 Save up to ₱200!</Text>
+              <Text style={styles.challengeReward}>{t('notifications.challenges.baon.reward')}</Text>
             </View>
           </View>
 
           <View style={styles.challengeCard}>
             <Text style={styles.challengeIcon}>🚶</Text>
             <View style={styles.challengeContent}>
-              <Text style={styles.challengeTitle}>Walking Challenge</Text>
+              <Text style={styles.challengeTitle}>{t('notifications.challenges.walking.title')}</Text>
               <Text style={styles.challengeDesc}>
-                Walk to/from school twice this week
+                {t('notifications.challenges.walking.description')}
               </Text>
-              <Text style={styles.challengeReward}>💰 Save ₱40 on jeep fare!</Text>
+              <Text style={styles.challengeReward}>{t('notifications.challenges.walking.reward')}</Text>
             </View>
           </View>
 
           <View style={styles.challengeCard}>
             <Text style={styles.challengeIcon}>💧</Text>
             <View style={styles.challengeContent}>
-              <Text style={styles.challengeTitle}>Water Over Soda</Text>
+              <Text style={styles.challengeTitle}>{t('notifications.challenges.water.title')}</Text>
               <Text style={styles.challengeDesc}>
-                Choose water instead of buying drinks all week
+                {t('notifications.challenges.water.description')}
               </Text>
-              <Text style={styles.challengeReward}>💰 Save ₱70-100!</Text>
+              <Text style={styles.challengeReward}>{t('notifications.challenges.water.reward')}</Text>
             </View>
           </View>
         </View>
@@ -711,43 +728,43 @@ export default function NotificationsScreen() {
         {/* Smart Tips */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>🧠 Smart Money Tips</Text>
-            <Text style={styles.sectionSubtitle}>For students</Text>
+            <Text style={styles.sectionTitle}>{t('notifications.smartTips.title')}</Text>
+            <Text style={styles.sectionSubtitle}>{t('notifications.smartTips.subtitle')}</Text>
           </View>
 
           <View style={styles.tipsCard}>
             <View style={styles.tipItem}>
               <Text style={styles.tipNumber}>1</Text>
               <Text style={styles.tipContent}>
-                <Text style={styles.tipBold}>Track immediately:</Text> Log expenses right after purchasing so you don't forget
+                <Text style={styles.tipBold}>{t('notifications.smartTips.track.title')}</Text> {t('notifications.smartTips.track.text')}
               </Text>
             </View>
 
             <View style={styles.tipItem}>
               <Text style={styles.tipNumber}>2</Text>
               <Text style={styles.tipContent}>
-                <Text style={styles.tipBold}>50-30-20 Rule:</Text> 50% needs (food, transport), 30% wants (snacks, load), 20% savings
+                <Text style={styles.tipBold}>{t('notifications.smartTips.rule.title')}</Text> {t('notifications.smartTips.rule.text')}
               </Text>
             </View>
 
             <View style={styles.tipItem}>
               <Text style={styles.tipNumber}>3</Text>
               <Text style={styles.tipContent}>
-                <Text style={styles.tipBold}>Avoid impulse buying:</Text> Wait 24 hours before buying non-essential items
+                <Text style={styles.tipBold}>{t('notifications.smartTips.impulse.title')}</Text> {t('notifications.smartTips.impulse.text')}
               </Text>
             </View>
 
             <View style={styles.tipItem}>
               <Text style={styles.tipNumber}>4</Text>
               <Text style={styles.tipContent}>
-                <Text style={styles.tipBold}>Share with friends:</Text> Split costs for group projects, snacks, and rides
+                <Text style={styles.tipBold}>{t('notifications.smartTips.share.title')}</Text> {t('notifications.smartTips.share.text')}
               </Text>
             </View>
 
             <View style={styles.tipItem}>
               <Text style={styles.tipNumber}>5</Text>
               <Text style={styles.tipContent}>
-                <Text style={styles.tipBold}>Use student discounts:</Text> Many stores offer student discounts - always ask!
+                <Text style={styles.tipBold}>{t('notifications.smartTips.discounts.title')}</Text> {t('notifications.smartTips.discounts.text')}
               </Text>
             </View>
           </View>
@@ -10,54 +10,48 @@ import {
   TextInput,
   Alert,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
+import { saveBudgets } from '../storage/repository';
+import { getCategories } from '../utils/categories';
+import AllowanceScheduleInput from '../components/AllowanceScheduleInput';
+import { buildAllowanceSchedule, getAverageDailyAllowance } from '../utils/allowance';
+import { formatMoney, parseAmount, parseAmounts, getCurrencySymbol } from '../utils/currency';
+import { t, LANGUAGES, getLanguage, setLanguage } from '../i18n';
 
 const { width } = Dimensions.get('window');
 
+// Titles and descriptions are under onboarding.slides.<key> in the i18n dictionaries
 const slides = [
   {
     id: 1,
-    title: 'Welcome SHS Student!',
-    description: 'Track your allowance and expenses for Guinayangan Senior High School. Manage your budget for the 2025-2026 school year!',
+    key: 'welcome',
     icon: '🎓',
     backgroundColor: '#4F46E5',
   },
   {
     id: 2,
-    title: 'Track Your Allowance',
-    description: 'Record your daily or weekly allowance. See how much money you have available to spend.',
+    key: 'allowance',
     icon: '💵',
     backgroundColor: '#7C3AED',
   },
   {
     id: 3,
-    title: 'Monitor Your Expenses',
-    description: 'Log your spending on food, supplies, transportation, and more. Know where your money goes!',
+    key: 'expenses',
     icon: '📝',
     backgroundColor: '#2563EB',
   },
   {
     id: 4,
-    title: 'Save Money',
-    description: 'Track your savings and reach your goals. Build better money habits while studying!',
+    key: 'save',
     icon: '🎯',
     backgroundColor: '#059669',
   },
 ];
 
-const budgetCategories = [
-  { key: 'transportation', label: 'Transportation', icon: '🚌', example: 'Jeep/Trike fare' },
-  { key: 'food', label: 'Food & Snacks', icon: '🍔', example: 'Meals, snacks' },
-  { key: 'supplies', label: 'School Supplies', icon: '📚', example: 'Pens, paper' },
-  { key: 'load', label: 'Load/Data', icon: '📱', example: 'Mobile load' },
-  { key: 'projects', label: 'Projects', icon: '📝', example: 'Materials' },
-];
-
 /**
  * OnboardingScreen handles the initial user setup, including:
- * 1. Welcome screen
- * 2. Daily allowance input
+ * 1. Welcome screen (with a language switch)
+ * 2. Allowance amount and schedule input
  * 3. Budget category planning
  * 4. Savings goal setting
  * 5. Completion/Ready screen
@@ -65,9 +59,11 @@ const budgetCategories = [
 export default function OnboardingScreen({ navigation, onComplete }) {
   // --- STATE MANAGEMENT ---
   const [step, setStep] = useState(1); // Tracks current onboarding step (1-5)
-  const [amount, setAmount] = useState(''); // Stores daily allowance input
+  const [amount, setAmount] = useState(''); // Stores allowance amount per payday
+  const [scheduleFields, setScheduleFields] = useState({ frequency: 'daily', weekday: 0, dayOfMonth: '1' }); // How often the allowance comes in
   const [savingsGoal, setSavingsGoal] = useState(''); // Stores savings goal input
   const [budgets, setBudgets] = useState({}); // Stores daily budget amounts for categories
+  const [language, setLanguageChoice] = useState(getLanguage()); // App language picked on the welcome slides
   const [fadeAnim] = useState(new Animated.Value(1)); // Animation for screen transitions
   const [scaleAnim] = useState(new Animated.Value(1)); // Animation for button/content scaling
   const scrollViewRef = useRef(null);
@@ -126,21 +122,24 @@ export default function OnboardingScreen({ navigation, onComplete }) {
     }
 
     // Basic validation for budget step
-    if (step === 2 && (!amount || isNaN(parseFloat(amount)))) {
-      Alert.alert('Error', 'Please enter your daily allowance');
+    if (step === 2 && (!amount || isNaN(parseAmount(amount)))) {
+      Alert.alert(t('common.error'), t('onboarding.errors.noAllowance'));
       return;
     }
 
     // Budget validation for step 3 (category planning)
     if (step === 3) {
-      const dailyAmount = parseFloat(amount) || 0;
-      const totalBudgeted = Object.values(budgets).reduce((sum, val) => sum + (parseFloat(val) || 0), 0);
+      const dailyAmount = getAverageDailyAllowance(buildAllowanceSchedule(amount, scheduleFields));
+      const totalBudgeted = Object.values(budgets).reduce((sum, val) => sum + (parseAmount(val) || 0), 0);
 
       if (totalBudgeted > dailyAmount) {
         Alert.alert(
-          'Budget Exceeds Allowance',
-          `Your planned daily spending (₱${totalBudgeted.toFixed(2)}) exceeds your daily allowance (₱${dailyAmount.toFixed(2)}).\n\nPlease adjust your budget to stay within your allowance.`,
-          [{ text: 'OK' }]
+          t('onboarding.overBudget.title'),
+          t('onboarding.overBudget.message', {
+            planned: formatMoney(totalBudgeted),
+            allowance: formatMoney(dailyAmount),
+          }),
+          [{ text: t('common.ok') }]
         );
         return;
       }
@@ -168,22 +167,24 @@ export default function OnboardingScreen({ navigation, onComplete }) {
    */
   const handleSaveBudget = async () => {
     try {
-      const dailyAmount = parseFloat(amount) || 0;
+      const allowance = buildAllowanceSchedule(amount, scheduleFields);
+      const dailyAmount = getAverageDailyAllowance(allowance);
       const budgetData = {
-        categories: budgets,
-        weeklyAllowance: (dailyAmount * 7).toString(),
-        dailyAllowance: dailyAmount.toString(),
-        savingsGoal: savingsGoal || '',
+        categories: parseAmounts(budgets),
+        allowance,
+        weeklyAllowance: dailyAmount * 7,
+        dailyAllowance: dailyAmount,
+        savingsGoal: parseAmount(savingsGoal) || 0,
       };
 
-      // Persist to AsyncStorage
-      await AsyncStorage.setItem('budgets', JSON.stringify(budgetData));
+      // Persist to storage
+      await saveBudgets(budgetData);
 
       // Trigger onboarding completion callback
       if (onComplete) onComplete();
     } catch (error) {
       console.error('Error saving initial budget:', error);
-      Alert.alert('Error', 'Failed to save your settings. Please try again.');
+      Alert.alert(t('common.error'), t('onboarding.errors.saveFailed'));
     }
   };
 
@@ -201,6 +202,18 @@ export default function OnboardingScreen({ navigation, onComplete }) {
     onComplete();
   };
 
+  /**
+   * Switches the language right away, so the rest of the setup is in it
+   */
+  const handleSelectLanguage = async (value) => {
+    try {
+      await setLanguage(value);
+      setLanguageChoice(value);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  };
+
   const handleScroll = Animated.event(
     [{ nativeEvent: { contentOffset: { x: scrollX } } }],
     {
@@ -221,20 +234,24 @@ export default function OnboardingScreen({ navigation, onComplete }) {
         <ScrollView style={styles.setupScrollView} contentContainerStyle={styles.setupContent}>
           <View style={styles.setupHeader}>
             <Text style={styles.setupIcon}>💰</Text>
-            <Text style={styles.setupTitle}>Set Up Your Budget</Text>
+            <Text style={styles.setupTitle}>{t('onboarding.setup.title')}</Text>
             <Text style={styles.setupSubtitle}>
-              Let's plan your spending for school
+              {t('onboarding.setup.subtitle')}
             </Text>
           </View>
 
           {/* Allowance Input */}
           <View style={styles.setupCard}>
-            <Text style={styles.cardTitle}>How much allowance do you receive?</Text>
+            <Text style={styles.cardTitle}>{t('onboarding.setup.allowanceTitle')}</Text>
+
+            <AllowanceScheduleInput value={scheduleFields} onChange={setScheduleFields} />
 
-            <Text style={styles.frequencyLabel}>Daily Allowance</Text>
+            <Text style={styles.frequencyLabel}>
+              {t('onboarding.setup.amountPer', { per: t(`allowance.per.${scheduleFields.frequency}`) })}
+            </Text>
 
             <View style={styles.amountInput}>
-              <Text style={styles.peso}>₱</Text>
+              <Text style={styles.peso}>{getCurrencySymbol()}</Text>
               <TextInput
                 style={styles.amountField}
                 value={amount}
@@ -247,22 +264,24 @@ export default function OnboardingScreen({ navigation, onComplete }) {
 
             {!!amount && (
               <Text style={styles.amountHint}>
-                Weekly: ₱{(parseFloat(amount) * 7).toFixed(0)} per week
+                {t('onboarding.setup.aboutPerWeek', {
+                  amount: formatMoney(getAverageDailyAllowance(buildAllowanceSchedule(amount, scheduleFields)) * 7, { whole: true }),
+                })}
               </Text>
             )}
 
             {/* Budget Validation Warning */}
-            {!!amount && Object.values(budgets).some(val => parseFloat(val) > 0) && (
+            {!!amount && Object.values(budgets).some(val => parseAmount(val) > 0) && (
               (() => {
-                const dailyAmount = parseFloat(amount);
-                const totalBudgeted = Object.values(budgets).reduce((sum, val) => sum + (parseFloat(val) || 0), 0);
+                const dailyAmount = getAverageDailyAllowance(buildAllowanceSchedule(amount, scheduleFields));
+                const totalBudgeted = Object.values(budgets).reduce((sum, val) => sum + (parseAmount(val) || 0), 0);
                 const isOverBudget = totalBudgeted > dailyAmount;
 
                 return isOverBudget ? (
                   <View style={styles.warningBox}>
                     <Text style={styles.warningIcon}>⚠️</Text>
                     <Text style={styles.warningText}>
-                      Daily budget exceeds daily allowance by ₱{(totalBudgeted - dailyAmount).toFixed(2)}
+                      {t('onboarding.setup.overBy', { amount: formatMoney(totalBudgeted - dailyAmount) })}
                     </Text>
                   </View>
                 ) : null;
@@ -272,20 +291,20 @@ export default function OnboardingScreen({ navigation, onComplete }) {
 
           {/* Quick Budget Categories */}
           <View style={styles.setupCard}>
-            <Text style={styles.cardTitle}>Plan Your Daily Spending (Optional)</Text>
-            <Text style={styles.cardSubtitle}>You can adjust these later</Text>
+            <Text style={styles.cardTitle}>{t('onboarding.setup.planTitle')}</Text>
+            <Text style={styles.cardSubtitle}>{t('onboarding.setup.planSubtitle')}</Text>
 
-            {budgetCategories.map((cat) => (
+            {getCategories({ budgetable: true }).map((cat) => (
               <View key={cat.key} style={styles.categoryRow}>
                 <View style={styles.categoryInfo}>
                   <Text style={styles.categoryIcon}>{cat.icon}</Text>
                   <View style={styles.categoryText}>
                     <Text style={styles.categoryName}>{cat.label}</Text>
-                    <Text style={styles.categoryExample}>{cat.example}</Text>
+                    <Text style={styles.categoryExample}>{cat.description}</Text>
                   </View>
                 </View>
                 <View style={styles.categoryInputWrapper}>
-                  <Text style={styles.pesoSmall}>₱</Text>
+                  <Text style={styles.pesoSmall}>{getCurrencySymbol()}</Text>
                   <TextInput
                     style={styles.categoryInput}
                     value={budgets[cat.key]}
@@ -297,7 +316,7 @@ export default function OnboardingScreen({ navigation, onComplete }) {
                 </View>
                 {!!budgets[cat.key] && (
                   <Text style={styles.weeklyHint}>
-                    Weekly: ₱{(parseFloat(budgets[cat.key]) * 7).toFixed(0)}
+                    {t('onboarding.setup.weekly', { amount: formatMoney(parseAmount(budgets[cat.key]) * 7, { whole: true }) })}
                   </Text>
                 )}
               </View>
@@ -306,11 +325,11 @@ export default function OnboardingScreen({ navigation, onComplete }) {
 
           {/* Savings Goal */}
           <View style={styles.setupCard}>
-            <Text style={styles.cardTitle}>💰 Set Your Savings Goal (Optional)</Text>
-            <Text style={styles.cardSubtitle}>Track your progress towards a savings target</Text>
+            <Text style={styles.cardTitle}>{t('onboarding.setup.savingsTitle')}</Text>
+            <Text style={styles.cardSubtitle}>{t('onboarding.setup.savingsSubtitle')}</Text>
 
             <View style={styles.amountInput}>
-              <Text style={styles.peso}>₱</Text>
+              <Text style={styles.peso}>{getCurrencySymbol()}</Text>
               <TextInput
                 style={styles.amountField}
                 value={savingsGoal}
@@ -323,13 +342,13 @@ export default function OnboardingScreen({ navigation, onComplete }) {
 
             {!!savingsGoal && (
               <Text style={styles.amountHint}>
-                Target: ₱{parseFloat(savingsGoal).toFixed(2)}
+                {t('onboarding.setup.target', { amount: formatMoney(parseAmount(savingsGoal)) })}
               </Text>
             )}
 
             {!savingsGoal && (
               <Text style={styles.optionalHint}>
-                💡 Tip: Setting a savings goal helps you stay motivated and track your progress!
+                {t('onboarding.setup.savingsTip')}
               </Text>
             )}
           </View>
@@ -337,11 +356,11 @@ export default function OnboardingScreen({ navigation, onComplete }) {
           {/* Action Buttons */}
           <View style={styles.setupActions}>
             <TouchableOpacity style={styles.skipSetupButton} onPress={onComplete}>
-              <Text style={styles.skipSetupText}>Skip for now</Text>
+              <Text style={styles.skipSetupText}>{t('onboarding.setup.skip')}</Text>
             </TouchableOpacity>
 
             <TouchableOpacity style={styles.saveButton} onPress={handleSaveBudget}>
-              <Text style={styles.saveButtonText}>Save & Continue</Text>
+              <Text style={styles.saveButtonText}>{t('onboarding.setup.save')}</Text>
             </TouchableOpacity>
           </View>
         </ScrollView>
@@ -353,10 +372,23 @@ export default function OnboardingScreen({ navigation, onComplete }) {
     <View style={[styles.container, { backgroundColor: slides[currentIndex].backgroundColor }]}>
       <StatusBar style="light" />
 
+      {/* Language Switch */}
+      <View style={styles.languageRow}>
+        {LANGUAGES.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.languageChip, language === option.value && styles.languageChipActive]}
+            onPress={() => handleSelectLanguage(option.value)}
+          >
+            <Text style={styles.languageText}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
       {/* Skip Button */}
       {currentIndex < slides.length - 1 && (
         <TouchableOpacity style={styles.skipButton} onPress={handleSkip}>
-          <Text style={styles.skipText}>Skip</Text>
+          <Text style={styles.skipText}>{t('onboarding.skip')}</Text>
         </TouchableOpacity>
       )}
 
@@ -373,8 +405,8 @@ export default function OnboardingScreen({ navigation, onComplete }) {
         {slides.map((slide) => (
           <View key={slide.id} style={styles.slide}>
             <Text style={styles.icon}>{slide.icon}</Text>
-            <Text style={styles.title}>{slide.title}</Text>
-            <Text style={styles.description}>{slide.description}</Text>
+            <Text style={styles.title}>{t(`onboarding.slides.${slide.key}.title`)}</Text>
+            <Text style={styles.description}>{t(`onboarding.slides.${slide.key}.description`)}</Text>
           </View>
         ))}
       </ScrollView>
@@ -418,7 +450,7 @@ export default function OnboardingScreen({ navigation, onComplete }) {
       {/* Next/Get Started Button */}
       <TouchableOpacity style={styles.button} onPress={handleNext}>
         <Text style={styles.buttonText}>
-          {currentIndex === slides.length - 1 ? 'Continue' : 'Next'}
+          {currentIndex === slides.length - 1 ? t('onboarding.continue') : t('onboarding.next')}
         </Text>
       </TouchableOpacity>
     </View>
@@ -444,6 +476,30 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  languageRow: {
+    position: 'absolute',
+    top: 56,
+    left: 20,
+    zIndex: 10,
+    flexDirection: 'row',
+    gap: 6,
+  },
+  languageChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  languageChipActive: {
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+    borderColor: '#fff',
+  },
+  languageText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   scrollView: {
     flex: 1,
   },
@@ -0,0 +1,314 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getTransactions, getTransfers, getBudgets, getReconciliations } from '../storage/repository';
+import { DEFAULT_WALLET_ID, loadWallets, getActiveWallets, getWalletBalances } from '../utils/wallets';
+import {
+  MATCH_TOLERANCE,
+  reconcileWallet,
+  deleteReconciliation,
+  getTrackingAccuracy,
+} from '../utils/reconcile';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * ReconcileScreen compares a wallet with the money actually in it.
+ * Features:
+ * 1. Enter the counted amount and see the difference from the tracked balance
+ * 2. Fix the difference with one adjustment, or log it as unrecorded spending
+ * 3. History of counts with how accurate the tracking has been
+ */
+export default function ReconcileScreen({ route }) {
+  // --- STATE MANAGEMENT ---
+  const [wallets, setWallets] = useState([]); // All wallets, archived included
+  const [balances, setBalances] = useState({}); // Tracked balance per wallet id
+  const [history, setHistory] = useState([]); // Past counts, newest first
+  const [walletId, setWalletId] = useState(route?.params?.walletId || DEFAULT_WALLET_ID); // Wallet being counted
+  const [counted, setCounted] = useState(''); // Amount typed in after counting
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+
+  /**
+   * Reload balances whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      const [savedWallets, txns, transfers, budgets, reconciliations] = await Promise.all([
+        loadWallets(),
+        getTransactions(),
+        getTransfers(),
+        getBudgets(),
+        getReconciliations(),
+      ]);
+      setWallets(savedWallets);
+      setBalances(getWalletBalances(savedWallets, txns, transfers, budgets));
+      setHistory(reconciliations);
+    } catch (error) {
+      console.error('Error loading reconciliation data:', error);
+    }
+  };
+
+  const wallet = wallets.find((w) => w.id === walletId);
+  const expected = balances[walletId] || 0;
+  const countedAmount = parseAmount(counted);
+  const hasCount = counted !== '' && !isNaN(countedAmount) && countedAmount >= 0;
+  const difference = hasCount ? countedAmount - expected : 0;
+  const isMatch = Math.abs(difference) < MATCH_TOLERANCE;
+  const accuracy = getTrackingAccuracy(history);
+
+  const walletLabel = (id) => {
+    const found = wallets.find((w) => w.id === id);
+    return found ? `${found.icon} ${found.name}` : t('wallets.deleted');
+  };
+
+  const handleSave = async (resolution) => {
+    if (!hasCount || !wallet) {
+      Alert.alert(t('common.error'), t('reconcile.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await reconcileWallet({ wallet, expected, counted: countedAmount, resolution });
+      setCounted('');
+      await refresh();
+    } catch (error) {
+      console.error('Error saving reconciliation:', error);
+      Alert.alert(t('common.error'), t('reconcile.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUndo = (entry) => {
+    Alert.alert(t('reconcile.undo.title'), t('reconcile.undo.message'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('reconcile.undo.confirm'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteReconciliation(entry.id);
+            await refresh();
+          } catch (error) {
+            console.error('Error deleting reconciliation:', error);
+            Alert.alert(t('common.error'), t('reconcile.errors.undoFailed'));
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('reconcile.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('reconcile.subtitle')}</Text>
+        </View>
+
+        {/* Count Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('reconcile.form.title')}</Text>
+          <View style={styles.chipsContainer}>
+            {getActiveWallets(wallets).map((w) => (
+              <TouchableOpacity
+                key={w.id}
+                style={[styles.chip, walletId === w.id && styles.chipActive]}
+                onPress={() => setWalletId(w.id)}
+              >
+                <Text style={[styles.chipText, walletId === w.id && styles.chipTextActive]}>{w.icon} {w.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.expectedRow}>
+            <Text style={styles.expectedLabel}>{t('reconcile.form.expects')}</Text>
+            <Text style={styles.expectedValue}>{formatMoney(expected)}</Text>
+          </View>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('reconcile.form.countedPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={counted}
+            onChangeText={setCounted}
+          />
+
+          {hasCount && (
+            <View style={[styles.resultBox, isMatch ? styles.resultBoxMatch : difference < 0 ? styles.resultBoxShort : styles.resultBoxExtra]}>
+              <Text style={styles.resultTitle}>
+                {isMatch
+                  ? t('reconcile.result.match')
+                  : difference < 0
+                    ? t('reconcile.result.missing', { amount: formatMoney(-difference) })
+                    : t('reconcile.result.extra', { amount: formatMoney(difference) })}
+              </Text>
+              <Text style={styles.resultText}>
+                {isMatch
+                  ? t('reconcile.result.matchHint')
+                  : difference < 0
+                    ? t('reconcile.result.missingHint')
+                    : t('reconcile.result.extraHint')}
+              </Text>
+            </View>
+          )}
+
+          {hasCount && !isMatch && difference < 0 && (
+            <TouchableOpacity
+              style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+              onPress={() => handleSave('spread')}
+              disabled={isSaving}
+            >
+              <Text style={styles.saveButtonText}>{t('reconcile.form.spread')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[isMatch || !hasCount ? styles.saveButton : styles.secondaryButton, (isSaving || !hasCount) && styles.saveButtonDisabled]}
+            onPress={() => handleSave('adjusted')}
+            disabled={isSaving || !hasCount}
+          >
+            <Text style={isMatch || !hasCount ? styles.saveButtonText : styles.secondaryButtonText}>
+              {isMatch || !hasCount ? t('reconcile.form.save') : t('reconcile.form.adjust')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Accuracy */}
+        {accuracy.count > 0 && (
+          <View style={styles.statsRow}>
+            <View style={styles.statCard}>
+              <Text style={styles.statLabel}>{t('reconcile.stats.accuracy')}</Text>
+              <Text style={styles.statValue}>{accuracy.accuracy.toFixed(0)}%</Text>
+            </View>
+            <View style={styles.statCard}>
+              <Text style={styles.statLabel}>{t('reconcile.stats.matched')}</Text>
+              <Text style={styles.statValue}>{accuracy.matched}/{accuracy.count}</Text>
+            </View>
+            <View style={styles.statCard}>
+              <Text style={styles.statLabel}>{t('reconcile.stats.averageGap')}</Text>
+              <Text style={styles.statValue}>{formatMoney(accuracy.averageGap, { whole: true })}</Text>
+            </View>
+          </View>
+        )}
+
+        {/* History */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('reconcile.history.title')}</Text>
+          {history.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('reconcile.history.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('reconcile.history.emptyHint')}</Text>
+            </View>
+          ) : (
+            history.map((entry) => (
+              <View key={entry.id} style={styles.historyCard}>
+                <View style={styles.historyInfo}>
+                  <Text style={styles.historyTitle}>{walletLabel(entry.walletId)}</Text>
+                  <Text style={styles.historyMeta}>
+                    {t('reconcile.history.meta', {
+                      date: formatDate(entry.createdAt),
+                      expected: formatMoney(entry.expected),
+                      counted: formatMoney(entry.counted),
+                    })}
+                  </Text>
+                  <Text style={styles.historyMeta}>{t(`reconcile.resolutions.${entry.resolution}`)}</Text>
+                </View>
+                <View style={styles.historyRight}>
+                  <Text style={[styles.historyDifference, Math.abs(entry.difference) < MATCH_TOLERANCE ? styles.matchText : entry.difference < 0 ? styles.expenseText : styles.incomeText]}>
+                    {formatMoney(entry.difference, { sign: true })}
+                  </Text>
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleUndo(entry)}>
+                    <Text style={[styles.actionText, styles.actionTextDanger]}>{t('reconcile.undo.confirm')}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  expectedRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 },
+  expectedLabel: { fontSize: 14, color: '#6B7280' },
+  expectedValue: { fontSize: 20, fontWeight: 'bold', color: '#1F2937' },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  resultBox: { padding: 12, borderRadius: 12, marginBottom: 12, borderLeftWidth: 4 },
+  resultBoxMatch: { backgroundColor: '#ECFDF5', borderLeftColor: '#10B981' },
+  resultBoxShort: { backgroundColor: '#FEF2F2', borderLeftColor: '#EF4444' },
+  resultBoxExtra: { backgroundColor: '#EEF2FF', borderLeftColor: '#4F46E5' },
+  resultTitle: { fontSize: 15, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  resultText: { fontSize: 13, color: '#4B5563', lineHeight: 18 },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center', marginBottom: 8 },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  secondaryButton: { backgroundColor: '#EEF2FF', padding: 16, borderRadius: 14, alignItems: 'center', marginBottom: 8 },
+  secondaryButtonText: { color: '#4F46E5', fontSize: 16, fontWeight: 'bold' },
+  statsRow: { flexDirection: 'row', gap: 12, marginHorizontal: 20, marginBottom: 24 },
+  statCard: { flex: 1, backgroundColor: '#fff', padding: 16, borderRadius: 16, alignItems: 'center', elevation: 2 },
+  statLabel: { fontSize: 12, color: '#6B7280', marginBottom: 4 },
+  statValue: { fontSize: 18, fontWeight: 'bold', color: '#1F2937' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  historyCard: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#fff', padding: 16, borderRadius: 16, marginBottom: 8, borderWidth: 1, borderColor: '#F3F4F6' },
+  historyInfo: { flex: 1 },
+  historyTitle: { fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  historyMeta: { fontSize: 12, color: '#6B7280' },
+  historyRight: { alignItems: 'flex-end', marginLeft: 8, gap: 6 },
+  historyDifference: { fontSize: 16, fontWeight: 'bold' },
+  matchText: { color: '#6B7280' },
+  incomeText: { color: '#10B981' },
+  expenseText: { color: '#EF4444' },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextDanger: { color: '#DC2626' },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
@@ -0,0 +1,476 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getRecurringRules, getTransactions, markTransactionsReviewed } from '../storage/repository';
+import { loadCategories, getCategoriesForType, getCategory } from '../utils/categories';
+import {
+  FREQUENCIES,
+  getWeekdayLabels,
+  describeSchedule,
+  getNextOccurrence,
+  createRecurringRule,
+  setRulePaused,
+  toggleSkipNextOccurrence,
+  deleteRecurringRule,
+} from '../utils/recurring';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+// Category picked when switching between expense and income
+const DEFAULT_CATEGORY = { expense: 'transportation', income: 'earnings' };
+
+const EMPTY_FORM = {
+  title: '',
+  amount: '',
+  type: 'expense',
+  category: DEFAULT_CATEGORY.expense,
+  frequency: 'schoolDays',
+  weekday: 1,
+  dayOfMonth: '1',
+  hour: 7,
+  minute: 0,
+};
+
+const formatTime = (hour, minute) => {
+  const time = new Date();
+  time.setHours(hour, minute, 0, 0);
+  return time.toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
+};
+
+const formatDateTime = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { weekday: 'short', month: 'short', day: 'numeric' }) +
+  ', ' + new Date(time).toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * RecurringScreen manages entries that repeat on a schedule.
+ * Features:
+ * 1. Create rules for school days, a weekday or a day of the month
+ * 2. Pause/resume rules and skip the next occurrence
+ * 3. Review entries the app posted automatically
+ */
+export default function RecurringScreen({ navigation }) {
+  // --- STATE MANAGEMENT ---
+  const [rules, setRules] = useState([]); // Saved recurring rules
+  const [toReview, setToReview] = useState([]); // Auto-posted transactions not yet checked
+  const [form, setForm] = useState(EMPTY_FORM); // New rule form values
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+
+  /**
+   * Reload rules and the review list whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      const [savedRules, txns] = await Promise.all([
+        getRecurringRules(),
+        getTransactions(),
+        loadCategories(),
+      ]);
+      setRules(savedRules);
+      setToReview(txns.filter((txn) => txn.needsReview));
+    } catch (error) {
+      console.error('Error loading recurring rules:', error);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  /**
+   * Moves the posting time by the given number of minutes, wrapping around midnight
+   */
+  const shiftTime = (minutes) => {
+    const total = (form.hour * 60 + form.minute + minutes + 24 * 60) % (24 * 60);
+    setForm({ ...form, hour: Math.floor(total / 60), minute: total % 60 });
+  };
+
+  const handleSave = async () => {
+    const amount = parseAmount(form.amount);
+    if (!form.amount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('recurring.errors.invalidAmount'));
+      return;
+    }
+
+    const dayOfMonth = parseInt(form.dayOfMonth, 10);
+    if (form.frequency === 'monthly' && (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      Alert.alert(t('common.error'), t('recurring.errors.dayOfMonth'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await createRecurringRule({
+        title: form.title.trim() || getCategory(form.category).label,
+        amount,
+        type: form.type,
+        category: form.category,
+        frequency: form.frequency,
+        weekday: form.weekday,
+        dayOfMonth: dayOfMonth || 1,
+        hour: form.hour,
+        minute: form.minute,
+      });
+      setForm(EMPTY_FORM);
+      await refresh();
+    } catch (error) {
+      console.error('Error saving recurring rule:', error);
+      Alert.alert(t('common.error'), t('recurring.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePause = async (rule) => {
+    try {
+      await setRulePaused(rule.id, !rule.paused);
+      await refresh();
+    } catch (error) {
+      console.error('Error pausing recurring rule:', error);
+      Alert.alert(t('common.error'), t('recurring.errors.updateFailed'));
+    }
+  };
+
+  const handleSkip = async (rule) => {
+    try {
+      await toggleSkipNextOccurrence(rule.id);
+      await refresh();
+    } catch (error) {
+      console.error('Error skipping occurrence:', error);
+      Alert.alert(t('common.error'), t('recurring.errors.updateFailed'));
+    }
+  };
+
+  const handleDelete = (rule) => {
+    Alert.alert(
+      t('recurring.delete.title'),
+      t('recurring.delete.message', { title: rule.title }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRecurringRule(rule.id);
+              await refresh();
+            } catch (error) {
+              console.error('Error deleting recurring rule:', error);
+              Alert.alert(t('common.error'), t('recurring.errors.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleReviewed = async (ids) => {
+    try {
+      await markTransactionsReviewed(ids);
+      await refresh();
+    } catch (error) {
+      console.error('Error marking entries reviewed:', error);
+    }
+  };
+
+  const renderRule = (rule) => {
+    const category = getCategory(rule.category);
+    const next = rule.paused ? null : getNextOccurrence(rule);
+    return (
+      <View key={rule.id} style={[styles.ruleCard, rule.paused && styles.ruleCardPaused]}>
+        <View style={styles.ruleRow}>
+          <Text style={styles.ruleIcon}>{category.icon}</Text>
+          <View style={styles.ruleInfo}>
+            <Text style={styles.ruleTitle}>{rule.title}</Text>
+            <Text style={styles.ruleSchedule}>{describeSchedule(rule)}</Text>
+            <Text style={styles.ruleNext}>
+              {rule.paused
+                ? t('recurring.paused')
+                : next
+                  ? t(next.skipped ? 'recurring.skipping' : 'recurring.next', { time: formatDateTime(next.time) })
+                  : t('recurring.noUpcoming')}
+            </Text>
+          </View>
+          <Text style={[styles.ruleAmount, rule.type === 'income' && styles.incomeText]}>
+            {formatMoney(rule.type === 'income' ? rule.amount : -rule.amount, { sign: true })}
+          </Text>
+        </View>
+
+        <View style={styles.actionsRow}>
+          <TouchableOpacity style={styles.actionButton} onPress={() => handlePause(rule)}>
+            <Text style={styles.actionText}>{rule.paused ? t('recurring.actions.resume') : t('recurring.actions.pause')}</Text>
+          </TouchableOpacity>
+          {!rule.paused && !!next && (
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleSkip(rule)}>
+              <Text style={styles.actionText}>{next.skipped ? t('recurring.actions.undoSkip') : t('recurring.actions.skip')}</Text>
+            </TouchableOpacity>
+          )}
+          {rule.managed ? (
+            <Text style={styles.managedText}>{t('recurring.managed')}</Text>
+          ) : (
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(rule)}>
+              <Text style={[styles.actionText, styles.actionTextDanger]}>{t('recurring.actions.delete')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('recurring.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('recurring.subtitle')}</Text>
+        </View>
+
+        {/* Entries To Review */}
+        {toReview.length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>{t('recurring.review.title')}</Text>
+              <TouchableOpacity onPress={() => handleReviewed(toReview.map((txn) => txn.id))}>
+                <Text style={styles.linkText}>{t('recurring.review.markAll')}</Text>
+              </TouchableOpacity>
+            </View>
+            {toReview.map((txn) => (
+              <View key={txn.id} style={styles.reviewCard}>
+                <View style={styles.ruleInfo}>
+                  <Text style={styles.ruleTitle}>{getCategory(txn.category).icon} {txn.title}</Text>
+                  <Text style={styles.ruleSchedule}>{formatDateTime(txn.timestamp)}</Text>
+                </View>
+                <Text style={[styles.ruleAmount, txn.type === 'income' && styles.incomeText]}>
+                  {formatMoney(txn.type === 'income' ? txn.amount : -txn.amount, { sign: true })}
+                </Text>
+                <TouchableOpacity style={styles.actionButton} onPress={() => handleReviewed([txn.id])}>
+                  <Text style={styles.actionText}>{t('recurring.review.ok')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => navigation.navigate('AddTransaction', { transactionId: txn.id })}
+                >
+                  <Text style={styles.actionText}>{t('recurring.actions.edit')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* New Rule Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('recurring.form.title')}</Text>
+
+          <View style={styles.typeToggle}>
+            {[
+              { value: 'expense', label: t('addTransaction.expense') },
+              { value: 'income', label: t('addTransaction.income') },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.typeButton, form.type === option.value && styles.typeButtonActive]}
+                onPress={() => setForm({ ...form, type: option.value, category: DEFAULT_CATEGORY[option.value] })}
+              >
+                <Text style={[styles.typeButtonText, form.type === option.value && styles.typeButtonTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('recurring.form.amountPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={form.amount}
+            onChangeText={(val) => updateForm('amount', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('recurring.form.notePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.title}
+            onChangeText={(val) => updateForm('title', val)}
+          />
+
+          <Text style={styles.fieldLabel}>{t('recurring.form.category')}</Text>
+          <View style={styles.chipsContainer}>
+            {getCategoriesForType(form.type).map((cat) => (
+              <TouchableOpacity
+                key={cat.key}
+                style={[styles.chip, form.category === cat.key && { backgroundColor: cat.color, borderColor: cat.color }]}
+                onPress={() => updateForm('category', cat.key)}
+              >
+                <Text style={[styles.chipText, form.category === cat.key && styles.chipTextActive]}>
+                  {cat.icon} {cat.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>{t('recurring.form.repeats')}</Text>
+          <View style={styles.chipsContainer}>
+            {FREQUENCIES.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.chip, form.frequency === option.value && styles.chipActive]}
+                onPress={() => updateForm('frequency', option.value)}
+              >
+                <Text style={[styles.chipText, form.frequency === option.value && styles.chipTextActive]}>
+                  {t(`common.frequencies.${option.value}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {form.frequency === 'schoolDays' && (
+            <Text style={styles.hintText}>{t('recurring.form.schoolDaysHint')}</Text>
+          )}
+
+          {(form.frequency === 'weekly' || form.frequency === 'biweekly') && (
+            <View style={styles.chipsContainer}>
+              {getWeekdayLabels().map((label, index) => (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.chip, form.weekday === index && styles.chipActive]}
+                  onPress={() => updateForm('weekday', index)}
+                >
+                  <Text style={[styles.chipText, form.weekday === index && styles.chipTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {form.frequency === 'monthly' && (
+            <TextInput
+              style={styles.textInput}
+              placeholder={t('recurring.form.dayOfMonthPlaceholder')}
+              placeholderTextColor="#9CA3AF"
+              keyboardType="number-pad"
+              value={form.dayOfMonth}
+              onChangeText={(val) => updateForm('dayOfMonth', val)}
+            />
+          )}
+
+          <Text style={styles.fieldLabel}>{t('recurring.form.time')}</Text>
+          <View style={styles.stepperRow}>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftTime(-60)}>
+              <Text style={styles.stepText}>-1h</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftTime(-15)}>
+              <Text style={styles.stepText}>-15m</Text>
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>🕒 {formatTime(form.hour, form.minute)}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftTime(15)}>
+              <Text style={styles.stepText}>+15m</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftTime(60)}>
+              <Text style={styles.stepText}>+1h</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('recurring.form.add')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Saved Rules */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('recurring.yours')}</Text>
+          {rules.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('recurring.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('recurring.emptyHint')}</Text>
+            </View>
+          ) : (
+            rules.map(renderRule)
+          )}
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  typeToggle: { flexDirection: 'row', backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4, marginBottom: 12 },
+  typeButton: { flex: 1, paddingVertical: 10, alignItems: 'center', borderRadius: 8 },
+  typeButtonActive: { backgroundColor: '#4F46E5' },
+  typeButtonText: { fontWeight: '600', color: '#6B7280' },
+  typeButtonTextActive: { color: '#fff' },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  hintText: { fontSize: 12, color: '#9CA3AF', marginBottom: 12 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  stepperRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#F9FAFB', borderRadius: 12, borderWidth: 2, borderColor: '#E5E7EB', marginBottom: 16, padding: 4 },
+  stepButton: { paddingVertical: 8, paddingHorizontal: 8 },
+  stepText: { fontSize: 12, fontWeight: 'bold', color: '#4F46E5' },
+  stepValue: { flex: 1, textAlign: 'center', fontSize: 15, fontWeight: '600', color: '#1F2937' },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  linkText: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 16 },
+  ruleCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  ruleCardPaused: { opacity: 0.6 },
+  ruleRow: { flexDirection: 'row', alignItems: 'center' },
+  ruleIcon: { fontSize: 24, marginRight: 12 },
+  ruleInfo: { flex: 1 },
+  ruleTitle: { fontSize: 16, fontWeight: '600', color: '#1F2937' },
+  ruleSchedule: { fontSize: 12, color: '#6B7280' },
+  ruleNext: { fontSize: 12, color: '#4F46E5', marginTop: 2 },
+  ruleAmount: { fontSize: 16, fontWeight: 'bold', color: '#EF4444', marginLeft: 8 },
+  incomeText: { color: '#10B981' },
+  reviewCard: { flexDirection: 'row', alignItems: 'center', gap: 6, backgroundColor: '#FFFBEB', padding: 12, borderRadius: 16, marginBottom: 8, borderWidth: 1, borderColor: '#FDE68A' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextDanger: { color: '#DC2626' },
+  managedText: { fontSize: 12, color: '#9CA3AF', alignSelf: 'center' },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
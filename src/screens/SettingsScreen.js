@@ -7,31 +7,67 @@ import {
   Alert,
   ScrollView,
   Animated,
+  TextInput,
+  Switch,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import GlobalBackground from '../components/GlobalBackground';
+import PassphraseInput from '../components/PassphraseInput';
+import {
+  getProfile,
+  getSettings,
+  updateSettings,
+  clearAllData,
+  clearTransactions,
+  clearBudgets,
+  resetOnboarding,
+} from '../storage/repository';
+import { MIN_PASSPHRASE_LENGTH, checkPassphrase } from '../storage/encryption';
+import { PERIOD_MODES } from '../utils/periods';
+import { getWeekdayNames } from '../utils/allowance';
+import { syncAllowanceRule } from '../utils/ledger';
+import { syncEnvelopes } from '../utils/envelopes';
+import { CURRENCY_SYMBOLS, setCurrency, formatMoney, formatCompact } from '../utils/currency';
+import { EXPORT_RANGES, EXPORT_FORMATS, getExportRange, exportData } from '../utils/exports';
+import { t, getLocale, LANGUAGES, setLanguage } from '../i18n';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatDay = (time) => new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
 
 /**
  * SettingsScreen allows users to manage their data and app preferences.
  * Features:
- * 1. Data clearing (Reset all transactions and budgets)
+ * 1. Data clearing (Reset all transactions and budgets), backup and restore
  * 2. Profile/Student info display
- * 3. App version and credits
- * 4. Help and Logout placeholders
+ * 3. Language (English, Filipino or Taglish)
+ * 4. Money format (currency symbol, centavos)
+ * 5. Week and month preferences (calendar or rolling, week start day)
+ * 6. Export transactions and the budget plan to CSV or JSON, optionally passphrase-locked; import transactions from CSV
+ * 7. App version and credits
+ * 8. Help and Logout placeholders
  */
 export default function SettingsScreen({ navigation }) {
   // --- STATE MANAGEMENT ---
   const [isClearing, setIsClearing] = useState(false); // Loading state for data reset
   const [userName, setUserName] = useState('Student'); // User's name for profile
   const [studentYear, setStudentYear] = useState('SHS Student'); // User's student year/level for profile
+  const [settings, setSettings] = useState(null); // App preferences (language, money format, week mode, week start)
+  const [customSymbol, setCustomSymbol] = useState(''); // Currency symbol typed in by the user
+  const [exportRange, setExportRange] = useState('month'); // Which transactions go into an export
+  const [customRange, setCustomRange] = useState({ from: Date.now() - 30 * DAY, to: Date.now() }); // Picked days for a custom export range
+  const [isExporting, setIsExporting] = useState(false); // Loading state while an export is built
+  const [exportLock, setExportLock] = useState({ enabled: false, passphrase: '', confirm: '' }); // Optional passphrase for exports
 
   const fadeAnim = useState(new Animated.Value(0))[0]; // Screen entrance animation
 
   /**
-   * Screen entrance animation
+   * Screen entrance animation and profile loading
    */
   useEffect(() => {
+    loadProfile();
+    loadSettings();
+
     Animated.timing(fadeAnim, {
       toValue: 1,
       duration: 800,
@@ -39,25 +75,121 @@ export default function SettingsScreen({ navigation }) {
     }).start();
   }, []);
 
+  const loadProfile = async () => {
+    try {
+      const profile = await getProfile();
+      setUserName(profile.name);
+      setStudentYear(profile.studentYear);
+    } catch (error) {
+      console.error('Error loading profile:', error);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      setSettings(await getSettings());
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  };
+
+  /**
+   * Saves a preference change and shows it right away
+   */
+  const handleUpdateSettings = async (changes) => {
+    try {
+      setSettings(await updateSettings(changes));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      Alert.alert(t('common.error'), t('settings.errors.saveFailed'));
+    }
+  };
+
+  /**
+   * Switches the app language; the new settings re-render this screen in it
+   */
+  const handleSelectLanguage = async (value) => {
+    try {
+      setSettings(await setLanguage(value));
+    } catch (error) {
+      console.error('Error saving language:', error);
+      Alert.alert(t('common.error'), t('settings.errors.saveFailed'));
+    }
+  };
+
+  /**
+   * Saves a money format change; amounts everywhere use it from the next render
+   */
+  const handleUpdateCurrency = async (changes) => {
+    try {
+      setSettings(await setCurrency(changes));
+    } catch (error) {
+      console.error('Error saving currency format:', error);
+      Alert.alert(t('common.error'), t('settings.errors.saveFailed'));
+    }
+  };
+
+  const handleSaveCustomSymbol = () => {
+    const symbol = customSymbol.trim();
+    if (!symbol) return;
+    handleUpdateCurrency({ currencySymbol: symbol });
+    setCustomSymbol('');
+  };
+
+  /**
+   * Moves one end of the custom export range by a day, keeping from <= to <= today
+   */
+  const stepCustomDay = (edge, days) => {
+    const time = customRange[edge] + days * DAY;
+    if (edge === 'from' && time <= customRange.to) setCustomRange({ ...customRange, from: time });
+    if (edge === 'to' && time >= customRange.from && time <= Date.now()) setCustomRange({ ...customRange, to: time });
+  };
+
+  /**
+   * Builds the chosen export and opens the share sheet
+   */
+  const handleExport = async (format) => {
+    const lockError = exportLock.enabled && checkPassphrase(exportLock.passphrase, exportLock.confirm);
+    if (lockError) {
+      Alert.alert(t('common.error'), t(`locked.errors.${lockError}`, { min: MIN_PASSPHRASE_LENGTH }));
+      return;
+    }
+
+    try {
+      setIsExporting(true);
+      const passphrase = exportLock.enabled ? exportLock.passphrase : undefined;
+      const count = await exportData(format, getExportRange(exportRange, settings, customRange), passphrase);
+      if (format === 'transactions' && count === 0) {
+        Alert.alert(t('settings.export.emptyTitle'), t('settings.export.empty'));
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert(t('common.error'), t('settings.export.failed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   /**
    * Resets all application data stored in AsyncStorage
    */
   const handleClearAllData = () => {
     Alert.alert(
-      'Clear All Data',
-      'Are you sure you want to delete all your transactions, budgets, and reset the app? This cannot be undone!',
+      t('settings.clearAll.title'),
+      t('settings.clearAll.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('backup.backUpFirst'), onPress: () => navigation.navigate('Backup') },
         {
-          text: 'Clear All',
+          text: t('settings.clearAll.confirm'),
           style: 'destructive',
           onPress: async () => {
             try {
               setIsClearing(true);
-              await AsyncStorage.clear();
-              Alert.alert('Success', 'All data cleared! Please restart the app.');
+              await clearAllData();
+              Alert.alert(t('common.success'), t('settings.clearAll.done'));
             } catch (error) {
-              Alert.alert('Error', 'Failed to clear data');
+              Alert.alert(t('common.error'), t('settings.clearAll.failed'));
             } finally {
               setIsClearing(false);
             }
@@ -72,19 +204,19 @@ export default function SettingsScreen({ navigation }) {
    */
   const handleClearTransactions = () => {
     Alert.alert(
-      'Clear Transactions',
-      'Delete all transaction history? Your budget settings will be kept.',
+      t('settings.clearTransactions.title'),
+      t('settings.clearTransactions.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Clear',
+          text: t('settings.clear'),
           style: 'destructive',
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem('transactions');
-              Alert.alert('Success', 'All transactions cleared!');
+              await clearTransactions();
+              Alert.alert(t('common.success'), t('settings.clearTransactions.done'));
             } catch (error) {
-              Alert.alert('Error', 'Failed to clear transactions');
+              Alert.alert(t('common.error'), t('settings.clearTransactions.failed'));
             }
           },
         },
@@ -93,23 +225,26 @@ export default function SettingsScreen({ navigation }) {
   };
 
   /**
-   * Deletes only budget configurations
+   * Deletes only budget configurations, along with the allowance rule
+   * and envelopes that came from them
    */
   const handleClearBudgets = () => {
     Alert.alert(
-      'Clear Budget Settings',
-      'Delete all budget settings? Your transactions will be kept.',
+      t('settings.clearBudgets.title'),
+      t('settings.clearBudgets.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Clear',
+          text: t('settings.clear'),
           style: 'destructive',
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem('budgets');
-              Alert.alert('Success', 'Budget settings cleared!');
+              await clearBudgets();
+              await syncAllowanceRule(null);
+              await syncEnvelopes(null);
+              Alert.alert(t('common.success'), t('settings.clearBudgets.done'));
             } catch (error) {
-              Alert.alert('Error', 'Failed to clear budgets');
+              Alert.alert(t('common.error'), t('settings.clearBudgets.failed'));
             }
           },
         },
@@ -122,18 +257,18 @@ export default function SettingsScreen({ navigation }) {
    */
   const handleResetOnboarding = () => {
     Alert.alert(
-      'Reset Onboarding',
-      'See the welcome screens again on next app start?',
+      t('settings.resetOnboarding.title'),
+      t('settings.resetOnboarding.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Reset',
+          text: t('settings.resetOnboarding.confirm'),
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem('hasLaunched');
-              Alert.alert('Success', 'Close and reopen the app to see onboarding');
+              await resetOnboarding();
+              Alert.alert(t('common.success'), t('settings.resetOnboarding.done'));
             } catch (error) {
-              Alert.alert('Error', 'Failed to reset');
+              Alert.alert(t('common.error'), t('settings.resetOnboarding.failed'));
             }
           },
         },
@@ -154,8 +289,8 @@ export default function SettingsScreen({ navigation }) {
         <Animated.View style={[styles.mainView, { opacity: fadeAnim }]}>
           {/* Header */}
           <View style={styles.header}>
-            <Text style={styles.headerTitle}>Settings</Text>
-            <Text style={styles.headerSubtitle}>Manage your profile & data</Text>
+            <Text style={styles.headerTitle}>{t('settings.title')}</Text>
+            <Text style={styles.headerSubtitle}>{t('settings.subtitle')}</Text>
           </View>
 
           {/* Profile Section Placeholder */}
@@ -169,15 +304,203 @@ export default function SettingsScreen({ navigation }) {
             </View>
           </View>
 
+          {/* Language Section */}
+          {settings && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('settings.language.title')}</Text>
+              <View style={styles.preferenceCard}>
+                <View style={styles.chipsRow}>
+                  {LANGUAGES.map((option) => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.chip, settings.language === option.value && styles.chipActive]}
+                      onPress={() => handleSelectLanguage(option.value)}
+                    >
+                      <Text style={[styles.chipText, settings.language === option.value && styles.chipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.preferenceHint}>{t('settings.language.hint')}</Text>
+              </View>
+            </View>
+          )}
+
+          {/* Money Format Section */}
+          {settings && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('settings.money.title')}</Text>
+              <View style={styles.preferenceCard}>
+                <Text style={styles.preferenceLabel}>{t('settings.money.symbol')}</Text>
+                <View style={styles.chipsRow}>
+                  {(CURRENCY_SYMBOLS.includes(settings.currencySymbol) ? CURRENCY_SYMBOLS : [...CURRENCY_SYMBOLS, settings.currencySymbol]).map((symbol) => (
+                    <TouchableOpacity
+                      key={symbol}
+                      style={[styles.chip, settings.currencySymbol === symbol && styles.chipActive]}
+                      onPress={() => handleUpdateCurrency({ currencySymbol: symbol })}
+                    >
+                      <Text style={[styles.chipText, settings.currencySymbol === symbol && styles.chipTextActive]}>{symbol}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <TextInput
+                  style={styles.symbolInput}
+                  value={customSymbol}
+                  onChangeText={setCustomSymbol}
+                  onEndEditing={handleSaveCustomSymbol}
+                  placeholder={t('settings.money.customPlaceholder')}
+                  maxLength={4}
+                  autoCapitalize="characters"
+                />
+                <Text style={styles.preferenceHint}>{t('settings.money.symbolHint')}</Text>
+
+                <View style={styles.switchRow}>
+                  <View style={styles.switchText}>
+                    <Text style={styles.preferenceLabel}>{t('settings.money.hideCentavos')}</Text>
+                    <Text style={styles.preferenceHint}>
+                      {t('settings.money.example', { amount: formatMoney(1234.5), compact: formatCompact(1234.5) })}
+                    </Text>
+                  </View>
+                  <Switch
+                    value={settings.hideCentavos}
+                    onValueChange={(value) => handleUpdateCurrency({ hideCentavos: value })}
+                    trackColor={{ true: '#A5B4FC', false: '#E5E7EB' }}
+                    thumbColor={settings.hideCentavos ? '#4F46E5' : '#F9FAFB'}
+                  />
+                </View>
+              </View>
+            </View>
+          )}
+
+          {/* Weeks & Months Section */}
+          {settings && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('settings.periods.title')}</Text>
+              <View style={styles.preferenceCard}>
+                <Text style={styles.preferenceLabel}>{t('settings.periods.budgetPeriod')}</Text>
+                <View style={styles.chipsRow}>
+                  {PERIOD_MODES.map((mode) => (
+                    <TouchableOpacity
+                      key={mode.value}
+                      style={[styles.chip, settings.periodMode === mode.value && styles.chipActive]}
+                      onPress={() => handleUpdateSettings({ periodMode: mode.value })}
+                    >
+                      <Text style={[styles.chipText, settings.periodMode === mode.value && styles.chipTextActive]}>
+                        {t(`periods.modes.${mode.value}.label`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.preferenceHint}>
+                  {t(`periods.modes.${settings.periodMode}.description`)}
+                </Text>
+
+                {settings.periodMode === 'calendar' && (
+                  <>
+                    <Text style={styles.preferenceLabel}>{t('settings.periods.weekStartsOn')}</Text>
+                    <View style={styles.chipsRow}>
+                      {getWeekdayNames().map((name, index) => (
+                        <TouchableOpacity
+                          key={name}
+                          style={[styles.chip, settings.weekStartsOn === index && styles.chipActive]}
+                          onPress={() => handleUpdateSettings({ weekStartsOn: index })}
+                        >
+                          <Text style={[styles.chipText, settings.weekStartsOn === index && styles.chipTextActive]}>
+                            {name.slice(0, 3)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </>
+                )}
+              </View>
+            </View>
+          )}
+
+          {/* Export Section */}
+          {settings && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('settings.export.title')}</Text>
+              <View style={styles.preferenceCard}>
+                <Text style={styles.preferenceLabel}>{t('settings.export.range')}</Text>
+                <View style={styles.chipsRow}>
+                  {EXPORT_RANGES.map((range) => (
+                    <TouchableOpacity
+                      key={range.value}
+                      style={[styles.chip, exportRange === range.value && styles.chipActive]}
+                      onPress={() => setExportRange(range.value)}
+                    >
+                      <Text style={[styles.chipText, exportRange === range.value && styles.chipTextActive]}>
+                        {t(`settings.export.ranges.${range.value}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {exportRange === 'custom' && ['from', 'to'].map((edge) => (
+                  <View key={edge} style={styles.dayRow}>
+                    <Text style={styles.dayLabel}>{t(`settings.export.${edge}`)}</Text>
+                    <TouchableOpacity style={styles.dayStep} onPress={() => stepCustomDay(edge, -1)}>
+                      <Text style={styles.dayStepText}>‹</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.dayValue}>{formatDay(customRange[edge])}</Text>
+                    <TouchableOpacity style={styles.dayStep} onPress={() => stepCustomDay(edge, 1)}>
+                      <Text style={styles.dayStepText}>›</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+                <Text style={styles.preferenceHint}>{t('settings.export.hint')}</Text>
+                <PassphraseInput value={exportLock} onChange={setExportLock} />
+                {EXPORT_FORMATS.map((format) => (
+                  <TouchableOpacity
+                    key={format.value}
+                    style={[styles.exportButton, isExporting && styles.exportButtonDisabled]}
+                    onPress={() => handleExport(format.value)}
+                    disabled={isExporting}
+                  >
+                    <Text style={styles.exportButtonText}>{t(`settings.export.formats.${format.value}`)}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
           {/* Data Management Section */}
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>💾 Data Management</Text>
+            <Text style={styles.sectionTitle}>{t('settings.data.title')}</Text>
+
+            <TouchableOpacity style={styles.menuItem} onPress={() => navigation.navigate('Categories')}>
+              <Text style={styles.menuIcon}>🏷️</Text>
+              <View style={styles.menuText}>
+                <Text style={styles.menuTitle}>{t('settings.data.categories')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.categoriesHint')}</Text>
+              </View>
+              <Text style={styles.arrow}>›</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.menuItem} onPress={() => navigation.navigate('Import')}>
+              <Text style={styles.menuIcon}>📥</Text>
+              <View style={styles.menuText}>
+                <Text style={styles.menuTitle}>{t('settings.data.import')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.importHint')}</Text>
+              </View>
+              <Text style={styles.arrow}>›</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.menuItem} onPress={() => navigation.navigate('Backup')}>
+              <Text style={styles.menuIcon}>🛟</Text>
+              <View style={styles.menuText}>
+                <Text style={styles.menuTitle}>{t('settings.data.backup')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.backupHint')}</Text>
+              </View>
+              <Text style={styles.arrow}>›</Text>
+            </TouchableOpacity>
 
             <TouchableOpacity style={styles.menuItem} onPress={handleClearTransactions}>
               <Text style={styles.menuIcon}>📝</Text>
               <View style={styles.menuText}>
-                <Text style={styles.menuTitle}>Clear Transactions</Text>
-                <Text style={styles.menuSubtitle}>Wipe spending history but keep budgets</Text>
+                <Text style={styles.menuTitle}>{t('settings.data.clearTransactions')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.clearTransactionsHint')}</Text>
               </View>
               <Text style={styles.arrow}>›</Text>
             </TouchableOpacity>
@@ -185,8 +508,8 @@ export default function SettingsScreen({ navigation }) {
             <TouchableOpacity style={styles.menuItem} onPress={handleClearBudgets}>
               <Text style={styles.menuIcon}>�</Text>
               <View style={styles.menuText}>
-                <Text style={styles.menuTitle}>Clear Budgets</Text>
-                <Text style={styles.menuSubtitle}>Reset your daily/weekly limits</Text>
+                <Text style={styles.menuTitle}>{t('settings.data.clearBudgets')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.clearBudgetsHint')}</Text>
               </View>
               <Text style={styles.arrow}>›</Text>
             </TouchableOpacity>
@@ -194,8 +517,8 @@ export default function SettingsScreen({ navigation }) {
             <TouchableOpacity style={styles.menuItem} onPress={handleResetOnboarding}>
               <Text style={styles.menuIcon}>🔄</Text>
               <View style={styles.menuText}>
-                <Text style={styles.menuTitle}>Reset Onboarding</Text>
-                <Text style={styles.menuSubtitle}>Re-run the initial setup guide</Text>
+                <Text style={styles.menuTitle}>{t('settings.data.resetOnboarding')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.data.resetOnboardingHint')}</Text>
               </View>
               <Text style={styles.arrow}>›</Text>
             </TouchableOpacity>
@@ -203,27 +526,27 @@ export default function SettingsScreen({ navigation }) {
 
           {/* Danger Zone */}
           <View style={styles.section}>
-            <Text style={[styles.sectionTitle, { color: '#EF4444' }]}>⚠️ Danger Zone</Text>
+            <Text style={[styles.sectionTitle, { color: '#EF4444' }]}>{t('settings.danger.title')}</Text>
             <TouchableOpacity style={[styles.menuItem, styles.dangerItem]} onPress={handleClearAllData}>
               <Text style={styles.menuIcon}>🗑️</Text>
               <View style={styles.menuText}>
-                <Text style={[styles.menuTitle, { color: '#DC2626' }]}>Factory Reset</Text>
-                <Text style={styles.menuSubtitle}>Delete everything permanently</Text>
+                <Text style={[styles.menuTitle, { color: '#DC2626' }]}>{t('settings.danger.factoryReset')}</Text>
+                <Text style={styles.menuSubtitle}>{t('settings.danger.factoryResetHint')}</Text>
               </View>
             </TouchableOpacity>
           </View>
 
           {/* About Section */}
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>ℹ️ About</Text>
+            <Text style={styles.sectionTitle}>{t('settings.about.title')}</Text>
             <View style={styles.aboutCard}>
-              <Text style={styles.aboutInfo}>Budget Management System for SHS Students</Text>
-              <Text style={styles.teamTitle}>Development Team:</Text>
-              <Text style={styles.teamMember}>• Aaliah Canoy Manduriao (Leader)</Text>
+              <Text style={styles.aboutInfo}>{t('settings.about.info')}</Text>
+              <Text style={styles.teamTitle}>{t('settings.about.team')}</Text>
+              <Text style={styles.teamMember}>• Aaliah Canoy Manduriao ({t('settings.about.leader')})</Text>
               <Text style={styles.teamMember}>• Roshell Ann Decapeda Dela Cruz</Text>
               <Text style={styles.teamMember}>• Lynard Bryan Alfonso Santos</Text>
               <Text style={styles.teamMember}>• Nash Andrei Remojo Castro</Text>
-              <Text style={styles.version}>Version 1.0.0</Text>
+              <Text style={styles.version}>{t('settings.about.version', { version: '1.0.0' })}</Text>
             </View>
           </View>
 
@@ -253,6 +576,25 @@ const styles = StyleSheet.create({
   menuTitle: { fontSize: 16, fontWeight: '600', color: '#374151' },
   menuSubtitle: { fontSize: 12, color: '#9CA3AF' },
   arrow: { fontSize: 20, color: '#D1D5DB' },
+  preferenceCard: { backgroundColor: '#fff', padding: 16, borderRadius: 16, elevation: 2 },
+  preferenceLabel: { fontSize: 14, fontWeight: '600', color: '#374151', marginBottom: 8 },
+  preferenceHint: { fontSize: 12, color: '#9CA3AF', marginBottom: 12 },
+  chipsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  symbolInput: { backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, paddingHorizontal: 12, paddingVertical: 8, fontSize: 14, marginBottom: 8 },
+  switchRow: { flexDirection: 'row', alignItems: 'center' },
+  dayRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  dayLabel: { width: 60, fontSize: 13, fontWeight: '600', color: '#374151' },
+  dayStep: { width: 32, height: 32, borderRadius: 16, backgroundColor: '#F3F4F6', justifyContent: 'center', alignItems: 'center' },
+  dayStepText: { fontSize: 18, fontWeight: 'bold', color: '#4F46E5' },
+  dayValue: { flex: 1, textAlign: 'center', fontSize: 14, color: '#1F2937' },
+  exportButton: { backgroundColor: '#EEF2FF', paddingVertical: 12, borderRadius: 12, alignItems: 'center', marginBottom: 8 },
+  exportButtonDisabled: { opacity: 0.5 },
+  exportButtonText: { fontSize: 14, fontWeight: '600', color: '#4F46E5' },
+  switchText: { flex: 1, marginRight: 12 },
   dangerItem: { borderColor: '#FEE2E2', borderWidth: 1 },
   aboutCard: { backgroundColor: '#fff', padding: 20, borderRadius: 20, elevation: 2 },
   aboutInfo: { fontSize: 14, fontWeight: 'bold', color: '#4F46E5', marginBottom: 10 },
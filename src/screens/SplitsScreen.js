@@ -0,0 +1,506 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getSplits, getDebts, getTransactions } from '../storage/repository';
+import { loadCategories, getCategoriesForType, getCategoryIcon } from '../utils/categories';
+import { recordRepayment } from '../utils/debts';
+import {
+  SPLIT_METHODS,
+  calculateShares,
+  createSplit,
+  getSplitStatus,
+  deleteSplit,
+} from '../utils/splits';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Quick choices for when groupmates should pay back, in days from today (null = no due date; labels under debts.dueOptions)
+const DUE_OPTIONS = [
+  { key: 'none', days: null },
+  { key: 'tomorrow', days: 1 },
+  { key: 'oneWeek', days: 7 },
+  { key: 'twoWeeks', days: 14 },
+];
+
+// Starting value for a person's share, per split method
+const defaultValue = (method) => (method === 'shares' ? '1' : '');
+
+const EMPTY_FORM = {
+  title: '',
+  total: '',
+  category: 'projects',
+  method: 'equal',
+  myValue: '',
+  people: [{ name: '', value: '' }],
+  dueDate: null,
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric' });
+
+/**
+ * SplitsScreen splits group project expenses with groupmates.
+ * Features:
+ * 1. Split a payment equally, by shares or by custom amounts
+ * 2. Only your share counts as spending; the rest is owed back to you
+ * 3. Track which groupmates have paid back their share
+ */
+export default function SplitsScreen() {
+  // --- STATE MANAGEMENT ---
+  const [splits, setSplits] = useState([]); // Saved split expenses, newest first
+  const [debts, setDebts] = useState([]); // All IOUs, for each groupmate's share
+  const [transactions, setTransactions] = useState([]); // All transactions, for repayment totals
+  const [form, setForm] = useState(EMPTY_FORM); // New split form values
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+  const [payingId, setPayingId] = useState(null); // IOU whose repayment box is open
+  const [paymentAmount, setPaymentAmount] = useState(''); // Amount typed into the repayment box
+
+  /**
+   * Reload splits whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      await loadCategories();
+      const [savedSplits, savedDebts, txns] = await Promise.all([getSplits(), getDebts(), getTransactions()]);
+      setSplits(savedSplits);
+      setDebts(savedDebts);
+      setTransactions(txns);
+    } catch (error) {
+      console.error('Error loading splits:', error);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const changeMethod = (method) => {
+    setForm({
+      ...form,
+      method,
+      myValue: defaultValue(method),
+      people: form.people.map((person) => ({ ...person, value: defaultValue(method) })),
+    });
+  };
+
+  const updatePerson = (index, field, value) => {
+    updateForm('people', form.people.map((person, i) => (i === index ? { ...person, [field]: value } : person)));
+  };
+
+  const addPerson = () => {
+    updateForm('people', [...form.people, { name: '', value: defaultValue(form.method) }]);
+  };
+
+  const removePerson = (index) => {
+    updateForm('people', form.people.filter((_, i) => i !== index));
+  };
+
+  const total = parseAmount(form.total);
+  const values = [form.myValue, ...form.people.map((person) => person.value)];
+  const preview = total > 0 ? calculateShares(total, form.method, values) : null;
+
+  const handleCreate = async () => {
+    if (!form.title.trim()) {
+      Alert.alert(t('common.error'), t('splits.errors.noTitle'));
+      return;
+    }
+
+    if (!form.total || isNaN(total) || total <= 0) {
+      Alert.alert(t('common.error'), t('splits.errors.invalidAmount'));
+      return;
+    }
+
+    if (form.people.length === 0 || form.people.some((person) => !person.name.trim())) {
+      Alert.alert(t('common.error'), t('splits.errors.noNames'));
+      return;
+    }
+
+    if (preview.error) {
+      Alert.alert(t('common.error'), preview.error);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await createSplit({ ...form, total, values });
+      setForm(EMPTY_FORM);
+      await refresh();
+    } catch (error) {
+      console.error('Error saving split:', error);
+      Alert.alert(t('common.error'), t('splits.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openPayment = (debtId, remaining) => {
+    setPayingId(debtId);
+    setPaymentAmount(String(remaining));
+  };
+
+  /**
+   * Logs what a groupmate paid back for their share
+   */
+  const handleRepayment = async (debtId, remaining) => {
+    const amount = parseAmount(paymentAmount);
+    if (!paymentAmount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('splits.errors.invalidAmount'));
+      return;
+    }
+
+    if (amount > remaining) {
+      Alert.alert(t('common.error'), t('debts.errors.overpaid', { amount: formatMoney(remaining) }));
+      return;
+    }
+
+    try {
+      await recordRepayment(debts.find((debt) => debt.id === debtId), amount);
+      setPayingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Error recording repayment:', error);
+      Alert.alert(t('common.error'), t('debts.errors.transactionFailed'));
+    }
+  };
+
+  const handleDelete = (split) => {
+    Alert.alert(
+      t('splits.delete.title'),
+      t('splits.delete.message', { title: split.title }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSplit(split.id);
+              await refresh();
+            } catch (error) {
+              console.error('Error deleting split:', error);
+              Alert.alert(t('common.error'), t('splits.errors.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSplit = (split) => {
+    const status = getSplitStatus(split, debts, transactions);
+
+    return (
+      <View key={split.id} style={[styles.splitCard, status.isSettled && styles.splitCardSettled]}>
+        <View style={styles.splitRow}>
+          <Text style={styles.splitIcon}>{getCategoryIcon(split.category)}</Text>
+          <View style={styles.splitInfo}>
+            <Text style={styles.splitTitle}>{split.title}</Text>
+            <Text style={styles.splitMeta}>
+              {t('splits.meta', {
+                total: formatMoney(split.total),
+                date: formatDate(split.createdAt),
+                share: formatMoney(split.myShare),
+              })}
+            </Text>
+          </View>
+          <View style={styles.splitAmounts}>
+            <Text style={[styles.splitAmount, status.isSettled ? styles.incomeText : styles.pendingText]}>
+              {status.isSettled ? t('debts.status.settled') : formatMoney(status.outstanding)}
+            </Text>
+            {!status.isSettled && <Text style={styles.splitAmountLabel}>{t('splits.toCollect')}</Text>}
+          </View>
+        </View>
+
+        {status.people.map((person) => (
+          <View key={person.debtId || person.name}>
+            <View style={styles.personRow}>
+              <Text style={styles.personName}>{person.isSettled ? '✅' : '⏳'} {person.name}</Text>
+              <Text style={styles.personShare}>
+                {person.isSettled
+                  ? t('splits.person.paid', { amount: formatMoney(person.share) })
+                  : person.paid > 0
+                    ? t('debts.paid', { paid: formatMoney(person.paid, { whole: true }), amount: formatMoney(person.share, { whole: true }) })
+                    : t('splits.person.owes', { amount: formatMoney(person.share) })}
+              </Text>
+              {!person.isSettled && (
+                <TouchableOpacity style={styles.actionButton} onPress={() => openPayment(person.debtId, person.remaining)}>
+                  <Text style={styles.actionText}>{t('debts.actions.gotPaid')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            {payingId === person.debtId && (
+              <View style={styles.paymentBox}>
+                <Text style={styles.paymentTitle}>{t('debts.payment.lentTitle', { person: person.name })}</Text>
+                <TextInput
+                  style={styles.textInput}
+                  placeholder={t('debts.form.amountPlaceholder', { symbol: getCurrencySymbol() })}
+                  placeholderTextColor="#9CA3AF"
+                  keyboardType="decimal-pad"
+                  value={paymentAmount}
+                  onChangeText={setPaymentAmount}
+                />
+                <View style={styles.actionsRow}>
+                  <TouchableOpacity style={styles.actionButton} onPress={() => setPayingId(null)}>
+                    <Text style={styles.actionText}>{t('common.cancel')}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={[styles.actionButton, styles.actionButtonPrimary]} onPress={() => handleRepayment(person.debtId, person.remaining)}>
+                    <Text style={[styles.actionText, styles.actionTextPrimary]}>{t('debts.payment.save')}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+          </View>
+        ))}
+
+        <View style={styles.actionsRow}>
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(split)}>
+            <Text style={[styles.actionText, styles.actionTextDanger]}>{t('splits.delete.action')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('splits.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('splits.subtitle')}</Text>
+        </View>
+
+        {/* New Split Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('splits.form.title')}</Text>
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('splits.form.titlePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={form.title}
+            onChangeText={(val) => updateForm('title', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('splits.form.totalPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={form.total}
+            onChangeText={(val) => updateForm('total', val)}
+          />
+
+          <Text style={styles.fieldLabel}>{t('splits.form.category')}</Text>
+          <View style={styles.chipsContainer}>
+            {getCategoriesForType('expense').map((cat) => (
+              <TouchableOpacity
+                key={cat.key}
+                style={[styles.chip, form.category === cat.key && { backgroundColor: cat.color, borderColor: cat.color }]}
+                onPress={() => updateForm('category', cat.key)}
+              >
+                <Text style={[styles.chipText, form.category === cat.key && styles.chipTextActive]}>
+                  {cat.icon} {cat.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>{t('splits.form.method')}</Text>
+          <View style={styles.typeToggle}>
+            {SPLIT_METHODS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.typeButton, form.method === option.value && styles.typeButtonActive]}
+                onPress={() => changeMethod(option.value)}
+              >
+                <Text style={[styles.typeButtonText, form.method === option.value && styles.typeButtonTextActive]}>
+                  {t(`splits.methods.${option.value}.label`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hintText}>{t(`splits.methods.${form.method}.description`)}</Text>
+
+          <View style={styles.personFormRow}>
+            <Text style={[styles.personFormName, styles.personFormMe]}>{t('splits.form.me')}</Text>
+            {form.method !== 'equal' && (
+              <TextInput
+                style={[styles.textInput, styles.personFormValue]}
+                placeholder={form.method === 'shares' ? t('splits.form.shares') : getCurrencySymbol()}
+                placeholderTextColor="#9CA3AF"
+                keyboardType="decimal-pad"
+                value={form.myValue}
+                onChangeText={(val) => updateForm('myValue', val)}
+              />
+            )}
+            <Text style={styles.personFormShare}>{preview ? formatMoney(preview.shares[0]) : ''}</Text>
+          </View>
+          {form.people.map((person, index) => (
+            <View key={index} style={styles.personFormRow}>
+              <TextInput
+                style={[styles.textInput, styles.personFormName]}
+                placeholder={t('splits.form.groupmate')}
+                placeholderTextColor="#9CA3AF"
+                value={person.name}
+                onChangeText={(val) => updatePerson(index, 'name', val)}
+              />
+              {form.method !== 'equal' && (
+                <TextInput
+                  style={[styles.textInput, styles.personFormValue]}
+                  placeholder={form.method === 'shares' ? t('splits.form.shares') : getCurrencySymbol()}
+                  placeholderTextColor="#9CA3AF"
+                  keyboardType="decimal-pad"
+                  value={person.value}
+                  onChangeText={(val) => updatePerson(index, 'value', val)}
+                />
+              )}
+              <Text style={styles.personFormShare}>{preview ? formatMoney(preview.shares[index + 1]) : ''}</Text>
+              <TouchableOpacity style={styles.removeButton} onPress={() => removePerson(index)}>
+                <Text style={styles.removeText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+          <TouchableOpacity onPress={addPerson}>
+            <Text style={styles.linkText}>{t('splits.form.addGroupmate')}</Text>
+          </TouchableOpacity>
+          {!!preview?.error && <Text style={styles.errorText}>{preview.error}</Text>}
+
+          <Text style={styles.fieldLabel}>{t('splits.form.payBackBy')}</Text>
+          <View style={styles.chipsContainer}>
+            {DUE_OPTIONS.map((option) => {
+              const isActive = option.days === null
+                ? form.dueDate === null
+                : !!form.dueDate && new Date(form.dueDate).toDateString() === new Date(Date.now() + option.days * DAY).toDateString();
+              return (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[styles.chip, isActive && styles.chipActive]}
+                  onPress={() => updateForm('dueDate', option.days === null ? null : Date.now() + option.days * DAY)}
+                >
+                  <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{t(`debts.dueOptions.${option.key}`)}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.hintText}>
+            {t('splits.form.hint')}
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleCreate}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('splits.form.save')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Saved Splits */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('splits.list')}</Text>
+          {splits.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>{t('splits.empty')}</Text>
+              <Text style={styles.emptySubtext}>{t('splits.emptyHint')}</Text>
+            </View>
+          ) : (
+            splits.map(renderSplit)
+          )}
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  typeToggle: { flexDirection: 'row', backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4, marginBottom: 8 },
+  typeButton: { flex: 1, paddingVertical: 10, alignItems: 'center', borderRadius: 8 },
+  typeButtonActive: { backgroundColor: '#4F46E5' },
+  typeButtonText: { fontWeight: '600', color: '#6B7280' },
+  typeButtonTextActive: { color: '#fff' },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  hintText: { fontSize: 12, color: '#9CA3AF', marginBottom: 12 },
+  errorText: { fontSize: 13, fontWeight: '600', color: '#DC2626', marginBottom: 12 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  personFormRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  personFormName: { flex: 1 },
+  personFormMe: { fontSize: 16, fontWeight: '600', color: '#1F2937', paddingVertical: 14, marginBottom: 12 },
+  personFormValue: { width: 80 },
+  personFormShare: { width: 80, textAlign: 'right', fontSize: 14, fontWeight: '600', color: '#4F46E5', marginBottom: 12 },
+  removeButton: { padding: 6, marginBottom: 12 },
+  removeText: { fontSize: 16, fontWeight: 'bold', color: '#DC2626' },
+  linkText: { fontSize: 13, fontWeight: '600', color: '#4F46E5', textAlign: 'center', marginVertical: 8 },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  splitCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  splitCardSettled: { opacity: 0.6 },
+  splitRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  splitIcon: { fontSize: 24, marginRight: 12 },
+  splitInfo: { flex: 1 },
+  splitTitle: { fontSize: 16, fontWeight: '600', color: '#1F2937' },
+  splitMeta: { fontSize: 12, color: '#6B7280' },
+  splitAmounts: { alignItems: 'flex-end', marginLeft: 8 },
+  splitAmount: { fontSize: 16, fontWeight: 'bold' },
+  splitAmountLabel: { fontSize: 11, color: '#9CA3AF' },
+  personRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6, borderTopWidth: 1, borderTopColor: '#F3F4F6' },
+  personName: { flex: 1, fontSize: 14, fontWeight: '600', color: '#374151' },
+  personShare: { fontSize: 12, color: '#6B7280', marginRight: 8 },
+  incomeText: { color: '#10B981' },
+  pendingText: { color: '#F59E0B' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionButtonPrimary: { backgroundColor: '#4F46E5' },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextPrimary: { color: '#fff' },
+  actionTextDanger: { color: '#DC2626' },
+  paymentBox: { marginTop: 8, marginBottom: 8, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  paymentTitle: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 8 },
+  emptyState: { alignItems: 'center', padding: 24, backgroundColor: '#F9FAFB', borderRadius: 20, borderStyle: 'dashed', borderWidth: 2, borderColor: '#E5E7EB' },
+  emptyText: { fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 4 },
+  emptySubtext: { fontSize: 13, color: '#6B7280', textAlign: 'center' },
+});
@@ -7,18 +7,31 @@ import {
   TouchableOpacity,
   Animated,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar } from 'expo-status-bar';
 import GlobalBackground from '../components/GlobalBackground';
 import { useFocusEffect } from '@react-navigation/native';
+import { getTransactions, getBudgets, getSettings, getSavingsLedger, filterTransactions } from '../storage/repository';
+import { loadCategories, getCategoryIcon, getCategoryLabel } from '../utils/categories';
+import { summarizeRange, isDebtTransaction } from '../utils/ledger';
+import { getPeriodRange, getWeekRange } from '../utils/periods';
+import {
+  getAllowanceSchedule,
+  getAverageDailyAllowance,
+  describeAllowance,
+} from '../utils/allowance';
+import { closeDuePeriods, getTotalSavings, getSavingsHistory } from '../utils/savings';
+import { formatMoney, formatCompact } from '../utils/currency';
+import { t, getLocale } from '../i18n';
 
 /**
  * StatisticsScreen provides a detailed visual breakdown of user spending.
  * Features:
  * 1. Spending filters (Daily, Weekly, Monthly)
  * 2. Visual progress bars for savings goals
- * 3. Category distribution lists
+ * 3. Category distribution lists (spending and income); money moved through IOUs,
+ *    groupmates' shares of split expenses included, is left out of the totals and listed apart
  * 4. Recent history log with insights
+ * 5. Savings history chart from the closed weekly/monthly snapshots
  */
 export default function StatisticsScreen({ navigation }) {
   // --- STATE MANAGEMENT ---
@@ -27,15 +40,25 @@ export default function StatisticsScreen({ navigation }) {
   const [stats, setStats] = useState({
     totalSpent: 0,
     totalIncome: 0,
+    allowance: 0,
+    loggedIncome: 0,
     byCategory: {},
+    incomeByCategory: {},
+    debtOut: 0,
+    debtIn: 0,
+    balance: 0,
     transactionCount: 0,
     dailyAllowance: 0,
     weeklyAllowance: 0,
     monthlyAllowance: 0,
+    allowanceSchedule: '',
   }); // Calculated metrics for the current period
+  const [periodLabel, setPeriodLabel] = useState(t('periods.thisWeek')); // Title of the selected period, per the Settings week mode
 
   const [savingsGoal, setSavingsGoal] = useState(0); // Weekly target
   const [currentSavings, setCurrentSavings] = useState(0); // Calculated leftover amount
+  const [totalSavings, setTotalSavings] = useState(0); // Saved since the first entry, closed weeks included
+  const [savingsHistory, setSavingsHistory] = useState([]); // Latest closed weeks (or months) with running totals
 
   const fadeAnim = useState(new Animated.Value(0))[0]; // Screen transition animation
 
@@ -66,14 +89,21 @@ export default function StatisticsScreen({ navigation }) {
    */
   const loadData = async () => {
     try {
-      const storedTxns = await AsyncStorage.getItem('transactions');
-      const storedBudgets = await AsyncStorage.getItem('budgets');
-
-      const allTransactions = storedTxns ? JSON.parse(storedTxns) : [];
-      const budgets = storedBudgets ? JSON.parse(storedBudgets) : null;
+      await closeDuePeriods();
+      const [allTransactions, budgets, settings, savingsLedger] = await Promise.all([
+        getTransactions(),
+        getBudgets(),
+        getSettings(),
+        getSavingsLedger(),
+        loadCategories(),
+      ]);
 
       setTransactions(allTransactions);
-      calculateStatistics(allTransactions, budgets);
+      calculateStatistics(allTransactions, budgets, settings);
+      setTotalSavings(getTotalSavings(savingsLedger, allTransactions, budgets));
+      setSavingsHistory(period === 'monthly'
+        ? getSavingsHistory(savingsLedger, 'monthly', 6)
+        : getSavingsHistory(savingsLedger, 'weekly', 8));
     } catch (error) {
       console.error('Error loading statistics data:', error);
     }
@@ -82,102 +112,65 @@ export default function StatisticsScreen({ navigation }) {
   /**
    * Filters and aggregates transactions based on the active period
    */
-  const calculateStatistics = async (txns, budgetData) => {
+  const calculateStatistics = async (txns, budgetData, settings) => {
     try {
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-      // 1. Filter transactions by period
-      const filtered = txns.filter((txn) => {
-        const txnDate = new Date(txn.timestamp);
-        if (period === 'daily') return txnDate >= today;
-        if (period === 'weekly') {
-          const weekAgo = new Date(today);
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          return txnDate >= weekAgo;
-        }
-        if (period === 'monthly') {
-          const monthAgo = new Date(today);
-          monthAgo.setMonth(monthAgo.getMonth() - 1);
-          return txnDate >= monthAgo;
-        }
-        return true;
-      });
+      // 1. Filter transactions by period (calendar or rolling, see Settings)
+      const range = getPeriodRange(period, settings);
+      const filtered = filterTransactions(txns, { from: range.from, to: range.to });
+      setPeriodLabel(range.label);
 
       // 2. Load budget settings
-      let dailyAllowanceVal = 0;
-      let weeklyAllowanceVal = 0;
+      const schedule = getAllowanceSchedule(budgetData);
+      const averageDaily = getAverageDailyAllowance(schedule);
       let goal = 0;
 
       if (budgetData) {
-        dailyAllowanceVal = parseFloat(budgetData.dailyAllowance) || 0;
-        weeklyAllowanceVal = parseFloat(budgetData.weeklyAllowance) || (dailyAllowanceVal * 7);
         goal = parseFloat(budgetData.savingsGoal) || 0;
         setSavingsGoal(goal);
       }
 
-      // 3. Aggregate totals
-      const spent = filtered
-        .filter((t) => t.type === 'expense')
-        .reduce((sum, t) => sum + t.amount, 0);
-
+      // 3. Aggregate totals per category (money lent to groupmates is not spending,
+      // and money borrowed or paid back to me is not income)
       const byCategory = {};
-      filtered
-        .filter((t) => t.type === 'expense')
-        .forEach((t) => {
-          byCategory[t.category] = (byCategory[t.category] || 0) + t.amount;
-        });
-
-      // 4. Calculate period income (allowance)
-      let periodIncome = 0;
-      if (period === 'daily') periodIncome = dailyAllowanceVal;
-      else if (period === 'weekly') periodIncome = weeklyAllowanceVal;
-      else if (period === 'monthly') periodIncome = dailyAllowanceVal * 30;
+      const incomeByCategory = {};
+      filtered.filter((t) => !isDebtTransaction(t)).forEach((t) => {
+        const totals = t.type === 'income' ? incomeByCategory : byCategory;
+        totals[t.category] = (totals[t.category] || 0) + t.amount;
+      });
+
+      // 4. Calculate period income (allowance plus logged income); IOU entries
+      // count toward what is left but not toward what was spent or earned
+      const summary = summarizeRange(txns, budgetData, range);
 
       setStats({
-        totalSpent: spent,
-        totalIncome: periodIncome,
+        totalSpent: summary.spent,
+        totalIncome: summary.totalIncome,
+        allowance: summary.allowance,
+        loggedIncome: summary.income,
         byCategory,
+        incomeByCategory,
+        debtOut: summary.debtOut,
+        debtIn: summary.debtIn,
+        balance: summary.balance,
         transactionCount: filtered.length,
-        dailyAllowance: dailyAllowanceVal,
-        weeklyAllowance: weeklyAllowanceVal,
-        monthlyAllowance: dailyAllowanceVal * 30,
+        dailyAllowance: averageDaily,
+        weeklyAllowance: averageDaily * 7,
+        monthlyAllowance: (averageDaily * 365) / 12,
+        allowanceSchedule: budgetData ? describeAllowance(schedule) : '',
       });
 
       // 5. Calculate Savings (Weekly context for goal progress)
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      const weeklySpentVal = txns
-        .filter((t) => t.type === 'expense' && new Date(t.timestamp) >= weekAgo)
-        .reduce((sum, t) => sum + t.amount, 0);
+      const week = summarizeRange(txns, budgetData, getWeekRange(settings));
 
-      setCurrentSavings(Math.max(0, weeklyAllowanceVal - weeklySpentVal));
+      setCurrentSavings(Math.max(0, week.balance));
 
     } catch (error) {
       console.error('Error calculating statistics:', error);
     }
   };
 
-  const getCategoryIcon = (category) => {
-    const icons = {
-      'Food & Snacks': '🍔',
-      'Transportation': '🚌',
-      'School Supplies': '📚',
-      'Projects': '📝',
-      'Load/Data': '📱',
-      'Entertainment': '🎮',
-      'Savings': '💰',
-      'Other': '📦',
-    };
-    return icons[category] || '📦';
-  };
-
-  const getPeriodLabel = () => {
-    if (period === 'daily') return 'Today';
-    if (period === 'weekly') return 'This Week';
-    if (period === 'monthly') return 'This Month';
-    return '';
-  };
+  // Tallest bar in the savings chart
+  const maxSaved = Math.max(...savingsHistory.map((snapshot) => Math.abs(snapshot.saved)), 1);
 
   return (
     <View style={styles.container}>
@@ -185,8 +178,8 @@ export default function StatisticsScreen({ navigation }) {
       <GlobalBackground />
 
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>Statistics</Text>
-        <Text style={styles.headerSubtitle}>Track your spending & savings</Text>
+        <Text style={styles.headerTitle}>{t('statistics.title')}</Text>
+        <Text style={styles.headerSubtitle}>{t('statistics.subtitle')}</Text>
       </View>
 
       <View style={styles.periodSelector}>
@@ -197,7 +190,7 @@ export default function StatisticsScreen({ navigation }) {
             onPress={() => setPeriod(p)}
           >
             <Text style={[styles.periodText, period === p && styles.periodTextActive]}>
-              {p.charAt(0).toUpperCase() + p.slice(1)}
+              {t(`statistics.periods.${p}`)}
             </Text>
           </TouchableOpacity>
         ))}
@@ -211,25 +204,42 @@ export default function StatisticsScreen({ navigation }) {
         {/* Summary Overview */}
         <View style={styles.summaryCard}>
           <View style={styles.summaryHeader}>
-            <Text style={styles.periodLabel}>{getPeriodLabel()}</Text>
+            <Text style={styles.periodLabel}>{periodLabel}</Text>
             <Text style={styles.periodIcon}>{period === 'daily' ? '📅' : '📆'}</Text>
           </View>
 
           <View style={styles.summaryRow}>
             <View style={styles.summaryItem}>
-              <Text style={styles.summaryItemLabel}>Allowance</Text>
-              <Text style={styles.summaryItemValue}>₱{stats.totalIncome.toFixed(0)}</Text>
+              <Text style={styles.summaryItemLabel}>{t('statistics.income')}</Text>
+              <Text style={styles.summaryItemValue}>{formatMoney(stats.totalIncome, { whole: true })}</Text>
+              {stats.allowance > 0 && stats.loggedIncome > 0 && (
+                <Text style={styles.summaryItemNote}>
+                  {t('statistics.incomeNote', {
+                    allowance: formatMoney(stats.allowance, { whole: true }),
+                    logged: formatMoney(stats.loggedIncome, { whole: true }),
+                  })}
+                </Text>
+              )}
             </View>
             <View style={styles.summaryItem}>
-              <Text style={styles.summaryItemLabel}>Spent</Text>
-              <Text style={[styles.summaryItemValue, { color: '#EF4444' }]}>₱{stats.totalSpent.toFixed(0)}</Text>
+              <Text style={styles.summaryItemLabel}>{t('statistics.spent')}</Text>
+              <Text style={[styles.summaryItemValue, { color: '#EF4444' }]}>{formatMoney(stats.totalSpent, { whole: true })}</Text>
             </View>
           </View>
 
+          {(stats.debtOut > 0 || stats.debtIn > 0) && (
+            <Text style={styles.iouNote}>
+              {t('statistics.iouNote', {
+                out: formatMoney(stats.debtOut, { whole: true }),
+                in: formatMoney(stats.debtIn, { whole: true }),
+              })}
+            </Text>
+          )}
+
           <View style={styles.balanceRow}>
-            <Text style={styles.balanceLabel}>Remaining</Text>
-            <Text style={[styles.balanceValue, { color: stats.totalIncome >= stats.totalSpent ? '#10B981' : '#EF4444' }]}>
-              ₱{(stats.totalIncome - stats.totalSpent).toFixed(2)}
+            <Text style={styles.balanceLabel}>{t('statistics.remaining')}</Text>
+            <Text style={[styles.balanceValue, { color: stats.balance >= 0 ? '#10B981' : '#EF4444' }]}>
+              {formatMoney(stats.balance)}
             </Text>
           </View>
         </View>
@@ -238,40 +248,99 @@ export default function StatisticsScreen({ navigation }) {
         {!!(savingsGoal > 0) && (
           <View style={styles.section}>
             <View style={styles.goalCard}>
-              <Text style={styles.sectionTitle}>💰 Savings Goal Progress</Text>
+              <Text style={styles.sectionTitle}>{t('statistics.goalProgress')}</Text>
               <View style={styles.progressBar}>
                 <View style={[styles.progressBarFill, { width: `${Math.min(100, (currentSavings / savingsGoal) * 100)}%`, backgroundColor: '#10B981' }]} />
               </View>
-              <Text style={styles.progressText}>{((currentSavings / savingsGoal) * 100).toFixed(0)}% reached (₱{currentSavings.toFixed(0)} / ₱{savingsGoal})</Text>
+              <Text style={styles.progressText}>
+                {t('statistics.goalReached', {
+                  percent: ((currentSavings / savingsGoal) * 100).toFixed(0),
+                  saved: formatMoney(currentSavings, { whole: true }),
+                  goal: formatMoney(savingsGoal),
+                })}
+              </Text>
             </View>
           </View>
         )}
 
+        {/* Savings History */}
+        <View style={styles.section}>
+          <View style={styles.goalCard}>
+            <Text style={styles.sectionTitle}>{t('statistics.savingsHistory')}</Text>
+            <Text style={styles.historyTotal}>
+              {t('statistics.totalSaved', { amount: formatMoney(totalSavings) })}
+            </Text>
+            {savingsHistory.length === 0 ? (
+              <Text style={styles.progressText}>
+                {period === 'monthly' ? t('statistics.firstMonth') : t('statistics.firstWeek')}
+              </Text>
+            ) : (
+              <View style={styles.chart}>
+                {savingsHistory.map((snapshot) => (
+                  <View key={snapshot.key} style={styles.chartColumn}>
+                    <Text style={styles.chartValue}>{formatCompact(snapshot.saved)}</Text>
+                    <View style={styles.chartBarArea}>
+                      <View style={[styles.chartBar, { height: `${Math.max(4, (Math.abs(snapshot.saved) / maxSaved) * 100)}%`, backgroundColor: snapshot.saved >= 0 ? '#10B981' : '#EF4444' }]} />
+                    </View>
+                    <Text style={styles.chartLabel}>
+                      {new Date(snapshot.from).toLocaleDateString(getLocale(), period === 'monthly' ? { month: 'short' } : { month: 'short', day: 'numeric' })}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            )}
+          </View>
+        </View>
+
         {/* Category breakdown */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>📊 Spending by Category</Text>
+          <Text style={styles.sectionTitle}>{t('statistics.spendingByCategory')}</Text>
           {Object.entries(stats.byCategory).length === 0 ? (
-            <View style={styles.emptyState}><Text style={styles.emptyText}>No transactions this period</Text></View>
+            <View style={styles.emptyState}><Text style={styles.emptyText}>{t('statistics.empty')}</Text></View>
           ) : (
             Object.entries(stats.byCategory).sort(([, a], [, b]) => b - a).map(([category, amount]) => (
               <View key={category} style={styles.categoryRow}>
                 <View style={styles.categoryInfo}>
                   <Text style={styles.categoryEmoji}>{getCategoryIcon(category)}</Text>
-                  <Text style={styles.categoryName}>{category}</Text>
+                  <Text style={styles.categoryName}>{getCategoryLabel(category)}</Text>
                 </View>
-                <Text style={styles.categoryAmount}>₱{amount.toFixed(2)}</Text>
+                <Text style={styles.categoryAmount}>{formatMoney(amount)}</Text>
               </View>
             ))
           )}
+          {stats.debtOut > 0 && (
+            <Text style={styles.debtNote}>
+              {t('statistics.debtNote', { amount: formatMoney(stats.debtOut) })}
+            </Text>
+          )}
         </View>
 
+        {/* Income breakdown */}
+        {Object.entries(stats.incomeByCategory).length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('statistics.incomeByCategory')}</Text>
+            {Object.entries(stats.incomeByCategory).sort(([, a], [, b]) => b - a).map(([category, amount]) => (
+              <View key={category} style={styles.categoryRow}>
+                <View style={styles.categoryInfo}>
+                  <Text style={styles.categoryEmoji}>{getCategoryIcon(category)}</Text>
+                  <Text style={styles.categoryName}>{getCategoryLabel(category)}</Text>
+                </View>
+                <Text style={[styles.categoryAmount, styles.incomeAmount]}>+{formatMoney(amount)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Future/Detailed Breakdown */}
         <View style={styles.section}>
           <View style={styles.detailsCard}>
-            <Text style={styles.sectionTitle}>📅 Allowance Overview</Text>
-            <View style={styles.detailRow}><Text style={styles.detailLabel}>Daily:</Text><Text style={styles.detailValue}>₱{stats.dailyAllowance.toFixed(0)}</Text></View>
-            <View style={styles.detailRow}><Text style={styles.detailLabel}>Weekly:</Text><Text style={styles.detailValue}>₱{stats.weeklyAllowance.toFixed(0)}</Text></View>
-            <View style={styles.detailRow}><Text style={styles.detailLabel}>Monthly:</Text><Text style={styles.detailValue}>₱{stats.monthlyAllowance.toFixed(0)}</Text></View>
+            <Text style={styles.sectionTitle}>{t('statistics.allowance.title')}</Text>
+            {!!stats.allowanceSchedule && (
+              <View style={styles.detailRow}><Text style={styles.detailLabel}>{t('statistics.allowance.schedule')}</Text><Text style={styles.detailValue}>{stats.allowanceSchedule}</Text></View>
+            )}
+            <View style={styles.detailRow}><Text style={styles.detailLabel}>{t('statistics.allowance.daily')}</Text><Text style={styles.detailValue}>{formatMoney(stats.dailyAllowance, { whole: true })}</Text></View>
+            <View style={styles.detailRow}><Text style={styles.detailLabel}>{t('statistics.allowance.weekly')}</Text><Text style={styles.detailValue}>{formatMoney(stats.weeklyAllowance, { whole: true })}</Text></View>
+            <View style={styles.detailRow}><Text style={styles.detailLabel}>{t('statistics.allowance.monthly')}</Text><Text style={styles.detailValue}>{formatMoney(stats.monthlyAllowance, { whole: true })}</Text></View>
           </View>
         </View>
 
@@ -301,6 +370,8 @@ const styles = StyleSheet.create({
   summaryItem: { flex: 1 },
   summaryItemLabel: { color: '#E0E7FF', fontSize: 12, marginBottom: 4 },
   summaryItemValue: { color: '#fff', fontSize: 24, fontWeight: 'bold' },
+  summaryItemNote: { color: '#C7D2FE', fontSize: 11, marginTop: 2 },
+  iouNote: { color: '#C7D2FE', fontSize: 12, marginTop: 12 },
   balanceRow: { marginTop: 20, paddingTop: 16, borderTopWidth: 1, borderTopColor: 'rgba(255,255,255,0.2)', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
   balanceLabel: { color: '#fff', fontSize: 16 },
   balanceValue: { fontSize: 24, fontWeight: 'bold' },
@@ -310,6 +381,13 @@ const styles = StyleSheet.create({
   progressBar: { height: 10, backgroundColor: '#F3F4F6', borderRadius: 5, overflow: 'hidden', marginBottom: 8 },
   progressBarFill: { height: '100%', borderRadius: 5 },
   progressText: { fontSize: 12, color: '#6B7280', textAlign: 'center' },
+  historyTotal: { fontSize: 14, fontWeight: '600', color: '#065F46', marginBottom: 12 },
+  chart: { flexDirection: 'row', alignItems: 'flex-end', gap: 4 },
+  chartColumn: { flex: 1, alignItems: 'center' },
+  chartValue: { fontSize: 9, color: '#6B7280', marginBottom: 4 },
+  chartBarArea: { height: 100, width: '100%', justifyContent: 'flex-end', alignItems: 'center' },
+  chartBar: { width: '70%', borderRadius: 4 },
+  chartLabel: { fontSize: 10, color: '#9CA3AF', marginTop: 4 },
   emptyState: { padding: 40, alignItems: 'center' },
   emptyText: { color: '#9CA3AF' },
   categoryRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: '#fff', padding: 16, borderRadius: 16, marginBottom: 8 },
@@ -317,8 +395,10 @@ const styles = StyleSheet.create({
   categoryEmoji: { fontSize: 24, marginRight: 12 },
   categoryName: { fontSize: 16, fontWeight: '500' },
   categoryAmount: { fontSize: 16, fontWeight: 'bold', color: '#EF4444' },
+  incomeAmount: { color: '#10B981' },
+  debtNote: { fontSize: 12, color: '#6B7280', marginTop: 4 },
   detailsCard: { backgroundColor: '#fff', padding: 20, borderRadius: 20 },
   detailRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 8 },
   detailLabel: { color: '#6B7280' },
-  detailValue: { fontWeight: 'bold', color: '#1F2937' },
+  detailValue: { flexShrink: 1, marginLeft: 12, textAlign: 'right', fontWeight: 'bold', color: '#1F2937' },
 });
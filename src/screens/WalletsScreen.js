@@ -0,0 +1,512 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+import GlobalBackground from '../components/GlobalBackground';
+import { getTransactions, getTransfers, getBudgets } from '../storage/repository';
+import {
+  DEFAULT_WALLET_ID,
+  WALLET_ICONS,
+  loadWallets,
+  getActiveWallets,
+  getWalletBalances,
+  createWallet,
+  updateWallet,
+  addTransfer,
+  deleteTransfer,
+} from '../utils/wallets';
+import { formatMoney, parseAmount, getCurrencySymbol } from '../utils/currency';
+import { t, getLocale } from '../i18n';
+
+const EMPTY_TRANSFER = {
+  fromWalletId: DEFAULT_WALLET_ID,
+  toWalletId: '',
+  amount: '',
+  note: '',
+};
+
+const EMPTY_WALLET = {
+  name: '',
+  icon: WALLET_ICONS[0],
+  openingBalance: '',
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric' });
+
+/**
+ * WalletsScreen shows where the money is kept.
+ * Features:
+ * 1. Balance of every wallet (cash, GCash, Maya, savings jar...)
+ * 2. Transfers between wallets, which are not counted as spending
+ * 3. Add, rename and archive wallets, and set their starting balances
+ * 4. Shortcut to count the money in a wallet
+ */
+export default function WalletsScreen({ navigation }) {
+  // --- STATE MANAGEMENT ---
+  const [wallets, setWallets] = useState([]); // All wallets, archived included
+  const [balances, setBalances] = useState({}); // Current balance per wallet id
+  const [transfers, setTransfers] = useState([]); // Money moved between wallets, newest first
+  const [transferForm, setTransferForm] = useState(EMPTY_TRANSFER); // Transfer form values
+  const [walletForm, setWalletForm] = useState(EMPTY_WALLET); // New wallet form values
+  const [editingId, setEditingId] = useState(null); // Wallet whose edit box is open
+  const [editForm, setEditForm] = useState({ name: '', openingBalance: '' }); // Values in the edit box
+  const [showArchived, setShowArchived] = useState(false); // Whether archived wallets are listed
+  const [isSaving, setIsSaving] = useState(false); // UI state while writing to storage
+
+  /**
+   * Reload wallets whenever the screen is focused
+   */
+  useFocusEffect(
+    React.useCallback(() => {
+      refresh();
+    }, [])
+  );
+
+  const refresh = async () => {
+    try {
+      const [savedWallets, txns, savedTransfers, budgets] = await Promise.all([
+        loadWallets(),
+        getTransactions(),
+        getTransfers(),
+        getBudgets(),
+      ]);
+      setWallets(savedWallets);
+      setTransfers(savedTransfers);
+      setBalances(getWalletBalances(savedWallets, txns, savedTransfers, budgets));
+    } catch (error) {
+      console.error('Error loading wallets:', error);
+    }
+  };
+
+  const updateTransferForm = (field, value) => {
+    setTransferForm({ ...transferForm, [field]: value });
+  };
+
+  const updateWalletForm = (field, value) => {
+    setWalletForm({ ...walletForm, [field]: value });
+  };
+
+  const handleTransfer = async () => {
+    if (!transferForm.toWalletId || transferForm.toWalletId === transferForm.fromWalletId) {
+      Alert.alert(t('common.error'), t('wallets.errors.sameWallet'));
+      return;
+    }
+
+    const amount = parseAmount(transferForm.amount);
+    if (!transferForm.amount || isNaN(amount) || amount <= 0) {
+      Alert.alert(t('common.error'), t('wallets.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await addTransfer({ ...transferForm, amount });
+      setTransferForm(EMPTY_TRANSFER);
+      await refresh();
+    } catch (error) {
+      console.error('Error saving transfer:', error);
+      Alert.alert(t('common.error'), t('wallets.errors.transferFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteTransfer = (transfer) => {
+    Alert.alert(t('wallets.undoTransfer.title'), t('wallets.undoTransfer.message', { amount: formatMoney(transfer.amount) }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('wallets.undoTransfer.confirm'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteTransfer(transfer.id);
+            await refresh();
+          } catch (error) {
+            console.error('Error deleting transfer:', error);
+            Alert.alert(t('common.error'), t('wallets.errors.undoFailed'));
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleCreateWallet = async () => {
+    if (!walletForm.name.trim()) {
+      Alert.alert(t('common.error'), t('wallets.errors.noName'));
+      return;
+    }
+
+    if (walletForm.openingBalance && isNaN(parseAmount(walletForm.openingBalance))) {
+      Alert.alert(t('common.error'), t('wallets.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await createWallet({ ...walletForm, openingBalance: parseAmount(walletForm.openingBalance) || 0 });
+      setWalletForm(EMPTY_WALLET);
+      await refresh();
+    } catch (error) {
+      console.error('Error saving wallet:', error);
+      Alert.alert(t('common.error'), t('wallets.errors.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openEdit = (wallet) => {
+    setEditingId(wallet.id);
+    setEditForm({ name: wallet.name, openingBalance: String(wallet.openingBalance || 0) });
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editForm.name.trim()) {
+      Alert.alert(t('common.error'), t('wallets.errors.noName'));
+      return;
+    }
+
+    const openingBalance = parseAmount(editForm.openingBalance);
+    if (isNaN(openingBalance)) {
+      Alert.alert(t('common.error'), t('wallets.errors.invalidAmount'));
+      return;
+    }
+
+    try {
+      await updateWallet(editingId, { name: editForm.name.trim(), openingBalance });
+      setEditingId(null);
+      await refresh();
+    } catch (error) {
+      console.error('Error updating wallet:', error);
+      Alert.alert(t('common.error'), t('wallets.errors.saveFailed'));
+    }
+  };
+
+  const handleArchive = (wallet) => {
+    const balance = balances[wallet.id] || 0;
+    if (Math.abs(balance) >= 0.01) {
+      Alert.alert(t('wallets.notEmpty.title'), t('wallets.notEmpty.message', { amount: formatMoney(balance), wallet: wallet.name }));
+      return;
+    }
+
+    Alert.alert(t('wallets.archive.title'), t('wallets.archive.message', { wallet: wallet.name }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('wallets.archive.confirm'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setWallets(await updateWallet(wallet.id, { archived: true }));
+          } catch (error) {
+            console.error('Error archiving wallet:', error);
+            Alert.alert(t('common.error'), t('wallets.errors.archiveFailed'));
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleRestore = async (wallet) => {
+    try {
+      setWallets(await updateWallet(wallet.id, { archived: false }));
+    } catch (error) {
+      console.error('Error restoring wallet:', error);
+      Alert.alert(t('common.error'), t('wallets.errors.restoreFailed'));
+    }
+  };
+
+  const activeWallets = getActiveWallets(wallets);
+  const archivedWallets = wallets.filter((wallet) => wallet.archived);
+  const total = activeWallets.reduce((sum, wallet) => sum + (balances[wallet.id] || 0), 0);
+  const walletName = (id) => {
+    const wallet = wallets.find((w) => w.id === id);
+    return wallet ? `${wallet.icon} ${wallet.name}` : t('wallets.deleted');
+  };
+
+  const renderWallet = (wallet) => {
+    const balance = balances[wallet.id] || 0;
+    const isEditing = editingId === wallet.id;
+
+    return (
+      <View key={wallet.id} style={[styles.walletCard, wallet.archived && styles.walletCardArchived]}>
+        <View style={styles.walletRow}>
+          <Text style={styles.walletIcon}>{wallet.icon}</Text>
+          <View style={styles.walletInfo}>
+            <Text style={styles.walletName}>{wallet.name}</Text>
+            <Text style={styles.walletMeta}>
+              {t('wallets.startedWith', {
+                amount: formatMoney(parseFloat(wallet.openingBalance) || 0),
+                date: formatDate(wallet.since),
+              })}
+            </Text>
+          </View>
+          <Text style={[styles.walletBalance, balance < 0 && styles.expenseText]}>
+            {formatMoney(balance)}
+          </Text>
+        </View>
+
+        <View style={styles.actionsRow}>
+          {wallet.archived ? (
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleRestore(wallet)}>
+              <Text style={styles.actionText}>{t('wallets.actions.restore')}</Text>
+            </TouchableOpacity>
+          ) : (
+            <>
+              <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Reconcile', { walletId: wallet.id })}>
+                <Text style={styles.actionText}>{t('wallets.actions.count')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.actionButton} onPress={() => openEdit(wallet)}>
+                <Text style={styles.actionText}>{t('wallets.actions.edit')}</Text>
+              </TouchableOpacity>
+              {wallet.id !== DEFAULT_WALLET_ID && (
+                <TouchableOpacity style={styles.actionButton} onPress={() => handleArchive(wallet)}>
+                  <Text style={[styles.actionText, styles.actionTextDanger]}>{t('wallets.actions.archive')}</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+
+        {isEditing && (
+          <View style={styles.editBox}>
+            <TextInput
+              style={styles.textInput}
+              placeholder={t('wallets.edit.namePlaceholder')}
+              placeholderTextColor="#9CA3AF"
+              value={editForm.name}
+              onChangeText={(val) => setEditForm({ ...editForm, name: val })}
+            />
+            <Text style={styles.editLabel}>{t('wallets.edit.openingLabel', { date: formatDate(wallet.since) })}</Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder={t('wallets.edit.openingPlaceholder', { symbol: getCurrencySymbol() })}
+              placeholderTextColor="#9CA3AF"
+              keyboardType="decimal-pad"
+              value={editForm.openingBalance}
+              onChangeText={(val) => setEditForm({ ...editForm, openingBalance: val })}
+            />
+            <View style={styles.actionsRow}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setEditingId(null)}>
+                <Text style={styles.actionText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.actionButton, styles.actionButtonPrimary]} onPress={handleSaveEdit}>
+                <Text style={[styles.actionText, styles.actionTextPrimary]}>{t('common.save')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderWalletChips = (field) => (
+    <View style={styles.chipsContainer}>
+      {activeWallets.map((wallet) => (
+        <TouchableOpacity
+          key={wallet.id}
+          style={[styles.chip, transferForm[field] === wallet.id && styles.chipActive]}
+          onPress={() => updateTransferForm(field, wallet.id)}
+        >
+          <Text style={[styles.chipText, transferForm[field] === wallet.id && styles.chipTextActive]}>
+            {wallet.icon} {wallet.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+      <GlobalBackground />
+
+      <ScrollView
+        style={styles.scrollView}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{t('wallets.title')}</Text>
+          <Text style={styles.headerSubtitle}>{t('wallets.subtitle')}</Text>
+        </View>
+
+        {/* Total */}
+        <View style={styles.totalCard}>
+          <Text style={styles.totalLabel}>{t('wallets.total')}</Text>
+          <Text style={[styles.totalValue, total < 0 && styles.expenseText]}>
+            {formatMoney(total)}
+          </Text>
+        </View>
+
+        {/* Wallet List */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('wallets.mine')}</Text>
+          {activeWallets.map(renderWallet)}
+          {archivedWallets.length > 0 && (
+            <TouchableOpacity onPress={() => setShowArchived(!showArchived)}>
+              <Text style={styles.linkText}>
+                {showArchived ? t('wallets.hideArchived') : t('wallets.showArchived', { count: archivedWallets.length })}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {showArchived && archivedWallets.map(renderWallet)}
+        </View>
+
+        {/* Transfer Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('wallets.transfer.title')}</Text>
+          <Text style={styles.hintText}>{t('wallets.transfer.hint')}</Text>
+
+          <Text style={styles.fieldLabel}>{t('wallets.transfer.from')}</Text>
+          {renderWalletChips('fromWalletId')}
+          <Text style={styles.fieldLabel}>{t('wallets.transfer.to')}</Text>
+          {renderWalletChips('toWalletId')}
+
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('wallets.transfer.amountPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={transferForm.amount}
+            onChangeText={(val) => updateTransferForm('amount', val)}
+          />
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('wallets.transfer.notePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={transferForm.note}
+            onChangeText={(val) => updateTransferForm('note', val)}
+          />
+
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleTransfer}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('wallets.transfer.save')}</Text>
+          </TouchableOpacity>
+
+          {transfers.length > 0 && (
+            <View style={styles.transferList}>
+              <Text style={styles.fieldLabel}>{t('wallets.transfer.recent')}</Text>
+              {transfers.slice(0, 10).map((transfer) => (
+                <View key={transfer.id} style={styles.transferRow}>
+                  <View style={styles.walletInfo}>
+                    <Text style={styles.transferText}>{walletName(transfer.fromWalletId)} → {walletName(transfer.toWalletId)}</Text>
+                    <Text style={styles.walletMeta}>
+                      {formatDate(transfer.timestamp)}{transfer.note ? ` · ${transfer.note}` : ''}
+                    </Text>
+                  </View>
+                  <Text style={styles.transferAmount}>{formatMoney(transfer.amount)}</Text>
+                  <TouchableOpacity style={styles.actionButton} onPress={() => handleDeleteTransfer(transfer)}>
+                    <Text style={[styles.actionText, styles.actionTextDanger]}>{t('wallets.undoTransfer.confirm')}</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+
+        {/* New Wallet Form */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t('wallets.form.title')}</Text>
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('wallets.form.namePlaceholder')}
+            placeholderTextColor="#9CA3AF"
+            value={walletForm.name}
+            onChangeText={(val) => updateWalletForm('name', val)}
+          />
+          <Text style={styles.fieldLabel}>{t('wallets.form.icon')}</Text>
+          <View style={styles.chipsContainer}>
+            {WALLET_ICONS.map((icon) => (
+              <TouchableOpacity
+                key={icon}
+                style={[styles.chip, walletForm.icon === icon && styles.chipActive]}
+                onPress={() => updateWalletForm('icon', icon)}
+              >
+                <Text style={styles.iconText}>{icon}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.textInput}
+            placeholder={t('wallets.form.openingPlaceholder', { symbol: getCurrencySymbol() })}
+            placeholderTextColor="#9CA3AF"
+            keyboardType="decimal-pad"
+            value={walletForm.openingBalance}
+            onChangeText={(val) => updateWalletForm('openingBalance', val)}
+          />
+          <TouchableOpacity
+            style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+            onPress={handleCreateWallet}
+            disabled={isSaving}
+          >
+            <Text style={styles.saveButtonText}>{t('wallets.form.add')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: 'transparent' },
+  scrollView: { flex: 1 },
+  scrollContent: { paddingBottom: 40 },
+  header: { paddingTop: 60, paddingHorizontal: 20, marginBottom: 20 },
+  headerTitle: { fontSize: 32, fontWeight: 'bold', color: '#1F2937' },
+  headerSubtitle: { fontSize: 16, color: '#6B7280' },
+  totalCard: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 16, borderRadius: 16, alignItems: 'center', elevation: 2 },
+  totalLabel: { fontSize: 12, color: '#6B7280', marginBottom: 4 },
+  totalValue: { fontSize: 24, fontWeight: 'bold', color: '#10B981' },
+  card: { backgroundColor: '#fff', marginHorizontal: 20, marginBottom: 24, padding: 20, borderRadius: 20, elevation: 4, shadowOpacity: 0.1, shadowRadius: 10 },
+  cardTitle: { fontSize: 18, fontWeight: 'bold', color: '#1F2937', marginBottom: 8 },
+  textInput: { backgroundColor: '#F9FAFB', padding: 14, borderRadius: 12, fontSize: 16, color: '#1F2937', borderWidth: 1, borderColor: '#E5E7EB', marginBottom: 12 },
+  fieldLabel: { fontSize: 14, fontWeight: '600', color: '#6B7280', marginTop: 4, marginBottom: 8 },
+  hintText: { fontSize: 12, color: '#9CA3AF', marginBottom: 12 },
+  chipsContainer: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 },
+  chip: { backgroundColor: '#F9FAFB', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB' },
+  chipActive: { backgroundColor: '#4F46E5', borderColor: '#4F46E5' },
+  chipText: { fontSize: 13, fontWeight: '600', color: '#374151' },
+  chipTextActive: { color: '#fff' },
+  iconText: { fontSize: 20 },
+  saveButton: { backgroundColor: '#4F46E5', padding: 16, borderRadius: 14, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  section: { marginHorizontal: 20, marginBottom: 24 },
+  sectionTitle: { fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 16 },
+  linkText: { fontSize: 13, fontWeight: '600', color: '#4F46E5', textAlign: 'center', marginVertical: 8 },
+  walletCard: { backgroundColor: '#fff', padding: 16, borderRadius: 20, marginBottom: 12, elevation: 2, borderWidth: 1, borderColor: '#F3F4F6' },
+  walletCardArchived: { opacity: 0.6 },
+  walletRow: { flexDirection: 'row', alignItems: 'center' },
+  walletIcon: { fontSize: 24, marginRight: 12 },
+  walletInfo: { flex: 1 },
+  walletName: { fontSize: 16, fontWeight: '600', color: '#1F2937' },
+  walletMeta: { fontSize: 12, color: '#6B7280' },
+  walletBalance: { fontSize: 18, fontWeight: 'bold', color: '#10B981', marginLeft: 8 },
+  expenseText: { color: '#EF4444' },
+  actionsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+  actionButton: { backgroundColor: '#F9FAFB', paddingVertical: 6, paddingHorizontal: 10, borderRadius: 8 },
+  actionButtonPrimary: { backgroundColor: '#4F46E5' },
+  actionText: { fontSize: 12, fontWeight: '600', color: '#374151' },
+  actionTextPrimary: { color: '#fff' },
+  actionTextDanger: { color: '#DC2626' },
+  editBox: { marginTop: 12, padding: 12, backgroundColor: '#EEF2FF', borderRadius: 12 },
+  editLabel: { fontSize: 13, fontWeight: '600', color: '#4F46E5', marginBottom: 8 },
+  transferList: { marginTop: 16 },
+  transferRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderTopWidth: 1, borderTopColor: '#F3F4F6', gap: 8 },
+  transferText: { fontSize: 14, fontWeight: '600', color: '#374151' },
+  transferAmount: { fontSize: 14, fontWeight: 'bold', color: '#4F46E5' },
+});
@@ -0,0 +1,219 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, sortNewestFirst } from './repository';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, runMigrations } from './migrations';
+import { shareTextFile } from './files';
+
+/**
+ * Full backups: every stored key in one JSON file, so data survives a
+ * factory reset or a new phone.
+ *
+ * File shape:
+ * {
+ *   format: 'student-budget-backup',
+ *   formatVersion: 1, layout of this file (BACKUP_FORMAT_VERSION)
+ *   schemaVersion: 3, layout of the stored data (see migrations)
+ *   createdAt: ISO time,
+ *   data: { [storage key]: parsed value }
+ * }
+ *
+ * Like migrations, this works on the raw stored values and reads every key
+ * there is, so keys added later are backed up without changes here.
+ */
+
+export const BACKUP_FORMAT = 'student-budget-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+export const RESTORE_MODES = [{ value: 'merge' }, { value: 'replace' }];
+
+// Lists whose items are matched by id when merging
+const ID_FIELDS = {
+  [STORAGE_KEYS.CUSTOM_CATEGORIES]: 'key',
+};
+
+// Lists that must be arrays of objects with these fields for a backup to be accepted
+const REQUIRED_FIELDS = {
+  [STORAGE_KEYS.TRANSACTIONS]: { id: 'string', amount: 'number', timestamp: 'number', type: 'string', category: 'string' },
+  [STORAGE_KEYS.WALLETS]: { id: 'string', name: 'string' },
+  [STORAGE_KEYS.CUSTOM_CATEGORIES]: { key: 'string', label: 'string' },
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads every stored key into a backup object.
+ * @returns {Promise<Object>}
+ */
+export const createBackup = async (now = Date.now()) => {
+  const keys = await AsyncStorage.getAllKeys();
+  const pairs = await AsyncStorage.multiGet(keys);
+  const data = {};
+  pairs.forEach(([key, raw]) => {
+    if (raw === null) return;
+    try {
+      data[key] = JSON.parse(raw);
+    } catch (error) {
+      console.error(`Skipping unreadable "${key}" in backup:`, error);
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: await getSchemaVersion(),
+    createdAt: new Date(now).toISOString(),
+    data,
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Backs up everything and opens the share sheet for the file.
+ * @param {string} [passphrase] - Lock the file with this passphrase
+ * @returns {Promise<Object>} The backup that was shared
+ */
+export const shareBackup = async (passphrase, now = Date.now()) => {
+  const backup = await createBackup(now);
+  const date = new Date(now);
+  const name = `budget-backup-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+  await shareTextFile(name, JSON.stringify(backup, null, 2), 'json', passphrase);
+  return backup;
+};
+
+/**
+ * Checks that text is a backup this version of the app can restore.
+ * @param {string} text - Contents of a backup file
+ * @returns {{backup: Object|null, error: string|null}} error is a key under backup.errors in the i18n dictionaries
+ */
+export const readBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, error: 'notBackup' };
+  }
+
+  if (
+    !isObject(backup) ||
+    backup.format !== BACKUP_FORMAT ||
+    typeof backup.formatVersion !== 'number' ||
+    typeof backup.schemaVersion !== 'number' ||
+    !isObject(backup.data)
+  ) {
+    return { backup: null, error: 'notBackup' };
+  }
+  if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    return { backup: null, error: 'newerApp' };
+  }
+
+  const broken = Object.entries(REQUIRED_FIELDS).some(([key, fields]) => {
+    const value = backup.data[key];
+    if (value === undefined) return false;
+    return !Array.isArray(value) || value.some((item) =>
+      !isObject(item) || Object.entries(fields).some(([field, type]) => typeof item[field] !== type));
+  });
+  if (broken) return { backup: null, error: 'corrupt' };
+
+  return { backup, error: null };
+};
+
+const idOf = (key, item) => (isObject(item) ? item[ID_FIELDS[key] || 'id'] : item);
+
+/**
+ * Combines a stored value with the one from a backup, keeping what is
+ * stored when both have something:
+ * - lists get the backup's items whose id is not stored yet
+ * - anything else (budget plan, settings, profile) stays as it is
+ */
+const mergeValue = (key, current, incoming) => {
+  if (current === undefined) return incoming;
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const ids = new Set(current.map((item) => idOf(key, item)));
+    return [...current, ...incoming.filter((item) => !ids.has(idOf(key, item)))];
+  }
+  return current;
+};
+
+const mergeBackupData = (current, incoming) => {
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([key, value]) => {
+    merged[key] = mergeValue(key, current[key], value);
+  });
+  // Screens rely on transactions being stored newest first
+  if (Array.isArray(merged[STORAGE_KEYS.TRANSACTIONS])) {
+    merged[STORAGE_KEYS.TRANSACTIONS] = sortNewestFirst(merged[STORAGE_KEYS.TRANSACTIONS]);
+  }
+  return merged;
+};
+
+const readAll = async () => (await createBackup()).data;
+
+/**
+ * Works out what restoring a backup would change, per stored key.
+ * @param {Object} backup - From readBackup()
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<{key: string, status: string, before: number|null, after: number|null}[]>}
+ *   status is 'added', 'updated', 'removed' or 'unchanged'; before/after are
+ *   item counts for lists and null for anything else
+ */
+export const previewRestore = async (backup, mode) => {
+  const current = await readAll();
+  const next = mode === 'replace' ? backup.data : mergeBackupData(current, backup.data);
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(next)])]
+    .filter((key) => key !== STORAGE_KEYS.SCHEMA_VERSION);
+
+  return keys.map((key) => {
+    const before = current[key];
+    const after = next[key];
+    const status = before === undefined
+      ? 'added'
+      : after === undefined
+        ? 'removed'
+        : JSON.stringify(before) === JSON.stringify(after) ? 'unchanged' : 'updated';
+    const count = (value) => (Array.isArray(value) ? value.length : null);
+    return { key, status, before: count(before), after: count(after) };
+  });
+};
+
+/**
+ * Restores a backup.
+ *
+ * Merging mixes stored and backed-up items, so it needs the backup to be
+ * in the current data layout. Replacing writes the backup as it was saved,
+ * then runs the migrations on it like on an app update. Nothing is cleared
+ * up front: the backup's keys are written first and only then are keys it
+ * doesn't have removed, and if any step fails the old values are put back.
+ *
+ * @param {Object} backup - From readBackup()
+ * @param {'merge'|'replace'} mode
+ */
+export const restoreBackup = async (backup, mode) => {
+  if (mode === 'merge') {
+    if (!canMergeBackup(backup)) throw new Error('Only backups from this version of the app can be merged');
+    const merged = mergeBackupData(await readAll(), backup.data);
+    await AsyncStorage.multiSet(Object.entries(merged).map(([key, value]) => [key, JSON.stringify(value)]));
+    return;
+  }
+
+  const previous = await AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+  const staleKeys = previous.map(([key]) => key).filter((key) => !(key in backup.data) && key !== STORAGE_KEYS.SCHEMA_VERSION);
+  try {
+    await AsyncStorage.multiSet([
+      ...Object.entries(backup.data).map(([key, value]) => [key, JSON.stringify(value)]),
+      [STORAGE_KEYS.SCHEMA_VERSION, String(backup.schemaVersion)],
+    ]);
+    await AsyncStorage.multiRemove(staleKeys);
+  } catch (error) {
+    const previousKeys = previous.map(([key]) => key);
+    await AsyncStorage.multiRemove((await AsyncStorage.getAllKeys()).filter((key) => !previousKeys.includes(key)));
+    await AsyncStorage.multiSet(previous.filter(([, raw]) => raw !== null));
+    throw error;
+  }
+  await runMigrations();
+};
+
+/**
+ * @param {Object} backup - From readBackup()
+ * @returns {boolean} Whether the backup can be merged into the stored data
+ */
+export const canMergeBackup = (backup) => backup.schemaVersion === CURRENT_SCHEMA_VERSION;
@@ -0,0 +1,129 @@
+import * as Crypto from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha.js';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils.js';
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+
+/**
+ * Passphrase-locked files, for backups and exports that get passed around
+ * on shared laptops and group chats.
+ *
+ * The key is derived from the passphrase with scrypt and the contents are
+ * sealed with XChaCha20-Poly1305, so a wrong passphrase and a file changed
+ * after saving are both caught before anything is read.
+ *
+ * File shape (JSON, binary values in hex):
+ * {
+ *   format: 'student-budget-locked',
+ *   version: 1,
+ *   kdf: { name: 'scrypt', N, r, p, salt },
+ *   cipher: { name: 'xchacha20-poly1305', nonce },
+ *   data: sealed contents
+ * }
+ *
+ * Everything but `data` is checked along with the contents, so changing
+ * the salt or nonce fails like a wrong passphrase. Any other kdf or cipher
+ * settings than the ones written here are refused as damaged up front.
+ */
+
+export const LOCKED_FORMAT = 'student-budget-locked';
+export const LOCKED_FORMAT_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost; kept low enough for older phones to unlock in a few seconds.
+// Files asking for any other cost are treated as damaged: scrypt memory grows
+// with N * r, and a changed file must not be able to run the phone out of memory.
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+const deriveKey = (passphrase, salt, { N, r, p }) =>
+  scryptAsync(utf8ToBytes(passphrase.normalize('NFKC')), salt, { N, r, p, dkLen: 32 });
+
+const headerBytes = ({ format, version, kdf, cipher }) => utf8ToBytes(JSON.stringify({ format, version, kdf, cipher }));
+
+const parseLocked = (text) => {
+  try {
+    const locked = JSON.parse(text);
+    return locked && locked.format === LOCKED_FORMAT ? locked : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {string} text - Contents of a file
+ * @returns {boolean} Whether the file was saved with a passphrase
+ */
+export const isLocked = (text) => parseLocked(text) !== null;
+
+/**
+ * Locks text with a passphrase.
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {Promise<string>} Contents of the locked file
+ */
+export const lockText = async (text, passphrase) => {
+  const salt = Crypto.getRandomBytes(16);
+  const nonce = Crypto.getRandomBytes(24);
+  const header = {
+    format: LOCKED_FORMAT,
+    version: LOCKED_FORMAT_VERSION,
+    kdf: { name: 'scrypt', ...KDF_PARAMS, salt: bytesToHex(salt) },
+    cipher: { name: 'xchacha20-poly1305', nonce: bytesToHex(nonce) },
+  };
+
+  const key = await deriveKey(passphrase, salt, KDF_PARAMS);
+  const sealed = xchacha20poly1305(key, nonce, headerBytes(header)).encrypt(utf8ToBytes(text));
+  return JSON.stringify({ ...header, data: bytesToHex(sealed) });
+};
+
+const isSupported = ({ version, kdf, cipher, data }) =>
+  version === LOCKED_FORMAT_VERSION &&
+  kdf && kdf.name === 'scrypt' &&
+  kdf.N === KDF_PARAMS.N && kdf.r === KDF_PARAMS.r && kdf.p === KDF_PARAMS.p &&
+  cipher && cipher.name === 'xchacha20-poly1305' &&
+  typeof kdf.salt === 'string' && typeof cipher.nonce === 'string' && cipher.nonce.length === 48 &&
+  typeof data === 'string';
+
+/**
+ * Unlocks a file saved with lockText().
+ * @param {string} text - Contents of the locked file
+ * @param {string} passphrase
+ * @returns {Promise<{text: string|null, error: string|null}>} error is a key under
+ *   locked.errors in the i18n dictionaries
+ */
+export const unlockText = async (text, passphrase) => {
+  const locked = parseLocked(text);
+  if (!locked) return { text: null, error: 'notLocked' };
+
+  let salt;
+  let nonce;
+  let sealed;
+  try {
+    if (!isSupported(locked)) throw new Error('Unsupported locked file');
+    salt = hexToBytes(locked.kdf.salt);
+    nonce = hexToBytes(locked.cipher.nonce);
+    sealed = hexToBytes(locked.data);
+  } catch (error) {
+    return { text: null, error: 'damaged' };
+  }
+
+  const key = await deriveKey(passphrase, salt, locked.kdf);
+  try {
+    const opened = xchacha20poly1305(key, nonce, headerBytes(locked)).decrypt(sealed);
+    return { text: bytesToUtf8(opened), error: null };
+  } catch (error) {
+    // Poly1305 can't tell a wrong passphrase from changed contents
+    return { text: null, error: 'wrongPassphrase' };
+  }
+};
+
+/**
+ * Checks a new passphrase before locking a file with it.
+ * @param {string} passphrase
+ * @param {string} confirm - The passphrase typed a second time
+ * @returns {string|null} A key under locked.errors in the i18n dictionaries, or null when it can be used
+ */
+export const checkPassphrase = (passphrase, confirm) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) return 'tooShort';
+  if (passphrase !== confirm) return 'mismatch';
+  return null;
+};
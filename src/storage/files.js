@@ -0,0 +1,58 @@
+import * as DocumentPicker from 'expo-document-picker';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { lockText } from './encryption';
+
+/**
+ * Files the app hands to other apps (exports), written to the cache folder
+ * and passed to the system share sheet, so the student picks where they go:
+ * Drive, Messenger, email or the Files app. Imports come the other way,
+ * through the system file picker.
+ */
+
+// Shown in the share sheet and used by iOS to pick the right apps
+const FILE_TYPES = {
+  csv: { mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  json: { mimeType: 'application/json', UTI: 'public.json' },
+};
+
+/**
+ * Writes text to a file and opens the share sheet for it.
+ * @param {string} name - File name including the extension, e.g. "transactions-2025-10-01.csv"
+ * @param {string} contents
+ * @param {'csv'|'json'} type
+ * @param {string} [passphrase] - Lock the file with this passphrase (see storage/encryption);
+ *   locked files are JSON and are named like "transactions-2025-10-01.csv.locked.json"
+ */
+export const shareTextFile = async (name, contents, type, passphrase) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const fileName = passphrase ? `${name.replace(/\.json$/, '')}.locked.json` : name;
+  const file = new File(Paths.cache, fileName);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(passphrase ? await lockText(contents, passphrase) : contents);
+
+  await Sharing.shareAsync(file.uri, { ...FILE_TYPES[passphrase ? 'json' : type], dialogTitle: fileName });
+};
+
+/**
+ * Opens the system file picker and reads the chosen file as text.
+ * @param {'csv'|'json'} type - Which files to offer
+ * @returns {Promise<{name: string, contents: string}|null>} null when the student cancels
+ */
+export const pickTextFile = async (type) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    // Some Android file managers label CSV files as plain text; locked CSV exports are JSON
+    type: type === 'csv'
+      ? ['text/csv', 'text/comma-separated-values', 'text/plain', 'application/json']
+      : ['application/json', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return null;
+
+  const asset = result.assets[0];
+  return { name: asset.name, contents: await new File(asset.uri).text() };
+};
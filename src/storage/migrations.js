@@ -0,0 +1,163 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from './repository';
+
+/**
+ * Storage schema migrations.
+ *
+ * Every install records the schema version its data is in. At startup
+ * runMigrations() applies each pending migration in order, so data saved by
+ * an older version of the app keeps working after an update.
+ *
+ * Migrations work on the raw stored values on purpose: they must keep
+ * working even after the repository helpers change shape.
+ *
+ * To change the stored format, append a migration with the next version
+ * number. Never edit a migration that has already shipped.
+ */
+
+const readRaw = async (key) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Skipping unreadable "${key}" during migration:`, error);
+    return null;
+  }
+};
+
+const writeRaw = (key, value) => AsyncStorage.setItem(key, JSON.stringify(value));
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Works out when an old transaction happened. Early builds did not always
+ * store a timestamp, but ids were created from Date.now().
+ */
+const resolveTimestamp = (txn) => {
+  const stored = Number(txn.timestamp);
+  if (Number.isFinite(stored) && stored > 0) return stored;
+
+  const fromId = Number(txn.id);
+  if (Number.isFinite(fromId) && fromId > 0) return fromId;
+
+  const fromDate = Date.parse(txn.date);
+  if (Number.isFinite(fromDate)) return fromDate;
+
+  return Date.now();
+};
+
+// Category names used by transactions before they were stored by key
+const LEGACY_CATEGORY_KEYS = {
+  'Food & Snacks': 'food',
+  'Transportation': 'transportation',
+  'School Supplies': 'supplies',
+  'Projects': 'projects',
+  'Load/Data': 'load',
+  'Entertainment': 'entertainment',
+  'Savings': 'savings',
+  'Other': 'other',
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Numeric budget fields; transactions keep only a numeric timestamp',
+    migrate: async () => {
+      const budgets = await readRaw(STORAGE_KEYS.BUDGETS);
+      if (budgets && typeof budgets === 'object') {
+        const categories = {};
+        Object.entries(budgets.categories || {}).forEach(([key, value]) => {
+          categories[key] = toNumber(value);
+        });
+
+        await writeRaw(STORAGE_KEYS.BUDGETS, {
+          ...budgets,
+          categories,
+          dailyAllowance: toNumber(budgets.dailyAllowance),
+          weeklyAllowance: toNumber(budgets.weeklyAllowance),
+          savingsGoal: toNumber(budgets.savingsGoal),
+        });
+      }
+
+      const txns = await readRaw(STORAGE_KEYS.TRANSACTIONS);
+      if (Array.isArray(txns)) {
+        const upgraded = txns.map(({ date, ...txn }) => ({
+          ...txn,
+          id: String(txn.id),
+          amount: toNumber(txn.amount),
+          timestamp: resolveTimestamp({ ...txn, date }),
+        }));
+        await writeRaw(STORAGE_KEYS.TRANSACTIONS, upgraded);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Transactions reference categories by key instead of display name',
+    migrate: async () => {
+      const txns = await readRaw(STORAGE_KEYS.TRANSACTIONS);
+      if (!Array.isArray(txns)) return;
+
+      const knownKeys = Object.values(LEGACY_CATEGORY_KEYS);
+      await writeRaw(STORAGE_KEYS.TRANSACTIONS, txns.map((txn) => ({
+        ...txn,
+        category: knownKeys.includes(txn.category)
+          ? txn.category
+          : LEGACY_CATEGORY_KEYS[txn.category] || 'other',
+      })));
+    },
+  },
+  {
+    version: 3,
+    description: 'Budget plans store an allowance schedule instead of only a daily amount',
+    migrate: async () => {
+      const budgets = await readRaw(STORAGE_KEYS.BUDGETS);
+      if (!budgets || typeof budgets !== 'object' || budgets.allowance) return;
+
+      // Older plans always meant "this much every day"
+      await writeRaw(STORAGE_KEYS.BUDGETS, {
+        ...budgets,
+        allowance: {
+          frequency: 'daily',
+          amount: toNumber(budgets.dailyAllowance),
+          weekday: 0,
+          dayOfMonth: 1,
+        },
+      });
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @returns {Promise<number>} The schema version of the stored data (0 for data from before versioning)
+ */
+export const getSchemaVersion = async () => {
+  const stored = parseInt(await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10);
+  return Number.isFinite(stored) ? stored : 0;
+};
+
+/**
+ * Applies every migration newer than the stored schema version.
+ * The version is saved after each step, so an interrupted run resumes
+ * where it stopped on the next launch.
+ * @returns {Promise<number>} The schema version after migrating
+ */
+export const runMigrations = async () => {
+  let version = await getSchemaVersion();
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+
+    await migration.migrate();
+    version = migration.version;
+    await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(version));
+  }
+
+  return version;
+};
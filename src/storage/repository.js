@@ -0,0 +1,505 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Central data-access layer for everything the app keeps in AsyncStorage.
+ * Screens should go through these helpers instead of touching the raw keys,
+ * so parsing, defaults and schema changes live in one place.
+ */
+
+export const STORAGE_KEYS = {
+  TRANSACTIONS: 'transactions',
+  BUDGETS: 'budgets',
+  DISMISSED_NOTIFICATIONS: 'dismissedNotifications',
+  PROFILE: 'profile',
+  HAS_LAUNCHED: 'hasLaunched',
+  SCHEMA_VERSION: 'schemaVersion',
+  CUSTOM_CATEGORIES: 'customCategories',
+  RECURRING_RULES: 'recurringRules',
+  TEMPLATES: 'templates',
+  SETTINGS: 'settings',
+  ENVELOPES: 'envelopes',
+  GOALS: 'goals',
+  SAVINGS_SNAPSHOTS: 'savingsSnapshots',
+  DEBTS: 'debts',
+  SPLITS: 'splits',
+  WALLETS: 'wallets',
+  TRANSFERS: 'transfers',
+  RECONCILIATIONS: 'reconciliations',
+};
+
+const DEFAULT_PROFILE = {
+  name: 'Student',
+  studentYear: 'SHS Student',
+};
+
+const DEFAULT_SETTINGS = {
+  periodMode: 'calendar',
+  weekStartsOn: 1,
+  language: 'en',
+  currencySymbol: '₱',
+  hideCentavos: false,
+};
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id - Unique id (creation time in ms as a string)
+ * @property {string} title - Note or item name
+ * @property {number} amount - Positive amount in pesos
+ * @property {'expense'|'income'} type
+ * @property {string} category - Category key (see utils/categories)
+ * @property {number} timestamp - Time of the transaction in ms
+ * @property {string} [recurringRuleId] - Set on entries posted by a recurring rule
+ * @property {boolean} [needsReview] - Auto-posted entry the user has not checked yet
+ * @property {string} [goalId] - Set on savings contributions and withdrawals for a goal
+ * @property {string} [debtId] - Set on money lent, borrowed or paid back for an IOU
+ * @property {string} [splitId] - Set on my own share of a split group expense
+ * @property {string} [walletId] - Wallet the money came out of or went into (cash when missing, see utils/wallets)
+ * @property {string} [reconciliationId] - Set on adjustments posted after counting a wallet
+ */
+
+/**
+ * @typedef {Object} Budgets
+ * @property {Object<string, number>} categories - Daily budget per category key
+ * @property {Object} allowance - Allowance schedule (see utils/allowance)
+ * @property {number} dailyAllowance - Average allowance per day, derived from the schedule
+ * @property {number} weeklyAllowance - Average allowance per week, derived from the schedule
+ * @property {number} savingsGoal
+ * @property {'assumed'|'posted'} [allowanceMode] - Whether the allowance is logged as income entries
+ * @property {Object<string, {mode: string, since: number}>} [rollover] - Weekly rollover rule per category key (see utils/rollover)
+ * @property {'limits'|'envelopes'} [budgetMode] - Daily category limits, or envelopes filled from each allowance
+ * @property {Object<string, number>} [envelopes] - Amount put in each category envelope per allowance
+ */
+
+/**
+ * @typedef {Object} Settings
+ * @property {'calendar'|'rolling'} periodMode - Calendar weeks/months, or the last 7/30 days
+ * @property {number} weekStartsOn - First day of a calendar week (0 = Sunday, 1 = Monday)
+ * @property {'en'|'fil'|'taglish'} language - Language of the app text (see i18n)
+ * @property {string} currencySymbol - Shown before every amount (see utils/currency)
+ * @property {boolean} hideCentavos - Show amounts rounded to whole units
+ */
+
+/**
+ * @typedef {Object} TransactionQuery
+ * @property {'expense'|'income'} [type] - Only this transaction type
+ * @property {string} [category] - Only this category key
+ * @property {Date|number} [from] - Inclusive start time
+ * @property {Date|number} [to] - Exclusive end time
+ */
+
+// --- LOW-LEVEL HELPERS ---
+
+/**
+ * Reads and parses a JSON value. A missing key or a corrupted value
+ * falls back to the given default instead of crashing the screen.
+ */
+const readJSON = async (key, fallback) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw === null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Error parsing stored "${key}":`, error);
+    return fallback;
+  }
+};
+
+const writeJSON = (key, value) => AsyncStorage.setItem(key, JSON.stringify(value));
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : value);
+
+const toAmount = (value) => parseFloat(value) || 0;
+
+// Backdated entries are slotted in by time, not by when they were typed in
+export const sortNewestFirst = (txns) => [...txns].sort((a, b) => b.timestamp - a.timestamp);
+
+// Fields that tie an entry to a goal, IOU, split or wallet count, which keep their own totals
+const LINK_FIELDS = ['goalId', 'debtId', 'splitId', 'reconciliationId'];
+
+/**
+ * @param {Transaction} txn
+ * @returns {boolean} Whether the entry belongs to a goal, IOU, split or wallet count
+ */
+export const isLinkedTransaction = (txn) => LINK_FIELDS.some((field) => !!txn[field]);
+
+// --- TRANSACTIONS ---
+
+/**
+ * Returns all transactions, newest first.
+ * @returns {Promise<Transaction[]>}
+ */
+export const getTransactions = async () => {
+  const txns = await readJSON(STORAGE_KEYS.TRANSACTIONS, []);
+  return Array.isArray(txns) ? txns : [];
+};
+
+/**
+ * Replaces the whole transaction list.
+ * @param {Transaction[]} txns
+ */
+export const saveTransactions = (txns) => writeJSON(STORAGE_KEYS.TRANSACTIONS, txns);
+
+/**
+ * Looks up a single transaction.
+ * @param {string} id
+ * @returns {Promise<Transaction|null>}
+ */
+export const getTransaction = async (id) => {
+  const txns = await getTransactions();
+  return txns.find((t) => t.id === id) || null;
+};
+
+/**
+ * Returns the transactions matching every given filter.
+ * @param {TransactionQuery} query
+ * @returns {Promise<Transaction[]>}
+ */
+export const queryTransactions = async (query = {}) => {
+  const txns = await getTransactions();
+  return filterTransactions(txns, query);
+};
+
+/**
+ * Synchronous version of queryTransactions for lists already in memory.
+ * @param {Transaction[]} txns
+ * @param {TransactionQuery} query
+ * @returns {Transaction[]}
+ */
+export const filterTransactions = (txns, { type, category, from, to } = {}) => {
+  const fromTime = toTime(from);
+  const toTimeValue = toTime(to);
+  return txns.filter((t) => {
+    if (type && t.type !== type) return false;
+    if (category && t.category !== category) return false;
+    if (fromTime !== undefined && t.timestamp < fromTime) return false;
+    if (toTimeValue !== undefined && t.timestamp >= toTimeValue) return false;
+    return true;
+  });
+};
+
+/**
+ * Creates a transaction. Without a timestamp it is recorded as happening now.
+ * @param {{title: string, amount: number, type: string, category: string, timestamp?: number}} data
+ * @returns {Promise<Transaction>} The stored transaction
+ */
+export const addTransaction = async (data) => {
+  const now = Date.now();
+  const transaction = {
+    id: now.toString(),
+    timestamp: now,
+    ...data,
+  };
+
+  const txns = await getTransactions();
+  await saveTransactions(sortNewestFirst([transaction, ...txns]));
+  return transaction;
+};
+
+/**
+ * Stores several new transactions at once (used for auto-posted entries).
+ * Transactions whose id is already stored are skipped, so posting is safe to repeat.
+ * @param {Transaction[]} newTxns - Complete transactions, ids included
+ * @returns {Promise<Transaction[]>} The transactions that were actually added
+ */
+export const addTransactions = async (newTxns) => {
+  if (newTxns.length === 0) return [];
+  const txns = await getTransactions();
+  const existingIds = new Set(txns.map((t) => t.id));
+  const added = newTxns.filter((t) => !existingIds.has(t.id));
+  if (added.length > 0) await saveTransactions(sortNewestFirst([...added, ...txns]));
+  return added;
+};
+
+/**
+ * Applies changes to an existing transaction.
+ * @param {string} id
+ * @param {Partial<Transaction>} changes
+ * @returns {Promise<Transaction|null>} The updated transaction, or null if not found
+ */
+export const updateTransaction = async (id, changes) => {
+  const txns = await getTransactions();
+  const index = txns.findIndex((t) => t.id === id);
+  if (index === -1) return null;
+
+  const updated = { ...txns[index], ...changes, id };
+  txns[index] = updated;
+  await saveTransactions(sortNewestFirst(txns));
+  return updated;
+};
+
+/**
+ * Removes a transaction.
+ * @param {string} id
+ * @returns {Promise<Transaction[]>} The remaining transactions
+ */
+export const deleteTransaction = async (id) => {
+  const txns = await getTransactions();
+  const updated = txns.filter((t) => t.id !== id);
+  await saveTransactions(updated);
+  return updated;
+};
+
+/**
+ * Moves every transaction in one category to another.
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {Promise<number>} How many transactions were moved
+ */
+export const reassignTransactionCategory = async (fromKey, toKey) => {
+  const txns = await getTransactions();
+  let moved = 0;
+  const updated = txns.map((t) => {
+    if (t.category !== fromKey) return t;
+    moved += 1;
+    return { ...t, category: toKey };
+  });
+  if (moved > 0) await saveTransactions(updated);
+  return moved;
+};
+
+/**
+ * Clears the review flag on auto-posted transactions.
+ * @param {string[]} ids
+ */
+export const markTransactionsReviewed = async (ids) => {
+  const txns = await getTransactions();
+  await saveTransactions(txns.map((t) => (ids.includes(t.id) ? { ...t, needsReview: false } : t)));
+};
+
+export const clearTransactions = () => AsyncStorage.removeItem(STORAGE_KEYS.TRANSACTIONS);
+
+// --- BUDGETS ---
+
+/**
+ * Returns the saved budget plan, or null if the user has not set one up.
+ * @returns {Promise<Budgets|null>}
+ */
+export const getBudgets = () => readJSON(STORAGE_KEYS.BUDGETS, null);
+
+/**
+ * Saves the budget plan. Amounts typed into text fields are stored as numbers.
+ * @param {Budgets} budgets
+ */
+export const saveBudgets = (budgets) => {
+  const categories = {};
+  Object.entries(budgets.categories || {}).forEach(([key, value]) => {
+    categories[key] = toAmount(value);
+  });
+
+  return writeJSON(STORAGE_KEYS.BUDGETS, {
+    ...budgets,
+    categories,
+    ...(budgets.allowance && {
+      allowance: { ...budgets.allowance, amount: toAmount(budgets.allowance.amount) },
+    }),
+    ...(budgets.envelopes && {
+      envelopes: Object.fromEntries(Object.entries(budgets.envelopes).map(([key, value]) => [key, toAmount(value)])),
+    }),
+    dailyAllowance: toAmount(budgets.dailyAllowance),
+    weeklyAllowance: toAmount(budgets.weeklyAllowance),
+    savingsGoal: toAmount(budgets.savingsGoal),
+  });
+};
+
+export const clearBudgets = () => AsyncStorage.removeItem(STORAGE_KEYS.BUDGETS);
+
+// --- CUSTOM CATEGORIES ---
+
+/**
+ * @returns {Promise<Object[]>} User-defined categories in display order
+ */
+export const getCustomCategories = async () => {
+  const custom = await readJSON(STORAGE_KEYS.CUSTOM_CATEGORIES, []);
+  return Array.isArray(custom) ? custom : [];
+};
+
+export const saveCustomCategories = (custom) => writeJSON(STORAGE_KEYS.CUSTOM_CATEGORIES, custom);
+
+// --- RECURRING RULES ---
+
+/**
+ * @returns {Promise<Object[]>} Recurring transaction rules (see utils/recurring)
+ */
+export const getRecurringRules = async () => {
+  const rules = await readJSON(STORAGE_KEYS.RECURRING_RULES, []);
+  return Array.isArray(rules) ? rules : [];
+};
+
+export const saveRecurringRules = (rules) => writeJSON(STORAGE_KEYS.RECURRING_RULES, rules);
+
+// --- ENVELOPES ---
+
+/**
+ * @returns {Promise<Object|null>} Envelope ledger (see utils/envelopes), null when envelopes are off
+ */
+export const getEnvelopeLedger = () => readJSON(STORAGE_KEYS.ENVELOPES, null);
+
+export const saveEnvelopeLedger = (ledger) => writeJSON(STORAGE_KEYS.ENVELOPES, ledger);
+
+export const clearEnvelopeLedger = () => AsyncStorage.removeItem(STORAGE_KEYS.ENVELOPES);
+
+// --- SAVINGS GOALS ---
+
+/**
+ * @returns {Promise<Object[]>} Savings goals (see utils/goals)
+ */
+export const getGoals = async () => {
+  const goals = await readJSON(STORAGE_KEYS.GOALS, []);
+  return Array.isArray(goals) ? goals : [];
+};
+
+export const saveGoals = (goals) => writeJSON(STORAGE_KEYS.GOALS, goals);
+
+// --- SAVINGS SNAPSHOTS ---
+
+/**
+ * @returns {Promise<Object|null>} Closed weekly and monthly savings snapshots (see utils/savings), null before the first run
+ */
+export const getSavingsLedger = () => readJSON(STORAGE_KEYS.SAVINGS_SNAPSHOTS, null);
+
+export const saveSavingsLedger = (ledger) => writeJSON(STORAGE_KEYS.SAVINGS_SNAPSHOTS, ledger);
+
+// --- DEBTS ---
+
+/**
+ * @returns {Promise<Object[]>} IOUs with classmates (see utils/debts)
+ */
+export const getDebts = async () => {
+  const debts = await readJSON(STORAGE_KEYS.DEBTS, []);
+  return Array.isArray(debts) ? debts : [];
+};
+
+export const saveDebts = (debts) => writeJSON(STORAGE_KEYS.DEBTS, debts);
+
+// --- SPLIT EXPENSES ---
+
+/**
+ * @returns {Promise<Object[]>} Group expenses split with groupmates (see utils/splits)
+ */
+export const getSplits = async () => {
+  const splits = await readJSON(STORAGE_KEYS.SPLITS, []);
+  return Array.isArray(splits) ? splits : [];
+};
+
+export const saveSplits = (splits) => writeJSON(STORAGE_KEYS.SPLITS, splits);
+
+// --- WALLETS ---
+
+/**
+ * @returns {Promise<Object[]>} Wallets like cash or GCash (see utils/wallets), empty before the first run
+ */
+export const getWallets = async () => {
+  const wallets = await readJSON(STORAGE_KEYS.WALLETS, []);
+  return Array.isArray(wallets) ? wallets : [];
+};
+
+export const saveWallets = (wallets) => writeJSON(STORAGE_KEYS.WALLETS, wallets);
+
+/**
+ * @returns {Promise<Object[]>} Money moved between wallets, newest first (see utils/wallets)
+ */
+export const getTransfers = async () => {
+  const transfers = await readJSON(STORAGE_KEYS.TRANSFERS, []);
+  return Array.isArray(transfers) ? transfers : [];
+};
+
+export const saveTransfers = (transfers) => writeJSON(STORAGE_KEYS.TRANSFERS, transfers);
+
+// --- RECONCILIATIONS ---
+
+/**
+ * @returns {Promise<Object[]>} Past wallet counts, newest first (see utils/reconcile)
+ */
+export const getReconciliations = async () => {
+  const reconciliations = await readJSON(STORAGE_KEYS.RECONCILIATIONS, []);
+  return Array.isArray(reconciliations) ? reconciliations : [];
+};
+
+export const saveReconciliations = (reconciliations) => writeJSON(STORAGE_KEYS.RECONCILIATIONS, reconciliations);
+
+// --- QUICK-ADD TEMPLATES ---
+
+/**
+ * @returns {Promise<Object[]>} Saved quick-add templates (see utils/templates)
+ */
+export const getTemplates = async () => {
+  const templates = await readJSON(STORAGE_KEYS.TEMPLATES, []);
+  return Array.isArray(templates) ? templates : [];
+};
+
+export const saveTemplates = (templates) => writeJSON(STORAGE_KEYS.TEMPLATES, templates);
+
+// --- DISMISSED NOTIFICATIONS ---
+
+/**
+ * @returns {Promise<string[]>} Ids of notifications the user has dismissed
+ */
+export const getDismissedNotifications = async () => {
+  const dismissed = await readJSON(STORAGE_KEYS.DISMISSED_NOTIFICATIONS, []);
+  return Array.isArray(dismissed) ? dismissed : [];
+};
+
+/**
+ * Marks notifications as dismissed.
+ * @param {string[]} ids
+ * @returns {Promise<string[]>} The full dismissed list
+ */
+export const dismissNotifications = async (ids) => {
+  const dismissed = await getDismissedNotifications();
+  const updated = [...dismissed, ...ids.filter((id) => !dismissed.includes(id))];
+  await writeJSON(STORAGE_KEYS.DISMISSED_NOTIFICATIONS, updated);
+  return updated;
+};
+
+// --- PROFILE ---
+
+/**
+ * @returns {Promise<{name: string, studentYear: string}>}
+ */
+export const getProfile = async () => ({
+  ...DEFAULT_PROFILE,
+  ...(await readJSON(STORAGE_KEYS.PROFILE, {})),
+});
+
+export const saveProfile = (profile) => writeJSON(STORAGE_KEYS.PROFILE, profile);
+
+// --- SETTINGS ---
+
+/**
+ * @returns {Promise<Settings>} App preferences, with defaults for anything not set yet
+ */
+export const getSettings = async () => ({
+  ...DEFAULT_SETTINGS,
+  ...(await readJSON(STORAGE_KEYS.SETTINGS, {})),
+});
+
+/**
+ * Saves some preferences, keeping the rest.
+ * @param {Partial<Settings>} changes
+ * @returns {Promise<Settings>} The full updated settings
+ */
+export const updateSettings = async (changes) => {
+  const updated = { ...(await getSettings()), ...changes };
+  await writeJSON(STORAGE_KEYS.SETTINGS, updated);
+  return updated;
+};
+
+// --- APP STATE ---
+
+export const hasLaunchedBefore = async () => (await AsyncStorage.getItem(STORAGE_KEYS.HAS_LAUNCHED)) !== null;
+
+export const markLaunched = () => AsyncStorage.setItem(STORAGE_KEYS.HAS_LAUNCHED, 'true');
+
+export const resetOnboarding = () => AsyncStorage.removeItem(STORAGE_KEYS.HAS_LAUNCHED);
+
+/**
+ * Wipes every stored value (factory reset). The schema version is kept so
+ * data created after the reset is not migrated again.
+ */
+export const clearAllData = async () => {
+  const schemaVersion = await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+  await AsyncStorage.clear();
+  if (schemaVersion !== null) {
+    await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, schemaVersion);
+  }
+};
@@ -0,0 +1,170 @@
+import { formatMoney, parseAmount } from './currency';
+import { t } from '../i18n';
+
+/**
+ * Allowance schedules.
+ *
+ * Students get their allowance in different ways: every school day, as a
+ * weekly lump sum, every other week or once a month. The schedule is stored
+ * with the budget plan (budgets.allowance) and every balance, period income
+ * and savings figure is derived from it.
+ *
+ * Schedule shape:
+ * {
+ *   frequency: 'daily' | 'schoolDays' | 'weekly' | 'biweekly' | 'monthly',
+ *   amount: pesos received each payday,
+ *   weekday: 0-6 payday for weekly/biweekly (0 = Sunday),
+ *   dayOfMonth: 1-31 payday for monthly (clamped to short months),
+ *   anchorDate: ms of one biweekly payday, to tell the two weeks apart
+ * }
+ *
+ * For period totals an allowance is spread over the days it is meant to
+ * cover (a weekly ₱700 counts as ₱100 each day), so a calendar week, a
+ * rolling week or a single day all get their fair share.
+ */
+
+// Labels are under common.frequencies.<value>, "per ..." texts under allowance.per.<value>
+export const ALLOWANCE_FREQUENCIES = [
+  { value: 'schoolDays' },
+  { value: 'daily' },
+  { value: 'weekly' },
+  { value: 'biweekly' },
+  { value: 'monthly' },
+];
+
+/**
+ * Full weekday names in the app language, Sunday first.
+ * @returns {string[]}
+ */
+export const getWeekdayNames = () => t('common.weekdays');
+
+const DEFAULT_SCHEDULE = { frequency: 'daily', amount: 0, weekday: 0, dayOfMonth: 1 };
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Reads the allowance schedule from a budget plan.
+ * @param {Object|null} budgets
+ * @returns {Object} Schedule (an empty daily schedule when nothing is set up)
+ */
+export const getAllowanceSchedule = (budgets) => {
+  if (budgets && budgets.allowance) return { ...DEFAULT_SCHEDULE, ...budgets.allowance };
+  return { ...DEFAULT_SCHEDULE, amount: (budgets && parseFloat(budgets.dailyAllowance)) || 0 };
+};
+
+/**
+ * Builds the schedule to store from the planner/onboarding form.
+ * @param {string|number} amount - Amount per payday as typed
+ * @param {Object} fields - frequency, weekday, dayOfMonth, anchorDate from AllowanceScheduleInput
+ */
+export const buildAllowanceSchedule = (amount, fields) => {
+  const schedule = {
+    frequency: fields.frequency,
+    amount: parseAmount(amount) || 0,
+    weekday: fields.weekday,
+    dayOfMonth: Math.min(31, Math.max(1, parseInt(fields.dayOfMonth, 10) || 1)),
+  };
+  if (fields.frequency === 'biweekly') schedule.anchorDate = fields.anchorDate || getUpcomingWeekday(fields.weekday);
+  return schedule;
+};
+
+/**
+ * The part of the allowance meant for one calendar day.
+ * @param {Object} schedule
+ * @param {Date|number} day
+ */
+export const getAllowanceForDay = (schedule, day) => {
+  const date = new Date(day);
+  const amount = parseFloat(schedule.amount) || 0;
+  switch (schedule.frequency) {
+    case 'schoolDays':
+      return date.getDay() >= 1 && date.getDay() <= 5 ? amount : 0;
+    case 'weekly':
+      return amount / 7;
+    case 'biweekly':
+      return amount / 14;
+    case 'monthly':
+      return amount / daysInMonth(date);
+    default:
+      return amount;
+  }
+};
+
+/**
+ * Total allowance for the days that start within [from, to).
+ * A rolling window starting mid-day skips that first partial day, so
+ * "the last 7 days" always covers exactly seven days.
+ * @param {Object} schedule
+ * @param {Date|number} from
+ * @param {Date|number} [to] - Defaults to now
+ */
+export const getAllowanceBetween = (schedule, from, to = Date.now()) => {
+  const fromTime = new Date(from).getTime();
+  const toTime = new Date(to).getTime();
+  const day = startOfDay(fromTime);
+  if (day.getTime() < fromTime) day.setDate(day.getDate() + 1);
+
+  let total = 0;
+  for (; day.getTime() < toTime; day.setDate(day.getDate() + 1)) {
+    total += getAllowanceForDay(schedule, day);
+  }
+  return total;
+};
+
+/**
+ * Average allowance per calendar day, used for daily limits and long-term tips.
+ */
+export const getAverageDailyAllowance = (schedule) => {
+  const amount = parseFloat(schedule.amount) || 0;
+  switch (schedule.frequency) {
+    case 'schoolDays':
+      return (amount * 5) / 7;
+    case 'weekly':
+      return amount / 7;
+    case 'biweekly':
+      return amount / 14;
+    case 'monthly':
+      return (amount * 12) / 365;
+    default:
+      return amount;
+  }
+};
+
+/**
+ * Human-readable schedule, e.g. "₱500 every Sunday".
+ */
+export const describeAllowance = (schedule) => {
+  const amount = formatMoney(parseFloat(schedule.amount) || 0, { whole: true });
+  const weekday = getWeekdayNames()[schedule.weekday];
+  switch (schedule.frequency) {
+    case 'schoolDays':
+      return t('allowance.describe.schoolDays', { amount });
+    case 'weekly':
+      return t('allowance.describe.weekly', { amount, weekday });
+    case 'biweekly':
+      return t('allowance.describe.biweekly', { amount, weekday });
+    case 'monthly':
+      return t('allowance.describe.monthly', { amount, day: schedule.dayOfMonth });
+    default:
+      return t('allowance.describe.daily', { amount });
+  }
+};
+
+/**
+ * The next date (today included) that falls on the given weekday.
+ * Used to anchor a biweekly schedule to "this week" or "next week".
+ * @param {number} weekday
+ * @param {boolean} [skipAWeek] - Anchor on the one after instead
+ * @returns {number} Time in ms at the start of that day
+ */
+export const getUpcomingWeekday = (weekday, skipAWeek = false) => {
+  const day = startOfDay(Date.now());
+  day.setDate(day.getDate() + ((weekday - day.getDay() + 7) % 7) + (skipAWeek ? 7 : 0));
+  return day.getTime();
+};
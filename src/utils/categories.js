@@ -0,0 +1,223 @@
+import {
+  getBudgets,
+  saveBudgets,
+  getCustomCategories,
+  saveCustomCategories,
+  reassignTransactionCategory,
+} from '../storage/repository';
+import { reassignEnvelopeCategory } from './envelopes';
+import { t } from '../i18n';
+
+/**
+ * Category registry shared by every screen.
+ *
+ * Transactions and budget plans refer to categories by `key`; everything
+ * shown to the user (label, icon, color, description) comes from here, so a
+ * category looks the same in entry, planning, statistics and alerts.
+ * Built-in categories are named in the app language (categories.<key> in
+ * the i18n dictionaries); the user's own keep the name they typed.
+ *
+ * - budgetable: can get a spending limit in the Budget Planner
+ * - selectable: offered in the Add Entry category picker
+ * - income: meant for money coming in (shown when logging income)
+ * - custom: created by the user (can be edited, archived or deleted)
+ * - archived: hidden from pickers but still shown on old transactions
+ */
+export const DEFAULT_CATEGORIES = [
+  { key: 'food', icon: '🍔', color: '#EF4444', budgetable: true, selectable: true },
+  { key: 'transportation', icon: '🚌', color: '#3B82F6', budgetable: true, selectable: true },
+  { key: 'supplies', icon: '📚', color: '#8B5CF6', budgetable: true, selectable: true },
+  { key: 'projects', icon: '📝', color: '#F59E0B', budgetable: true, selectable: true },
+  { key: 'load', icon: '📱', color: '#10B981', budgetable: true, selectable: true },
+  { key: 'entertainment', icon: '🎮', color: '#EC4899', budgetable: true, selectable: true },
+  { key: 'savings', icon: '💰', color: '#059669', budgetable: false, selectable: false },
+  { key: 'utang', icon: '🤝', color: '#0EA5E9', budgetable: false, selectable: false },
+  { key: 'adjustment', icon: '🧮', color: '#64748B', budgetable: false, selectable: false },
+  { key: 'allowance', icon: '💵', color: '#10B981', budgetable: false, selectable: true, income: true },
+  { key: 'earnings', icon: '🎁', color: '#14B8A6', budgetable: false, selectable: true, income: true },
+  { key: 'other', icon: '📦', color: '#6B7280', budgetable: false, selectable: true },
+];
+
+export const FALLBACK_CATEGORY_KEY = 'other';
+
+// Choices offered when creating a custom category
+export const CATEGORY_ICONS = ['⛪', '💇', '🖨️', '🎁', '👕', '💊', '🧃', '🍞', '☕', '🎨', '🏀', '🎵', '🐶', '🧴', '🎂', '🛒'];
+export const CATEGORY_COLORS = ['#EF4444', '#F97316', '#F59E0B', '#10B981', '#14B8A6', '#3B82F6', '#6366F1', '#8B5CF6', '#EC4899', '#6B7280'];
+
+// User-defined categories, kept in memory after loadCategories()
+let customCategories = [];
+
+const localize = (cat) => ({
+  ...cat,
+  label: t(`categories.${cat.key}.label`),
+  description: t(`categories.${cat.key}.description`),
+});
+
+/**
+ * Built-in categories first, then the user's own, with "Other" last.
+ */
+const allCategories = () => [
+  ...DEFAULT_CATEGORIES.filter((cat) => cat.key !== FALLBACK_CATEGORY_KEY).map(localize),
+  ...customCategories,
+  ...DEFAULT_CATEGORIES.filter((cat) => cat.key === FALLBACK_CATEGORY_KEY).map(localize),
+];
+
+/**
+ * Reads the user's categories from storage. Screens call this when they
+ * load data so the registry reflects the latest edits.
+ */
+export const loadCategories = async () => {
+  customCategories = await getCustomCategories();
+  return allCategories();
+};
+
+const persistCustomCategories = async (updated) => {
+  await saveCustomCategories(updated);
+  customCategories = updated;
+};
+
+/**
+ * Returns the active categories, optionally only the budgetable or selectable ones.
+ * @param {{budgetable?: boolean, selectable?: boolean, includeArchived?: boolean}} filter
+ */
+export const getCategories = ({ budgetable, selectable, includeArchived = false } = {}) =>
+  allCategories().filter((cat) =>
+    (includeArchived || !cat.archived) &&
+    (budgetable === undefined || cat.budgetable === budgetable) &&
+    (selectable === undefined || cat.selectable === selectable)
+  );
+
+/**
+ * Checks whether a category fits an expense or an income. "Other" fits both.
+ * @param {Object} cat
+ * @param {'expense'|'income'} type
+ */
+export const isCategoryForType = (cat, type) =>
+  cat.key === FALLBACK_CATEGORY_KEY || !!cat.income === (type === 'income');
+
+/**
+ * Categories offered when logging an expense or an income.
+ * @param {'expense'|'income'} type
+ */
+export const getCategoriesForType = (type) =>
+  getCategories({ selectable: true }).filter((cat) => isCategoryForType(cat, type));
+
+/**
+ * @returns {Object[]} The user's own categories in display order, archived included
+ */
+export const getCustomCategoryList = () => customCategories;
+
+/**
+ * Looks up a category by key. Unknown keys resolve to "Other".
+ * @param {string} key
+ */
+export const getCategory = (key) =>
+  allCategories().find((cat) => cat.key === key) ||
+  localize(DEFAULT_CATEGORIES.find((cat) => cat.key === FALLBACK_CATEGORY_KEY));
+
+/**
+ * Resolves a category key from either a key or a display label.
+ * @param {string} keyOrLabel
+ * @returns {string}
+ */
+export const getCategoryKey = (keyOrLabel) => {
+  const match = allCategories().find((cat) => cat.key === keyOrLabel || cat.label === keyOrLabel);
+  return match ? match.key : FALLBACK_CATEGORY_KEY;
+};
+
+export const getCategoryLabel = (key) => getCategory(key).label;
+
+export const getCategoryIcon = (key) => getCategory(key).icon;
+
+export const getCategoryColor = (key) => getCategory(key).color;
+
+/**
+ * Checks whether another category already uses this name (case-insensitive).
+ * @param {string} label
+ * @param {string} [exceptKey] - Category being renamed
+ */
+export const isCategoryLabelTaken = (label, exceptKey) => {
+  const wanted = label.trim().toLowerCase();
+  return allCategories().some((cat) => cat.key !== exceptKey && cat.label.toLowerCase() === wanted);
+};
+
+// --- CUSTOM CATEGORY MANAGEMENT ---
+
+/**
+ * Creates a user-defined category at the end of the list.
+ * @param {{label: string, icon: string, color: string, description?: string, budgetable?: boolean}} data
+ */
+export const createCategory = async ({ label, icon, color, description = '', budgetable = true }) => {
+  const category = {
+    key: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    label: label.trim(),
+    icon,
+    color,
+    description: description.trim(),
+    budgetable,
+    selectable: true,
+    custom: true,
+    archived: false,
+  };
+  await persistCustomCategories([...customCategories, category]);
+  return category;
+};
+
+/**
+ * Renames, recolors or otherwise edits a user-defined category.
+ * Transactions keep pointing at the same key, so history follows the change.
+ */
+export const updateCategory = async (key, changes) => {
+  const updated = customCategories.map((cat) => (
+    cat.key === key ? { ...cat, ...changes, key, custom: true } : cat
+  ));
+  await persistCustomCategories(updated);
+};
+
+/**
+ * Moves a user-defined category one place up (-1) or down (+1).
+ */
+export const moveCategory = async (key, direction) => {
+  const index = customCategories.findIndex((cat) => cat.key === key);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= customCategories.length) return;
+
+  const updated = [...customCategories];
+  [updated[index], updated[target]] = [updated[target], updated[index]];
+  await persistCustomCategories(updated);
+};
+
+export const setCategoryArchived = (key, archived) => updateCategory(key, { archived });
+
+/**
+ * Folds a user-defined category into another one: its transactions and its
+ * budget move to the target, then the category is removed.
+ * @param {string} key - Category to remove
+ * @param {string} intoKey - Category that receives its history
+ */
+export const mergeCategory = async (key, intoKey) => {
+  await reassignTransactionCategory(key, intoKey);
+  await reassignEnvelopeCategory(key, intoKey);
+
+  const budgets = await getBudgets();
+  if (budgets && budgets.categories && budgets.categories[key] !== undefined) {
+    const { [key]: movedAmount, ...remaining } = budgets.categories;
+    if (getCategory(intoKey).budgetable) {
+      remaining[intoKey] = (parseFloat(remaining[intoKey]) || 0) + (parseFloat(movedAmount) || 0);
+    }
+    budgets.categories = remaining;
+  }
+  if (budgets && budgets.envelopes && budgets.envelopes[key] !== undefined) {
+    const { [key]: movedEnvelope, ...envelopes } = budgets.envelopes;
+    envelopes[intoKey] = (parseFloat(envelopes[intoKey]) || 0) + (parseFloat(movedEnvelope) || 0);
+    budgets.envelopes = envelopes;
+  }
+  if (budgets) await saveBudgets(budgets);
+
+  await persistCustomCategories(customCategories.filter((cat) => cat.key !== key));
+};
+
+/**
+ * Deletes a user-defined category; its transactions move to "Other".
+ */
+export const deleteCategory = (key) => mergeCategory(key, FALLBACK_CATEGORY_KEY);
@@ -0,0 +1,111 @@
+import { getSettings, updateSettings } from '../storage/repository';
+import { getLocale } from '../i18n';
+
+/**
+ * Money formatting and parsing.
+ *
+ * Every amount on screen and in alert text goes through formatMoney() or
+ * formatCompact(), and every amount typed by the user through parseAmount(),
+ * so the symbol and centavo preferences from Settings apply everywhere.
+ *
+ * Stored amounts are always plain numbers in the student's own currency;
+ * the symbol only changes how they are shown.
+ */
+
+// Offered in Settings; students abroad can also type their own
+export const CURRENCY_SYMBOLS = ['₱', '$', '€', '£', '¥', '₩', 'S$', 'RM', 'AED'];
+
+export const DEFAULT_CURRENCY_SYMBOL = '₱';
+
+// Current preferences, kept in memory after loadCurrency()
+let preferences = { symbol: DEFAULT_CURRENCY_SYMBOL, hideCentavos: false };
+
+const applySettings = (settings) => {
+  preferences = {
+    symbol: settings.currencySymbol || DEFAULT_CURRENCY_SYMBOL,
+    hideCentavos: !!settings.hideCentavos,
+  };
+};
+
+export const getCurrencySymbol = () => preferences.symbol;
+
+/**
+ * Reads the money preferences from settings. Called once when the app starts.
+ */
+export const loadCurrency = async () => {
+  applySettings(await getSettings());
+};
+
+/**
+ * Saves money preferences and uses them from the next render on.
+ * @param {{ currencySymbol?: string, hideCentavos?: boolean }} changes
+ * @returns {Promise<Object>} The full updated settings
+ */
+export const setCurrency = async (changes) => {
+  const settings = await updateSettings(changes);
+  applySettings(settings);
+  return settings;
+};
+
+/**
+ * Amount with the currency symbol and thousands separators, e.g. "₱1,500.00".
+ * @param {number} amount
+ * @param {Object} [options]
+ * @param {boolean} [options.whole] - Round to whole units even when centavos are shown
+ * @param {boolean} [options.sign] - Prefix positive amounts with "+"
+ * @returns {string}
+ */
+export const formatMoney = (amount, { whole = false, sign = false } = {}) => {
+  const decimals = whole || preferences.hideCentavos ? 0 : 2;
+  const value = Number(amount) || 0;
+  const rounded = Number(Math.abs(value).toFixed(decimals));
+  const digits = rounded.toLocaleString(getLocale(), { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  const prefix = rounded === 0 ? '' : value < 0 ? '-' : sign ? '+' : '';
+  return `${prefix}${preferences.symbol}${digits}`;
+};
+
+const COMPACT_UNITS = [
+  { size: 1000000, suffix: 'M' },
+  { size: 1000, suffix: 'k' },
+];
+
+/**
+ * Short amount for tight spaces, e.g. "₱850", "₱1.2k", "₱15k", "₱2.5M".
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatCompact = (amount) => {
+  const value = Number(amount) || 0;
+  const unit = COMPACT_UNITS.find(({ size }) => Math.abs(value) >= size * 0.99995);
+  if (!unit) return formatMoney(value, { whole: true });
+
+  const scaled = Math.abs(value) / unit.size;
+  const digits = Number(scaled.toFixed(scaled < 10 ? 1 : 0)).toLocaleString(getLocale());
+  return `${value < 0 ? '-' : ''}${preferences.symbol}${digits}${unit.suffix}`;
+};
+
+/**
+ * Reads an amount typed by the user. Accepts thousands separators and
+ * spaces ("1,500", "1 500.50") and a leading currency symbol.
+ * @param {string|number} text
+ * @returns {number} The amount, or NaN when the text is not a number
+ */
+export const parseAmount = (text) => {
+  if (typeof text === 'number') return text;
+  const cleaned = String(text || '')
+    .trim()
+    .replace(preferences.symbol, '')
+    .replace(DEFAULT_CURRENCY_SYMBOL, '')
+    .replace(/[\s,']/g, '');
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(cleaned)) return NaN;
+  return parseFloat(cleaned);
+};
+
+/**
+ * parseAmount() for every value of a form map, e.g. per-category budgets.
+ * Anything that is not a number becomes 0.
+ * @param {Object<string, string|number>} values
+ * @returns {Object<string, number>}
+ */
+export const parseAmounts = (values) =>
+  Object.fromEntries(Object.entries(values).map(([key, value]) => [key, parseAmount(value) || 0]));
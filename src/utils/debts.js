@@ -0,0 +1,134 @@
+import { getDebts, saveDebts, addTransaction, addTransactions } from '../storage/repository';
+import { t } from '../i18n';
+
+/**
+ * Debt and IOU tracker (utang) for small loans between classmates.
+ *
+ * Debt shape (stored under STORAGE_KEYS.DEBTS):
+ * {
+ *   id, person, note,
+ *   direction: 'lent' (they owe me) | 'borrowed' (I owe them),
+ *   amount, dueDate: ms | null, createdAt,
+ *   splitId?: set when the debt is a groupmate's share of a split expense
+ * }
+ *
+ * Money only moves through transactions in the 'utang' category tagged
+ * with the debt's id, so balances stay correct: lending is an expense and
+ * getting paid back is an income; borrowing is an income and paying back
+ * is an expense. What has been repaid is the sum of the tagged entries
+ * going the other way, so deleting a repayment entry reopens the debt.
+ */
+
+export const DEBT_CATEGORY_KEY = 'utang';
+
+// Labels and descriptions are under debts.directions.<value> in the i18n dictionaries
+export const DEBT_DIRECTIONS = [{ value: 'lent' }, { value: 'borrowed' }];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const endOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(23, 59, 59, 999);
+  return day.getTime();
+};
+
+// Type of the entry that pays a debt back
+const repaymentType = (debt) => (debt.direction === 'lent' ? 'income' : 'expense');
+
+/**
+ * Where a debt stands.
+ * @param {Object} debt
+ * @param {Object[]} txns - All transactions
+ * @param {number} [now]
+ * @returns {{paid: number, remaining: number, isSettled: boolean, isOverdue: boolean, daysOverdue: number}}
+ */
+export const getDebtStatus = (debt, txns, now = Date.now()) => {
+  const paid = txns
+    .filter((t) => t.debtId === debt.id && t.type === repaymentType(debt))
+    .reduce((sum, t) => sum + t.amount, 0);
+  const remaining = Math.max(0, Math.round((debt.amount - paid) * 100) / 100);
+  const isOverdue = remaining > 0 && !!debt.dueDate && now > debt.dueDate;
+  return {
+    paid,
+    remaining,
+    isSettled: remaining === 0,
+    isOverdue,
+    daysOverdue: isOverdue ? Math.ceil((now - debt.dueDate) / DAY) : 0,
+  };
+};
+
+/**
+ * Open debts that are past their due date, each with its status.
+ * @returns {{debt: Object, status: Object}[]}
+ */
+export const getOverdueDebts = (debts, txns, now = Date.now()) =>
+  debts
+    .map((debt) => ({ debt, status: getDebtStatus(debt, txns, now) }))
+    .filter(({ status }) => status.isOverdue);
+
+/**
+ * Builds a debt record. Used for single IOUs and for group expense splits.
+ * @param {{id: string, person: string, direction: string, amount: number, dueDate: number|null, note?: string, splitId?: string}} data
+ * @param {number} [now]
+ */
+export const buildDebt = ({ id, person, direction, amount, dueDate, note = '', splitId }, now = Date.now()) => ({
+  id,
+  person: person.trim(),
+  note: note.trim(),
+  direction,
+  amount: parseFloat(amount) || 0,
+  dueDate: dueDate ? endOfDay(dueDate) : null,
+  createdAt: now,
+  ...(splitId && { splitId }),
+});
+
+/**
+ * The entry that logs the money changing hands when a debt starts.
+ */
+export const buildDebtTransaction = (debt, now = Date.now()) => ({
+  id: `${debt.id}-start`,
+  title: t(debt.direction === 'lent' ? 'debts.entries.lent' : 'debts.entries.borrowed', { person: debt.person }),
+  amount: debt.amount,
+  type: debt.direction === 'lent' ? 'expense' : 'income',
+  category: DEBT_CATEGORY_KEY,
+  debtId: debt.id,
+  timestamp: now,
+});
+
+/**
+ * Records a new IOU.
+ * @param {{person: string, direction: string, amount: number, dueDate: number|null, note?: string, logTransaction: boolean}} data -
+ *   `logTransaction` logs the money changing hands now; leave it off for an IOU from before the app was used
+ * @returns {Promise<Object[]>} The updated debt list
+ */
+export const createDebt = async ({ logTransaction, ...data }) => {
+  const now = Date.now();
+  const debt = buildDebt({ ...data, id: `debt-${now}` }, now);
+
+  const updated = [...(await getDebts()), debt];
+  await saveDebts(updated);
+  if (logTransaction) await addTransactions([buildDebtTransaction(debt, now)]);
+  return updated;
+};
+
+/**
+ * Logs a full or partial repayment as a transaction linked to the debt.
+ */
+export const recordRepayment = (debt, amount) => addTransaction({
+  title: t(debt.direction === 'lent' ? 'debts.entries.theyPaid' : 'debts.entries.iPaid', { person: debt.person }),
+  amount: parseFloat(amount) || 0,
+  type: repaymentType(debt),
+  category: DEBT_CATEGORY_KEY,
+  debtId: debt.id,
+});
+
+/**
+ * Removes a debt. Entries already logged for it are kept.
+ * @returns {Promise<Object[]>} The remaining debts
+ */
+export const deleteDebt = async (id) => {
+  const debts = await getDebts();
+  const updated = debts.filter((debt) => debt.id !== id);
+  await saveDebts(updated);
+  return updated;
+};
@@ -0,0 +1,155 @@
+import { getBudgets, getEnvelopeLedger, saveEnvelopeLedger, clearEnvelopeLedger } from '../storage/repository';
+import { getAllowanceSchedule } from './allowance';
+import { getOccurrences } from './recurring';
+
+/**
+ * Envelope budgeting: a stricter alternative to daily category limits.
+ *
+ * Like cash divided into labelled envelopes, every allowance that comes in
+ * is split into category envelopes (budgets.envelopes holds the amount per
+ * allowance). Expenses draw down their category's envelope, and money can
+ * be added to an envelope or moved between envelopes.
+ *
+ * Ledger shape (stored under STORAGE_KEYS.ENVELOPES):
+ * {
+ *   startedAt: ms, expenses before this don't touch the envelopes,
+ *   lastFilledAt: ms, paydays up to here have been filled,
+ *   entries: [{ id, type: 'fill' | 'refill' | 'move', category, fromCategory?, amount, timestamp }]
+ * }
+ */
+
+export const isEnvelopeMode = (budgets) => !!budgets && budgets.budgetMode === 'envelopes';
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+};
+
+// The allowance schedule as a recurring rule, so paydays come from the same engine
+const toPaydayRule = (schedule) => ({
+  frequency: schedule.frequency,
+  weekday: schedule.weekday,
+  dayOfMonth: schedule.dayOfMonth,
+  anchorDate: schedule.anchorDate,
+  hour: 0,
+  minute: 0,
+});
+
+/**
+ * Adds one fill per allocated envelope for every payday since the last run.
+ * Safe to call often, like postDueRecurringTransactions().
+ * @returns {Promise<number>} How many paydays were filled
+ */
+export const fillDueEnvelopes = async () => {
+  const [budgets, ledger] = await Promise.all([getBudgets(), getEnvelopeLedger()]);
+  if (!isEnvelopeMode(budgets) || !ledger) return 0;
+
+  const now = Date.now();
+  const paydays = getOccurrences(
+    toPaydayRule(getAllowanceSchedule(budgets)),
+    ledger.lastFilledAt,
+    now
+  );
+
+  const fills = [];
+  paydays.forEach((time) => {
+    Object.entries(budgets.envelopes || {}).forEach(([category, amount]) => {
+      if (!(parseFloat(amount) > 0)) return;
+      fills.push({ id: `fill-${time}-${category}`, type: 'fill', category, amount: parseFloat(amount), timestamp: time });
+    });
+  });
+
+  await saveEnvelopeLedger({ ...ledger, lastFilledAt: now, entries: [...ledger.entries, ...fills] });
+  return paydays.length;
+};
+
+/**
+ * Starts or stops the envelope ledger after the budget plan is saved.
+ * Turning envelopes on starts with empty envelopes, filled from today's
+ * allowance if today is a payday; turning them off drops the ledger.
+ * @param {Object} budgets - The saved budget plan
+ */
+export const syncEnvelopes = async (budgets) => {
+  if (!isEnvelopeMode(budgets)) {
+    await clearEnvelopeLedger();
+    return;
+  }
+
+  const ledger = await getEnvelopeLedger();
+  if (!ledger) {
+    const today = startOfToday();
+    await saveEnvelopeLedger({ startedAt: today, lastFilledAt: today - 1, entries: [] });
+  }
+  await fillDueEnvelopes();
+};
+
+/**
+ * Money left in each envelope.
+ * @param {Object[]} txns - All transactions
+ * @param {Object|null} ledger - Envelope ledger
+ * @param {Object|null} budgets - Budget plan (allocated envelopes start at 0)
+ * @returns {Object<string, number>} Balance per category key that has an envelope
+ */
+export const getEnvelopeBalances = (txns, ledger, budgets) => {
+  if (!ledger || !isEnvelopeMode(budgets)) return {};
+
+  const balances = {};
+  const add = (category, amount) => {
+    balances[category] = (balances[category] || 0) + amount;
+  };
+
+  Object.entries(budgets.envelopes || {}).forEach(([category, amount]) => {
+    if (parseFloat(amount) > 0) add(category, 0);
+  });
+
+  ledger.entries.forEach((entry) => {
+    add(entry.category, entry.amount);
+    if (entry.type === 'move') add(entry.fromCategory, -entry.amount);
+  });
+
+  txns
+    .filter((t) => t.type === 'expense' && t.timestamp >= ledger.startedAt && balances[t.category] !== undefined)
+    .forEach((t) => add(t.category, -t.amount));
+
+  return balances;
+};
+
+const addEntry = async (entry) => {
+  const ledger = await getEnvelopeLedger();
+  if (!ledger) throw new Error('Envelopes are not turned on');
+
+  const now = Date.now();
+  await saveEnvelopeLedger({
+    ...ledger,
+    entries: [...ledger.entries, { id: `${entry.type}-${now}`, timestamp: now, ...entry }],
+  });
+};
+
+/**
+ * Puts extra money into an envelope (e.g. from extra income).
+ */
+export const refillEnvelope = (category, amount) =>
+  addEntry({ type: 'refill', category, amount: parseFloat(amount) || 0 });
+
+/**
+ * Moves money from one envelope to another.
+ */
+export const moveBetweenEnvelopes = (fromCategory, category, amount) =>
+  addEntry({ type: 'move', fromCategory, category, amount: parseFloat(amount) || 0 });
+
+/**
+ * Points envelope entries at another category, used when categories are merged.
+ */
+export const reassignEnvelopeCategory = async (fromKey, toKey) => {
+  const ledger = await getEnvelopeLedger();
+  if (!ledger) return;
+
+  const rename = (key) => (key === fromKey ? toKey : key);
+  await saveEnvelopeLedger({
+    ...ledger,
+    entries: ledger.entries
+      .map((entry) => ({ ...entry, category: rename(entry.category), fromCategory: entry.fromCategory && rename(entry.fromCategory) }))
+      .filter((entry) => entry.type !== 'move' || entry.fromCategory !== entry.category),
+  });
+};
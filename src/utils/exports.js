@@ -0,0 +1,177 @@
+import { queryTransactions, getBudgets, getSettings } from '../storage/repository';
+import { shareTextFile } from '../storage/files';
+import { loadCategories, getCategories, getCategoryLabel } from './categories';
+import { getWeekRange, getMonthRange } from './periods';
+import { loadWallets, getWalletId } from './wallets';
+
+/**
+ * Exports for spreadsheets and school reports.
+ *
+ * - Transactions CSV: one row per entry in the chosen date range
+ * - Budget plan CSV: one row per budgeted category
+ * - JSON: the transactions in range plus the whole budget plan
+ *
+ * Amounts are written as plain numbers (no symbol or separators) and dates
+ * as YYYY-MM-DD, so spreadsheets read them as numbers and dates.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Labels are under settings.export.ranges.<value> in the i18n dictionaries
+export const EXPORT_RANGES = [{ value: 'month' }, { value: 'week' }, { value: 'all' }, { value: 'custom' }];
+
+// Labels are under settings.export.formats.<value> in the i18n dictionaries
+export const EXPORT_FORMATS = [
+  { value: 'transactions', type: 'csv' },
+  { value: 'budget', type: 'csv' },
+  { value: 'all', type: 'json' },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const toTimeKey = (time) => {
+  const date = new Date(time);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+/**
+ * Turns a range choice into { from, to } for queryTransactions().
+ * @param {'month'|'week'|'all'|'custom'} value
+ * @param {Object} settings - See Settings in storage/repository
+ * @param {{from: number, to: number}} [custom] - Picked days for 'custom'; both days are included
+ * @returns {{from?: number, to?: number}} An empty object for all time
+ */
+export const getExportRange = (value, settings, custom, now = Date.now()) => {
+  if (value === 'week') {
+    const { from, to } = getWeekRange(settings, now);
+    return { from, to };
+  }
+  if (value === 'month') {
+    const { from, to } = getMonthRange(settings, now);
+    return { from, to };
+  }
+  if (value === 'custom') {
+    return { from: startOfDay(custom.from), to: startOfDay(custom.to) + DAY };
+  }
+  return {};
+};
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_START = /^[=+\-@]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+  const text = FORMULA_START.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Joins rows of cells into CSV text (RFC 4180 quoting).
+ * @param {Array<Array<string|number>>} rows - Header row first
+ * @returns {string}
+ */
+export const toCSV = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+/**
+ * @param {Object[]} txns - See Transaction in storage/repository
+ * @param {Object[]} wallets
+ * @returns {string}
+ */
+export const buildTransactionsCSV = (txns, wallets) => {
+  const walletNames = Object.fromEntries(wallets.map((wallet) => [wallet.id, wallet.name]));
+  const rows = [...txns]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((txn) => [
+      toDateKey(txn.timestamp),
+      toTimeKey(txn.timestamp),
+      txn.type,
+      txn.category,
+      getCategoryLabel(txn.category),
+      txn.title,
+      txn.amount,
+      walletNames[getWalletId(txn)] || getWalletId(txn),
+      new Date(txn.timestamp).toISOString(),
+    ]);
+  return toCSV([['date', 'time', 'type', 'category', 'category_name', 'title', 'amount', 'wallet', 'timestamp'], ...rows]);
+};
+
+/**
+ * @param {Object|null} budgets - See Budgets in storage/repository
+ * @returns {string}
+ */
+export const buildBudgetCSV = (budgets) => {
+  const limits = (budgets && budgets.categories) || {};
+  const envelopes = (budgets && budgets.envelopes) || {};
+  const rows = getCategories({ budgetable: true }).map((cat) => [
+    cat.key,
+    cat.label,
+    limits[cat.key] || 0,
+    (limits[cat.key] || 0) * 7,
+    envelopes[cat.key] || 0,
+  ]);
+  return toCSV([['category', 'category_name', 'daily_limit', 'weekly_limit', 'envelope_per_allowance'], ...rows]);
+};
+
+/**
+ * @param {{txns: Object[], budgets: Object|null, range: Object, settings: Object, now?: number}} data
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildExportJSON = ({ txns, budgets, range, settings, now = Date.now() }) =>
+  JSON.stringify(
+    {
+      exportedAt: new Date(now).toISOString(),
+      range: {
+        from: range.from === undefined ? null : new Date(range.from).toISOString(),
+        to: range.to === undefined ? null : new Date(range.to).toISOString(),
+      },
+      currencySymbol: settings.currencySymbol,
+      transactions: txns.map((txn) => ({ ...txn, categoryName: getCategoryLabel(txn.category) })),
+      budgets,
+    },
+    null,
+    2
+  );
+
+/**
+ * Builds an export and opens the share sheet for it.
+ * @param {'transactions'|'budget'|'all'} format - See EXPORT_FORMATS
+ * @param {{from?: number, to?: number}} range - From getExportRange()
+ * @param {string} [passphrase] - Lock the file with this passphrase
+ * @returns {Promise<number>} Transactions included; a transactions CSV is
+ *   not shared when there are none
+ */
+export const exportData = async (format, range, passphrase) => {
+  const today = toDateKey(Date.now());
+  await loadCategories();
+
+  if (format === 'budget') {
+    await shareTextFile(`budget-plan-${today}.csv`, buildBudgetCSV(await getBudgets()), 'csv', passphrase);
+    return 0;
+  }
+
+  const txns = await queryTransactions(range);
+  if (format === 'transactions') {
+    if (txns.length === 0) return 0;
+    const name = range.from === undefined
+      ? `transactions-${today}.csv`
+      : `transactions-${toDateKey(range.from)}-to-${toDateKey(range.to - 1)}.csv`;
+    await shareTextFile(name, buildTransactionsCSV(txns, await loadWallets()), 'csv', passphrase);
+    return txns.length;
+  }
+
+  const json = buildExportJSON({ txns, budgets: await getBudgets(), range, settings: await getSettings() });
+  await shareTextFile(`budget-export-${today}.json`, json, 'json', passphrase);
+  return txns.length;
+};
@@ -0,0 +1,114 @@
+import { getGoals, saveGoals, addTransaction } from '../storage/repository';
+import { t } from '../i18n';
+
+/**
+ * Savings goals: named targets like a graduation fund or a new phone.
+ *
+ * Goal shape (stored under STORAGE_KEYS.GOALS):
+ * { id, name, icon, target, targetDate: ms (the last day to save), createdAt }
+ *
+ * Money only reaches a goal through explicit entries in the 'savings'
+ * category tagged with the goal's id: a contribution is an expense (it
+ * leaves the spendable balance) and a withdrawal is an income (it comes
+ * back). A goal's progress is the sum of its contributions minus its
+ * withdrawals.
+ */
+
+export const SAVINGS_CATEGORY_KEY = 'savings';
+
+// Choices offered when creating a goal
+export const GOAL_ICONS = ['🎓', '📱', '💻', '🎒', '👟', '🚌', '🏖️', '🎸', '🎁', '🎮', '📚', '💰'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const endOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(23, 59, 59, 999);
+  return day.getTime();
+};
+
+/**
+ * Net amount saved for each goal.
+ * @param {Object[]} txns - All transactions
+ * @returns {Object<string, number>} Saved amount per goal id
+ */
+export const getSavedByGoal = (txns) => {
+  const saved = {};
+  txns
+    .filter((t) => t.goalId && t.category === SAVINGS_CATEGORY_KEY)
+    .forEach((t) => {
+      saved[t.goalId] = (saved[t.goalId] || 0) + (t.type === 'expense' ? t.amount : -t.amount);
+    });
+  return saved;
+};
+
+/**
+ * Progress of one goal towards its target and deadline.
+ * @param {Object} goal
+ * @param {number} saved - Net amount saved so far (see getSavedByGoal)
+ * @param {number} [now]
+ * @returns {{saved: number, remaining: number, percent: number, daysLeft: number, perDay: number, isComplete: boolean, isOverdue: boolean}}
+ *   `daysLeft` counts today; `perDay` is what must be saved each day to finish on time
+ */
+export const getGoalProgress = (goal, saved, now = Date.now()) => {
+  const remaining = Math.max(0, goal.target - saved);
+  const daysLeft = Math.max(0, Math.ceil((endOfDay(goal.targetDate) - now) / DAY));
+  return {
+    saved,
+    remaining,
+    percent: goal.target > 0 ? Math.min(100, (saved / goal.target) * 100) : 0,
+    daysLeft,
+    perDay: daysLeft > 0 ? remaining / daysLeft : remaining,
+    isComplete: remaining === 0,
+    isOverdue: remaining > 0 && daysLeft === 0,
+  };
+};
+
+/**
+ * Creates a goal.
+ * @param {{name: string, icon: string, target: number, targetDate: number}} data
+ * @returns {Promise<Object[]>} The updated goal list
+ */
+export const createGoal = async ({ name, icon, target, targetDate }) => {
+  const now = Date.now();
+  const goals = await getGoals();
+  const updated = [
+    ...goals,
+    { id: `goal-${now}`, name: name.trim(), icon, target: parseFloat(target) || 0, targetDate: endOfDay(targetDate), createdAt: now },
+  ];
+  await saveGoals(updated);
+  return updated;
+};
+
+/**
+ * Removes a goal. Its contributions stay in the history as savings entries.
+ * @returns {Promise<Object[]>} The remaining goals
+ */
+export const deleteGoal = async (id) => {
+  const goals = await getGoals();
+  const updated = goals.filter((goal) => goal.id !== id);
+  await saveGoals(updated);
+  return updated;
+};
+
+/**
+ * Logs money put towards a goal.
+ */
+export const contributeToGoal = (goal, amount) => addTransaction({
+  title: `${goal.icon} ${goal.name}`,
+  amount: parseFloat(amount) || 0,
+  type: 'expense',
+  category: SAVINGS_CATEGORY_KEY,
+  goalId: goal.id,
+});
+
+/**
+ * Logs money taken back out of a goal.
+ */
+export const withdrawFromGoal = (goal, amount) => addTransaction({
+  title: t('goals.entries.withdrawn', { goal: `${goal.icon} ${goal.name}` }),
+  amount: parseFloat(amount) || 0,
+  type: 'income',
+  category: SAVINGS_CATEGORY_KEY,
+  goalId: goal.id,
+});
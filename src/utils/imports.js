@@ -0,0 +1,371 @@
+import { getTransactions, addTransactions } from '../storage/repository';
+import { getCategories, getCategoryLabel, FALLBACK_CATEGORY_KEY } from './categories';
+
+/**
+ * CSV import for history kept somewhere else (a paper notebook typed into
+ * Google Sheets, another budget app's export, our own CSV export).
+ *
+ * The flow is a dry run until the very end:
+ * 1. parseCSV() the file; the first row is the header
+ * 2. guessColumnMapping() picks the date/amount/description/category/type
+ *    columns from the header, and the student can change them; the date
+ *    and number formats are guessed from the cells the same way
+ * 3. matchCategory() maps each category in the file to one of ours; the
+ *    ones it can't place go to "Other" until the student picks one
+ * 4. buildImportPlan() checks every row and marks it new, duplicate or invalid
+ * 5. commitImport() stores only the new rows
+ */
+
+// Labels are under importScreen.fields.<value> in the i18n dictionaries
+export const IMPORT_FIELDS = [
+  { value: 'date', required: true },
+  { value: 'amount', required: true },
+  { value: 'description' },
+  { value: 'category' },
+  { value: 'type' },
+];
+
+// Patterns, so they are the same in every language
+export const DATE_FORMATS = [
+  { value: 'ymd', label: 'YYYY-MM-DD' },
+  { value: 'mdy', label: 'MM/DD/YYYY' },
+  { value: 'dmy', label: 'DD/MM/YYYY' },
+];
+
+// Which separator is for decimals; labels are examples, the same in every language
+export const NUMBER_FORMATS = [
+  { value: 'dot', label: '1,234.50', group: ',', decimal: '.' },
+  { value: 'comma', label: '1.234,50', group: '.', decimal: ',' },
+];
+
+// Header names each field is recognised by (lowercase, English and Filipino)
+const HEADER_NAMES = {
+  date: ['date', 'petsa', 'day', 'araw', 'timestamp', 'time', 'when'],
+  amount: ['amount', 'halaga', 'price', 'presyo', 'cost', 'total', 'value', 'php'],
+  description: ['description', 'title', 'note', 'notes', 'item', 'details', 'memo', 'tala', 'name'],
+  category: ['category', 'kategorya', 'category_name', 'group', 'tag'],
+  type: ['type', 'uri', 'kind', 'direction'],
+};
+
+// Words that point to one of the built-in categories
+const CATEGORY_WORDS = {
+  food: ['food', 'pagkain', 'snacks', 'snack', 'merienda', 'meryenda', 'lunch', 'breakfast', 'dinner', 'meal', 'drinks'],
+  transportation: ['transportation', 'transport', 'pamasahe', 'fare', 'jeep', 'jeepney', 'tricycle', 'bus', 'commute', 'grab'],
+  supplies: ['supplies', 'school supplies', 'gamit', 'paper', 'notebook', 'pens', 'printing'],
+  projects: ['projects', 'project', 'proyekto', 'materials'],
+  load: ['load', 'data', 'internet', 'mobile data', 'prepaid'],
+  entertainment: ['entertainment', 'libangan', 'movies', 'games', 'gala', 'fun'],
+  savings: ['savings', 'ipon', 'save'],
+  utang: ['utang', 'debt', 'loan'],
+  allowance: ['allowance', 'baon'],
+  earnings: ['earnings', 'kita', 'income', 'salary', 'gift', 'regalo', 'prize'],
+  other: ['other', 'others', 'iba pa', 'misc', 'miscellaneous'],
+};
+
+const TYPE_WORDS = {
+  income: ['income', 'kita', 'in', 'credit', 'deposit', '+'],
+  expense: ['expense', 'gastos', 'out', 'debit', 'spent', 'withdrawal', '-'],
+};
+
+const normalize = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas,
+ * quotes and line breaks, and files saved with ; or tabs (Excel in some regions).
+ * @param {string} text
+ * @returns {string[][]} Rows, blank lines left out
+ */
+export const parseCSV = (text) => {
+  const source = text.replace(/^﻿/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Picks a column for each field from the header names.
+ * @param {string[]} header
+ * @returns {Object<string, number|null>} Column index per field, null when not found
+ */
+export const guessColumnMapping = (header) => {
+  const names = header.map(normalize);
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ value }) => {
+    const index = names.findIndex((name, i) => !used.has(i) && HEADER_NAMES[value].includes(name));
+    mapping[value] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+};
+
+const splitDate = (text) => {
+  const match = String(text || '').trim().match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap]m)?)?/i);
+  if (!match) return null;
+  return match.slice(1);
+};
+
+/**
+ * Guesses the day/month order from the dates in the file: a first part
+ * over 12 can only be a day, a second part over 12 can only be a day.
+ * @param {string[]} values - Date cells
+ * @returns {'ymd'|'mdy'|'dmy'}
+ */
+export const guessDateFormat = (values) => {
+  const parts = values.map(splitDate).filter(Boolean);
+  if (parts.some(([first]) => first.length === 4)) return 'ymd';
+  if (parts.some(([first]) => parseInt(first, 10) > 12)) return 'dmy';
+  return 'mdy';
+};
+
+/**
+ * Reads a date cell. Entries without a time are put at noon, so they stay
+ * on the same day in every time zone setting.
+ * @param {string} text
+ * @param {'ymd'|'mdy'|'dmy'} format
+ * @returns {number|null} Time in ms, or null when it is not a valid date
+ */
+export const parseDate = (text, format) => {
+  const parts = splitDate(text);
+  if (!parts) {
+    // ISO with a zone, or "Oct 5, 2025" style
+    const parsed = Date.parse(text);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  const [a, b, c, hours, minutes, meridiem] = parts;
+  const [year, month, day] = format === 'ymd' ? [a, b, c] : format === 'dmy' ? [c, b, a] : [c, a, b];
+  const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+  let hour = hours === undefined ? 12 : parseInt(hours, 10);
+  if (meridiem && meridiem.toLowerCase() === 'pm' && hour < 12) hour += 12;
+  if (meridiem && meridiem.toLowerCase() === 'am' && hour === 12) hour = 0;
+
+  const date = new Date(fullYear, parseInt(month, 10) - 1, parseInt(day, 10), hour, parseInt(minutes || '0', 10));
+  // new Date() rolls 31/02 over to March; treat that as invalid
+  if (date.getMonth() !== parseInt(month, 10) - 1 || date.getDate() !== parseInt(day, 10)) return null;
+  return date.getTime();
+};
+
+// The number part of an amount cell, without spaces or a currency symbol around it
+const amountDigits = (text) => {
+  const match = String(text || '').replace(/[\s']/g, '').match(/[\d.,]+/);
+  return match ? match[0] : '';
+};
+
+/**
+ * Guesses the decimal separator from the amounts in the file. A separator
+ * is the decimal one when it is the last of two different ones ("1.500,50"),
+ * or when it isn't followed by exactly three digits ("13,50"). "1,500" could
+ * be either and is not counted.
+ * @param {string[]} values - Amount cells
+ * @returns {'dot'|'comma'}
+ */
+export const guessNumberFormat = (values) => {
+  const votes = { '.': 0, ',': 0 };
+  values.map(amountDigits).forEach((digits) => {
+    const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    if (last === -1) return;
+    const separator = digits[last];
+    const other = separator === '.' ? ',' : '.';
+    if (digits.includes(other) || digits.length - last - 1 !== 3) votes[separator]++;
+    else if (digits.indexOf(separator) !== last) votes[other]++;
+  });
+  return votes[','] > votes['.'] ? 'comma' : 'dot';
+};
+
+/**
+ * Reads an amount cell written with the given decimal separator. Group
+ * separators have to be in groups of three, so "13,50" read with the dot
+ * format is not a number rather than 1350. Currency text around the number
+ * ("₱13", "PHP 1,500", "13.00 Php") is ignored; a minus sign before the
+ * number or parentheses around it make the amount negative.
+ * @param {string} text
+ * @param {'dot'|'comma'} numberFormat
+ * @returns {number} The amount, or NaN when it can't be read
+ */
+export const parseImportAmount = (text, numberFormat) => {
+  const { group, decimal } = NUMBER_FORMATS.find((format) => format.value === numberFormat) || NUMBER_FORMATS[0];
+  const digits = amountDigits(text);
+  const escape = (char) => `\\${char}`;
+  const pattern = new RegExp(`^(?:\\d{1,3}(?:${escape(group)}\\d{3})+|\\d+)?(?:${escape(decimal)}\\d+)?$`);
+  if (!digits || !pattern.test(digits)) return NaN;
+  const plain = parseFloat(digits.split(group).join('').replace(decimal, '.'));
+  const cleaned = String(text).replace(/[\s']/g, '');
+  const before = cleaned.slice(0, cleaned.indexOf(digits));
+  const negative = before.includes('-') || (before.includes('(') && cleaned.endsWith(')'));
+  return negative ? -plain : plain;
+};
+
+/**
+ * Finds our category for a category name from the file.
+ * @param {string} text
+ * @returns {string|null} Category key, or null when nothing fits
+ */
+export const matchCategory = (text) => {
+  const name = normalize(text);
+  if (!name) return null;
+  const categories = getCategories({ includeArchived: true });
+  const exact = categories.find((cat) => cat.key === name || normalize(cat.label) === name);
+  if (exact) return exact.key;
+  const known = Object.keys(CATEGORY_WORDS).find((key) => CATEGORY_WORDS[key].includes(name));
+  return known || null;
+};
+
+/**
+ * Distinct category names in the file with the category each is matched to.
+ * @param {string[][]} rows - Data rows (no header)
+ * @param {number|null} column - Category column
+ * @returns {{name: string, key: string|null, count: number}[]} Unmatched names first
+ */
+export const getFileCategories = (rows, column) => {
+  if (column === null || column === undefined) return [];
+  const found = {};
+  rows.forEach((row) => {
+    const name = (row[column] || '').trim();
+    if (!name) return;
+    if (!found[name]) found[name] = { name, key: matchCategory(name), count: 0 };
+    found[name].count++;
+  });
+  return Object.values(found).sort((a, b) => (a.key !== null) - (b.key !== null) || b.count - a.count);
+};
+
+const readType = (text, amount) => {
+  const word = normalize(text);
+  if (TYPE_WORDS.income.includes(word)) return 'income';
+  if (TYPE_WORDS.expense.includes(word)) return 'expense';
+  return amount < 0 ? 'expense' : null;
+};
+
+const signature = ({ timestamp, type, amount, title }) =>
+  `${new Date(timestamp).toDateString()}|${type}|${amount.toFixed(2)}|${normalize(title)}`;
+
+/**
+ * Dry run: works out what importing the rows would do, without saving.
+ *
+ * A row is a duplicate when the same day, type, amount and description is
+ * already stored. Repeats are counted, so two ₱13 jeep rides in the file
+ * against one stored ride still add one.
+ *
+ * @param {Object} options
+ * @param {string[][]} options.rows - Data rows (no header)
+ * @param {Object<string, number|null>} options.mapping - Column per field
+ * @param {'ymd'|'mdy'|'dmy'} options.dateFormat
+ * @param {'dot'|'comma'} options.numberFormat
+ * @param {Object<string, string>} options.categoryChoices - Our category key per category name in the file
+ * @param {Object[]} options.existing - Stored transactions
+ * @returns {{entries: Object[], summary: Object}}
+ */
+export const buildImportPlan = ({ rows, mapping, dateFormat, numberFormat, categoryChoices, existing }) => {
+  const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim());
+  const readAmount = (row) => parseImportAmount(cell(row, 'amount'), numberFormat);
+  // Without a type column, negative amounts are spending and the rest is income
+  // only when the file has negative amounts at all; otherwise everything is spending
+  const signedAmounts = mapping.type == null && rows.some((row) => readAmount(row) < 0);
+
+  const stored = {};
+  existing.forEach((txn) => {
+    const key = signature(txn);
+    stored[key] = (stored[key] || 0) + 1;
+  });
+
+  const entries = rows.map((row, index) => {
+    const line = index + 2; // the header is line 1
+    const timestamp = parseDate(cell(row, 'date'), dateFormat);
+    if (timestamp === null) return { line, status: 'invalid', reason: 'date' };
+
+    const rawAmount = readAmount(row);
+    if (isNaN(rawAmount) || rawAmount === 0) return { line, status: 'invalid', reason: 'amount', value: cell(row, 'amount') };
+
+    const type = readType(cell(row, 'type'), rawAmount) || (signedAmounts ? 'income' : 'expense');
+    const categoryName = cell(row, 'category');
+    const category = (categoryName && categoryChoices[categoryName]) || (type === 'income' ? 'earnings' : FALLBACK_CATEGORY_KEY);
+    const data = {
+      title: cell(row, 'description') || getCategoryLabel(category),
+      amount: Math.abs(rawAmount),
+      type,
+      category,
+      timestamp,
+    };
+
+    const key = signature(data);
+    if (stored[key] > 0) {
+      stored[key]--;
+      return { line, status: 'duplicate', data };
+    }
+    return { line, status: 'new', data };
+  });
+
+  const added = entries.filter((entry) => entry.status === 'new');
+  const times = added.map((entry) => entry.data.timestamp);
+  const total = (type) => added.filter((entry) => entry.data.type === type).reduce((sum, entry) => sum + entry.data.amount, 0);
+
+  return {
+    entries,
+    summary: {
+      rows: entries.length,
+      new: added.length,
+      duplicates: entries.filter((entry) => entry.status === 'duplicate').length,
+      invalid: entries.filter((entry) => entry.status === 'invalid'),
+      expenses: total('expense'),
+      income: total('income'),
+      from: times.length ? Math.min(...times) : null,
+      to: times.length ? Math.max(...times) : null,
+    },
+  };
+};
+
+/**
+ * Loads the stored transactions and runs buildImportPlan() against them.
+ */
+export const previewImport = async (options) => buildImportPlan({ ...options, existing: await getTransactions() });
+
+/**
+ * Saves the new rows of a plan.
+ * @param {{entries: Object[]}} plan - From buildImportPlan()
+ * @returns {Promise<Object[]>} The stored transactions
+ */
+export const commitImport = (plan, now = Date.now()) => {
+  const txns = plan.entries
+    .filter((entry) => entry.status === 'new')
+    .map((entry, index) => ({ id: `import-${now}-${index}`, ...entry.data }));
+  return addTransactions(txns);
+};
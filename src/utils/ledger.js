@@ -0,0 +1,128 @@
+import { filterTransactions, getRecurringRules, saveRecurringRules } from '../storage/repository';
+import { getAllowanceSchedule, getAllowanceBetween } from './allowance';
+import { DEBT_CATEGORY_KEY } from './debts';
+import { t } from '../i18n';
+
+/**
+ * Ledger math shared by the dashboard, statistics, planner and alerts.
+ *
+ * Money in = the allowance for the period + every income entry logged in it.
+ * Money out = every expense logged in it. The balance is the difference.
+ *
+ * Entries in the utang category (lending, borrowing, paying back, and
+ * groupmates' shares of a split) move money without being spent or earned:
+ * they count toward the balance but not toward spending or income, so every
+ * screen shows the same "spent" for the same days.
+ *
+ * The allowance can work two ways (budgets.allowanceMode):
+ * - 'assumed' (default): the allowance is counted without being logged
+ * - 'posted': the allowance is logged as income entries by a recurring rule,
+ *   so only logged income counts and nothing is assumed
+ */
+
+export const ALLOWANCE_RULE_ID = 'allowance';
+
+export const isAllowancePosted = (budgets) => !!budgets && budgets.allowanceMode === 'posted';
+
+const sumAmounts = (txns) => txns.reduce((sum, t) => sum + t.amount, 0);
+
+/**
+ * @returns {boolean} Whether the entry only moves money through an IOU
+ */
+export const isDebtTransaction = (txn) => txn.category === DEBT_CATEGORY_KEY;
+
+/**
+ * The expenses that count as spending: all of them but IOU entries.
+ * @param {Object[]} txns
+ */
+export const getSpending = (txns) => txns.filter((t) => t.type === 'expense' && !isDebtTransaction(t));
+
+/**
+ * Totals for one stretch of time.
+ * @param {Object[]} txns - All transactions
+ * @param {Object|null} budgets - Budget plan (decides whether the allowance is assumed)
+ * @param {{from?: Date|number, to?: Date|number, allowance?: number}} period -
+ *   `allowance` is what the allowance would be worth over this period
+ * @returns {{allowance: number, income: number, totalIncome: number, spent: number, debtOut: number, debtIn: number, balance: number}}
+ *   `income` and `spent` leave out IOU entries, which are totalled in `debtIn` and `debtOut`
+ */
+export const summarizePeriod = (txns, budgets, { from, to, allowance = 0 }) => {
+  const inPeriod = filterTransactions(txns, { from, to });
+  const debts = inPeriod.filter(isDebtTransaction);
+  const assumedAllowance = isAllowancePosted(budgets) ? 0 : allowance;
+  const income = sumAmounts(inPeriod.filter((t) => t.type === 'income' && !isDebtTransaction(t)));
+  const spent = sumAmounts(getSpending(inPeriod));
+  const debtIn = sumAmounts(debts.filter((t) => t.type === 'income'));
+  const debtOut = sumAmounts(debts.filter((t) => t.type === 'expense'));
+  const totalIncome = assumedAllowance + income;
+
+  return {
+    allowance: assumedAllowance,
+    income,
+    totalIncome,
+    spent,
+    debtOut,
+    debtIn,
+    balance: totalIncome - spent + debtIn - debtOut,
+  };
+};
+
+/**
+ * Totals for a range from utils/periods, with the allowance taken from the
+ * schedule for the days of the range that have started so far.
+ * @param {Object[]} txns - All transactions
+ * @param {Object|null} budgets - Budget plan
+ * @param {{from: number, to: number}} range
+ */
+export const summarizeRange = (txns, budgets, range) => summarizePeriod(txns, budgets, {
+  from: range.from,
+  to: range.to,
+  allowance: budgets
+    ? getAllowanceBetween(getAllowanceSchedule(budgets), range.from, Math.min(range.to, Date.now()))
+    : 0,
+});
+
+/**
+ * Keeps the allowance recurring rule in line with the budget plan:
+ * created when the allowance is posted, removed when it is assumed.
+ * The rule follows the allowance schedule, and its first entry is today's
+ * when today is a payday, so the balance is right straight away.
+ * @param {Object} budgets - The saved budget plan
+ */
+export const syncAllowanceRule = async (budgets) => {
+  const rules = await getRecurringRules();
+  const existing = rules.find((rule) => rule.id === ALLOWANCE_RULE_ID);
+  const others = rules.filter((rule) => rule.id !== ALLOWANCE_RULE_ID);
+  const schedule = getAllowanceSchedule(budgets);
+  const amount = parseFloat(schedule.amount) || 0;
+
+  if (!isAllowancePosted(budgets) || amount <= 0) {
+    if (existing) await saveRecurringRules(others);
+    return;
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  await saveRecurringRules([
+    ...others,
+    {
+      paused: false,
+      skippedDates: [],
+      startDate: today.getTime(),
+      lastRunAt: today.getTime(),
+      ...existing,
+      id: ALLOWANCE_RULE_ID,
+      managed: true,
+      title: t('categories.allowance.label'),
+      amount,
+      type: 'income',
+      category: 'allowance',
+      frequency: schedule.frequency,
+      weekday: schedule.weekday,
+      dayOfMonth: parseInt(schedule.dayOfMonth, 10) || 1,
+      anchorDate: schedule.anchorDate,
+      hour: 6,
+      minute: 0,
+    },
+  ]);
+};
@@ -0,0 +1,95 @@
+import { t } from '../i18n';
+
+/**
+ * Period engine: decides what "this week" and "this month" mean.
+ *
+ * Two modes, chosen in Settings (settings.periodMode):
+ * - 'calendar' (default): weeks start on settings.weekStartsOn (e.g. Monday
+ *   for the school week) and months start on the 1st, so weekly budgets
+ *   reset cleanly at the start of each period
+ * - 'rolling': the last 7 / 30 days up to now
+ *
+ * Every range is { from, to, key, label } with `from` inclusive and `to`
+ * exclusive (ms). `key` is unique per period, e.g. for alert ids that
+ * should come back when a new week starts. Rolling ranges move every day,
+ * so their key carries the day they start on.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Labels and descriptions are under periods.modes.<value> in the i18n dictionaries
+export const PERIOD_MODES = [{ value: 'calendar' }, { value: 'rolling' }];
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const toKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const isRolling = (settings) => !!settings && settings.periodMode === 'rolling';
+
+/**
+ * Today, from midnight to midnight.
+ */
+export const getDayRange = (now = Date.now()) => {
+  const from = startOfDay(now);
+  const to = new Date(from);
+  to.setDate(to.getDate() + 1);
+  return { from: from.getTime(), to: to.getTime(), key: toKey(from), label: t('periods.today') };
+};
+
+/**
+ * The current week: the calendar week containing `now`, or the last 7 days.
+ * @param {Object} settings - See Settings in storage/repository
+ * @param {number} [now]
+ */
+export const getWeekRange = (settings, now = Date.now()) => {
+  if (isRolling(settings)) {
+    const from = now - 7 * DAY;
+    return { from, to: now, key: `last-7-days-${toKey(new Date(from))}`, label: t('periods.last7Days') };
+  }
+
+  const weekStartsOn = settings ? settings.weekStartsOn : 1;
+  const from = startOfDay(now);
+  from.setDate(from.getDate() - ((from.getDay() - weekStartsOn + 7) % 7));
+  const to = new Date(from);
+  to.setDate(to.getDate() + 7);
+  return { from: from.getTime(), to: to.getTime(), key: toKey(from), label: t('periods.thisWeek') };
+};
+
+/**
+ * The current month: the calendar month containing `now`, or the last 30 days.
+ * @param {Object} settings
+ * @param {number} [now]
+ */
+export const getMonthRange = (settings, now = Date.now()) => {
+  if (isRolling(settings)) {
+    const from = now - 30 * DAY;
+    return { from, to: now, key: `last-30-days-${toKey(new Date(from))}`, label: t('periods.last30Days') };
+  }
+
+  const date = new Date(now);
+  const from = new Date(date.getFullYear(), date.getMonth(), 1);
+  const to = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  return { from: from.getTime(), to: to.getTime(), key: toKey(from), label: t('periods.thisMonth') };
+};
+
+/**
+ * @param {'daily'|'weekly'|'monthly'} period
+ * @param {Object} settings
+ * @param {number} [now]
+ */
+export const getPeriodRange = (period, settings, now = Date.now()) => {
+  if (period === 'daily') return getDayRange(now);
+  if (period === 'monthly') return getMonthRange(settings, now);
+  return getWeekRange(settings, now);
+};
+
+/**
+ * Days of the range that have started so far (at least 1), for per-day averages.
+ */
+export const getDaysElapsed = (range, now = Date.now()) =>
+  Math.max(1, Math.ceil((Math.min(range.to, now) - range.from) / DAY));
@@ -0,0 +1,159 @@
+import {
+  getReconciliations,
+  saveReconciliations,
+  getTransactions,
+  saveTransactions,
+  addTransactions,
+} from '../storage/repository';
+import { t } from '../i18n';
+
+/**
+ * Cash counts: compare what is really in a wallet with what the app
+ * expects, and correct the difference.
+ *
+ * Reconciliation shape (stored under STORAGE_KEYS.RECONCILIATIONS, newest first):
+ * {
+ *   id, walletId, expected, counted, difference: counted - expected,
+ *   resolution: 'matched' | 'adjusted' | 'spread', createdAt
+ * }
+ *
+ * - 'matched': the count is within MATCH_TOLERANCE of what was expected;
+ *   nothing is posted, so a few centavos off never adds an entry
+ * - 'adjusted': one entry in the 'adjustment' category for the difference
+ *   (an expense when money is missing, an income when there is extra)
+ * - 'spread': money that is missing is logged as unrecorded spending,
+ *   split over the days since the last count (at most a week)
+ * Entries are tagged with the reconciliation's id, so undoing a count
+ * removes them.
+ */
+
+export const ADJUSTMENT_CATEGORY_KEY = 'adjustment';
+
+// Differences smaller than this count as a match
+export const MATCH_TOLERANCE = 1;
+
+// Unrecorded spending is spread over this many days at most
+const MAX_SPREAD_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+/**
+ * The latest count of a wallet, or null.
+ */
+export const getLastReconciliation = (reconciliations, walletId) =>
+  reconciliations.find((r) => r.walletId === walletId) || null;
+
+/**
+ * The entries that log missing money as unrecorded spending, one per day
+ * from `from` to today, at noon (or now for today).
+ * @param {string} id - Reconciliation id
+ * @param {string} walletId
+ * @param {number} amount - Missing amount (positive)
+ * @param {number} from - Earliest time an entry may have
+ * @param {number} now
+ */
+const buildSpreadEntries = (id, walletId, amount, from, now) => {
+  const firstDay = Math.max(startOfDay(from), startOfDay(now) - (MAX_SPREAD_DAYS - 1) * DAY);
+  const days = Math.round((startOfDay(now) - firstDay) / DAY) + 1;
+  const centavos = Math.round(amount * 100);
+  const perDay = Math.floor(centavos / days);
+
+  return Array.from({ length: days }, (_, i) => {
+    const noon = firstDay + i * DAY + 12 * 60 * 60 * 1000;
+    return {
+      id: `${id}-${i}`,
+      title: t('reconcile.entries.unrecorded'),
+      amount: (i === days - 1 ? centavos - perDay * (days - 1) : perDay) / 100,
+      type: 'expense',
+      category: ADJUSTMENT_CATEGORY_KEY,
+      walletId,
+      reconciliationId: id,
+      timestamp: Math.max(from, Math.min(noon, now)),
+    };
+  }).filter((entry) => entry.amount > 0);
+};
+
+/**
+ * Saves a count and posts the entries that correct the wallet balance.
+ * @param {{wallet: Object, expected: number, counted: number, resolution: 'adjusted'|'spread'}} data -
+ *   `resolution` is ignored when the count matches
+ * @returns {Promise<Object[]>} The updated reconciliation history
+ */
+export const reconcileWallet = async ({ wallet, expected, counted, resolution }) => {
+  const now = Date.now();
+  const id = `reconcile-${now}`;
+  const reconciliations = await getReconciliations();
+  const difference = Math.round((counted - expected) * 100) / 100;
+  const isMatch = Math.abs(difference) < MATCH_TOLERANCE;
+  const isSpread = !isMatch && resolution === 'spread' && difference < 0;
+
+  if (isSpread) {
+    const last = getLastReconciliation(reconciliations, wallet.id);
+    const from = Math.max(wallet.since, last ? last.createdAt : 0);
+    await addTransactions(buildSpreadEntries(id, wallet.id, -difference, from, now));
+  } else if (!isMatch) {
+    await addTransactions([{
+      id: `${id}-0`,
+      title: t('reconcile.entries.adjustment', { wallet: wallet.name }),
+      amount: Math.abs(difference),
+      type: difference < 0 ? 'expense' : 'income',
+      category: ADJUSTMENT_CATEGORY_KEY,
+      walletId: wallet.id,
+      reconciliationId: id,
+      timestamp: now,
+    }]);
+  }
+
+  const updated = [
+    {
+      id,
+      walletId: wallet.id,
+      expected: Math.round(expected * 100) / 100,
+      counted,
+      difference,
+      resolution: isMatch ? 'matched' : isSpread ? 'spread' : 'adjusted',
+      createdAt: now,
+    },
+    ...reconciliations,
+  ];
+  await saveReconciliations(updated);
+  return updated;
+};
+
+/**
+ * Undoes a count, removing the entries it posted.
+ * @returns {Promise<Object[]>} The remaining history
+ */
+export const deleteReconciliation = async (id) => {
+  const [reconciliations, txns] = await Promise.all([getReconciliations(), getTransactions()]);
+  await saveTransactions(txns.filter((t) => t.reconciliationId !== id));
+  const updated = reconciliations.filter((r) => r.id !== id);
+  await saveReconciliations(updated);
+  return updated;
+};
+
+/**
+ * How close the tracking has been to the real counts.
+ * @param {Object[]} reconciliations
+ * @returns {{count: number, matched: number, averageGap: number, accuracy: number}}
+ *   `accuracy` is the percent of the counted money that was tracked right
+ */
+export const getTrackingAccuracy = (reconciliations) => {
+  const count = reconciliations.length;
+  if (count === 0) return { count: 0, matched: 0, averageGap: 0, accuracy: 100 };
+
+  const totalGap = reconciliations.reduce((sum, r) => sum + Math.abs(r.difference), 0);
+  const totalMoney = reconciliations.reduce((sum, r) => sum + Math.max(Math.abs(r.expected), Math.abs(r.counted)), 0);
+  return {
+    count,
+    matched: reconciliations.filter((r) => Math.abs(r.difference) < MATCH_TOLERANCE).length,
+    averageGap: totalGap / count,
+    accuracy: totalMoney > 0 ? Math.max(0, 100 - (totalGap / totalMoney) * 100) : 100,
+  };
+};
@@ -0,0 +1,235 @@
+import {
+  getRecurringRules,
+  saveRecurringRules,
+  addTransactions,
+} from '../storage/repository';
+import { t, getLocale } from '../i18n';
+
+/**
+ * Recurring transactions engine.
+ *
+ * A rule describes an entry that repeats (jeep fare every school day, a
+ * weekly load promo, a monthly allowance). Each time the app opens,
+ * postDueRecurringTransactions() adds every occurrence that came due since
+ * the last run. Posted entries carry `recurringRuleId` and `needsReview`
+ * so the student can check them.
+ *
+ * Rule shape:
+ * {
+ *   id, title, amount, type, category,
+ *   frequency: 'daily' | 'schoolDays' | 'weekly' | 'biweekly' | 'monthly',
+ *   weekday: 0-6 (weekly/biweekly only, 0 = Sunday),
+ *   anchorDate: ms of one biweekly occurrence (defaults to startDate),
+ *   dayOfMonth: 1-31 (monthly only, clamped to short months),
+ *   hour, minute: time of day the entry is posted at,
+ *   startDate: ms, first moment the rule may post,
+ *   lastRunAt: ms, occurrences up to this time are already handled,
+ *   paused: boolean,
+ *   skippedDates: ['YYYY-MM-DD'] occurrences the user chose to skip,
+ *   managed: true when another feature owns the rule (e.g. the allowance)
+ * }
+ */
+
+// Labels are under common.frequencies.<value> in the i18n dictionaries
+export const FREQUENCIES = [
+  { value: 'daily' },
+  { value: 'schoolDays' },
+  { value: 'weekly' },
+  { value: 'biweekly' },
+  { value: 'monthly' },
+];
+
+/**
+ * Short weekday names in the app language, Sunday first.
+ * @returns {string[]}
+ */
+export const getWeekdayLabels = () => t('common.weekdaysShort');
+
+// Never back-fill more than this many days after a long break
+const MAX_CATCH_UP_DAYS = 62;
+
+const startOfDay = (time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Date key used to remember skipped occurrences, in local time.
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Checks whether a rule has an occurrence on the given calendar day.
+ */
+const occursOn = (rule, day) => {
+  const weekday = day.getDay();
+  if (rule.frequency === 'daily') return true;
+  if (rule.frequency === 'schoolDays') return weekday >= 1 && weekday <= 5;
+  if (rule.frequency === 'weekly') return weekday === rule.weekday;
+  if (rule.frequency === 'biweekly') {
+    const anchor = startOfDay(rule.anchorDate || rule.startDate);
+    const weeks = Math.round((day.getTime() - anchor.getTime()) / (7 * 24 * 60 * 60 * 1000));
+    return weekday === rule.weekday && weeks % 2 === 0;
+  }
+  if (rule.frequency === 'monthly') {
+    const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    return day.getDate() === Math.min(rule.dayOfMonth, daysInMonth);
+  }
+  return false;
+};
+
+const occurrenceTime = (rule, day) => {
+  const time = new Date(day);
+  time.setHours(rule.hour || 0, rule.minute || 0, 0, 0);
+  return time.getTime();
+};
+
+/**
+ * Lists the occurrence times of a rule within (from, to].
+ * Skipped dates are left out.
+ * @returns {number[]}
+ */
+export const getOccurrences = (rule, from, to) => {
+  const occurrences = [];
+  const earliest = Math.max(from, rule.startDate || 0, to - MAX_CATCH_UP_DAYS * 24 * 60 * 60 * 1000);
+  const skipped = rule.skippedDates || [];
+
+  for (let day = startOfDay(earliest); day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+    if (!occursOn(rule, day)) continue;
+    const time = occurrenceTime(rule, day);
+    if (time > earliest && time <= to && !skipped.includes(toDateKey(day))) {
+      occurrences.push(time);
+    }
+  }
+  return occurrences;
+};
+
+/**
+ * Finds the next time the rule will post, skipped dates included.
+ * @returns {{time: number, skipped: boolean}|null}
+ */
+export const getNextOccurrence = (rule, after = Date.now()) => {
+  const day = startOfDay(Math.max(after, rule.startDate || 0));
+  for (let i = 0; i < 366; i++) {
+    if (occursOn(rule, day)) {
+      const time = occurrenceTime(rule, day);
+      if (time > after) {
+        return { time, skipped: (rule.skippedDates || []).includes(toDateKey(day)) };
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return null;
+};
+
+/**
+ * Human-readable schedule, e.g. "Every school day at 7:00 AM".
+ */
+export const describeSchedule = (rule) => {
+  const time = new Date(occurrenceTime(rule, new Date()))
+    .toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
+  const weekday = getWeekdayLabels()[rule.weekday];
+  if (rule.frequency === 'daily') return t('recurring.schedule.daily', { time });
+  if (rule.frequency === 'schoolDays') return t('recurring.schedule.schoolDays', { time });
+  if (rule.frequency === 'weekly') return t('recurring.schedule.weekly', { weekday, time });
+  if (rule.frequency === 'biweekly') return t('recurring.schedule.biweekly', { weekday, time });
+  return t('recurring.schedule.monthly', { day: rule.dayOfMonth, time });
+};
+
+/**
+ * Posts every occurrence that came due since the last run.
+ * Safe to call often; rules remember how far they have posted.
+ * @returns {Promise<number>} How many transactions were added
+ */
+export const postDueRecurringTransactions = async () => {
+  const rules = await getRecurringRules();
+  if (rules.length === 0) return 0;
+
+  const now = Date.now();
+  const posted = [];
+  const updatedRules = rules.map((rule) => {
+    if (rule.paused) return rule;
+
+    getOccurrences(rule, rule.lastRunAt || rule.startDate, now).forEach((time) => {
+      posted.push({
+        id: `${rule.id}-${time}`,
+        title: rule.title,
+        amount: rule.amount,
+        type: rule.type,
+        category: rule.category,
+        timestamp: time,
+        recurringRuleId: rule.id,
+        needsReview: true,
+      });
+    });
+
+    return { ...rule, lastRunAt: now };
+  });
+
+  const added = await addTransactions(posted);
+  await saveRecurringRules(updatedRules);
+  return added.length;
+};
+
+// --- RULE MANAGEMENT ---
+
+/**
+ * Creates a rule. It only posts occurrences from now on.
+ */
+export const createRecurringRule = async (data) => {
+  const now = Date.now();
+  const rule = {
+    id: `rule-${now}`,
+    paused: false,
+    skippedDates: [],
+    ...data,
+    startDate: now,
+    lastRunAt: now,
+  };
+  const rules = await getRecurringRules();
+  await saveRecurringRules([...rules, rule]);
+  return rule;
+};
+
+const updateRule = async (id, update) => {
+  const rules = await getRecurringRules();
+  await saveRecurringRules(rules.map((rule) => (rule.id === id ? update(rule) : rule)));
+};
+
+/**
+ * Pauses or resumes a rule. Occurrences missed while paused are not posted.
+ */
+export const setRulePaused = (id, paused) => updateRule(id, (rule) => ({
+  ...rule,
+  paused,
+  lastRunAt: paused ? rule.lastRunAt : Date.now(),
+}));
+
+/**
+ * Skips the next occurrence, or un-skips it if it was already skipped.
+ */
+export const toggleSkipNextOccurrence = (id) => updateRule(id, (rule) => {
+  const next = getNextOccurrence(rule);
+  if (!next) return rule;
+
+  const key = toDateKey(next.time);
+  const skippedDates = rule.skippedDates || [];
+  return {
+    ...rule,
+    // Old skipped dates are no longer needed once they have passed
+    skippedDates: next.skipped
+      ? skippedDates.filter((date) => date !== key)
+      : [...skippedDates.filter((date) => date >= toDateKey(Date.now())), key],
+  };
+});
+
+export const deleteRecurringRule = async (id) => {
+  const rules = await getRecurringRules();
+  await saveRecurringRules(rules.filter((rule) => rule.id !== id));
+};
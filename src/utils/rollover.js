@@ -0,0 +1,98 @@
+import { filterTransactions } from '../storage/repository';
+import { getWeekRange } from './periods';
+import { formatMoney } from './currency';
+import { t } from '../i18n';
+
+/**
+ * Category budget rollover between weeks.
+ *
+ * Each budgeted category can carry last week's result into this week
+ * (budgets.rollover[categoryKey]):
+ * {
+ *   mode: 'reset' | 'unspent' | 'deficit' | 'both',
+ *   since: ms, start of the first week the rule applies to
+ * }
+ *
+ * - 'reset': every week starts from the plain weekly budget
+ * - 'unspent': money left over is added to next week's budget
+ * - 'deficit': overspending is taken off next week's budget
+ * - 'both': either way, whatever is left (or owed) carries over
+ *
+ * Rollover needs weeks that start and end on fixed days, so it only
+ * applies when Settings uses calendar weeks.
+ */
+
+// Labels and descriptions are under rollover.modes.<value> in the i18n dictionaries
+export const ROLLOVER_MODES = [{ value: 'reset' }, { value: 'unspent' }, { value: 'deficit' }, { value: 'both' }];
+
+// Never look further back than this, however old the rule is
+const MAX_WEEKS = 52;
+
+const applyMode = (mode, left) => {
+  if (mode === 'unspent') return Math.max(0, left);
+  if (mode === 'deficit') return Math.min(0, left);
+  if (mode === 'both') return left;
+  return 0;
+};
+
+export const isRolloverActive = (settings) => !settings || settings.periodMode !== 'rolling';
+
+/**
+ * @param {Object|null} budgets
+ * @param {string} key - Category key
+ * @returns {string} The category's rollover mode ('reset' when not set)
+ */
+export const getRolloverMode = (budgets, key) =>
+  (budgets && budgets.rollover && budgets.rollover[key] && budgets.rollover[key].mode) || 'reset';
+
+/**
+ * Amount carried into the current week for one category: positive when
+ * leftovers were carried, negative for a deficit.
+ * @param {Object[]} txns - All transactions
+ * @param {Object|null} budgets - Saved budget plan
+ * @param {string} key - Category key
+ * @param {Object} settings - App settings (week start)
+ * @param {number} [now]
+ */
+export const getCategoryRollover = (txns, budgets, key, settings, now = Date.now()) => {
+  const rule = budgets && budgets.rollover && budgets.rollover[key];
+  const weeklyBudget = (parseFloat(budgets && budgets.categories && budgets.categories[key]) || 0) * 7;
+  if (!rule || rule.mode === 'reset' || weeklyBudget <= 0 || !isRolloverActive(settings)) return 0;
+
+  const current = getWeekRange(settings, now);
+  const oldest = new Date(current.from);
+  oldest.setDate(oldest.getDate() - MAX_WEEKS * 7);
+
+  let week = getWeekRange(settings, Math.max(rule.since || current.from, oldest.getTime()));
+  const expenses = filterTransactions(txns, { type: 'expense', category: key, from: week.from, to: current.from });
+
+  let carry = 0;
+  while (week.from < current.from) {
+    const spent = filterTransactions(expenses, { from: week.from, to: week.to })
+      .reduce((sum, t) => sum + t.amount, 0);
+    carry = applyMode(rule.mode, weeklyBudget + carry - spent);
+    week = getWeekRange(settings, week.to);
+  }
+  return carry;
+};
+
+/**
+ * Rollover for every budgeted category.
+ * @returns {Object<string, number>} Carried amount per category key (0 entries left out)
+ */
+export const getRollovers = (txns, budgets, settings, now = Date.now()) => {
+  const rollovers = {};
+  Object.keys((budgets && budgets.categories) || {}).forEach((key) => {
+    const carry = getCategoryRollover(txns, budgets, key, settings, now);
+    if (carry !== 0) rollovers[key] = carry;
+  });
+  return rollovers;
+};
+
+/**
+ * Short label for a carried amount, e.g. "+₱40 rolled over" or "-₱25 deficit".
+ */
+export const describeRollover = (carry) =>
+  carry >= 0
+    ? t('rollover.rolledOver', { amount: formatMoney(carry, { whole: true, sign: true }) })
+    : t('rollover.deficit', { amount: formatMoney(carry, { whole: true }) });
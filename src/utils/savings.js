@@ -0,0 +1,139 @@
+import {
+  getTransactions,
+  getBudgets,
+  getSettings,
+  getSavingsLedger,
+  saveSavingsLedger,
+} from '../storage/repository';
+import { summarizeRange } from './ledger';
+import { getWeekRange, getMonthRange } from './periods';
+import { SAVINGS_CATEGORY_KEY } from './goals';
+
+/**
+ * Cumulative savings ledger.
+ *
+ * When a week or month is over, its totals are frozen into a closing
+ * snapshot, so what was saved stays counted after the period resets.
+ * Total savings to date = every closed week + what is left so far in the
+ * weeks that are still open.
+ *
+ * Ledger shape (stored under STORAGE_KEYS.SAVINGS_SNAPSHOTS):
+ * {
+ *   startedAt: ms, nothing before this is counted (the first logged entry),
+ *   weekly: [snapshot], monthly: [snapshot], oldest first
+ * }
+ * snapshot: { key, from, to, allowance, income, spent, saved, closedAt }
+ *
+ * Snapshots always use calendar weeks and months (with the week start from
+ * Settings), even when the screens show rolling periods. Money moved into or
+ * out of savings goals is still savings, so 'savings' entries are left out.
+ */
+
+// Periods are closed this long after they end, so entries logged late still count
+const CLOSE_AFTER = 24 * 60 * 60 * 1000;
+
+const toCalendar = (settings) => ({ ...settings, periodMode: 'calendar' });
+
+const withoutSavingsEntries = (txns) => txns.filter((t) => t.category !== SAVINGS_CATEGORY_KEY);
+
+/**
+ * Totals for a stretch of time, not counting anything before `startedAt`.
+ */
+const summarizeSavings = (txns, budgets, from, to, startedAt) => {
+  const summary = summarizeRange(withoutSavingsEntries(txns), budgets, { from: Math.max(from, startedAt), to });
+  return {
+    allowance: summary.allowance,
+    income: summary.income,
+    spent: summary.spent,
+    saved: summary.balance,
+  };
+};
+
+/**
+ * Snapshots every period of one kind that ended since the last one closed.
+ * A period that overlaps the last snapshot (after the week start was
+ * changed in Settings) only covers the days after it.
+ */
+const closePeriods = (getRange, closed, txns, budgets, settings, startedAt, now) => {
+  const snapshots = [];
+  let from = closed.length > 0 ? closed[closed.length - 1].to : startedAt;
+  let range = getRange(settings, from);
+  while (range.to + CLOSE_AFTER <= now) {
+    snapshots.push({
+      key: range.key,
+      from: Math.max(range.from, from),
+      to: range.to,
+      ...summarizeSavings(txns, budgets, Math.max(range.from, from), range.to, startedAt),
+      closedAt: now,
+    });
+    from = range.to;
+    range = getRange(settings, from);
+  }
+  return snapshots;
+};
+
+/**
+ * Closes every week and month that has ended. Safe to call often, like
+ * postDueRecurringTransactions().
+ * @returns {Promise<number>} How many snapshots were added
+ */
+export const closeDuePeriods = async () => {
+  const [ledger, txns, budgets, settings] = await Promise.all([
+    getSavingsLedger(),
+    getTransactions(),
+    getBudgets(),
+    getSettings(),
+  ]);
+
+  const now = Date.now();
+  const firstEntry = txns.reduce((earliest, t) => Math.min(earliest, t.timestamp), now);
+  const current = ledger || { startedAt: getWeekRange(toCalendar(settings), firstEntry).from, weekly: [], monthly: [] };
+
+  const calendar = toCalendar(settings);
+  const weekly = closePeriods(getWeekRange, current.weekly, txns, budgets, calendar, current.startedAt, now);
+  const monthly = closePeriods(getMonthRange, current.monthly, txns, budgets, calendar, current.startedAt, now);
+
+  if (!ledger || weekly.length > 0 || monthly.length > 0) {
+    await saveSavingsLedger({
+      ...current,
+      weekly: [...current.weekly, ...weekly],
+      monthly: [...current.monthly, ...monthly],
+    });
+  }
+  return weekly.length + monthly.length;
+};
+
+/**
+ * Everything saved since the ledger started: the closed weeks plus the
+ * balance so far of the weeks still open.
+ * @param {Object|null} ledger - Savings ledger
+ * @param {Object[]} txns - All transactions
+ * @param {Object|null} budgets - Budget plan
+ * @param {number} [now]
+ * @returns {number}
+ */
+export const getTotalSavings = (ledger, txns, budgets, now = Date.now()) => {
+  if (!ledger) return 0;
+  const closedSaved = ledger.weekly.reduce((sum, snapshot) => sum + snapshot.saved, 0);
+  const openFrom = ledger.weekly.length > 0 ? ledger.weekly[ledger.weekly.length - 1].to : ledger.startedAt;
+  return closedSaved + summarizeSavings(txns, budgets, openFrom, now, ledger.startedAt).saved;
+};
+
+/**
+ * The latest closed snapshots of one kind, each with the running total
+ * saved up to the end of it.
+ * @param {Object|null} ledger
+ * @param {'weekly'|'monthly'} kind
+ * @param {number} [count] - How many of the latest snapshots to return
+ * @returns {Object[]} Snapshots (oldest first) with a `total` field added
+ */
+export const getSavingsHistory = (ledger, kind, count = 8) => {
+  if (!ledger) return [];
+  let total = 0;
+  return ledger[kind]
+    .map((snapshot) => {
+      total += snapshot.saved;
+      return { ...snapshot, total };
+    })
+    .slice(-count);
+};
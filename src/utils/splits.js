@@ -0,0 +1,165 @@
+import {
+  getSplits,
+  saveSplits,
+  getDebts,
+  saveDebts,
+  getTransactions,
+  saveTransactions,
+  addTransactions,
+} from '../storage/repository';
+import { buildDebt, buildDebtTransaction, getDebtStatus } from './debts';
+import { formatMoney, parseAmount } from './currency';
+import { t } from '../i18n';
+
+/**
+ * Group expenses split with groupmates, like project materials one person
+ * paid for.
+ *
+ * Split shape (stored under STORAGE_KEYS.SPLITS):
+ * {
+ *   id, title, category, total, method: 'equal' | 'shares' | 'custom',
+ *   myShare, people: [{ name, share, debtId }], createdAt
+ * }
+ *
+ * Only my share is logged as an expense in the chosen category, so budgets
+ * and Statistics count just that. Each groupmate's share becomes an IOU
+ * ('lent', see utils/debts) with its own utang entry, so the balance still
+ * drops by the full amount paid and goes back up as groupmates pay.
+ */
+
+// Labels and descriptions are under splits.methods.<value> in the i18n dictionaries
+export const SPLIT_METHODS = [{ value: 'equal' }, { value: 'shares' }, { value: 'custom' }];
+
+const toCentavos = (amount) => Math.round((parseAmount(amount) || 0) * 100);
+
+/**
+ * Works out how much each person pays. Amounts are rounded to centavos and
+ * whatever is left over from rounding goes to me.
+ * @param {number} total - Full amount paid
+ * @param {'equal'|'shares'|'custom'} method
+ * @param {Array<number|string>} values - One per person, me first: shares for 'shares', amounts for 'custom', ignored for 'equal'
+ * @returns {{shares: number[], error: string|null}} Amount per person, me first
+ */
+export const calculateShares = (total, method, values) => {
+  const totalCentavos = toCentavos(total);
+  let centavos;
+
+  if (method === 'custom') {
+    centavos = values.map(toCentavos);
+    const sum = centavos.reduce((acc, c) => acc + c, 0);
+    if (sum !== totalCentavos) {
+      const diff = (totalCentavos - sum) / 100;
+      return {
+        shares: centavos.map((c) => c / 100),
+        error: diff > 0
+          ? t('splits.errors.unassigned', { amount: formatMoney(diff) })
+          : t('splits.errors.over', { amount: formatMoney(-diff) }),
+      };
+    }
+  } else {
+    const weights = method === 'shares' ? values.map((v) => Math.max(0, parseFloat(v) || 0)) : values.map(() => 1);
+    const totalWeight = weights.reduce((acc, w) => acc + w, 0);
+    if (totalWeight === 0) return { shares: values.map(() => 0), error: t('splits.errors.noShares') };
+    centavos = weights.map((w) => Math.floor((totalCentavos * w) / totalWeight));
+    centavos[0] += totalCentavos - centavos.reduce((acc, c) => acc + c, 0);
+  }
+
+  return { shares: centavos.map((c) => c / 100), error: null };
+};
+
+/**
+ * Records a split expense: my share as a normal expense and an IOU for
+ * every groupmate who owes something.
+ * @param {{title: string, category: string, total: number, method: string, people: {name: string}[], values: Array<number|string>, dueDate: number|null}} data -
+ *   `people` lists the groupmates only; `values` is passed to calculateShares() and starts with mine
+ * @returns {Promise<Object[]>} The updated split list
+ */
+export const createSplit = async ({ title, category, total, method, people, values, dueDate }) => {
+  const { shares, error } = calculateShares(total, method, values);
+  if (error) throw new Error(error);
+
+  const now = Date.now();
+  const id = `split-${now}`;
+  const debts = people
+    .map((person, i) => ({ person, share: shares[i + 1], debtId: `${id}-${i}` }))
+    .filter(({ share }) => share > 0)
+    .map(({ person, share, debtId }) =>
+      buildDebt({ id: debtId, person: person.name, direction: 'lent', amount: share, dueDate, note: title, splitId: id }, now)
+    );
+
+  const split = {
+    id,
+    title: title.trim(),
+    category,
+    total: toCentavos(total) / 100,
+    method,
+    myShare: shares[0],
+    people: people.map((person, i) => ({
+      name: person.name.trim(),
+      share: shares[i + 1],
+      debtId: shares[i + 1] > 0 ? `${id}-${i}` : null,
+    })),
+    createdAt: now,
+  };
+
+  const mine = {
+    id: `${id}-mine`,
+    title: split.title,
+    amount: split.myShare,
+    type: 'expense',
+    category,
+    splitId: id,
+    timestamp: now,
+  };
+
+  await saveDebts([...(await getDebts()), ...debts]);
+  await addTransactions([
+    ...(split.myShare > 0 ? [mine] : []),
+    ...debts.map((debt) => buildDebtTransaction(debt, now)),
+  ]);
+
+  const updated = [split, ...(await getSplits())];
+  await saveSplits(updated);
+  return updated;
+};
+
+/**
+ * Who has paid back their share of a split.
+ * @param {Object} split
+ * @param {Object[]} debts - All debts
+ * @param {Object[]} txns - All transactions
+ * @returns {{people: Object[], collected: number, outstanding: number, isSettled: boolean}}
+ *   `people` adds `paid`, `remaining` and `isSettled` to each groupmate; an IOU deleted in the Utang Tracker counts as settled
+ */
+export const getSplitStatus = (split, debts, txns) => {
+  const people = split.people.map((person) => {
+    const debt = debts.find((d) => d.id === person.debtId);
+    if (!debt) return { ...person, paid: 0, remaining: 0, isSettled: true };
+    const { paid, remaining, isSettled } = getDebtStatus(debt, txns);
+    return { ...person, paid, remaining, isSettled };
+  });
+  const outstanding = people.reduce((sum, p) => sum + p.remaining, 0);
+  return {
+    people,
+    collected: people.reduce((sum, p) => sum + p.paid, 0),
+    outstanding,
+    isSettled: outstanding === 0,
+  };
+};
+
+/**
+ * Removes a split along with its IOUs and every entry logged for it,
+ * including repayments, as if it was never recorded.
+ * @returns {Promise<Object[]>} The remaining splits
+ */
+export const deleteSplit = async (id) => {
+  const [splits, debts, txns] = await Promise.all([getSplits(), getDebts(), getTransactions()]);
+  const debtIds = new Set(debts.filter((debt) => debt.splitId === id).map((debt) => debt.id));
+
+  await saveTransactions(txns.filter((t) => t.splitId !== id && !debtIds.has(t.debtId)));
+  await saveDebts(debts.filter((debt) => !debtIds.has(debt.id)));
+
+  const updated = splits.filter((split) => split.id !== id);
+  await saveSplits(updated);
+  return updated;
+};
@@ -0,0 +1,95 @@
+import { getTemplates, saveTemplates, addTransaction, isLinkedTransaction } from '../storage/repository';
+import { getCategory, getCategories } from './categories';
+import { formatMoney } from './currency';
+
+/**
+ * Quick-add templates: entries the student logs over and over
+ * (₱13 jeep, ₱25 merienda, ₱50 load) that can be added with one tap.
+ *
+ * Template shape: { id, title, amount, type, category }
+ *
+ * Saved templates are the user's favorites. Suggestions are worked out from
+ * transaction history and are never stored until the user saves one.
+ */
+
+// A combination has to show up this many times before it is suggested
+const MIN_SUGGESTION_COUNT = 3;
+
+// Only recent entries count, so suggestions follow current habits
+const HISTORY_LIMIT = 200;
+
+const templateSignature = ({ title, amount, type, category }) =>
+  `${type}|${category}|${amount}|${(title || '').trim().toLowerCase()}`;
+
+/**
+ * Label shown on a quick-add chip, e.g. "🚌 Jeep ₱13".
+ */
+export const describeTemplate = (template) => {
+  const amount = formatMoney(template.amount, { whole: Number.isInteger(template.amount) });
+  return `${getCategory(template.category).icon} ${template.title} ${amount}`;
+};
+
+/**
+ * Suggests templates from the most frequent title/amount/category
+ * combinations in recent history, leaving out ones already saved.
+ * @param {Object[]} txns - Transactions, newest first
+ * @param {Object[]} savedTemplates
+ * @param {number} [limit]
+ * @returns {Object[]} Suggested templates, most used first
+ */
+export const getSuggestedTemplates = (txns, savedTemplates, limit = 3) => {
+  const saved = new Set(savedTemplates.map(templateSignature));
+  const pickable = new Set(getCategories({ selectable: true }).map((cat) => cat.key));
+  const counts = {};
+
+  txns
+    // Only entries logged by hand: not posted by a rule, not part of a goal,
+    // IOU, split or wallet count, and in a category offered in the picker
+    .filter((t) => !t.recurringRuleId && !isLinkedTransaction(t) && pickable.has(t.category))
+    .slice(0, HISTORY_LIMIT)
+    .forEach((t) => {
+      const signature = templateSignature(t);
+      if (saved.has(signature)) return;
+      if (!counts[signature]) {
+        counts[signature] = {
+          template: { id: `suggested-${signature}`, title: t.title, amount: t.amount, type: t.type, category: t.category },
+          count: 0,
+        };
+      }
+      counts[signature].count += 1;
+    });
+
+  return Object.values(counts)
+    .filter((entry) => entry.count >= MIN_SUGGESTION_COUNT)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map((entry) => ({ ...entry.template, suggested: true }));
+};
+
+/**
+ * Saves a template, ignoring exact duplicates of an existing one.
+ * @param {{title: string, amount: number, type: string, category: string}} data
+ */
+export const createTemplate = async ({ title, amount, type, category }) => {
+  const templates = await getTemplates();
+  const template = { id: `template-${Date.now()}`, title: title.trim(), amount, type, category };
+  if (templates.some((saved) => templateSignature(saved) === templateSignature(template))) {
+    return templates;
+  }
+  const updated = [...templates, template];
+  await saveTemplates(updated);
+  return updated;
+};
+
+export const deleteTemplate = async (id) => {
+  const templates = await getTemplates();
+  const updated = templates.filter((template) => template.id !== id);
+  await saveTemplates(updated);
+  return updated;
+};
+
+/**
+ * Logs a transaction from a template, timed now.
+ */
+export const addFromTemplate = ({ title, amount, type, category }) =>
+  addTransaction({ title, amount, type, category });
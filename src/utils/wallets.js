@@ -0,0 +1,154 @@
+import { getWallets, saveWallets, getTransfers, saveTransfers, getTransactions } from '../storage/repository';
+import { summarizePeriod, summarizeRange } from './ledger';
+import { t } from '../i18n';
+
+/**
+ * Wallets: the places money is actually kept (cash, GCash, Maya, the
+ * alkansya), each with its own balance.
+ *
+ * Wallet shape (stored under STORAGE_KEYS.WALLETS):
+ * { id, name, icon, openingBalance, since: ms, archived?: boolean }
+ * `openingBalance` is what was in the wallet at `since`; entries before
+ * that are already part of it and are not counted again.
+ *
+ * Transfer shape (stored under STORAGE_KEYS.TRANSFERS, newest first):
+ * { id, fromWalletId, toWalletId, amount, note, timestamp }
+ *
+ * Every transaction belongs to one wallet (`walletId`, cash when missing).
+ * Transfers are kept apart from transactions, so cashing in to GCash or
+ * dropping coins in the savings jar is never counted as spending or income.
+ * The allowance counted without being logged ('assumed' mode) is handed
+ * out in cash, so it goes to the cash wallet.
+ */
+
+export const DEFAULT_WALLET_ID = 'cash';
+
+// Set up the first time wallets load, named in the app language (wallets.defaults.<id>)
+export const DEFAULT_WALLETS = [
+  { id: 'cash', icon: '💵' },
+  { id: 'gcash', icon: '📱' },
+  { id: 'maya', icon: '💳' },
+  { id: 'jar', icon: '🐷' },
+];
+
+// Choices offered when adding a wallet
+export const WALLET_ICONS = ['👛', '🏦', '💳', '📱', '🐷', '🫙', '💼', '🎒', '🪙', '💰'];
+
+/**
+ * The wallet a transaction belongs to.
+ */
+export const getWalletId = (txn) => txn.walletId || DEFAULT_WALLET_ID;
+
+/**
+ * Reads the wallets, setting up the default ones the first time. Entries
+ * logged before wallets existed have no walletId and so are cash, so the
+ * cash wallet starts on the day of the first entry and its balance matches
+ * what the app showed before; the others start empty.
+ * @returns {Promise<Object[]>}
+ */
+export const loadWallets = async () => {
+  const saved = await getWallets();
+  if (saved.length > 0) return saved;
+
+  const now = Date.now();
+  const firstDay = new Date((await getTransactions()).reduce((earliest, txn) => Math.min(earliest, txn.timestamp), now));
+  firstDay.setHours(0, 0, 0, 0);
+  const wallets = DEFAULT_WALLETS.map((wallet) => ({
+    ...wallet,
+    name: t(`wallets.defaults.${wallet.id}`),
+    openingBalance: 0,
+    since: wallet.id === DEFAULT_WALLET_ID ? firstDay.getTime() : now,
+  }));
+  await saveWallets(wallets);
+  return wallets;
+};
+
+/**
+ * Wallets that can still be picked for new entries and transfers.
+ */
+export const getActiveWallets = (wallets) => wallets.filter((wallet) => !wallet.archived);
+
+/**
+ * What is in each wallet right now.
+ * @param {Object[]} wallets
+ * @param {Object[]} txns - All transactions
+ * @param {Object[]} transfers - All transfers
+ * @param {Object|null} budgets - Budget plan (for the assumed allowance)
+ * @param {number} [now]
+ * @returns {Object<string, number>} Balance per wallet id
+ */
+export const getWalletBalances = (wallets, txns, transfers, budgets, now = Date.now()) => {
+  const balances = {};
+  wallets.forEach((wallet) => {
+    const range = { from: wallet.since, to: now + 1 };
+    const inWallet = txns.filter((t) => getWalletId(t) === wallet.id);
+    const summary = wallet.id === DEFAULT_WALLET_ID
+      ? summarizeRange(inWallet, budgets, range)
+      : summarizePeriod(inWallet, budgets, range);
+    const moved = transfers
+      .filter((transfer) => transfer.timestamp >= wallet.since)
+      .reduce((sum, transfer) => {
+        if (transfer.toWalletId === wallet.id) return sum + transfer.amount;
+        if (transfer.fromWalletId === wallet.id) return sum - transfer.amount;
+        return sum;
+      }, 0);
+    balances[wallet.id] = (parseFloat(wallet.openingBalance) || 0) + summary.balance + moved;
+  });
+  return balances;
+};
+
+/**
+ * Adds a wallet.
+ * @param {{name: string, icon: string, openingBalance: number}} data
+ * @returns {Promise<Object[]>} The updated wallet list
+ */
+export const createWallet = async ({ name, icon, openingBalance }) => {
+  const now = Date.now();
+  const wallets = await loadWallets();
+  const updated = [
+    ...wallets,
+    { id: `wallet-${now}`, name: name.trim(), icon, openingBalance: parseFloat(openingBalance) || 0, since: now },
+  ];
+  await saveWallets(updated);
+  return updated;
+};
+
+/**
+ * Renames a wallet or corrects its starting balance.
+ * @param {string} id
+ * @param {{name?: string, openingBalance?: number, archived?: boolean}} changes
+ * @returns {Promise<Object[]>} The updated wallet list
+ */
+export const updateWallet = async (id, changes) => {
+  const wallets = await loadWallets();
+  const updated = wallets.map((wallet) => (wallet.id === id ? { ...wallet, ...changes } : wallet));
+  await saveWallets(updated);
+  return updated;
+};
+
+/**
+ * Moves money from one wallet to another.
+ * @param {{fromWalletId: string, toWalletId: string, amount: number, note?: string}} data
+ * @returns {Promise<Object[]>} The updated transfer list
+ */
+export const addTransfer = async ({ fromWalletId, toWalletId, amount, note = '' }) => {
+  const now = Date.now();
+  const transfers = await getTransfers();
+  const updated = [
+    { id: `transfer-${now}`, fromWalletId, toWalletId, amount: parseFloat(amount) || 0, note: note.trim(), timestamp: now },
+    ...transfers,
+  ];
+  await saveTransfers(updated);
+  return updated;
+};
+
+/**
+ * Undoes a transfer.
+ * @returns {Promise<Object[]>} The remaining transfers
+ */
+export const deleteTransfer = async (id) => {
+  const transfers = await getTransfers();
+  const updated = transfers.filter((transfer) => transfer.id !== id);
+  await saveTransfers(updated);
+  return updated;
+};